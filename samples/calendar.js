@@ -44,10 +44,10 @@ function sampleMain(tjs, options) {
     console.log(JSON.stringify(entry));
 
     tjs.calendar(options, entry, function (err, result) {
-        if (result.result) {
+        if (!err) {
             console.log("\nCalendar updated! ".bold.green);
         } else {
-            console.log(result.reason.red);
+            console.log(err.message.red);
         }
     });
 }
@@ -34,13 +34,9 @@ function sampleMain(tjs, options) {
     tjs.cancelSoftwareUpdate(options, function (err, result) {
         if (err) {
             console.error("\ncancelSoftwareUpdate command: " + "Failed!".red);
+            console.error("Reason: " + err.message.red);
         } else {
-            if (result.result) {
-                console.log("\ncancelSoftwareUpdate command: " + "Succeeded".green);
-            } else {
-                console.log("\ncancelSoftwareUpdate command: " + "Failed!".red);
-                console.log("Reason: " + result.reason.red);
-            }
+            console.log("\ncancelSoftwareUpdate command: " + "Succeeded".green);
         }
     });
 }
@@ -27,10 +27,6 @@ program
 var sample = new framework.SampleFramework(program, sampleMain);
 sample.run();
 
-function ctof(degc) {
-    return Math.round(degc * 9 / 5 + 32);
-}
-
 //
 //
 //
@@ -44,15 +40,15 @@ function sampleMain(tjs, options) {
         }
 
         if (climate_state.inside_temp && climate_state.inside_temp !== 0) {
-            console.log("\nInterior: " + ctof(climate_state.inside_temp).toString().green + " Deg.F");
+            console.log("\nInterior: " + Math.round(tjs.units.insideTemp(climate_state, "F")).toString().green + " Deg.F");
         }
 
         if (climate_state.outside_temp && climate_state.outside_temp !== 0) {
-            console.log("Exterior: " + ctof(climate_state.outside_temp).toString().green + " Deg.F");
+            console.log("Exterior: " + Math.round(tjs.units.outsideTemp(climate_state, "F")).toString().green + " Deg.F");
         }
 
-        console.log("\nDriver setting: " + ctof(climate_state.driver_temp_setting).toString().green + " Deg.F");
-        console.log("Passenger setting: " + ctof(climate_state.passenger_temp_setting).toString().green + " Deg.F\n");
+        console.log("\nDriver setting: " + Math.round(tjs.units.convert(climate_state.driver_temp_setting, "C", "F")).toString().green + " Deg.F");
+        console.log("Passenger setting: " + Math.round(tjs.units.convert(climate_state.passenger_temp_setting, "C", "F")).toString().green + " Deg.F\n");
         
         str = climate_state.is_front_defroster_on ? "ON".red : "OFF".green;
         console.log("Front defroster: " + str)
@@ -32,10 +32,10 @@ sample.run();
 //
 function sampleMain(tjs, options) {
     tjs.climateStart(options, function (err, result) {
-        if (result.result) {
+        if (!err) {
             console.log("\nClimate is now: " + "ON".green);
         } else {
-            console.log(result.reason.red);
+            console.log(err.message.red);
         }
     });
 }
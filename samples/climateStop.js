@@ -32,10 +32,10 @@ sample.run();
 //
 function sampleMain(tjs, options) {
     tjs.climateStop(options, function (err, result) {
-        if (result.result) {
+        if (!err) {
             console.log("\nClimate is now: " + "OFF".green);
         } else {
-            console.log(result.reason.red);
+            console.log(err.message.red);
         }
     });
 }
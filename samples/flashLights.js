@@ -32,10 +32,10 @@ sample.run();
 //
 function sampleMain(tjs, options) {
     tjs.flashLights(options, function (err, result) {
-        if (result.result) {
+        if (!err) {
             console.log("\nWere you watching?! " + "flash!".bold.green);
         } else {
-            console.log(result.reason.red);
+            console.log(err.message.red);
         }
     });
 }
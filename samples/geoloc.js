@@ -107,7 +107,7 @@ function sampleMain(tjs, options) {
             console.log("");
         }
         else {
-            console.log(drive_state.reason.red);
+            console.log(err.message.red);
         }
     });
 }
@@ -38,15 +38,15 @@ function sampleMain(tjs, options) {
             var token = options.tokens[0];
 
             tjs.homelink(options, latitude, longitude, token, function (err, result) {
-                if (result.result) {
+                if (!err) {
                     console.log("\nHomelink: " + "Door signaled!".bold.green);
                 } else {
-                    console.log("\nHomelink: " + result.reason.red);
+                    console.log("\nHomelink: " + err.message.red);
                 }
             });
         }
         else {
-            console.log("Drive State: " + drive_state.reason.red);
+            console.log("Drive State: " + err.message.red);
         }
     });
 }
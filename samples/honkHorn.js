@@ -32,10 +32,10 @@ sample.run();
 //
 function sampleMain(tjs, options) {
     tjs.honkHorn(options, function (err, result) {
-        if (result.result) {
+        if (!err) {
             console.log("\nDid you hear it?! " + "beep beep".green);
         } else {
-            console.log(result.reason.red);
+            console.log(err.message.red);
         }
     });
 }
@@ -31,7 +31,7 @@ if (program.uri) {
     tjs.setPortalBaseURI(program.uri);
 }
 
-tjs.loginAsync(username, password).done(
+tjs.login(username, password).then(
     // success!
     function (result) {
         if (!result.authToken) {
@@ -39,7 +39,7 @@ tjs.loginAsync(username, password).done(
             process.exit(1);
         }
 
-        var token = JSON.stringify(result.body);
+        var token = typeof result.body === "string" ? result.body : JSON.stringify(result.body);
 
         if (token) {
             console.log("Login " + "Successfull.".green);
@@ -34,13 +34,9 @@ sample.run();
 function cb(err, result) {
     if (err) {
         console.error("\nCommand: " + "Failed!".red);
+        console.error("Reason: " + err.message.red);
     } else {
-        if (result.result) {
-            console.log("\nCommand: " + "Succeeded".green);
-        } else {
-            console.log("\nCommand: " + "Failed!".red);
-            console.log("Reason: " + result.reason.red);
-        }
+        console.log("\nCommand: " + "Succeeded".green);
     }
 }
 
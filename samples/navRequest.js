@@ -44,13 +44,9 @@ function sampleMain(tjs, options) {
     tjs.navigationRequest(options, subject, text, locale, function (err, result) {
         if (err) {
             console.error("\nnavigationRequest command: " + "Failed!".red + "\n");
+            console.error("Reason: " + err.message.red + "\n");
         } else {
-            if (result.result) {
-                console.log("\nnavigationRequest command: " + "Succeeded".green + "\n");
-            } else {
-                console.log("\nnavigationRequest command: " + "Failed!".red + "\n");
-                console.log("Reason: " + result.reason.red + "\n");
-            }
+            console.log("\nnavigationRequest command: " + "Succeeded".green + "\n");
         }
     });
 }
@@ -55,7 +55,7 @@ function sampleMain(tjs, options) {
 		var miles = addCommas(Math.round(vehicle_state.odometer).toString());
 		console.log(miles.green + " mi");
 
-		var km = addCommas(Math.round(vehicle_state.odometer * 1.609344).toString());
+		var km = addCommas(Math.round(tjs.units.odometer(vehicle_state, "km")).toString());
 		console.log(km.green + " km");
     });
 }
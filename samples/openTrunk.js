@@ -45,12 +45,12 @@ function sampleMain(tjs, options) {
     }
 
     tjs.openTrunk(options, which, function (err, response) {
-        if (response.result) {
+        if (!err) {
             var str = which.toUpperCase();
             console.log("\n" + str.bgGreen + " actuated.");
         }
         else {
-            console.error(response.reason.red);
+            console.error(err.message.red);
         }
     });
 }
@@ -40,16 +40,12 @@ function sampleMain(tjs, options) {
 
     tjs.remoteStart(options, password, function (err, result) {
         if (err) {
-            console.log(err);
+            console.log(err.message.red);
             return;
         }
 
-        if (result) {
-            console.log("\nCommand completed successfully!\n");
-            console.log("You may now begin driving.\n");
-            console.log("You must start driving within " + "2 minutes".bold.green + " or Remote Start will expire.");
-        } else {
-            console.log(result.reason.red);
-        }
+        console.log("\nCommand completed successfully!\n");
+        console.log("You may now begin driving.\n");
+        console.log("You must start driving within " + "2 minutes".bold.green + " or Remote Start will expire.");
     });
 }
@@ -32,10 +32,10 @@ sample.run();
 //
 function sampleMain(tjs, options) {
     tjs.resetValetPin(options, function (err, result) {
-        if (result.result) {
+        if (!err) {
             console.log("\nPIN reset completed successfully!");
         } else {
-            console.log(result.reason.red);
+            console.log(err.message.red);
         }
     });
 }
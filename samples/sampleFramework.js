@@ -25,36 +25,94 @@ function logo() {
     console.log("=========================================");
 }
 
+//
+// Read the token cached by login.js, null if there is none
+//
+function readToken() {
+    try {
+        var body = JSON.parse(fs.readFileSync('.token', 'utf8'));
+
+        // older versions of login.js saved the body encoded twice
+        if (typeof body === "string") {
+            body = JSON.parse(body);
+        }
+
+        return body.access_token || null;
+    } catch (e) {
+        return null;
+    }
+}
+
 exports.SampleFramework = function SampleFramework(program, main) {
     this.program = program;
     this.tokenFound = false;
     this.main = main;
 
+    var self = this;
+
+    this.login = function (callback) {
+        var token = readToken();
+
+        if (token) {
+            self.tokenFound = true;
+            return callback(null, token);
+        }
+
+        if (!program.username || !program.password) {
+            return callback(new Error("no cached token, run login.js or pass --username and --password"), null);
+        }
+
+        tjs.login(program.username, program.password, function (err, result) {
+            if (err || !result.authToken) {
+                return callback(err || new Error("login failed"), null);
+            }
+
+            callback(null, result.authToken);
+        });
+    };
+
     this.run = function () {
-        var options = {};
-        tjs.vehicles(options, function (err, vehicles) {
+        logo();
+
+        if (program.uri) {
+            console.log("Setting portal URI to: " + program.uri);
+            tjs.setPortalBaseURI(program.uri);
+        }
+
+        self.login(function (err, authToken) {
             if (err) {
-                console.log("\nError: " + err);
+                console.log("\nError: " + err.message.red);
                 return;
             }
 
-            var vehicle = vehicles;
-            options.vehicleID = "123";
-            options.vehicle_id = "123";
-            options.tokens = "";
+            tjs.fleet({ authToken: authToken }, function (err, fleet) {
+                if (err) {
+                    console.log("\nError: " + err.message.red);
+                    return;
+                }
 
-            if (vehicle.state && vehicle.state.toUpperCase() == "OFFLINE") {
-                console.log("\nResult: " + "Unable to contact vehicle, exiting!".bold.red);
-                return;
-            }
+                var vehicle = fleet.find(program.index || 0);
 
-            var carType = tjs.getModel(vehicle);
+                if (!vehicle) {
+                    console.log("\nError: " + ("No vehicle at index " + (program.index || 0) + ", the account has " + fleet.vehicles.length).red);
+                    return;
+                }
 
-            console.log("\nVehicle " + process.env.VIN.toString().green + " - " + carType.toString().green + " ( '" + vehicle.vehicle_state.vehicle_name.toString().cyan + "' ) is: " + "online".toString().toUpperCase().bold.green);
+                var options = fleet.optionsFor(vehicle);
 
-            if (main) {
-                main(tjs, options);
-            }
+                if (vehicle.state && vehicle.state.toUpperCase() == "OFFLINE") {
+                    console.log("\nResult: " + "Unable to contact vehicle, exiting!".bold.red);
+                    return;
+                }
+
+                var carType = tjs.getModel(vehicle);
+
+                console.log("\nVehicle " + String(vehicle.vin).green + " - " + carType.toString().green + " ( '" + String(vehicle.display_name).cyan + "' ) is: " + String(vehicle.state).toUpperCase().bold.green);
+
+                if (main) {
+                    main(tjs, options);
+                }
+            });
         });
-    }
-}
+    };
+};
@@ -40,13 +40,9 @@ function sampleMain(tjs, options) {
     tjs.scheduleSoftwareUpdate(options, offset, function (err, result) {
         if (err) {
             console.error("\nscheduleSoftwareUpdate command: " + "Failed!".red);
+            console.error("Reason: " + err.message.red);
         } else {
-            if (result.result) {
-                console.log("\nscheduleSoftwareUpdate command: " + "Succeeded".green);
-            } else {
-                console.log("\nscheduleSoftwareUpdate command: " + "Failed!".red);
-                console.log("Reason: " + result.reason.red);
-            }
+            console.log("\nscheduleSoftwareUpdate command: " + "Succeeded".green);
         }
     });
 }
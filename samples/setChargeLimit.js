@@ -47,11 +47,11 @@ function sampleMain(tjs, options) {
     }
 
     tjs.setChargeLimit(options, amt, function (err, result) {
-        if (result.result) {
+        if (!err) {
             var str = (amt + "%").green;
             console.log("\nCharge limit successfully set to: " + str);
         } else {
-            console.log(result.reason);
+            console.log(err.message.red);
         }
     });
 }
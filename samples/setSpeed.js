@@ -38,11 +38,11 @@ function sampleMain(tjs, options) {
     }
 
     tjs.speedLimitSetLimit(options, speed, function (err, result) {
-        if (result.result) {
+        if (!err) {
             var str = (speed + " MPH").green;
             console.log("\nSpeed limit successfully set to: " + str);
         } else {
-            console.log(result.reason.red);
+            console.log(err.message.red);
         }
     });
 }
@@ -28,13 +28,6 @@ program
 var sample = new framework.SampleFramework(program, sampleMain);
 sample.run();
 
-//
-//
-//
-function f2c(degf) {
-    return (degf - 32) * 5 / 9;
-}
-
 //
 //
 //
@@ -44,12 +37,12 @@ function sampleMain(tjs, options) {
         program.help();
     }
 
-    tjs.setTemps(options, f2c(temp), null, function (err, result) {
-        if (result.result) {
+    tjs.setTemps(options, { value: Number(temp), unit: "F" }, null, function (err, result) {
+        if (!err) {
             var str = (temp + " Deg.F").green;
             console.log("\nTemperature successfully set to: " + str);
         } else {
-            console.log(result.reason.red);
+            console.log(err.message.red);
         }
     });
 }
@@ -47,15 +47,25 @@ function sampleMain(tjs, options) {
 
     console.log("Columns: timestamp," + tjs.streamingColumns.toString());
 
-    tjs.startStreaming(streamingOptions, function (error, response, body) {
-        if (error) {
-            console.log(error);
-            return;
-        }
+    var session = tjs.startStreamingSession(streamingOptions);
 
-        // display the streaming results
-        console.log(body);
+    session.on('data', function (data) {
+        console.log(JSON.stringify(data));
+    });
+
+    session.on('reconnect', function (info) {
+        console.log(("Stream closed, reconnecting in " + Math.round(info.delay / 1000) + "s...").yellow);
+    });
 
+    session.on('error', function (error) {
+        console.log(error.message.red);
+    });
+
+    session.on('end', function () {
         console.log("...Streaming ended.".cyan);
     });
+
+    process.on('SIGINT', function () {
+        session.stop();
+    });
 }
@@ -32,10 +32,10 @@ sample.run();
 //
 function sampleMain(tjs, options) {
     tjs.startCharge(options, function (err, result) {
-        if (result.result) {
+        if (!err) {
             console.log("\nCharging will begin shortly!");
         } else {
-            console.log(result.reason.red);
+            console.log(err.message.red);
         }
     });
 }
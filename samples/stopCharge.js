@@ -32,10 +32,10 @@ sample.run();
 //
 function sampleMain(tjs, options) {
     tjs.stopCharge(options, function (err, result) {
-        if (result.result) {
+        if (!err) {
             console.log("\nCharging will stop shortly!");
         } else {
-            console.log(result.reason.red);
+            console.log(err.message.red);
         }
     });
 }
@@ -46,12 +46,12 @@ function sampleMain(tjs, options) {
     }
 
     tjs.setValetMode(options, mode, pin, function (err, response) {
-        if (response.result) {
+        if (!err) {
             var str = mode ? "ENABLED" : "DISABLED";
             console.log("\nValet mode: " + str.bgGreen);
         }
         else {
-            console.error(response.reason.red);
+            console.error(err.message.red);
         }
     });
 }
@@ -27,29 +27,25 @@ program
 var sample = new framework.SampleFramework(program, sampleMain);
 sample.run();
 
-function milesToKms(miles){
-    return miles * 1.609344;
-}
-
 //
 //
 //
 function sampleMain(tjs, options) {
-    tjs.vehicleDataAsync(options).then( function(vehicleData) {
+    tjs.vehicleData(options).then( function(vehicleData) {
         var vehicle_state = vehicleData.vehicle_state;
         var charge_state = vehicleData.charge_state;
 
         var eu_vehicle = vehicleData.vehicle_config.eu_vehicle;
-        var unitsInKms = vehicleData.gui_settings.gui_distance_units === "km/hr";
+        var unit = " " + tjs.units.distanceUnit(vehicleData);
 
         var str = vehicle_state.locked ? "LOCKED".bgGreen : "UNLOCKED".yellow;
 
         console.log("\nCharging state: " + charge_state.charging_state.green);
         console.log("Battery level: " + charge_state.battery_level.toString().green + ' / '.green + charge_state.charge_limit_soc.toString().green + ' %'.green);
         
-        console.log("\nRated range: " + (unitsInKms ? Math.round(milesToKms(charge_state.battery_range)).toString().green + ' km' : Math.round(charge_state.battery_range).toString().green + ' mi'));
-        console.log((eu_vehicle?"Typical":"Ideal")+" range: "  + (unitsInKms ? Math.round(milesToKms(charge_state.ideal_battery_range)).toString().green + ' km' : Math.round(charge_state.ideal_battery_range).toString().green + ' mi'));
-        console.log("Projected range: " + (unitsInKms ? Math.round(milesToKms(charge_state.est_battery_range)).toString().green + ' km' : Math.round(charge_state.est_battery_range).toString().green + ' mi'));
+        console.log("\nRated range: " + Math.round(tjs.units.range(vehicleData, "rated")).toString().green + unit);
+        console.log((eu_vehicle?"Typical":"Ideal")+" range: " + Math.round(tjs.units.range(vehicleData, "ideal")).toString().green + unit);
+        console.log("Projected range: " + Math.round(tjs.units.range(vehicleData, "est")).toString().green + unit);
 
         console.log("\nDoors: " + str);
         if (vehicle_state.df) {
@@ -0,0 +1,1435 @@
+// Type definitions for TeslaJS
+// Project: https://github.com/mseminatore/TeslaJS
+//
+// Vehicle data interfaces follow the sample responses in apiary.apib, the test
+// suite checks that every field of those samples is declared here.
+
+/// <reference types="node" />
+
+import { EventEmitter } from "events";
+
+declare namespace teslajs {
+    //=======================
+    // Callbacks and options
+    //=======================
+
+    /** Node-style callback */
+    type NodeBack<T> = (err: Error | null, result: T) => void;
+
+    /** Mutual-TLS client certificate */
+    interface TlsOptions {
+        /** PEM encoded client certificate chain */
+        cert: string | Buffer;
+        /** PEM encoded private key */
+        key: string | Buffer;
+        /** PEM encoded CA certificates trusted for the server */
+        ca?: string | Buffer | Array<string | Buffer>;
+        /** passphrase for the private key */
+        passphrase?: string;
+    }
+
+    /** Wake-up parameters */
+    interface WakeOptions {
+        /** milliseconds between polls of the vehicle state, defaults to 5000 */
+        interval?: number;
+        /** milliseconds to wait for the vehicle to come online, defaults to 60000 */
+        timeout?: number;
+        /** waiting stops once it is aborted */
+        signal?: AbortSignal;
+    }
+
+    /** Retry policy */
+    interface RetryPolicy {
+        /** attempts including the first one, defaults to 3 */
+        maxAttempts?: number;
+        /** milliseconds before the first retry, doubled for each further retry, defaults to 1000 */
+        baseDelay?: number;
+        /** upper bound of the delay between attempts, a longer Retry-After fails the call, defaults to 30000 */
+        maxDelay?: number;
+        /** fraction of each delay which is randomized, defaults to 0.5 */
+        jitter?: number;
+        /** HTTP status codes which are retried, defaults to [429, 500, 502, 503, 504] */
+        statusCodes?: number[];
+        /** also retry vehicle commands, defaults to false */
+        retryCommands?: boolean;
+    }
+
+    /** Token bucket, false disables it */
+    interface RateBucket {
+        /** requests per minute in the long run */
+        perMinute: number;
+        /** requests which may be sent at once, defaults to ten seconds of requests */
+        burst?: number;
+    }
+
+    /** Budgets of a rate limit scope */
+    interface RateBudgets {
+        data?: boolean | RateBucket;
+        command?: boolean | RateBucket;
+    }
+
+    /** Rate limit parameters, the defaults apply to the scopes and kinds left out */
+    interface RateLimitOptions {
+        /** budgets shared by the calls made with the same OAuth token */
+        account?: boolean | RateBudgets;
+        /** budgets of each vehicle */
+        vehicle?: boolean | RateBudgets;
+    }
+
+    interface RateLimitMetrics {
+        queueDepth: number;
+        maxQueueDepth: number;
+        granted: number;
+        waited: number;
+        totalWaitMs: number;
+        maxWaitMs: number;
+        averageWaitMs: number;
+        throttled: number;
+    }
+
+    /** Call description handed to a RateLimiter */
+    interface RateLimitCall {
+        account?: string;
+        vehicle?: string;
+        kind: "data" | "command";
+        signal?: AbortSignal;
+    }
+
+    interface RateLimiter {
+        acquire(call: RateLimitCall, callback: NodeBack<number>): void;
+        throttle(call: RateLimitCall, retryAfter?: number): void;
+        metrics(): RateLimitMetrics;
+    }
+
+    interface RateLimiterConstructor {
+        new (config?: RateLimitOptions): RateLimiter;
+        prototype: RateLimiter;
+    }
+
+    type CacheSection = "charge_state" | "climate_state" | "drive_state" | "gui_settings" | "vehicle_state" | "vehicle_config";
+
+    /** Response cache parameters */
+    interface CacheOptions {
+        /** milliseconds each section stays fresh, 0 disables caching a section */
+        ttl?: Partial<Record<CacheSection, number>>;
+    }
+
+    interface ResponseCache {
+        readonly ttl: Record<CacheSection, number>;
+        get(vehicle: string, section: CacheSection): any | null;
+        put(vehicle: string, section: CacheSection, data: any): void;
+        invalidate(vehicle: string, sections?: CacheSection[]): void;
+        clear(): void;
+    }
+
+    interface ResponseCacheConstructor {
+        new (config?: CacheOptions): ResponseCache;
+        prototype: ResponseCache;
+    }
+
+    /** Schema validation parameters */
+    interface ValidationOptions {
+        /** fail the call with a SchemaValidationError instead of emitting schemaWarning */
+        strict?: boolean;
+        /** schema to validate against, defaults to responseSchema */
+        schema?: ResponseSchema;
+    }
+
+    /** Schema of the vehicle data responses */
+    interface ResponseSchema {
+        version: number | string;
+        /** field name to `|` separated JSON types, a leading `?` marks an optional field */
+        sections: { [section: string]: { [field: string]: string } };
+    }
+
+    /** A difference between a response and the response schema */
+    interface SchemaIssue {
+        /** field path such as charge_state.battery_level */
+        path: string;
+        problem: "missing" | "extra" | "type";
+        /** JSON types allowed by the schema */
+        expected?: string;
+        /** JSON type of the value */
+        actual?: string;
+    }
+
+    /** Emitted with schemaWarning */
+    interface SchemaWarning {
+        command: string;
+        issues: SchemaIssue[];
+        schemaVersion: number | string;
+    }
+
+    type DistanceUnit = "mi" | "km";
+    type SpeedUnit = "mph" | "kph";
+    type TemperatureUnit = "C" | "F";
+    type Unit = DistanceUnit | SpeedUnit | TemperatureUnit | "miles" | "mi/hr" | "km/h" | "km/hr" | "c" | "f";
+
+    /** Unit-tagged value, such as `{ value: 70, unit: "F" }` */
+    interface UnitValue {
+        value: number;
+        unit: Unit;
+    }
+
+    /** Conversions between the units of distances, speeds and temperatures */
+    interface Units {
+        convert(value: number, from: Unit, to: Unit): number;
+        convert(value: number | null, from: Unit, to: Unit): number | null;
+        normalize(input: number | UnitValue, unit: Unit): number;
+        distanceUnit(guiSettings: object): DistanceUnit;
+        speedUnit(guiSettings: object): SpeedUnit;
+        temperatureUnit(guiSettings: object): TemperatureUnit;
+        rangeType(guiSettings: object): "rated" | "ideal";
+        range(vehicleData: object, type?: "rated" | "ideal" | "est", unit?: Unit): number;
+        speed(driveState: object, unit?: Unit): number | null;
+        odometer(vehicleState: object, unit?: Unit): number;
+        insideTemp(climateState: object, unit?: Unit): number | null;
+        outsideTemp(climateState: object, unit?: Unit): number | null;
+    }
+
+    type OptionCategory = "model" | "region" | "paint" | "roof" | "wheels" | "interior" | "battery" | "drive" | "steering" | "performance" | "autopilot" | "seats" | "other";
+
+    /** Decoded option code */
+    interface OptionCode {
+        code: string;
+        category: OptionCategory | "unknown";
+        /** human readable description, null for unknown codes */
+        description: string | null;
+        /** simple color name of paint codes */
+        color?: string;
+    }
+
+    /** Decoder of the comma-separated option_codes of a vehicle */
+    interface OptionCodes {
+        readonly catalogue: { [category in OptionCategory]: { [code: string]: string } };
+        describe(code: string): OptionCode;
+        parse(vehicle: { option_codes?: string } | string): OptionCode[];
+        decode(vehicle: { option_codes?: string } | string): { [category in OptionCategory | "unknown"]: OptionCode[] };
+    }
+
+    /** Result of capabilities(), null members are not known from the vehicle data */
+    interface Capabilities {
+        carType: string | null;
+        /** sunRoofControl() and sunRoofMove() */
+        sunRoof: boolean | null;
+        /** homelink() */
+        homelink: boolean | null;
+        /** windowControl() */
+        windows: boolean | null;
+        /** seatHeater() on heaters 2 and above */
+        rearSeatHeaters: boolean | null;
+        /** maxDefrost() */
+        maxDefrost: boolean | null;
+        /** openTrunk(FRUNK) */
+        frunk: boolean | null;
+        /** openTrunk(TRUNK) */
+        trunk: boolean | null;
+        /** remoteStart() */
+        remoteStart: boolean | null;
+        /** navigationRequest() */
+        navigation: boolean | null;
+        /** setSentryMode() */
+        sentryMode: boolean | null;
+        /** calendar() */
+        calendar: boolean | null;
+    }
+
+    /** Timeout and cancellation of the calls which take no optionsType */
+    interface CallOptions {
+        /** milliseconds after which the request fails with a TimeoutError */
+        timeoutMs?: number;
+        /** aborting it stops the call with a CancelledError */
+        signal?: AbortSignal;
+    }
+
+    /** The optionsType parameter of the vehicle APIs */
+    interface Options extends CallOptions {
+        /** Tesla provided OAuth token */
+        authToken?: string;
+        /** Tesla provided long vehicle id (`id_s`), used to build the REST URI */
+        vehicleID?: string;
+        /** index of vehicle within vehicles JSON */
+        carIndex?: number | null;
+        /** client certificate for this vehicle, overrides the client configuration */
+        tls?: TlsOptions;
+        /** wake a sleeping vehicle and retry, overrides the client configuration */
+        ensureAwake?: boolean | WakeOptions;
+        /** retry policy for this call, false to disable retries */
+        retry?: boolean | RetryPolicy;
+        /** validate the response against the response schema, overrides the client configuration */
+        validate?: boolean | ValidationOptions;
+        /** commands the vehicle does not support fail with an UnsupportedCommandError without being sent */
+        capabilities?: Partial<Capabilities>;
+        /** false to fetch fresh data even when the response cache holds it */
+        cache?: boolean;
+    }
+
+    /** TeslaClient configuration */
+    interface ClientConfig {
+        /** URI for Tesla servers */
+        portal?: string;
+        /** URI for Tesla streaming servers */
+        streamingPortal?: string;
+        /** URI for the Tesla WebSocket streaming servers */
+        streamingWebSocket?: string;
+        /** address vehicles through a proxy by VIN header and flat command paths */
+        proxy?: boolean;
+        /** send commands as GET requests with a query string */
+        queryCommands?: boolean;
+        /** transport used to send requests, defaults to a new HttpTransport */
+        transport?: Transport;
+        /** client certificate presented on every request */
+        tls?: TlsOptions;
+        /** VIN sent to the proxy in the X-SSL-Client-S-CN header */
+        vin?: string;
+        /** logging level */
+        logLevel?: number;
+        /** OAuth token used when a call does not supply one */
+        authToken?: string;
+        /** OAuth refresh_token used to renew the authToken */
+        refreshToken?: string;
+        /** Javascript timestamp at which the authToken expires */
+        expiresAt?: number;
+        /** seconds before expiry at which the authToken is renewed, defaults to 3600 */
+        refreshMargin?: number;
+        /** wake a sleeping vehicle and retry vehicle commands */
+        ensureAwake?: boolean | WakeOptions;
+        /** retry policy for failed requests */
+        retry?: boolean | RetryPolicy;
+        /** milliseconds after which a request fails with a TimeoutError */
+        timeoutMs?: number;
+        /** validate vehicle data responses against the response schema */
+        validate?: boolean | ValidationOptions;
+        /** queue calls which exceed the request budgets, a RateLimiter is shared with the other clients using it */
+        rateLimit?: boolean | RateLimitOptions | RateLimiter;
+        /** answer vehicle data getters from recent responses, a ResponseCache is shared with the other clients using it */
+        cache?: boolean | CacheOptions | ResponseCache;
+    }
+
+    /** Options of startStreaming() */
+    interface StreamingOptions extends CallOptions {
+        /** Tesla.com username, not needed with an authToken over a WebSocket */
+        username?: string;
+        /** one of the vehicle tokens, not needed with an authToken over a WebSocket */
+        password?: string;
+        /** the vehicle_id of the vehicle */
+        vehicle_id: string | number;
+        /** columns to stream, defaults to streamingColumns */
+        values?: string[];
+        /** client certificate for the streaming server */
+        tls?: TlsOptions;
+        /** "ws" streams over a WebSocket with data:subscribe messages, defaults to "http" */
+        protocol?: "http" | "ws";
+        /** OAuth token, subscribes with data:subscribe_oauth over a WebSocket */
+        authToken?: string;
+    }
+
+    /** Reconnection parameters of a StreamingSession */
+    interface ReconnectOptions {
+        /** reconnections in a row without data before the session ends with an error, defaults to 10 */
+        maxAttempts?: number;
+        /** milliseconds before the first reconnection, doubled for each further one, defaults to 1000 */
+        baseDelay?: number;
+        /** upper bound of the delay between reconnections, defaults to 30000 */
+        maxDelay?: number;
+        /** fraction of each delay which is randomized, defaults to 0.5 */
+        jitter?: number;
+    }
+
+    /** Options of a StreamingSession, timeoutMs drops and reconnects a connection */
+    interface StreamingSessionOptions extends StreamingOptions {
+        /** reconnect when the connection closes or fails, defaults to true */
+        reconnect?: boolean | ReconnectOptions;
+    }
+
+    /** A parsed streaming line, empty values are null */
+    interface StreamingData {
+        timestamp: number;
+        speed?: number | null;
+        odometer?: number | null;
+        soc?: number | null;
+        elevation?: number | null;
+        est_heading?: number | null;
+        est_lat?: number | null;
+        est_lng?: number | null;
+        power?: number | null;
+        shift_state?: string | null;
+        range?: number | null;
+        est_range?: number | null;
+        heading?: number | null;
+        [column: string]: string | number | null | undefined;
+    }
+
+    /** A sample of stream(), the streamed timestamp as a Date */
+    interface StreamSample {
+        timestamp: Date;
+        speed?: number | null;
+        odometer?: number | null;
+        soc?: number | null;
+        elevation?: number | null;
+        est_heading?: number | null;
+        est_lat?: number | null;
+        est_lng?: number | null;
+        power?: number | null;
+        shift_state?: string | null;
+        range?: number | null;
+        est_range?: number | null;
+        heading?: number | null;
+        [column: string]: Date | string | number | null | undefined;
+    }
+
+    /** Options of stream() */
+    interface StreamIteratorOptions {
+        /** streamed columns, defaults to streamingColumns */
+        columns?: string[];
+        /** samples buffered before the connection is paused, defaults to 100 */
+        highWaterMark?: number;
+    }
+
+    interface StreamIterator extends AsyncIterableIterator<StreamSample> {
+        readonly session: StreamingSession;
+    }
+
+    interface StreamingReconnect {
+        attempt: number;
+        delay: number;
+        error: TeslaApiError | null;
+    }
+
+    interface StreamingSession extends EventEmitter {
+        readonly options: StreamingSessionOptions;
+        readonly columns: string[];
+        readonly paused: boolean;
+        start(): this;
+        stop(): void;
+        pause(): void;
+        resume(): void;
+        on(event: "data", listener: (data: StreamingData) => void): this;
+        on(event: "reconnect", listener: (info: StreamingReconnect) => void): this;
+        on(event: "error", listener: (err: TeslaApiError) => void): this;
+        on(event: "end", listener: () => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+    }
+
+    interface StreamingSessionConstructor {
+        new (options: StreamingSessionOptions, client?: TeslaClient): StreamingSession;
+        prototype: StreamingSession;
+    }
+
+    //=======================
+    // Trip detection
+    //=======================
+
+    interface TripDetectorOptions {
+        /** milliseconds standing still, or without samples, which end a trip, defaults to 300000 */
+        idleTimeout?: number;
+    }
+
+    /** Time, location, odometer, SOC and range at the start or end of a trip */
+    interface TripEdge {
+        time: Date;
+        latitude: number | null;
+        longitude: number | null;
+        odometer: number | null;
+        soc: number | null;
+        range: number | null;
+    }
+
+    interface TripPathPoint {
+        time: Date;
+        latitude: number | null;
+        longitude: number | null;
+        speed: number;
+        shift_state: string | null;
+    }
+
+    /** A finished trip, distances and speeds in miles */
+    interface Trip {
+        start: TripEdge;
+        end: TripEdge;
+        duration: number;
+        distance: number | null;
+        energy: { soc: number | null; range: number | null };
+        maxSpeed: number;
+        averageSpeed: number;
+        path: TripPathPoint[];
+    }
+
+    interface TripDetector extends EventEmitter {
+        readonly idleTimeout: number;
+        push(sample: StreamingData | StreamSample | object): this;
+        finish(): Trip | null;
+        on(event: "tripStart", listener: (start: TripEdge) => void): this;
+        on(event: "tripEnd", listener: (trip: Trip) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+    }
+
+    interface TripDetectorConstructor {
+        new (options?: TripDetectorOptions): TripDetector;
+        prototype: TripDetector;
+    }
+
+    //=======================
+    // Charging sessions
+    //=======================
+
+    interface ChargeSessionTrackerOptions extends Options {
+        /** milliseconds between chargeState() polls, defaults to 60000 */
+        interval?: number;
+    }
+
+    interface ChargeSessionEdge {
+        time: Date;
+        soc: number | null;
+        range: number | null;
+    }
+
+    /** A finished charging session, energy in kWh and power in kW */
+    interface ChargeSession {
+        start: ChargeSessionEdge;
+        end: ChargeSessionEdge;
+        duration: number;
+        energyAdded: number;
+        peakPower: number | null;
+        averagePower: number | null;
+        charger: { fast_charger_type: string | null; conn_charge_cable: string | null };
+        location: { latitude: number; longitude: number } | null;
+        endState: string | null;
+    }
+
+    interface ChargeSessionTracker extends EventEmitter {
+        readonly options: ChargeSessionTrackerOptions;
+        readonly interval: number;
+        readonly sessions: ChargeSession[];
+        push(snapshot: ChargeState | VehicleData | object, driveState?: DriveState | object): this;
+        locate(driveState: DriveState | object): void;
+        finish(): ChargeSession | null;
+        start(): this;
+        stop(): void;
+        toJSON(): ChargeSession[];
+        toCSV(): string;
+        on(event: "sessionStart", listener: (start: ChargeSessionEdge) => void): this;
+        on(event: "sessionEnd", listener: (session: ChargeSession) => void): this;
+        on(event: "pollError", listener: (err: TeslaApiError) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+    }
+
+    interface ChargeSessionTrackerConstructor {
+        new (options?: ChargeSessionTrackerOptions, client?: TeslaClient): ChargeSessionTracker;
+        prototype: ChargeSessionTracker;
+    }
+
+    //=======================
+    // Transports
+    //=======================
+
+    /** Request description handed to a transport */
+    interface Request {
+        method: string;
+        url: string;
+        headers?: { [name: string]: string };
+        body?: any;
+        auth?: { username: string; password: string };
+        tls?: TlsOptions;
+        /** milliseconds after which the request is aborted */
+        timeout?: number;
+        signal?: AbortSignal;
+        /** the response is only read through data events, a successful body is not collected */
+        stream?: boolean;
+    }
+
+    /** Transport response */
+    interface Response {
+        statusCode: number;
+        statusMessage?: string;
+        headers?: { [name: string]: string | string[] | undefined };
+    }
+
+    /** Handle returned by a transport, emitting each response chunk as `data` */
+    interface RequestHandle extends EventEmitter {
+        abort(): void;
+    }
+
+    type TransportBack = (error: Error | null, response?: Response | null, body?: any) => void;
+
+    /** Any object with a send() method can act as a transport */
+    interface Transport {
+        send(req: Request, callback: TransportBack): RequestHandle;
+    }
+
+    interface HttpTransport extends Transport {
+        agent?: any;
+    }
+
+    interface HttpTransportConstructor {
+        new (config?: { agent?: any }): HttpTransport;
+        prototype: HttpTransport;
+    }
+
+    interface MockTransport extends Transport {
+        /** requests sent so far */
+        requests: Request[];
+    }
+
+    interface MockTransportConstructor {
+        new (handler: (req: Request, callback: TransportBack) => void): MockTransport;
+        prototype: MockTransport;
+    }
+
+    //=======================
+    // Errors
+    //=======================
+
+    /** Details of a failed API call */
+    interface ErrorDetails {
+        command?: string;
+        status?: number;
+        body?: any;
+        requestId?: string;
+        cause?: Error;
+    }
+
+    interface TeslaApiError extends Error {
+        /** the REST command which failed */
+        command?: string;
+        /** HTTP status code */
+        status?: number;
+        /** response body */
+        body?: any;
+        /** request id reported by the server */
+        requestId?: string;
+        /** underlying error */
+        cause?: Error;
+    }
+
+    interface VehicleAsleepError extends TeslaApiError {}
+    interface AuthError extends TeslaApiError {}
+    interface RateLimitError extends TeslaApiError {
+        /** seconds to wait, when the server said */
+        retryAfter?: number;
+    }
+    interface CommandFailedError extends TeslaApiError {
+        /** the explanation given by the vehicle */
+        reason?: string;
+    }
+    interface NetworkError extends TeslaApiError {
+        /** socket error code such as ECONNRESET */
+        code?: string;
+    }
+    interface TimeoutError extends NetworkError {}
+    interface CancelledError extends TeslaApiError {}
+    interface UnsupportedCommandError extends TeslaApiError {
+        /** the capability the vehicle lacks, such as sunRoof */
+        capability?: keyof Capabilities;
+    }
+    interface SchemaValidationError extends TeslaApiError {
+        /** differences between the response and the schema */
+        issues: SchemaIssue[];
+        schemaVersion?: number | string;
+    }
+
+    interface TeslaErrorConstructor<T extends TeslaApiError, D = ErrorDetails> {
+        new (message: string, details?: D): T;
+        prototype: T;
+    }
+
+    //=======================
+    // Results
+    //=======================
+
+    /** Result of login() and refreshToken() */
+    interface TokenResult {
+        error: Error | null;
+        response: Response | null;
+        body: string;
+        authToken?: string;
+        refreshToken?: string;
+        expiresIn?: number;
+        createdAt?: number;
+    }
+
+    /** Result of logout() */
+    interface LogoutResult {
+        error: Error | null;
+        response: Response | null;
+        body: string;
+    }
+
+    /** Tokens passed to setTokens() and emitted with tokenRefreshed */
+    interface Tokens {
+        authToken?: string;
+        refreshToken?: string;
+        expiresIn?: number;
+        createdAt?: number;
+        expiresAt?: number;
+    }
+
+    /** Result of a vehicle command */
+    interface CommandResult {
+        result: boolean;
+        reason: string;
+    }
+
+    /** Vehicle summary returned by vehicle() and vehicles() */
+    interface Vehicle {
+        id: number | string;
+        id_s?: string;
+        user_id?: number;
+        vehicle_id: number;
+        vin: string;
+        display_name: string | null;
+        option_codes: string;
+        color: string | null;
+        tokens: string[];
+        state: "online" | "asleep" | "offline" | string;
+        in_service?: boolean;
+        calendar_enabled?: boolean;
+        api_version?: number;
+        backseat_token?: string | null;
+        backseat_token_updated_at?: number | null;
+    }
+
+    interface ChargeState {
+        charging_state: "Charging" | "Complete" | "Disconnected" | "Stopped" | "Starting" | "NoPower" | string;
+        charge_to_max_range: boolean;
+        max_range_charge_counter: number;
+        fast_charger_present: boolean;
+        battery_range: number;
+        est_battery_range: number;
+        ideal_battery_range: number;
+        battery_level: number;
+        battery_current: number | null;
+        charge_starting_range: number | null;
+        charge_starting_soc: number | null;
+        charger_voltage: number | null;
+        charger_pilot_current: number | null;
+        charger_actual_current: number | null;
+        charger_power: number | null;
+        time_to_full_charge: number | null;
+        charge_rate: number;
+        motorized_charge_port: boolean;
+        charge_energy_added: number;
+        charge_miles_added_rated: number;
+        charge_miles_added_ideal: number;
+        charge_port_door_open: boolean;
+        charge_limit_soc?: number;
+        charge_limit_soc_std?: number;
+        charge_limit_soc_min?: number;
+        charge_limit_soc_max?: number;
+        charge_current_request?: number;
+        charge_current_request_max?: number;
+        charge_enable_request?: boolean;
+        charge_port_latch?: string;
+        charge_port_cold_weather_mode?: boolean | null;
+        charger_phases?: number | null;
+        fast_charger_type?: string;
+        fast_charger_brand?: string;
+        conn_charge_cable?: string;
+        scheduled_charging_pending?: boolean;
+        scheduled_charging_start_time?: number | null;
+        trip_charging?: boolean;
+        usable_battery_level?: number;
+        user_charge_enable_request?: boolean | null;
+        managed_charging_active?: boolean;
+        managed_charging_start_time?: number | null;
+        managed_charging_user_canceled?: boolean;
+        not_enough_power_to_heat?: boolean | null;
+        battery_heater_on?: boolean;
+        timestamp?: number;
+    }
+
+    interface ClimateState {
+        inside_temp: number | null;
+        outside_temp: number | null;
+        driver_temp_setting: number;
+        passenger_temp_setting: number;
+        is_auto_conditioning_on: boolean | null;
+        is_front_defroster_on: boolean | null;
+        is_rear_defroster_on: boolean | null;
+        fan_status: number | null;
+        is_climate_on?: boolean;
+        is_preconditioning?: boolean;
+        min_avail_temp?: number;
+        max_avail_temp?: number;
+        left_temp_direction?: number | null;
+        right_temp_direction?: number | null;
+        seat_heater_left?: number | boolean;
+        seat_heater_right?: number | boolean;
+        seat_heater_rear_left?: number;
+        seat_heater_rear_center?: number;
+        seat_heater_rear_right?: number;
+        steering_wheel_heater?: boolean;
+        side_mirror_heaters?: boolean;
+        wiper_blade_heater?: boolean;
+        battery_heater?: boolean;
+        battery_heater_no_power?: boolean | null;
+        defrost_mode?: number;
+        smart_preconditioning?: boolean;
+        remote_heater_control_enabled?: boolean;
+        timestamp?: number;
+    }
+
+    interface DriveState {
+        shift_state: "P" | "D" | "R" | "N" | null | string;
+        speed: number | null;
+        latitude: number;
+        longitude: number;
+        heading: number;
+        gps_as_of: number;
+        power?: number;
+        native_latitude?: number;
+        native_longitude?: number;
+        native_location_supported?: number;
+        native_type?: string;
+        timestamp?: number;
+    }
+
+    interface GuiSettings {
+        gui_distance_units: "mi/hr" | "km/hr" | string;
+        gui_temperature_units: "F" | "C" | string;
+        gui_charge_rate_units: "mi/hr" | "km/hr" | "kW" | string;
+        gui_24_hour_time: boolean;
+        gui_range_display: "Rated" | "Ideal" | string;
+        show_range_units?: boolean;
+        timestamp?: number;
+    }
+
+    interface VehicleState {
+        /** driver front door open */
+        df: boolean | number;
+        /** driver rear door open */
+        dr: boolean | number;
+        /** passenger front door open */
+        pf: boolean | number;
+        /** passenger rear door open */
+        pr: boolean | number;
+        /** front trunk open */
+        ft: boolean | number;
+        /** rear trunk open */
+        rt: boolean | number;
+        car_version: string;
+        locked: boolean;
+        sun_roof_installed: boolean | number;
+        sun_roof_state: string;
+        sun_roof_percent_open: number;
+        dark_rims: boolean;
+        wheel_type: string;
+        has_spoiler: boolean;
+        roof_color: string;
+        perf_config: string;
+        api_version?: number;
+        autopark_state?: string;
+        autopark_state_v2?: string;
+        calendar_supported?: boolean;
+        center_display_state?: number;
+        fd_window?: number;
+        fp_window?: number;
+        rd_window?: number;
+        rp_window?: number;
+        homelink_nearby?: boolean;
+        is_user_present?: boolean;
+        notifications_supported?: boolean;
+        odometer?: number;
+        parsed_calendar_supported?: boolean;
+        remote_start?: boolean;
+        remote_start_supported?: boolean;
+        sentry_mode?: boolean;
+        sentry_mode_available?: boolean;
+        valet_mode?: boolean;
+        valet_pin_needed?: boolean;
+        vehicle_name?: string | null;
+        software_update?: {
+            expected_duration_sec?: number;
+            status?: string;
+        };
+        speed_limit_mode?: {
+            active?: boolean;
+            current_limit_mph?: number;
+            max_limit_mph?: number;
+            min_limit_mph?: number;
+            pin_code_set?: boolean;
+        };
+        timestamp?: number;
+    }
+
+    interface VehicleConfig {
+        car_special_type: string;
+        car_type: string;
+        eu_vehicle: boolean;
+        exterior_color: string;
+        has_ludicrous_mode: boolean;
+        motorized_charge_port: boolean;
+        perf_config: string;
+        plg: boolean;
+        rear_seat_heaters: number;
+        rear_seat_type: number | null;
+        rhd: boolean;
+        roof_color: string;
+        seat_type: number | null;
+        spoiler_type: string;
+        sun_roof_installed: number | null;
+        third_row_seats: string;
+        timestamp: number;
+        trim_badging: string;
+        wheel_type: string;
+        can_accept_navigation_requests?: boolean;
+        can_actuate_trunks?: boolean;
+        charge_port_type?: string;
+        has_air_suspension?: boolean;
+        key_version?: number;
+        use_range_badging?: boolean;
+    }
+
+    /** Result of vehicleData() */
+    interface VehicleData extends Vehicle {
+        charge_state: ChargeState;
+        climate_state: ClimateState;
+        drive_state: DriveState;
+        gui_settings: GuiSettings;
+        vehicle_state: VehicleState;
+        vehicle_config?: VehicleConfig;
+        mobile_enabled?: boolean;
+    }
+
+    interface ChargingSite {
+        location: { lat: number; long: number };
+        name: string;
+        type: "destination" | "supercharger" | string;
+        distance_miles: number;
+        available_stalls?: number;
+        total_stalls?: number;
+        site_closed?: boolean;
+    }
+
+    /** Result of nearbyChargers() */
+    interface NearbyChargers {
+        congestion_sync_time_utc_secs: number;
+        destination_charging: ChargingSite[];
+        superchargers: ChargingSite[];
+    }
+
+    /** Result of vinDecode() */
+    interface VinInfo {
+        /** the decoded VIN */
+        vin: string;
+        /** true if the VIN is well formed with a correct check digit */
+        valid: boolean;
+        /** why the VIN is not valid, empty when it is */
+        reasons: string[];
+        /** world manufacturer identifier, positions 1-3 */
+        wmi: string;
+        manufacturer: string | null;
+        country: string | null;
+        /** position 4 */
+        carType: "Model S" | "Model 3" | "Model X" | "Model Y" | "Roadster" | "Cybertruck" | "Semi";
+        /** body type and steering side, position 5 */
+        body: string | null;
+        /** restraint system, position 6 */
+        restraint: string | null;
+        /** battery type, position 7 */
+        battery: string | null;
+        /** motor and drive unit, position 8 */
+        motor: string | null;
+        awd: boolean;
+        /** position 9 */
+        checkDigit: string;
+        /** model year, position 10, null when the code is invalid */
+        year: number | null;
+        /** manufacturing plant, position 11 */
+        plant: string | null;
+        /** production serial number, positions 12-17 */
+        serial: string;
+    }
+
+    /** Entry built by makeCalendarEntry() */
+    interface CalendarEntry {
+        calendar_data: {
+            access_disabled: boolean;
+            calendars: Array<{
+                color: string;
+                events: Array<{
+                    allday: boolean;
+                    color: string;
+                    end: number;
+                    start: number;
+                    cancelled: boolean;
+                    tentative: boolean;
+                    location: string;
+                    name: string;
+                    organizer: string;
+                }>;
+                name: string;
+            }>;
+            phone_name: string;
+            uuid: string;
+        };
+    }
+
+    //=======================
+    // API
+    //=======================
+
+    /** The APIs of a TeslaClient, also exported as module functions acting on a default client */
+    interface TeslaApi {
+        setLogLevel(level: number): void;
+        getLogLevel(): number;
+        setPortalBaseURI(uri: string | null): void;
+        getPortalBaseURI(): string;
+        setStreamingBaseURI(uri: string | null): void;
+        getStreamingBaseURI(): string;
+        setStreamingWebSocketURI(uri: string | null): void;
+        getStreamingWebSocketURI(): string;
+        setTransport(transport: Transport | null): void;
+        getTransport(): Transport;
+        setProxyMode(onoff: boolean): void;
+        getProxyMode(): boolean;
+        setQueryCommands(onoff: boolean): void;
+        getQueryCommands(): boolean;
+        setEnsureAwake(wake: boolean | WakeOptions): void;
+        getEnsureAwake(): boolean | WakeOptions;
+        setRetryPolicy(policy: boolean | RetryPolicy): void;
+        getRetryPolicy(): boolean | RetryPolicy;
+        setValidation(validate: boolean | ValidationOptions): void;
+        getValidation(): boolean | ValidationOptions;
+        setRateLimit(rateLimit: boolean | RateLimitOptions | RateLimiter): void;
+        getRateLimiter(): RateLimiter | null;
+        setCache(cache: boolean | CacheOptions | ResponseCache): void;
+        getCache(): ResponseCache | null;
+        validateResponse(section: string, data: any, schema?: ResponseSchema): SchemaIssue[];
+        getCommandURI(options: Options, command: string): string;
+        getModel(vehicle: { vin?: string }): string;
+        vinDecode(vehicle: { vin?: string } | string): VinInfo;
+        getPaintColor(vehicle: { option_codes?: string }): string;
+        capabilities(vehicleData: object): Capabilities;
+        getVin(vehicle: { vin: string }): string;
+        getShortVin(vehicle: { vin: string }): string;
+        setTokens(tokens: Tokens): void;
+        makeCalendarEntry(eventName?: string, location?: string, startTime?: number, endTime?: number, accountName?: string, phoneName?: string): CalendarEntry;
+        startStreaming(options: StreamingOptions, callback?: (error: Error | null, response?: Response | null, body?: any) => void, onDataCb?: (data: string) => void): RequestHandle;
+        startStreamingSession(options: StreamingSessionOptions): StreamingSession;
+        stream(options: StreamingSessionOptions, streamOptions?: StreamIteratorOptions): StreamIterator;
+
+        login(username: string, password: string, options?: CallOptions): Promise<TokenResult>;
+        login(username: string, password: string, callback: NodeBack<TokenResult>): void;
+        login(username: string, password: string, options: CallOptions, callback: NodeBack<TokenResult>): void;
+        /** @deprecated call login() without a callback */
+        loginAsync(username: string, password: string, options?: CallOptions): Promise<TokenResult>;
+
+        refreshToken(refresh_token: string, options?: CallOptions): Promise<TokenResult>;
+        refreshToken(refresh_token: string, callback: NodeBack<TokenResult>): void;
+        refreshToken(refresh_token: string, options: CallOptions, callback: NodeBack<TokenResult>): void;
+        /** @deprecated call refreshToken() without a callback */
+        refreshTokenAsync(refresh_token: string, options?: CallOptions): Promise<TokenResult>;
+
+        logout(authToken?: string, options?: CallOptions): Promise<LogoutResult>;
+        logout(authToken: string | undefined, callback: NodeBack<LogoutResult>): void;
+        logout(authToken: string | undefined, options: CallOptions, callback: NodeBack<LogoutResult>): void;
+        /** @deprecated call logout() without a callback */
+        logoutAsync(authToken?: string, options?: CallOptions): Promise<LogoutResult>;
+
+        vehicle(options: Options): Promise<Vehicle>;
+        vehicle(options: Options, callback: NodeBack<Vehicle>): void;
+        /** @deprecated call vehicle() without a callback */
+        vehicleAsync(options: Options): Promise<Vehicle>;
+
+        vehicles(options: Options): Promise<Vehicle[]>;
+        vehicles(options: Options, callback: NodeBack<Vehicle[]>): void;
+        /** @deprecated call vehicles() without a callback */
+        vehiclesAsync(options: Options): Promise<Vehicle[]>;
+
+        fleet(options: Options): Promise<Fleet>;
+        fleet(options: Options, callback: NodeBack<Fleet>): void;
+
+        get_command(options: Options, command: string): Promise<any>;
+        get_command(options: Options, command: string, callback: NodeBack<any>): void;
+        /** @deprecated call get_command() without a callback */
+        get_commandAsync(options: Options, command: string): Promise<any>;
+
+        post_command(options: Options, command: string, body?: object | null): Promise<any>;
+        post_command(options: Options, command: string, body: object | null | undefined, callback: NodeBack<any>): void;
+        /** @deprecated call post_command() without a callback */
+        post_commandAsync(options: Options, command: string, body?: object | null): Promise<any>;
+
+        vehicleData(options: Options): Promise<VehicleData>;
+        vehicleData(options: Options, callback: NodeBack<VehicleData>): void;
+        /** @deprecated call vehicleData() without a callback */
+        vehicleDataAsync(options: Options): Promise<VehicleData>;
+
+        vehicleConfig(options: Options): Promise<VehicleConfig>;
+        vehicleConfig(options: Options, callback: NodeBack<VehicleConfig>): void;
+        /** @deprecated call vehicleConfig() without a callback */
+        vehicleConfigAsync(options: Options): Promise<VehicleConfig>;
+
+        vehicleState(options: Options): Promise<VehicleState>;
+        vehicleState(options: Options, callback: NodeBack<VehicleState>): void;
+        /** @deprecated call vehicleState() without a callback */
+        vehicleStateAsync(options: Options): Promise<VehicleState>;
+
+        climateState(options: Options): Promise<ClimateState>;
+        climateState(options: Options, callback: NodeBack<ClimateState>): void;
+        /** @deprecated call climateState() without a callback */
+        climateStateAsync(options: Options): Promise<ClimateState>;
+
+        nearbyChargers(options: Options): Promise<NearbyChargers>;
+        nearbyChargers(options: Options, callback: NodeBack<NearbyChargers>): void;
+        /** @deprecated call nearbyChargers() without a callback */
+        nearbyChargersAsync(options: Options): Promise<NearbyChargers>;
+
+        driveState(options: Options): Promise<DriveState>;
+        driveState(options: Options, callback: NodeBack<DriveState>): void;
+        /** @deprecated call driveState() without a callback */
+        driveStateAsync(options: Options): Promise<DriveState>;
+
+        chargeState(options: Options): Promise<ChargeState>;
+        chargeState(options: Options, callback: NodeBack<ChargeState>): void;
+        /** @deprecated call chargeState() without a callback */
+        chargeStateAsync(options: Options): Promise<ChargeState>;
+
+        guiSettings(options: Options): Promise<GuiSettings>;
+        guiSettings(options: Options, callback: NodeBack<GuiSettings>): void;
+        /** @deprecated call guiSettings() without a callback */
+        guiSettingsAsync(options: Options): Promise<GuiSettings>;
+
+        mobileEnabled(options: Options): Promise<boolean>;
+        mobileEnabled(options: Options, callback: NodeBack<boolean>): void;
+        /** @deprecated call mobileEnabled() without a callback */
+        mobileEnabledAsync(options: Options): Promise<boolean>;
+
+        honkHorn(options: Options): Promise<CommandResult>;
+        honkHorn(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call honkHorn() without a callback */
+        honkHornAsync(options: Options): Promise<CommandResult>;
+
+        flashLights(options: Options): Promise<CommandResult>;
+        flashLights(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call flashLights() without a callback */
+        flashLightsAsync(options: Options): Promise<CommandResult>;
+
+        startCharge(options: Options): Promise<CommandResult>;
+        startCharge(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call startCharge() without a callback */
+        startChargeAsync(options: Options): Promise<CommandResult>;
+
+        stopCharge(options: Options): Promise<CommandResult>;
+        stopCharge(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call stopCharge() without a callback */
+        stopChargeAsync(options: Options): Promise<CommandResult>;
+
+        openChargePort(options: Options): Promise<CommandResult>;
+        openChargePort(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call openChargePort() without a callback */
+        openChargePortAsync(options: Options): Promise<CommandResult>;
+
+        closeChargePort(options: Options): Promise<CommandResult>;
+        closeChargePort(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call closeChargePort() without a callback */
+        closeChargePortAsync(options: Options): Promise<CommandResult>;
+
+        scheduleSoftwareUpdate(options: Options, offset: number): Promise<CommandResult>;
+        scheduleSoftwareUpdate(options: Options, offset: number, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call scheduleSoftwareUpdate() without a callback */
+        scheduleSoftwareUpdateAsync(options: Options, offset: number): Promise<CommandResult>;
+
+        cancelSoftwareUpdate(options: Options): Promise<CommandResult>;
+        cancelSoftwareUpdate(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call cancelSoftwareUpdate() without a callback */
+        cancelSoftwareUpdateAsync(options: Options): Promise<CommandResult>;
+
+        navigationRequest(options: Options, subject: string, text: string, locale: string): Promise<CommandResult>;
+        navigationRequest(options: Options, subject: string, text: string, locale: string, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call navigationRequest() without a callback */
+        navigationRequestAsync(options: Options, subject: string, text: string, locale: string): Promise<CommandResult>;
+
+        mediaTogglePlayback(options: Options): Promise<CommandResult>;
+        mediaTogglePlayback(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call mediaTogglePlayback() without a callback */
+        mediaTogglePlaybackAsync(options: Options): Promise<CommandResult>;
+
+        mediaPlayNext(options: Options): Promise<CommandResult>;
+        mediaPlayNext(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call mediaPlayNext() without a callback */
+        mediaPlayNextAsync(options: Options): Promise<CommandResult>;
+
+        mediaPlayPrevious(options: Options): Promise<CommandResult>;
+        mediaPlayPrevious(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call mediaPlayPrevious() without a callback */
+        mediaPlayPreviousAsync(options: Options): Promise<CommandResult>;
+
+        mediaPlayNextFavorite(options: Options): Promise<CommandResult>;
+        mediaPlayNextFavorite(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call mediaPlayNextFavorite() without a callback */
+        mediaPlayNextFavoriteAsync(options: Options): Promise<CommandResult>;
+
+        mediaPlayPreviousFavorite(options: Options): Promise<CommandResult>;
+        mediaPlayPreviousFavorite(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call mediaPlayPreviousFavorite() without a callback */
+        mediaPlayPreviousFavoriteAsync(options: Options): Promise<CommandResult>;
+
+        mediaVolumeUp(options: Options): Promise<CommandResult>;
+        mediaVolumeUp(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call mediaVolumeUp() without a callback */
+        mediaVolumeUpAsync(options: Options): Promise<CommandResult>;
+
+        mediaVolumeDown(options: Options): Promise<CommandResult>;
+        mediaVolumeDown(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call mediaVolumeDown() without a callback */
+        mediaVolumeDownAsync(options: Options): Promise<CommandResult>;
+
+        speedLimitActivate(options: Options, pin: number): Promise<CommandResult>;
+        speedLimitActivate(options: Options, pin: number, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call speedLimitActivate() without a callback */
+        speedLimitActivateAsync(options: Options, pin: number): Promise<CommandResult>;
+
+        speedLimitDeactivate(options: Options, pin: number): Promise<CommandResult>;
+        speedLimitDeactivate(options: Options, pin: number, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call speedLimitDeactivate() without a callback */
+        speedLimitDeactivateAsync(options: Options, pin: number): Promise<CommandResult>;
+
+        speedLimitClearPin(options: Options, pin: number): Promise<CommandResult>;
+        speedLimitClearPin(options: Options, pin: number, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call speedLimitClearPin() without a callback */
+        speedLimitClearPinAsync(options: Options, pin: number): Promise<CommandResult>;
+
+        speedLimitSetLimit(options: Options, limit: number | UnitValue): Promise<CommandResult>;
+        speedLimitSetLimit(options: Options, limit: number | UnitValue, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call speedLimitSetLimit() without a callback */
+        speedLimitSetLimitAsync(options: Options, limit: number | UnitValue): Promise<CommandResult>;
+
+        setSentryMode(options: Options, onoff: boolean): Promise<CommandResult>;
+        setSentryMode(options: Options, onoff: boolean, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call setSentryMode() without a callback */
+        setSentryModeAsync(options: Options, onoff: boolean): Promise<CommandResult>;
+
+        seatHeater(options: Options, heater: number, level: number): Promise<CommandResult>;
+        seatHeater(options: Options, heater: number, level: number, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call seatHeater() without a callback */
+        seatHeaterAsync(options: Options, heater: number, level: number): Promise<CommandResult>;
+
+        steeringHeater(options: Options, level: number): Promise<CommandResult>;
+        steeringHeater(options: Options, level: number, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call steeringHeater() without a callback */
+        steeringHeaterAsync(options: Options, level: number): Promise<CommandResult>;
+
+        maxDefrost(options: Options, onoff: boolean): Promise<CommandResult>;
+        maxDefrost(options: Options, onoff: boolean, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call maxDefrost() without a callback */
+        maxDefrostAsync(options: Options, onoff: boolean): Promise<CommandResult>;
+
+        windowControl(options: Options, command: "vent" | "close"): Promise<CommandResult>;
+        windowControl(options: Options, command: "vent" | "close", callback: NodeBack<CommandResult>): void;
+        /** @deprecated call windowControl() without a callback */
+        windowControlAsync(options: Options, command: "vent" | "close"): Promise<CommandResult>;
+
+        setChargeLimit(options: Options, amt: number): Promise<CommandResult>;
+        setChargeLimit(options: Options, amt: number, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call setChargeLimit() without a callback */
+        setChargeLimitAsync(options: Options, amt: number): Promise<CommandResult>;
+
+        chargeStandard(options: Options): Promise<CommandResult>;
+        chargeStandard(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call chargeStandard() without a callback */
+        chargeStandardAsync(options: Options): Promise<CommandResult>;
+
+        chargeMaxRange(options: Options): Promise<CommandResult>;
+        chargeMaxRange(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call chargeMaxRange() without a callback */
+        chargeMaxRangeAsync(options: Options): Promise<CommandResult>;
+
+        doorLock(options: Options): Promise<CommandResult>;
+        doorLock(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call doorLock() without a callback */
+        doorLockAsync(options: Options): Promise<CommandResult>;
+
+        doorUnlock(options: Options): Promise<CommandResult>;
+        doorUnlock(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call doorUnlock() without a callback */
+        doorUnlockAsync(options: Options): Promise<CommandResult>;
+
+        climateStart(options: Options): Promise<CommandResult>;
+        climateStart(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call climateStart() without a callback */
+        climateStartAsync(options: Options): Promise<CommandResult>;
+
+        climateStop(options: Options): Promise<CommandResult>;
+        climateStop(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call climateStop() without a callback */
+        climateStopAsync(options: Options): Promise<CommandResult>;
+
+        sunRoofControl(options: Options, state: "vent" | "close"): Promise<CommandResult>;
+        sunRoofControl(options: Options, state: "vent" | "close", callback: NodeBack<CommandResult>): void;
+        /** @deprecated call sunRoofControl() without a callback */
+        sunRoofControlAsync(options: Options, state: "vent" | "close"): Promise<CommandResult>;
+
+        sunRoofMove(options: Options, percent: number): Promise<CommandResult>;
+        sunRoofMove(options: Options, percent: number, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call sunRoofMove() without a callback */
+        sunRoofMoveAsync(options: Options, percent: number): Promise<CommandResult>;
+
+        setTemps(options: Options, driver: number | UnitValue, pass?: number | UnitValue): Promise<CommandResult>;
+        setTemps(options: Options, driver: number | UnitValue, pass: number | UnitValue | undefined, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call setTemps() without a callback */
+        setTempsAsync(options: Options, driver: number | UnitValue, pass?: number | UnitValue): Promise<CommandResult>;
+
+        remoteStart(options: Options, password: string): Promise<CommandResult>;
+        remoteStart(options: Options, password: string, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call remoteStart() without a callback */
+        remoteStartAsync(options: Options, password: string): Promise<CommandResult>;
+
+        openTrunk(options: Options, which: "front" | "rear"): Promise<CommandResult>;
+        openTrunk(options: Options, which: "front" | "rear", callback: NodeBack<CommandResult>): void;
+        /** @deprecated call openTrunk() without a callback */
+        openTrunkAsync(options: Options, which: "front" | "rear"): Promise<CommandResult>;
+
+        wakeUp(options: Options): Promise<Vehicle>;
+        wakeUp(options: Options, callback: NodeBack<Vehicle>): void;
+        /** @deprecated call wakeUp() without a callback */
+        wakeUpAsync(options: Options): Promise<Vehicle>;
+
+        wakeUpAndWait(options: Options, wake?: WakeOptions): Promise<Vehicle>;
+        wakeUpAndWait(options: Options, callback: NodeBack<Vehicle>): void;
+        wakeUpAndWait(options: Options, wake: WakeOptions | undefined, callback: NodeBack<Vehicle>): void;
+        /** @deprecated call wakeUpAndWait() without a callback */
+        wakeUpAndWaitAsync(options: Options, wake?: WakeOptions): Promise<Vehicle>;
+
+        setValetMode(options: Options, onoff: boolean, pin: number): Promise<CommandResult>;
+        setValetMode(options: Options, onoff: boolean, pin: number, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call setValetMode() without a callback */
+        setValetModeAsync(options: Options, onoff: boolean, pin: number): Promise<CommandResult>;
+
+        resetValetPin(options: Options): Promise<CommandResult>;
+        resetValetPin(options: Options, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call resetValetPin() without a callback */
+        resetValetPinAsync(options: Options): Promise<CommandResult>;
+
+        calendar(options: Options, entry: CalendarEntry): Promise<CommandResult>;
+        calendar(options: Options, entry: CalendarEntry, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call calendar() without a callback */
+        calendarAsync(options: Options, entry: CalendarEntry): Promise<CommandResult>;
+
+        homelink(options: Options, lat: number, long: number, token: string): Promise<CommandResult>;
+        homelink(options: Options, lat: number, long: number, token: string, callback: NodeBack<CommandResult>): void;
+        /** @deprecated call homelink() without a callback */
+        homelinkAsync(options: Options, lat: number, long: number, token: string): Promise<CommandResult>;
+    }
+
+    /** A client with its own portal, logging, vehicle and OAuth token configuration */
+    interface TeslaClient extends EventEmitter, TeslaApi {
+        on(event: "tokenRefreshed", listener: (tokens: Tokens) => void): this;
+        on(event: "send", listener: (req: Request) => void): this;
+        on(event: "receive", listener: (req: Request, error: Error | null, response: Response | null, body: any) => void): this;
+        on(event: "schemaWarning", listener: (warning: SchemaWarning) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+    }
+
+    interface TeslaClientConstructor {
+        new (config?: ClientConfig): TeslaClient;
+        prototype: TeslaClient;
+    }
+
+    //=======================
+    // Fleet
+    //=======================
+
+    /** Outcome of Fleet.map() for one vehicle */
+    interface FleetResult<T = any> {
+        vehicle: Vehicle;
+        error: Error | null;
+        result: T | null;
+    }
+
+    interface FleetMapOptions {
+        /** calls running at once, 5 by default */
+        concurrency?: number;
+    }
+
+    type FleetCall<T> = (options: Options, callback: NodeBack<T>) => Promise<T> | void;
+
+    /** Vehicle keys are an index, VIN, short VIN, id_s or display name */
+    interface Fleet {
+        vehicles: Vehicle[];
+        options: Options;
+        client: TeslaClient;
+        find(key: number | string): Vehicle | null;
+        optionsFor(key: number | string | Vehicle): Options;
+        map<T = any>(fn: FleetCall<T> | keyof TeslaApi, mapOptions?: FleetMapOptions | null): Promise<Array<FleetResult<T>>>;
+        map<T = any>(fn: FleetCall<T> | keyof TeslaApi, callback: NodeBack<Array<FleetResult<T>>>): void;
+        map<T = any>(fn: FleetCall<T> | keyof TeslaApi, mapOptions: FleetMapOptions | null, callback: NodeBack<Array<FleetResult<T>>>): void;
+    }
+
+    interface FleetConstructor {
+        new (vehicles: Vehicle[], options?: Options, client?: TeslaClient): Fleet;
+        prototype: Fleet;
+    }
+
+    //=======================
+    // Module exports
+    //=======================
+
+    interface Module extends TeslaApi {
+        TeslaClient: TeslaClientConstructor;
+        HttpTransport: HttpTransportConstructor;
+        MockTransport: MockTransportConstructor;
+        Fleet: FleetConstructor;
+        RateLimiter: RateLimiterConstructor;
+        ResponseCache: ResponseCacheConstructor;
+        StreamingSession: StreamingSessionConstructor;
+        TripDetector: TripDetectorConstructor;
+        ChargeSessionTracker: ChargeSessionTrackerConstructor;
+
+        TeslaApiError: TeslaErrorConstructor<TeslaApiError>;
+        VehicleAsleepError: TeslaErrorConstructor<VehicleAsleepError>;
+        AuthError: TeslaErrorConstructor<AuthError>;
+        RateLimitError: TeslaErrorConstructor<RateLimitError, ErrorDetails & { retryAfter?: number }>;
+        CommandFailedError: TeslaErrorConstructor<CommandFailedError, ErrorDetails & { reason?: string }>;
+        NetworkError: TeslaErrorConstructor<NetworkError>;
+        TimeoutError: TeslaErrorConstructor<TimeoutError>;
+        CancelledError: TeslaErrorConstructor<CancelledError>;
+        UnsupportedCommandError: TeslaErrorConstructor<UnsupportedCommandError, ErrorDetails & { capability?: keyof Capabilities }>;
+        SchemaValidationError: TeslaErrorConstructor<SchemaValidationError, ErrorDetails & { issues?: SchemaIssue[]; schemaVersion?: number | string }>;
+
+        readonly streamingPortal: string;
+        readonly streamingWebSocket: string;
+        readonly portal: string;
+        readonly responseSchema: ResponseSchema;
+        readonly units: Units;
+        readonly optionCodes: OptionCodes;
+
+        /** EventEmitter methods of the module-level client */
+        on: TeslaClient["on"];
+        once: TeslaClient["once"];
+        off: TeslaClient["off"];
+        addListener: TeslaClient["addListener"];
+        removeListener: TeslaClient["removeListener"];
+        removeAllListeners: TeslaClient["removeAllListeners"];
+        listenerCount: TeslaClient["listenerCount"];
+
+        readonly API_LOG_ALWAYS: 0;
+        readonly API_ERR_LEVEL: 1;
+        readonly API_CALL_LEVEL: 2;
+        readonly API_RETURN_LEVEL: 3;
+        readonly API_BODY_LEVEL: 4;
+        readonly API_REQUEST_LEVEL: 5;
+        readonly API_RESPONSE_LEVEL: 6;
+        readonly API_LOG_ALL: 255;
+
+        readonly CHARGE_STORAGE: 50;
+        readonly CHARGE_DAILY: 70;
+        readonly CHARGE_STANDARD: 90;
+        readonly CHARGE_RANGE: 100;
+
+        readonly SUNROOF_VENT: "vent";
+        readonly SUNROOF_CLOSED: "close";
+
+        readonly MIN_TEMP: 15;
+        readonly MAX_TEMP: 28;
+
+        readonly FRUNK: "front";
+        readonly TRUNK: "rear";
+
+        streamingColumns: string[];
+    }
+}
+
+declare const teslajs: teslajs.Module;
+
+export = teslajs;
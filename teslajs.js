@@ -13,15 +13,12 @@
 
 "use strict";
 
-var request = require('request').defaults({
-    headers: {
-        "X-SSL-Client-S-CN": process.env.VIN,
-    },
-    json: true,
-    gzip: false,
-    body: {}
-});
-var Promise = require('promise');
+var http = require('http');
+var https = require('https');
+var URLSearchParams = require('url').URLSearchParams;
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var websocket = require('./websocket');
 
 //=======================
 // Streaming API portal
@@ -33,7 +30,12 @@ var Promise = require('promise');
 var streamingPortal = "https://streaming.vn.teslamotors.com/stream";
 exports.streamingPortal = streamingPortal;
 
-var streamingBaseURI = process.env.TESLAJS_STREAMING || streamingPortal;
+/**
+ * @global
+ * @default
+ */
+var streamingWebSocket = "wss://streaming.vn.teslamotors.com/streaming/";
+exports.streamingWebSocket = streamingWebSocket;
 
 //===========================
 // New OAuth-based API portal
@@ -45,8 +47,6 @@ var streamingBaseURI = process.env.TESLAJS_STREAMING || streamingPortal;
 var portal = "https://owner-api.teslamotors.com";
 exports.portal = portal;
 
-var portalBaseURI = process.env.TESLAJS_SERVER || portal;
-
 //=======================
 // Log levels
 //=======================
@@ -106,8 +106,6 @@ exports.API_RESPONSE_LEVEL = API_RESPONSE_LEVEL;
 var API_LOG_ALL = 255;	// this value must be the last
 exports.API_LOG_ALL = API_LOG_ALL;
 
-var logLevel = process.env.TESLAJS_LOG || 0;
-
 /**
  * Node-style callback function
  * @callback nodeBack
@@ -120,23 +118,180 @@ var logLevel = process.env.TESLAJS_LOG || 0;
  * @typedef optionsType
  * @type {object}
  * @property {string} authToken - Tesla provided OAuth token
- * @property {string} vehicleID - Tesla provided long vehicle id
+ * @property {string} vehicleID - Tesla provided long vehicle id, used to build the REST URI
  * @property {?int} [carIndex] - index of vehicle within vehicles JSON
+ * @property {tlsType} [tls] - client certificate for this vehicle, overrides the client configuration
+ * @property {boolean|wakeOptionsType} [ensureAwake] - wake a sleeping vehicle and retry, overrides the client configuration
+ * @property {boolean|retryPolicyType} [retry] - retry policy for this call, false to disable retries
+ * @property {number} [timeoutMs] - milliseconds after which each request of the call fails with a TimeoutError
+ * @property {AbortSignal} [signal] - aborting it stops the call with a CancelledError
+ * @property {boolean|validationType} [validate] - validate the response against the response schema, overrides the client configuration
+ * @property {capabilitiesType} [capabilities] - vehicle capabilities, commands the vehicle does not support fail with an UnsupportedCommandError without being sent
+ * @property {boolean} [cache] - false to fetch fresh data even when the response cache of the client holds it
+ */
+
+/**
+ * Timeout and cancellation parameter of the calls which take no optionsType
+ * @typedef callOptionsType
+ * @type {object}
+ * @property {number} [timeoutMs] - milliseconds after which the request fails with a TimeoutError
+ * @property {AbortSignal} [signal] - aborting it stops the call with a CancelledError
+ */
+
+/**
+ * Wake-up parameter
+ * @typedef wakeOptionsType
+ * @type {object}
+ * @property {number} [interval=5000] - milliseconds between polls of the vehicle state
+ * @property {number} [timeout=60000] - milliseconds to wait for the vehicle to come online
+ * @property {object} [signal] - cancellation token such as an AbortSignal, waiting stops once its `aborted` member is true
  */
 
+/**
+ * Retry policy parameter
+ * @typedef retryPolicyType
+ * @type {object}
+ * @property {int} [maxAttempts=3] - attempts including the first one
+ * @property {number} [baseDelay=1000] - milliseconds before the first retry, doubled for each further retry
+ * @property {number} [maxDelay=30000] - upper bound of the delay between attempts, a longer Retry-After fails the call
+ * @property {number} [jitter=0.5] - fraction of each delay which is randomized
+ * @property {int[]} [statusCodes=[429,500,502,503,504]] - HTTP status codes which are retried, network errors always are
+ * @property {boolean} [retryCommands=false] - also retry vehicle commands, which may then be carried out more than once
+ */
+
+/**
+ * Mutual-TLS client certificate parameter
+ * @typedef tlsType
+ * @type {object}
+ * @property {string|Buffer} cert - PEM encoded client certificate chain
+ * @property {string|Buffer} key - PEM encoded private key
+ * @property {string|Buffer|Array} [ca] - PEM encoded CA certificates trusted for the server
+ * @property {string} [passphrase] - passphrase for the private key
+ */
+
+/**
+ * TeslaClient configuration parameter
+ * @typedef clientConfigType
+ * @type {object}
+ * @property {string} [portal] - URI for Tesla servers
+ * @property {string} [streamingPortal] - URI for Tesla streaming servers
+ * @property {string} [streamingWebSocket] - URI for the Tesla WebSocket streaming servers
+ * @property {boolean} [proxy=false] - address vehicles through a proxy by VIN header and flat command paths
+ * @property {boolean} [queryCommands=false] - send commands as GET requests with a query string, for proxies which require it
+ * @property {object} [transport] - transport used to send requests, defaults to a new HttpTransport
+ * @property {tlsType} [tls] - client certificate presented on every request
+ * @property {string} [vin] - VIN sent to the proxy in the X-SSL-Client-S-CN header, defaults to process.env.VIN
+ * @property {int} [logLevel] - logging level
+ * @property {string} [authToken] - Tesla provided OAuth token used when a call does not supply one
+ * @property {string} [refreshToken] - OAuth refresh_token used to renew the authToken
+ * @property {number} [expiresAt] - Javascript timestamp at which the authToken expires
+ * @property {number} [refreshMargin=3600] - seconds before expiry at which the authToken is renewed
+ * @property {boolean|wakeOptionsType} [ensureAwake=false] - wake a sleeping vehicle and retry vehicle commands
+ * @property {boolean|retryPolicyType} [retry=false] - retry policy for failed requests
+ * @property {number} [timeoutMs] - milliseconds after which a request fails with a TimeoutError, no timeout by default
+ * @property {boolean|validationType} [validate=false] - validate vehicle data responses against the response schema
+ * @property {boolean|rateLimitType|RateLimiter} [rateLimit=false] - queue calls which exceed the request budgets, a RateLimiter is shared with the other clients using it
+ * @property {boolean|cacheType|ResponseCache} [cache=false] - answer vehicle data getters from recent responses, a ResponseCache is shared with the other clients using it
+ */
+
+/**
+ * A client carrying its own portal, logging, vehicle and OAuth token configuration.
+ * Every API exported by the module is also available as a method of the client,
+ * the module-level functions act on a default client.
+ *
+ * Tokens obtained through `login()` or `refreshToken()` are kept by the client,
+ * renewed shortly before they expire and emitted with a `tokenRefreshed` event.
+ *
+ * Each request is emitted with a `send` event before it is handed to the transport,
+ * listeners may add headers or otherwise adjust it. A `receive` event follows
+ * with the request and its outcome.
+ *
+ * When validation is enabled vehicle data responses which do not match the response
+ * schema are reported with a `schemaWarning` event.
+ * @class
+ * @param {clientConfigType} [config] - client configuration
+ */
+function TeslaClient(config) {
+    EventEmitter.call(this);
+
+    config = config || {};
+
+    this.portalBaseURI = config.portal || portal;
+    this.streamingBaseURI = config.streamingPortal || streamingPortal;
+    this.streamingWebSocketURI = config.streamingWebSocket || streamingWebSocket;
+    this.logLevel = config.logLevel || 0;
+    this.proxy = !!config.proxy;
+    this.queryCommands = !!config.queryCommands;
+    this.transport = config.transport || new HttpTransport();
+    this.tls = config.tls;
+    this.vin = config.vin;
+    this.authToken = config.authToken;
+    this.refresh_token = config.refreshToken;
+    this.expiresAt = config.expiresAt;
+    this.refreshMargin = config.refreshMargin || 3600;
+    this.ensureAwake = config.ensureAwake || false;
+    this.retry = config.retry || false;
+    this.timeoutMs = config.timeoutMs || 0;
+    this.validate = config.validate || false;
+    this.rateLimiter = rateLimiter(config.rateLimit);
+    this.cache = responseCache(config.cache);
+    this.pendingRefresh = null;
+}
+util.inherits(TeslaClient, EventEmitter);
+exports.TeslaClient = TeslaClient;
+
 /*
  * Adjustable console logging
+ * @param {TeslaClient} client - client whose logging level applies
  * @param {int} level - logging level
  * @param {string} str - text to log
  */
-function log(level, str) {
-    if (logLevel < level) {
+function log(client, level, str) {
+    if (client.logLevel < level) {
         return;
     }
 //    console.log("[" + new Date().toISOString() + "] " + str);
     console.log(str);
 }
 
+/*
+ * Wrap a method taking a node-style callback as its last parameter.  When it is
+ * called without a callback the wrapper returns a native Promise instead.
+ */
+function promised(method) {
+    return function () {
+        var self = this;
+        var args = Array.prototype.slice.call(arguments);
+
+        if (typeof args[args.length - 1] === "function") {
+            return method.apply(self, args);
+        }
+
+        while (args.length < method.length - 1) {
+            args.push(undefined);
+        }
+
+        return new Promise(function (resolve, reject) {
+            args.push(function (err, result) {
+                if (err) {
+                    return reject(err);
+                }
+
+                resolve(result);
+            });
+
+            method.apply(self, args);
+        });
+    };
+}
+
+/*
+ * Deprecated *Async alias of a promised method
+ */
+function asyncAlias(name) {
+    return util.deprecate(TeslaClient.prototype[name], "TeslaJS " + name + "Async() is deprecated, call " + name + "() without a callback", "TESLAJS_ASYNC");
+}
+
 /*
  * Ensure value is within [min..max]
  */
@@ -152,1645 +307,6152 @@ function clamp(value, min, max) {
     return value;
 }
 
+//=======================
+// Errors
+//=======================
+
 /**
- * Set the current logging level
- * @param {int} level - logging level
+ * Details of a failed API call
+ * @typedef errorDetailsType
+ * @type {object}
+ * @property {string} [command] - the REST command which failed
+ * @property {int} [status] - HTTP status code
+ * @property {object} [body] - response body
+ * @property {string} [requestId] - request id reported by the server
+ * @property {Error} [cause] - underlying error
+ */
+
+/**
+ * Base class of the errors reported by API calls
+ * @class
+ * @extends Error
+ * @param {string} message - error description
+ * @param {errorDetailsType} [details] - details of the failed call
  */
-exports.setLogLevel = function setLogLevel(level) {
-    logLevel = level;
+function TeslaApiError(message, details) {
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+
+    details = details || {};
+
+    this.name = "TeslaApiError";
+    this.message = message;
+    this.command = details.command;
+    this.status = details.status;
+    this.body = details.body;
+    this.requestId = details.requestId;
+    this.cause = details.cause;
 }
+util.inherits(TeslaApiError, Error);
+exports.TeslaApiError = TeslaApiError;
 
 /**
- * Get the current logging level
- * @return {int} the current logging level
+ * The vehicle is asleep or offline (HTTP 408), wake it and try again
+ * @class
+ * @extends TeslaApiError
  */
-exports.getLogLevel = function getLogLevel() {
-    return logLevel;
+function VehicleAsleepError(message, details) {
+    TeslaApiError.call(this, message, details);
+    this.name = "VehicleAsleepError";
 }
+util.inherits(VehicleAsleepError, TeslaApiError);
+exports.VehicleAsleepError = VehicleAsleepError;
 
 /**
- * Set the portal base URI
- * @param {string} uri - URI for Tesla servers
+ * The OAuth token was rejected (HTTP 401) or could not be refreshed
+ * @class
+ * @extends TeslaApiError
  */
-exports.setPortalBaseURI = function setPortalBaseURI(uri) {
-    if (!uri) {
-        portalBaseURI = portal; // reset to the default Tesla servers
-    } else {
-        portalBaseURI = uri;
-    }
+function AuthError(message, details) {
+    TeslaApiError.call(this, message, details);
+    this.name = "AuthError";
 }
+util.inherits(AuthError, TeslaApiError);
+exports.AuthError = AuthError;
 
 /**
- * Get the portal base URI
- * @return {string} URI for Tesla servers
+ * Too many requests (HTTP 429), `retryAfter` holds the seconds to wait if the server said
+ * @class
+ * @extends TeslaApiError
  */
-exports.getPortalBaseURI = function getPortalBaseURI() {
-    return portalBaseURI;
+function RateLimitError(message, details) {
+    TeslaApiError.call(this, message, details);
+    this.name = "RateLimitError";
+    this.retryAfter = details && details.retryAfter;
 }
+util.inherits(RateLimitError, TeslaApiError);
+exports.RateLimitError = RateLimitError;
 
 /**
- * Set the streaming base URI
- * @param {string} uri - URI for Tesla streaming servers
+ * The vehicle refused a command, `reason` holds its explanation
+ * @class
+ * @extends TeslaApiError
  */
-exports.setStreamingBaseURI = function setStreamingBaseURI(uri) {
-    if (!uri) {
-        streamingBaseURI = streamingPortal; // reset to the default Tesla servers
-    } else {
-        streamingBaseURI = uri;
-    }
+function CommandFailedError(message, details) {
+    TeslaApiError.call(this, message, details);
+    this.name = "CommandFailedError";
+    this.reason = details && details.reason;
 }
+util.inherits(CommandFailedError, TeslaApiError);
+exports.CommandFailedError = CommandFailedError;
 
 /**
- * Get the streaming base URI
- * @return {string} URI for Tesla streaming servers
+ * The request did not complete, e.g. the connection was refused or reset
+ * @class
+ * @extends TeslaApiError
  */
-exports.getStreamingBaseURI = function getStreamingBaseURI() {
-    return streamingBaseURI;
+function NetworkError(message, details) {
+    TeslaApiError.call(this, message, details);
+    this.name = "NetworkError";
+    this.code = details && details.cause && details.cause.code;
 }
+util.inherits(NetworkError, TeslaApiError);
+exports.NetworkError = NetworkError;
 
 /**
- * Return the car model from vehicle JSON information
- * @param {object} vehicle - vehicle JSON
- * @return {string} vehicle model string
+ * The request did not complete within its timeout
+ * @class
+ * @extends NetworkError
  */
-exports.getModel = function getModel(vehicle) {
-    var result = exports.vinDecode(vehicle);
-    return result.carType;
+function TimeoutError(message, details) {
+    NetworkError.call(this, message, details);
+    this.name = "TimeoutError";
+    this.code = "ETIMEDOUT";
 }
+util.inherits(TimeoutError, NetworkError);
+exports.TimeoutError = TimeoutError;
 
 /**
- * Return an object containing properties decoded from the vehicle VIN
- * @param {object} vehicle - vehicle JSON
- * @return {object} vehicle properties
+ * The call was cancelled through its cancellation token or AbortSignal
+ * @class
+ * @extends TeslaApiError
  */
-exports.vinDecode = function vinDecode(vehicle) {
-    var result = {
-        carType: "Model S",
-        awd: false,
-        year: 2012
-    };
+function CancelledError(message, details) {
+    TeslaApiError.call(this, message, details);
+    this.name = "CancelledError";
+}
+util.inherits(CancelledError, TeslaApiError);
+exports.CancelledError = CancelledError;
 
-    if (!vehicle || !vehicle.vin) {
-        return result;
-    }
+/**
+ * A response does not match the response schema, reported when validation is strict
+ * @class
+ * @extends TeslaApiError
+ */
+function SchemaValidationError(message, details) {
+    TeslaApiError.call(this, message, details);
+    this.name = "SchemaValidationError";
+    this.issues = (details && details.issues) || [];
+    this.schemaVersion = details && details.schemaVersion;
+}
+util.inherits(SchemaValidationError, TeslaApiError);
+exports.SchemaValidationError = SchemaValidationError;
 
-    result.year = 2010 + vehicle.vin.charCodeAt(9) - 'A'.charCodeAt(0);
+/**
+ * The vehicle lacks the hardware a command needs, reported before the command is
+ * sent when `options.capabilities` is set
+ * @class
+ * @extends TeslaApiError
+ */
+function UnsupportedCommandError(message, details) {
+    TeslaApiError.call(this, message, details);
+    this.name = "UnsupportedCommandError";
+    this.capability = details && details.capability;
+}
+util.inherits(UnsupportedCommandError, TeslaApiError);
+exports.UnsupportedCommandError = UnsupportedCommandError;
 
-    var model = vehicle.vin.charAt(3);
-    switch (model) {
-        case "S":
-            result.carType = "Model S";
-            break;
-        case "3":
-            result.carType = "Model 3";
-            break;
-        case "X":
-            result.carType = "Model X";
-            break;
-        case "Y":
-            result.carType = "Model Y";
-           break;
+/*
+ * Return the number of seconds from a Retry-After header, which holds either seconds or a date
+ */
+function retryAfterSeconds(value) {
+    if (value === undefined || value === null || value === "") {
+        return undefined;
     }
 
-    // Check for AWD config 2, 4 or B
-    if (vehicle.vin.charAt(7) == "2" || vehicle.vin.charAt(7) == "4" || vehicle.vin.charAt(7) == "B") {
-        result.awd = true;
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10);
     }
 
-    return result;
+    var date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
 }
 
-/**
- * Return the paint color from vehicle JSON information
- * @param {object} vehicle - vehicle JSON
- * @return {string} the vehicle paint color
- */
-exports.getPaintColor = function getPaintColor(vehicle) {
-    var colors = {
-        "PBCW": "white",
-        "PBSB": "black",
-        "PMAB": "metallic brown",
-        "PMBL": "metallic black",
-        "PMMB": "metallic blue",
-        "PMMR": "multi-coat red",
-        "PPMR": "multi-coat red",
-        "PMNG": "steel grey",
-        "PMSG": "metallic green",
-        "PMSS" : "metallic silver",
-        "PPSB": "ocean blue",
-        "PPSR" : "signature red",  //premium signature red"
-        "PPSW": "pearl white",
-        "PPTI": "titanium",
-        "PMTG": "metallic grey"   // dolphin grey
-    };
+/*
+ * Build the error for a REST call which did not succeed, or null if it did
+ * @param {string} command - REST command
+ * @param {object} error - transport error
+ * @param {object} response - transport response
+ * @param {object} body - response body
+ * @returns {TeslaApiError} the error or null
+ */
+function apiError(command, error, response, body) {
+    if (error instanceof TeslaApiError) {
+        error.command = error.command || command;
+        return error;
+    }
+
+    if (error) {
+        return new NetworkError(command + ": " + (error.message || error), { command: command, cause: error });
+    }
 
-    var paintColor = vehicle.option_codes.match(/PBCW|PBSB|PMAB|PMBL|PMMB|PMMR|PPMR|PMNG|PMSG|PMSS|PPSB|PPSR|PPSW|PPTI|PMTG/);
+    if (response.statusCode == 200) {
+        return null;
+    }
 
-    return colors[paintColor] || "black";
+    var details = errorDetails(command, response, body);
+    var message = command + ": " + response.statusCode + " " + (response.statusMessage || "");
+
+    switch (response.statusCode) {
+        case 401:
+            return new AuthError(message, details);
+        case 408:
+            return new VehicleAsleepError(message, details);
+        case 429:
+            details.retryAfter = retryAfterSeconds(response.headers && response.headers["retry-after"]);
+            return new RateLimitError(message, details);
+        default:
+            return new TeslaApiError(message, details);
+    }
 }
 
-/**
- * Return the vehicle VIN from vehicle JSON information
- * @param {object} vehicle - vehicle JSON
- * @return {string} the vehicle VIN
+/*
+ * Build the error for a command the vehicle refused with {result: false, reason}
  */
-exports.getVin = function getVin(vehicle) {
-    if (!vehicle || !vehicle.vin) {
-        throw new Error("invalid parameter");
-    }
+function commandError(command, response, result) {
+    var details = errorDetails(command, response, result);
+    details.reason = result.reason;
 
-    return vehicle.vin;
+    return new CommandFailedError(command + ": " + (result.reason || "command failed"), details);
 }
 
-/**
- * Return the vehicle VIN from vehicle JSON information
- * @param {object} vehicle - vehicle JSON
- * @return {string} the short version of the vehicle VIN
+/*
+ * Collect the details of a failed REST call
  */
-exports.getShortVin = function getShortVin(vehicle) {
-    if (!vehicle || !vehicle.vin) {
-        throw new Error("invalid parameter");
-    }
+function errorDetails(command, response, body) {
+    var headers = response.headers || {};
 
-    return vehicle.vin.substr(11);
+    return {
+        command: command,
+        status: response.statusCode,
+        body: body,
+        requestId: headers["x-request-id"] || headers["x-txid"]
+    };
 }
 
+//=======================
+// Response schema
+//=======================
+
 /**
- * Retrieve new OAuth and refresh tokens using a refresh_token
- * @param {string} refresh_token - a valid OAuth refresh_token from a previous login
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} {response, body, authToken, refreshToken}
+ * Schema validation parameter
+ * @typedef validationType
+ * @type {object}
+ * @property {boolean} [strict=false] - fail the call with a SchemaValidationError instead of emitting a `schemaWarning` event
+ * @property {object} [schema] - schema to validate against, defaults to responseSchema
  */
-exports.refreshToken = function refreshToken(refresh_token, callback) {
-    log(API_CALL_LEVEL, "TeslaJS.refreshToken()");
-
-    callback = callback || function (err, result) { /* do nothing! */ }
-
-    if (!refresh_token) {
-        callback("refreshToken() requires a refresh_token", null);
-        return;
-    }
 
-    var req = {
-        method: 'GET',
-        url: portalBaseURI + '/oauth/token',
-        body: {
-            "grant_type": "refresh_token",
-            "client_id": c_id,
-            "client_secret": c_sec,
-            "refresh_token": refresh_token
+/**
+ * Schema of the vehicle data responses.  Each section maps a field name to the
+ * `|` separated JSON types it may hold, a leading `?` marks a field which may be
+ * absent.  Object fields named after a section are validated against it.
+ * @global
+ * @default
+ */
+var responseSchema = {
+    version: 1,
+    sections: {
+        vehicle: {
+            id: "number|string",
+            id_s: "?string",
+            user_id: "?number",
+            vehicle_id: "number",
+            vin: "string",
+            display_name: "string|null",
+            option_codes: "string",
+            color: "string|null",
+            tokens: "array",
+            state: "string",
+            in_service: "?boolean",
+            calendar_enabled: "?boolean",
+            api_version: "?number",
+            backseat_token: "?string|null",
+            backseat_token_updated_at: "?number|null"
+        },
+        charge_state: {
+            charging_state: "string",
+            charge_to_max_range: "boolean",
+            max_range_charge_counter: "number",
+            fast_charger_present: "boolean",
+            battery_range: "number",
+            est_battery_range: "number",
+            ideal_battery_range: "number",
+            battery_level: "number",
+            battery_current: "number|null",
+            charge_starting_range: "number|null",
+            charge_starting_soc: "number|null",
+            charger_voltage: "number|null",
+            charger_pilot_current: "number|null",
+            charger_actual_current: "number|null",
+            charger_power: "number|null",
+            time_to_full_charge: "number|null",
+            charge_rate: "number",
+            motorized_charge_port: "boolean",
+            charge_energy_added: "number",
+            charge_miles_added_rated: "number",
+            charge_miles_added_ideal: "number",
+            charge_port_door_open: "boolean",
+            charge_limit_soc: "?number",
+            charge_limit_soc_std: "?number",
+            charge_limit_soc_min: "?number",
+            charge_limit_soc_max: "?number",
+            charge_current_request: "?number",
+            charge_current_request_max: "?number",
+            charge_enable_request: "?boolean",
+            charge_port_latch: "?string",
+            charge_port_cold_weather_mode: "?boolean|null",
+            charger_phases: "?number|null",
+            fast_charger_type: "?string",
+            fast_charger_brand: "?string",
+            conn_charge_cable: "?string",
+            scheduled_charging_pending: "?boolean",
+            scheduled_charging_start_time: "?number|null",
+            trip_charging: "?boolean",
+            usable_battery_level: "?number",
+            user_charge_enable_request: "?boolean|null",
+            managed_charging_active: "?boolean",
+            managed_charging_start_time: "?number|null",
+            managed_charging_user_canceled: "?boolean",
+            not_enough_power_to_heat: "?boolean|null",
+            battery_heater_on: "?boolean",
+            timestamp: "?number"
+        },
+        climate_state: {
+            inside_temp: "number|null",
+            outside_temp: "number|null",
+            driver_temp_setting: "number",
+            passenger_temp_setting: "number",
+            is_auto_conditioning_on: "boolean|null",
+            is_front_defroster_on: "boolean|null",
+            is_rear_defroster_on: "boolean|null",
+            fan_status: "number|null",
+            is_climate_on: "?boolean",
+            is_preconditioning: "?boolean",
+            min_avail_temp: "?number",
+            max_avail_temp: "?number",
+            left_temp_direction: "?number|null",
+            right_temp_direction: "?number|null",
+            seat_heater_left: "?number|boolean",
+            seat_heater_right: "?number|boolean",
+            seat_heater_rear_left: "?number",
+            seat_heater_rear_center: "?number",
+            seat_heater_rear_right: "?number",
+            steering_wheel_heater: "?boolean",
+            side_mirror_heaters: "?boolean",
+            wiper_blade_heater: "?boolean",
+            battery_heater: "?boolean",
+            battery_heater_no_power: "?boolean|null",
+            defrost_mode: "?number",
+            smart_preconditioning: "?boolean",
+            remote_heater_control_enabled: "?boolean",
+            timestamp: "?number"
+        },
+        drive_state: {
+            shift_state: "string|null",
+            speed: "number|null",
+            latitude: "number",
+            longitude: "number",
+            heading: "number",
+            gps_as_of: "number",
+            power: "?number",
+            native_latitude: "?number",
+            native_longitude: "?number",
+            native_location_supported: "?number",
+            native_type: "?string",
+            timestamp: "?number"
+        },
+        gui_settings: {
+            gui_distance_units: "string",
+            gui_temperature_units: "string",
+            gui_charge_rate_units: "string",
+            gui_24_hour_time: "boolean",
+            gui_range_display: "string",
+            show_range_units: "?boolean",
+            timestamp: "?number"
+        },
+        vehicle_state: {
+            df: "boolean|number",
+            dr: "boolean|number",
+            pf: "boolean|number",
+            pr: "boolean|number",
+            ft: "boolean|number",
+            rt: "boolean|number",
+            car_version: "string",
+            locked: "boolean",
+            sun_roof_installed: "boolean|number",
+            sun_roof_state: "string",
+            sun_roof_percent_open: "number",
+            dark_rims: "boolean",
+            wheel_type: "string",
+            has_spoiler: "boolean",
+            roof_color: "string",
+            perf_config: "string",
+            api_version: "?number",
+            autopark_state: "?string",
+            autopark_state_v2: "?string",
+            calendar_supported: "?boolean",
+            center_display_state: "?number",
+            fd_window: "?number",
+            fp_window: "?number",
+            rd_window: "?number",
+            rp_window: "?number",
+            homelink_nearby: "?boolean",
+            is_user_present: "?boolean",
+            notifications_supported: "?boolean",
+            odometer: "?number",
+            parsed_calendar_supported: "?boolean",
+            remote_start: "?boolean",
+            remote_start_supported: "?boolean",
+            sentry_mode: "?boolean",
+            sentry_mode_available: "?boolean",
+            valet_mode: "?boolean",
+            valet_pin_needed: "?boolean",
+            vehicle_name: "?string|null",
+            software_update: "?object",
+            speed_limit_mode: "?object",
+            timestamp: "?number"
+        },
+        vehicle_config: {
+            car_special_type: "string",
+            car_type: "string",
+            eu_vehicle: "boolean",
+            exterior_color: "string",
+            has_ludicrous_mode: "boolean",
+            motorized_charge_port: "boolean",
+            perf_config: "string",
+            plg: "boolean",
+            rear_seat_heaters: "number",
+            rear_seat_type: "number|null",
+            rhd: "boolean",
+            roof_color: "string",
+            seat_type: "number|null",
+            spoiler_type: "string",
+            sun_roof_installed: "number|null",
+            third_row_seats: "string",
+            timestamp: "number",
+            trim_badging: "string",
+            wheel_type: "string",
+            can_accept_navigation_requests: "?boolean",
+            can_actuate_trunks: "?boolean",
+            charge_port_type: "?string",
+            has_air_suspension: "?boolean",
+            key_version: "?number",
+            use_range_badging: "?boolean"
         }
-    };
-
-    log(API_REQUEST_LEVEL, "\nRequest: " + JSON.stringify(req));
-
-    request(req, function (error, response, body) {
+    }
+};
+
+responseSchema.sections.vehicle_data = Object.assign({}, responseSchema.sections.vehicle, {
+    charge_state: "object",
+    climate_state: "object",
+    drive_state: "object",
+    gui_settings: "object",
+    vehicle_state: "object",
+    vehicle_config: "?object",
+    mobile_enabled: "?boolean"
+});
+exports.responseSchema = responseSchema;
 
-        log(API_RESPONSE_LEVEL, "\nResponse: " + body);
+/*
+ * Schema section of the response to each validated REST command
+ */
+var schemaSections = {
+    "vehicle_data": "vehicle_data",
+    "data_request/charge_state": "charge_state",
+    "data_request/climate_state": "climate_state",
+    "data_request/drive_state": "drive_state",
+    "data_request/gui_settings": "gui_settings",
+    "data_request/vehicle_state": "vehicle_state",
+    "data_request/vehicle_config": "vehicle_config"
+};
 
-        callback(error, { error: error, response: response, body: JSON.stringify(body), authToken: body.access_token, refreshToken: body.refresh_token });
+/*
+ * JSON type name of a value
+ */
+function jsonType(value) {
+    if (value === null) {
+        return "null";
+    }
 
-        log(API_RETURN_LEVEL, "TeslaJS.refreshToken() completed.");
-    });
+    return Array.isArray(value) ? "array" : typeof value;
 }
 
-/**
- * Async call to retrieve new OAuth and refresh tokens using a refresh_token
- * @function refreshTokenAsync
- * @param {string} refresh_token - a valid OAuth refresh_token from a previous login
- * @returns {Promise} {response, body, authToken, refreshToken}
+/*
+ * Append the differences between data and a schema section to issues
  */
-exports.refreshTokenAsync = Promise.denodeify(exports.refreshToken);
+function schemaIssues(sections, section, data, path, issues) {
+    var fields = sections[section];
 
-/**
- * Logout and invalidate the current auth token
- * @param {string} authToken - Tesla provided OAuth token
- * @param {nodeBack} callback - Node-style callback
- */
-exports.logout = function logout(authToken, callback) {
-    log(API_CALL_LEVEL, "TeslaJS.logout()");
+    if (jsonType(data) != "object") {
+        issues.push({ path: path, problem: "type", expected: "object", actual: jsonType(data) });
+        return;
+    }
 
-    callback = callback || function (err, result) { /* do nothing! */ }
+    Object.keys(fields).forEach(function (field) {
+        var optional = fields[field].charAt(0) == "?";
+        var types = fields[field].replace(/^\?/, "").split("|");
+        var fieldPath = path + "." + field;
 
-    request({
-        method: 'GET',
-        url: portalBaseURI + '/oauth/revoke',
-        headers: { Authorization: "Bearer " + authToken, 'Content-Type': 'application/json; charset=utf-8' }
-    }, function (error, response, body) {
+        if (data[field] === undefined) {
+            if (!optional) {
+                issues.push({ path: fieldPath, problem: "missing", expected: types.join("|") });
+            }
+            return;
+        }
 
-        callback(error, { error: error, response: response, body: JSON.stringify(body) });
+        var actual = jsonType(data[field]);
+
+        if (types.indexOf(actual) < 0) {
+            issues.push({ path: fieldPath, problem: "type", expected: types.join("|"), actual: actual });
+        } else if (actual == "object" && sections[field]) {
+            schemaIssues(sections, field, data[field], fieldPath, issues);
+        }
+    });
 
-        log(API_RETURN_LEVEL, "TeslaJS.logout() completed.");
+    Object.keys(data).forEach(function (field) {
+        if (!fields.hasOwnProperty(field)) {
+            issues.push({ path: path + "." + field, problem: "extra", actual: jsonType(data[field]) });
+        }
     });
 }
 
-/**
- * Logout and invalidate the current auth token
- * @function logoutAsync
- * @param {string} authToken - Tesla provided OAuth token
- * @returns {Promise} result
- */
-exports.logoutAsync = Promise.denodeify(exports.logout);
+/*
+ * Describe a schema issue
+ */
+function issueText(issue) {
+    switch (issue.problem) {
+        case "missing":
+            return issue.path + " is missing";
+        case "extra":
+            return issue.path + " is not in the schema";
+        default:
+            return issue.path + " is " + issue.actual + ", expected " + issue.expected;
+    }
+}
 
-/**
- * Return vehicle information on the requested vehicle
- * @function vehicle
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {Vehicle} vehicle JSON data
+/*
+ * Validate the response to a REST command when validation is enabled.  Issues are
+ * emitted with a `schemaWarning` event, or returned as a SchemaValidationError when
+ * validation is strict.
+ * @returns {SchemaValidationError} the error or null
  */
-exports.vehicle = function vehicle(options, callback) {
-    log(API_CALL_LEVEL, "TeslaJS.vehicle()");
-
-    callback = callback || function (err, vehicle) { /* do nothing! */ }
-
-    var req = {
-        method: 'GET',
-        url: portalBaseURI + 'vehicles',
-        headers: { "X-SSL-Client-S-CN": process.env.VIN }
-    };
+function checkResponse(client, options, command, section, body) {
+    var validate = (options && options.validate !== undefined) ? options.validate : client.validate;
 
-    log(API_REQUEST_LEVEL, "\nRequest: " + JSON.stringify(req));
+    if (!validate || !section) {
+        return null;
+    }
 
-    request(req, function (error, response, body) {
-        if (error) {
-            log(API_ERR_LEVEL, error);
-            return callback(error, null);
-        }
+    var schema = validate.schema || responseSchema;
+    var issues = client.validateResponse(section, body, schema);
 
-        if (response.statusCode != 200) {
-            return callback(response.statusMessage, null);
-        }
+    if (!issues.length) {
+        return null;
+    }
 
-        log(API_BODY_LEVEL, "\nBody: " + JSON.stringify(body));
-        log(API_RESPONSE_LEVEL, "\nResponse: " + JSON.stringify(response));
+    var message = command + ": response does not match schema version " + schema.version + ": " + issues.map(issueText).join(", ");
 
-        try {
-            body = body;
-            body.id = body.id_s;
-            options.vehicleID = body.id;
+    if (validate.strict) {
+        return new SchemaValidationError(message, { command: command, body: body, issues: issues, schemaVersion: schema.version });
+    }
 
-            callback(null, body);
-        } catch (e) {
-            log(API_ERR_LEVEL, 'Error parsing vehicles response');
-            callback(e, null);
-        }
+    log(client, API_ERR_LEVEL, message);
+    client.emit("schemaWarning", { command: command, issues: issues, schemaVersion: schema.version });
 
-        log(API_RETURN_LEVEL, "\nGET request: " + "/vehicles" + " completed.");
-    });
+    return null;
 }
 
+//=======================
+// Units
+//=======================
+
 /**
- * Return vehicle information on the requested vehicle
- * @function vehicleAsync
- * @param {optionsType} options - options object
- * @returns {Promise} vehicle JSON data
+ * Unit-tagged value, such as `{ value: 70, unit: "F" }`
+ * @typedef unitValueType
+ * @type {object}
+ * @property {number} value - the quantity
+ * @property {string} unit - mi, km, mph, kph, C or F
  */
-exports.vehicleAsync = Promise.denodeify(exports.vehicle);
 
-/**
- * Return vehicle information on ALL vehicles
- * @function vehicles
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {Vehicles[]} array of vehicle JSON data
+/*
+ * Canonical unit names, keyed by lower case spelling
+ */
+var unitAliases = {
+    "mi": "mi",
+    "miles": "mi",
+    "km": "km",
+    "mph": "mph",
+    "mi/hr": "mph",
+    "kph": "kph",
+    "km/h": "kph",
+    "km/hr": "kph",
+    "c": "C",
+    "f": "F"
+};
+
+/*
+ * Quantity measured by each unit
  */
-exports.vehicles = function vehicles(options, callback) {
-    log(API_CALL_LEVEL, "TeslaJS.vehicles()");
+var unitKinds = { mi: "distance", km: "distance", mph: "speed", kph: "speed", C: "temperature", F: "temperature" };
 
-    callback = callback || function (err, vehicle) { /* do nothing! */ }
+var KM_PER_MILE = 1.609344;
 
-    var req = {
-        method: 'GET',
-        url: portalBaseURI + 'vehicle_data',
-        headers: { "X-SSL-Client-S-CN": process.env.VIN }
-    };
+/*
+ * Canonical name of a unit
+ */
+function unitName(unit) {
+    var name = unitAliases[String(unit).toLowerCase()];
+
+    if (!name) {
+        throw new Error("Unknown unit: " + unit);
+    }
 
-    log(API_REQUEST_LEVEL, "\nRequest: " + JSON.stringify(req));
+    return name;
+}
 
-    request(req, function (error, response, body) {
-        if (error) {
-            log(API_ERR_LEVEL, error);
-            return callback(error, null);
+/*
+ * The vehicle_data section of data, or data itself when it is the section
+ */
+function dataSection(data, section) {
+    return (data && data[section]) || data || {};
+}
+
+/**
+ * Conversions between the units of distances, speeds and temperatures.  The
+ * Tesla API reports distances in miles, speeds in mph and temperatures in
+ * degrees Celsius regardless of the vehicle settings.  The accessors take either
+ * a vehicle_data response, whose gui_settings choose the default unit, or the
+ * individual state whose values are returned in the API unit by default.
+ * @namespace units
+ */
+var units = {
+    /**
+     * Convert a value between two units of the same quantity
+     * @param {?number} value - value to convert, null is returned unchanged
+     * @param {string} from - unit of value
+     * @param {string} to - unit of the result
+     * @return {?number} converted value
+     */
+    convert: function convert(value, from, to) {
+        from = unitName(from);
+        to = unitName(to);
+
+        if (unitKinds[from] != unitKinds[to]) {
+            throw new Error("Cannot convert " + from + " to " + to);
         }
 
-        if (response.statusCode != 200) {
-            return callback(response.statusMessage, null);
+        if (value === null || value === undefined || from == to) {
+            return value;
         }
 
-        log(API_BODY_LEVEL, "\nBody: " + JSON.stringify(body));
-        log(API_RESPONSE_LEVEL, "\nResponse: " + JSON.stringify(response));
+        switch (from) {
+            case "C":
+                return value * 9 / 5 + 32;
+            case "F":
+                return (value - 32) * 5 / 9;
+            case "mi":
+            case "mph":
+                return value * KM_PER_MILE;
+            default:
+                return value / KM_PER_MILE;
+        }
+    },
 
-        try {
-            body = body;
+    /**
+     * Return a plain number or a unit-tagged value in the given unit
+     * @param {number|unitValueType} input - number already in unit, or unit-tagged value
+     * @param {string} unit - unit of the result
+     * @return {number} value in unit
+     */
+    normalize: function normalize(input, unit) {
+        if (input !== null && typeof input === "object") {
+            return units.convert(input.value, input.unit, unit);
+        }
 
-            callback(null, body);
-        } catch (e) {
-            log(API_ERR_LEVEL, 'Error parsing vehicles response');
-            callback(e, null);
+        return input;
+    },
+
+    /**
+     * Distance unit chosen in the vehicle settings
+     * @param {object} guiSettings - gui_settings or vehicle_data response
+     * @return {string} "mi" or "km"
+     */
+    distanceUnit: function distanceUnit(guiSettings) {
+        return dataSection(guiSettings, "gui_settings").gui_distance_units == "km/hr" ? "km" : "mi";
+    },
+
+    /**
+     * Speed unit chosen in the vehicle settings
+     * @param {object} guiSettings - gui_settings or vehicle_data response
+     * @return {string} "mph" or "kph"
+     */
+    speedUnit: function speedUnit(guiSettings) {
+        return units.distanceUnit(guiSettings) == "km" ? "kph" : "mph";
+    },
+
+    /**
+     * Temperature unit chosen in the vehicle settings
+     * @param {object} guiSettings - gui_settings or vehicle_data response
+     * @return {string} "C" or "F"
+     */
+    temperatureUnit: function temperatureUnit(guiSettings) {
+        return dataSection(guiSettings, "gui_settings").gui_temperature_units == "F" ? "F" : "C";
+    },
+
+    /**
+     * Range type chosen in the vehicle settings
+     * @param {object} guiSettings - gui_settings or vehicle_data response
+     * @return {string} "rated" or "ideal"
+     */
+    rangeType: function rangeType(guiSettings) {
+        return dataSection(guiSettings, "gui_settings").gui_range_display == "Ideal" ? "ideal" : "rated";
+    },
+
+    /**
+     * Battery range
+     * @param {object} vehicleData - vehicle_data response or charge_state
+     * @param {string} [type] - "rated", "ideal" or "est", defaults to the vehicle settings or "rated"
+     * @param {string} [unit] - distance unit, defaults to the vehicle settings or miles
+     * @return {number} range in unit
+     */
+    range: function range(vehicleData, type, unit) {
+        var fields = { rated: "battery_range", ideal: "ideal_battery_range", est: "est_battery_range" };
+        var field = fields[type || units.rangeType(vehicleData)];
+
+        if (!field) {
+            throw new Error("Unknown range type: " + type);
         }
 
-        log(API_RETURN_LEVEL, "\nGET request: " + "/vehicles" + " completed.");
-    });
-}
+        return units.convert(dataSection(vehicleData, "charge_state")[field], "mi", unit || units.distanceUnit(vehicleData));
+    },
 
-/**
- * Return vehicle information on ALL vehicles
- * @function vehiclesAsync
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {Promise} array of vehicle JSON data
- */
-exports.vehiclesAsync = Promise.denodeify(exports.vehicles);
+    /**
+     * Vehicle speed
+     * @param {object} driveState - drive_state or vehicle_data response
+     * @param {string} [unit] - speed unit, defaults to the vehicle settings or mph
+     * @return {?number} speed in unit, null when the vehicle is parked
+     */
+    speed: function speed(driveState, unit) {
+        return units.convert(dataSection(driveState, "drive_state").speed, "mph", unit || units.speedUnit(driveState));
+    },
+
+    /**
+     * Odometer reading
+     * @param {object} vehicleState - vehicle_state or vehicle_data response
+     * @param {string} [unit] - distance unit, defaults to the vehicle settings or miles
+     * @return {number} odometer in unit
+     */
+    odometer: function odometer(vehicleState, unit) {
+        return units.convert(dataSection(vehicleState, "vehicle_state").odometer, "mi", unit || units.distanceUnit(vehicleState));
+    },
+
+    /**
+     * Cabin temperature
+     * @param {object} climateState - climate_state or vehicle_data response
+     * @param {string} [unit] - temperature unit, defaults to the vehicle settings or Celsius
+     * @return {?number} temperature in unit, null when unknown
+     */
+    insideTemp: function insideTemp(climateState, unit) {
+        return units.convert(dataSection(climateState, "climate_state").inside_temp, "C", unit || units.temperatureUnit(climateState));
+    },
+
+    /**
+     * Outside temperature
+     * @param {object} climateState - climate_state or vehicle_data response
+     * @param {string} [unit] - temperature unit, defaults to the vehicle settings or Celsius
+     * @return {?number} temperature in unit, null when unknown
+     */
+    outsideTemp: function outsideTemp(climateState, unit) {
+        return units.convert(dataSection(climateState, "climate_state").outside_temp, "C", unit || units.temperatureUnit(climateState));
+    }
+};
+exports.units = units;
+
+//=======================
+// Option codes
+//=======================
 
 /**
- * Generic REST call for GET commands
- * @function get_command
- * @param {optionsType} options - options object
- * @param {string} command - REST command
- * @param {nodeBack} callback - Node-style callback
+ * Decoded option code
+ * @typedef optionCodeType
+ * @type {object}
+ * @property {string} code - the option code
+ * @property {string} category - model, region, paint, roof, wheels, interior, battery, drive, steering, performance, autopilot, seats, other or unknown
+ * @property {?string} description - human readable description, null for unknown codes
+ * @property {string} [color] - simple color name of paint codes
  */
-exports.get_command = get_command;
-function get_command(options, command, callback) {
-    log(API_CALL_LEVEL, "GET call: " + command + " start.");
 
-    callback = callback || function (err, data) { /* do nothing! */ }
+/*
+ * Descriptions of the known option codes by category
+ */
+var optionCatalogue = {
+    model: {
+        MS01: "Model S (2012-2013)",
+        MS02: "Model S (2013-2014)",
+        MS03: "Model S (2014-2016)",
+        MS04: "Model S (2016+)",
+        MDLS: "Model S",
+        MDLX: "Model X",
+        MDL3: "Model 3",
+        MDLY: "Model Y",
+        MI00: "2015 production refresh",
+        MI01: "2016 production refresh",
+        MI02: "2017 production refresh",
+        MI03: "2018 production refresh",
+        TM00: "Standard production vehicle",
+        TM02: "Signature production trim",
+        BS00: "General production flag",
+        BS01: "Special production flag"
+    },
+    region: {
+        RENA: "North America",
+        RENC: "Canada",
+        REEU: "Europe",
+        REAP: "Asia Pacific",
+        RECN: "China",
+        COUS: "Country: United States",
+        COCA: "Country: Canada",
+        COMX: "Country: Mexico",
+        CODE: "Country: Germany",
+        COFR: "Country: France",
+        COGB: "Country: United Kingdom",
+        CONL: "Country: Netherlands",
+        CONO: "Country: Norway",
+        COSE: "Country: Sweden",
+        CODK: "Country: Denmark",
+        COCH: "Country: Switzerland",
+        COAT: "Country: Austria",
+        COBE: "Country: Belgium",
+        COIT: "Country: Italy",
+        COES: "Country: Spain",
+        COAU: "Country: Australia",
+        CONZ: "Country: New Zealand",
+        COJP: "Country: Japan",
+        COCN: "Country: China",
+        COHK: "Country: Hong Kong"
+    },
+    paint: {
+        PBCW: "Solid White",
+        PBSB: "Solid Black",
+        PMAB: "Anza Brown Metallic",
+        PMBL: "Obsidian Black Metallic",
+        PMMB: "Monterey Blue Metallic",
+        PMMR: "Red Multi-Coat",
+        PPMR: "Red Multi-Coat",
+        PMNG: "Midnight Silver Metallic",
+        PMSG: "Sherwood Green Metallic",
+        PMSS: "Silver Metallic",
+        PPSB: "Deep Blue Metallic",
+        PPSR: "Signature Red",
+        PPSW: "Pearl White Multi-Coat",
+        PPTI: "Titanium Metallic",
+        PMTG: "Dolphin Grey Metallic",
+        COL0: "Signature paint",
+        COL1: "Solid paint",
+        COL2: "Metallic paint",
+        COL3: "Multi-coat paint"
+    },
+    roof: {
+        RFBC: "Body color roof",
+        RFBK: "Black roof",
+        RFP0: "Panoramic roof",
+        RFPO: "Panoramic roof",
+        RFP2: "Sunroof",
+        RFPX: "Model X roof",
+        RFFG: "Glass roof",
+        RF3G: "Model 3 glass roof"
+    },
+    wheels: {
+        WT19: "19\" wheels",
+        WT20: "20\" wheels",
+        WT21: "21\" wheels",
+        WT22: "22\" silver turbine wheels",
+        WTAS: "19\" silver slipstream wheels",
+        WTDS: "19\" grey slipstream wheels",
+        WTTB: "21\" turbine wheels",
+        WTAB: "21\" black arachnid wheels",
+        WTSG: "21\" sonic carbon twin turbine wheels",
+        W38B: "18\" aero wheels",
+        W39B: "19\" sport wheels",
+        W32P: "20\" performance wheels",
+        WY19B: "19\" Gemini wheels",
+        WY20P: "20\" Induction wheels",
+        TIC4: "All-season tires"
+    },
+    interior: {
+        IBMB: "Black base interior",
+        IBE00: "Black premium interior",
+        IPB0: "Black premium interior",
+        IPB1: "Black premium interior",
+        IPW0: "White premium interior",
+        IPW1: "White premium interior",
+        IN3BB: "All black partial premium interior",
+        IN3PB: "All black premium interior",
+        IN3PW: "Black and white premium interior",
+        IDPB: "Piano black decor",
+        IDCF: "Carbon fiber decor",
+        IDOM: "Matte obeche wood decor",
+        IDOG: "Gloss obeche wood decor",
+        IDLW: "Lacewood decor",
+        IDBA: "Dark ash wood decor",
+        IDBO: "Figured ash wood decor",
+        IDOK: "Oak decor",
+        ID3W: "Wood decor",
+        IX00: "No extended Nappa leather trim",
+        IX01: "Extended Nappa leather trim",
+        UTAB: "Black Alcantara headliner",
+        UTAW: "Light headliner",
+        UTPB: "Dark headliner",
+        UTSB: "Dark headliner",
+        DSH5: "PUR dash pad",
+        DSH7: "Alcantara dash pad",
+        LP00: "No premium interior lighting",
+        LP01: "Premium interior lighting",
+        PI00: "No premium interior",
+        PI01: "Premium upgrades package",
+        ST00: "Non-leather steering wheel",
+        ST01: "Non-heated leather steering wheel",
+        YF00: "No yacht floor",
+        YF01: "Matching yacht floor",
+        RCX0: "No rear console",
+        RCX1: "Rear console"
+    },
+    battery: {
+        BT37: "75 kWh battery",
+        BT40: "40 kWh battery",
+        BT60: "60 kWh battery",
+        BT70: "70 kWh battery",
+        BT85: "85 kWh battery",
+        BTX4: "90 kWh battery",
+        BTX5: "75 kWh battery",
+        BTX6: "100 kWh battery",
+        BTX7: "75 kWh battery",
+        BTX8: "85 kWh battery",
+        BR00: "No battery firmware limit",
+        BR03: "60 kWh battery firmware limit",
+        BR05: "75 kWh battery firmware limit"
+    },
+    drive: {
+        DV2W: "Rear-wheel drive",
+        DV4W: "All-wheel drive",
+        DU00: "Drive unit - IR",
+        DU01: "Drive unit - Infineon"
+    },
+    steering: {
+        DRLH: "Left-hand drive",
+        DRRH: "Right-hand drive"
+    },
+    performance: {
+        PF00: "No performance legacy package",
+        PF01: "Performance legacy package",
+        PX00: "No performance plus package",
+        PX01: "Performance plus package",
+        BP00: "No Ludicrous mode",
+        BP01: "Ludicrous speed upgrade",
+        BP02: "Uncorked acceleration boost",
+        X020: "No performance exterior",
+        X024: "Performance package",
+        X025: "No performance powertrain"
+    },
+    autopilot: {
+        APH1: "Autopilot hardware 1",
+        APH2: "Autopilot hardware 2.0",
+        APH3: "Autopilot hardware 2.5",
+        APH4: "Autopilot hardware 3.0",
+        APPA: "Autopilot hardware 1.0",
+        APF0: "Autopilot firmware 2.0 base",
+        APF1: "Enhanced Autopilot",
+        APF2: "Full Self-Driving capability",
+        APBS: "Autopilot",
+        APPB: "Enhanced Autopilot",
+        DA00: "No Autopilot",
+        DA01: "Active safety (ACC, LDW, SA)",
+        DA02: "Autopilot convenience features"
+    },
+    seats: {
+        TR00: "No third row seats",
+        TR01: "Third row seats",
+        SR01: "Standard second row",
+        SR06: "Seven seat interior",
+        CC01: "Five seat interior",
+        CC02: "Six seat interior",
+        CC04: "Seven seat interior",
+        FR01: "Base front row",
+        FR02: "Ventilated front seats",
+        ME02: "Memory seats"
+    },
+    other: {
+        SU00: "Standard suspension",
+        SU01: "Smart air suspension",
+        SC00: "No supercharging",
+        SC01: "Supercharging enabled",
+        SC04: "Pay-per-use supercharging",
+        SC05: "Free unlimited supercharging",
+        TP01: "Tech package",
+        TP02: "Tech package with Autopilot",
+        TP03: "Tech package with Enhanced Autopilot",
+        AU00: "No audio upgrade",
+        AU01: "Audio upgrade",
+        CH00: "Standard charger (40A)",
+        CH01: "Dual chargers (80A)",
+        CH04: "72A charger",
+        CH05: "48A charger",
+        HP00: "No high power wall connector",
+        HP01: "High power wall connector",
+        HC00: "No home charging installation",
+        HC01: "Home charging installation",
+        CDM0: "No CHAdeMO adapter",
+        AD02: "NEMA 14-50 adapter",
+        AD04: "European 3-phase adapter",
+        AD05: "European 3-phase adapter, Italy",
+        AD06: "Schuko adapter (single phase, 230V 13A)",
+        AD07: "Red IEC309 adapter (three phase, 400V 16A)",
+        AD08: "Blue commando IEC309 adapter (single phase, 230V 32A)",
+        AD09: "Swiss adapter (single phase, 10A)",
+        AD10: "Denmark adapter (single phase, 13A)",
+        AD11: "Italy adapter (single phase, 13A)",
+        ADPX2: "Type 2 public charging connector",
+        AF00: "No HEPA filter",
+        AF02: "HEPA filter",
+        AH00: "No accessory hitch",
+        TW00: "No towing package",
+        TW01: "Towing package",
+        PA00: "No paint armor",
+        PA01: "Paint armor",
+        PS00: "No parcel shelf",
+        PS01: "Parcel shelf",
+        SP00: "No security package",
+        SP01: "Security package",
+        SLR0: "No rear spoiler",
+        SLR1: "Carbon fiber spoiler",
+        FG00: "No exterior lighting package",
+        FG01: "Exterior lighting package",
+        FG02: "Exterior lighting package",
+        BC0B: "Black brake calipers",
+        BC0R: "Red brake calipers",
+        BCMB: "Black brake calipers",
+        BCYR: "Performance brakes",
+        BG30: "No badge",
+        BG31: "AWD badge",
+        BG32: "Performance AWD badge",
+        X001: "Power liftgate",
+        X003: "Maps and navigation",
+        X007: "Daytime running lights",
+        X011: "HomeLink",
+        X013: "Satellite radio",
+        X014: "No satellite radio",
+        X019: "Carbon fiber spoiler",
+        X027: "Lighted door handles",
+        X028: "Battery badge",
+        X031: "Keyless entry",
+        X037: "Power folding mirrors",
+        X039: "DAB radio"
+    }
+};
 
-    var req = {
-        method: "GET",
-        url: portalBaseURI + command,
-        headers: { "X-SSL-Client-S-CN": process.env.VIN}
-    };
+/*
+ * Simple color name of each paint code
+ */
+var paintColors = {
+    "PBCW": "white",
+    "PBSB": "black",
+    "PMAB": "metallic brown",
+    "PMBL": "metallic black",
+    "PMMB": "metallic blue",
+    "PMMR": "multi-coat red",
+    "PPMR": "multi-coat red",
+    "PMNG": "steel grey",
+    "PMSG": "metallic green",
+    "PMSS" : "metallic silver",
+    "PPSB": "ocean blue",
+    "PPSR" : "signature red",  //premium signature red"
+    "PPSW": "pearl white",
+    "PPTI": "titanium",
+    "PMTG": "metallic grey"   // dolphin grey
+};
+
+/**
+ * Decoder of the comma-separated `option_codes` of a vehicle
+ * @namespace optionCodes
+ */
+var optionCodes = {
+    /**
+     * Descriptions of the known option codes, keyed by category and code
+     */
+    catalogue: optionCatalogue,
+
+    /**
+     * Describe a single option code
+     * @param {string} code - option code such as "PBCW"
+     * @return {optionCodeType} the decoded code, in the unknown category if it is not in the catalogue
+     */
+    describe: function describe(code) {
+        var entry = { code: code, category: "unknown", description: null };
+
+        Object.keys(optionCatalogue).some(function (category) {
+            if (optionCatalogue[category].hasOwnProperty(code)) {
+                entry.category = category;
+                entry.description = optionCatalogue[category][code];
+                return true;
+            }
+
+            return false;
+        });
+
+        if (paintColors[code]) {
+            entry.color = paintColors[code];
+        }
+
+        return entry;
+    },
 
-    log(API_REQUEST_LEVEL, "\nRequest: " + JSON.stringify(req));
+    /**
+     * Decode every option code in order
+     * @param {object|string} vehicle - vehicle JSON or its option_codes string
+     * @return {optionCodeType[]} the decoded codes, unknown codes included
+     */
+    parse: function parse(vehicle) {
+        var codes = (typeof vehicle === "string") ? vehicle : (vehicle && vehicle.option_codes);
+
+        return (codes || "").split(",").map(function (code) {
+            return code.trim();
+        }).filter(Boolean).map(optionCodes.describe);
+    },
 
-    request(req, function (error, response, body) {
-        if (error) {
-            log(API_ERR_LEVEL, error);
-            return callback(error, null);
-        }
+    /**
+     * Decode the option codes grouped by category
+     * @param {object|string} vehicle - vehicle JSON or its option_codes string
+     * @return {object} an array of optionCodeType for each category and for unknown codes
+     */
+    decode: function decode(vehicle) {
+        var result = { unknown: [] };
 
-        if (response.statusCode != 200) {
-            var str = "Error response: " + response.statusCode;
-            log(API_ERR_LEVEL, str);
-            return callback(str, null);
-        }
+        Object.keys(optionCatalogue).forEach(function (category) {
+            result[category] = [];
+        });
 
-        log(API_BODY_LEVEL, "\nBody: " + JSON.stringify(body));
-        log(API_RESPONSE_LEVEL, "\nResponse: " + JSON.stringify(response));
+        optionCodes.parse(vehicle).forEach(function (entry) {
+            result[entry.category].push(entry);
+        });
 
-        try {
-            body = body;
+        return result;
+    }
+};
+exports.optionCodes = optionCodes;
 
-            callback(null, body);
-        } catch (e) {
-            log(API_ERR_LEVEL, 'Error parsing GET call response');
-            callback(e, null);
-        }
+//=======================
+// Rate limiting
+//=======================
 
-        log(API_RETURN_LEVEL, "\nGET request: " + command + " completed.");
-    });
-}
+/**
+ * Token bucket parameter, false disables the bucket
+ * @typedef bucketType
+ * @type {object}
+ * @property {number} perMinute - requests per minute in the long run
+ * @property {number} [burst] - requests which may be sent at once, defaults to ten seconds of requests
+ */
 
 /**
- * Generic Async REST call for GET commands
- * @function get_commandAsync
- * @param {optionsType} options - options object
- * @param {string} command - REST command
- * @returns {Promise} result
+ * Rate limit parameter, each scope has separate budgets for data requests and vehicle commands
+ * @typedef rateLimitType
+ * @type {object}
+ * @property {boolean|{data: bucketType, command: bucketType}} [account] - budgets shared by the calls made with the same OAuth token
+ * @property {boolean|{data: bucketType, command: bucketType}} [vehicle] - budgets of each vehicle
  */
-exports.get_commandAsync = Promise.denodeify(exports.get_command);
 
 /**
- * Generic REST call for GET commands
- * @function
- * @param {optionsType} options - options object
- * @param {string} command - REST command
- * @param {object} body - JSON payload
- * @param {nodeBack} callback - Node-style callback
+ * Rate limiter metrics
+ * @typedef rateLimitMetricsType
+ * @type {object}
+ * @property {int} queueDepth - calls currently waiting
+ * @property {int} maxQueueDepth - most calls which waited at once
+ * @property {int} granted - calls let through
+ * @property {int} waited - calls which had to wait
+ * @property {number} totalWaitMs - milliseconds spent waiting by all calls
+ * @property {number} maxWaitMs - longest wait of a call
+ * @property {number} averageWaitMs - mean wait of the calls let through
+ * @property {int} throttled - 429 responses received
  */
-exports.post_command = post_command;
-function post_command(options, command, body, callback) {
-    log(API_CALL_LEVEL, "GET call: " + command + " start.");
 
-    callback = callback || function (err, data) { /* do nothing! */ }
-    var u = new URLSearchParams(body).toString();
+var defaultRateLimit = {
+    account: { data: { perMinute: 120 }, command: { perMinute: 30 } },
+    vehicle: { data: { perMinute: 30 }, command: { perMinute: 12 } }
+};
 
-    var cmd = {
-        method: "GET",
-        url: portalBaseURI + command + '?' + u,
-        headers: { "X-SSL-Client-S-CN": process.env.VIN },
-        body: body || null
-    };
+/*
+ * Return the {rate, capacity} of a bucket from the configuration, or null if it is disabled
+ */
+function rateBudget(config, scope, kind) {
+    var scopeConfig = (config[scope] === undefined || config[scope] === true) ? defaultRateLimit[scope] : config[scope];
+
+    if (!scopeConfig) {
+        return null;
+    }
 
-    log(API_REQUEST_LEVEL, "\nRequest: " + JSON.stringify(cmd));
+    var budget = (scopeConfig[kind] === undefined || scopeConfig[kind] === true) ? defaultRateLimit[scope][kind] : scopeConfig[kind];
 
-    request(cmd, function (error, response, body) {
-        if (error) {
-            log(API_ERR_LEVEL, error);
-            return callback(error, null);
+    if (!budget) {
+        return null;
+    }
+
+    var perMinute = budget.perMinute || defaultRateLimit[scope][kind].perMinute;
+
+    return { rate: perMinute / 60000, capacity: budget.burst || Math.max(1, Math.round(perMinute / 6)) };
+}
+
+/**
+ * Token bucket rate limiter.  Every call takes a token from the account bucket of its
+ * OAuth token and from the bucket of its vehicle, with separate buckets for data
+ * requests and commands.  Calls which find a bucket empty are queued in order until
+ * it refills, and a 429 response pauses the buckets of the call for its Retry-After.
+ *
+ * A limiter passed to several clients shares its budgets between them.
+ * @class
+ * @param {rateLimitType} [config] - budgets, the defaults apply to the scopes and kinds left out
+ */
+function RateLimiter(config) {
+    config = config || {};
+
+    this.budgets = {};
+    this.buckets = {};
+    this.queue = [];
+    this.timer = null;
+    this.stats = { maxQueueDepth: 0, granted: 0, waited: 0, totalWaitMs: 0, maxWaitMs: 0, throttled: 0 };
+
+    ["account", "vehicle"].forEach(function (scope) {
+        ["data", "command"].forEach(function (kind) {
+            var budget = rateBudget(config, scope, kind);
+
+            if (budget) {
+                this.budgets[scope + "/" + kind] = budget;
+            }
+        }, this);
+    }, this);
+}
+exports.RateLimiter = RateLimiter;
+
+/*
+ * Return the keys of the buckets a call draws from
+ * @param {RateLimiter} limiter - rate limiter
+ * @param {object} call - {account, vehicle, kind}
+ */
+function bucketKeys(limiter, call) {
+    var keys = [];
+
+    [["account", call.account], ["vehicle", call.vehicle]].forEach(function (scope) {
+        var name = scope[0] + "/" + call.kind;
+        var budget = limiter.budgets[name];
+
+        if (!budget || scope[1] === undefined || scope[1] === null) {
+            return;
         }
 
-        if (response.statusCode != 200) {
-            var str = "Error response: " + response.statusCode;
-            log(API_ERR_LEVEL, str);
-            return callback(str, null);
+        var key = name + "/" + scope[1];
+
+        if (!limiter.buckets[key]) {
+            limiter.buckets[key] = { rate: budget.rate, capacity: budget.capacity, tokens: budget.capacity, updated: Date.now(), until: 0 };
         }
 
-        log(API_BODY_LEVEL, "\nBody: " + JSON.stringify(body));
-        log(API_RESPONSE_LEVEL, "\nResponse: " + JSON.stringify(response));
+        keys.push(key);
+    });
 
-        try {
-            body = body;
+    return keys;
+}
 
-            callback(null, body);
-        } catch (e) {
-            log(API_ERR_LEVEL, 'Error parsing GET call response');
-            callback(e, null);
+/*
+ * Refill a bucket and return the milliseconds until it holds a token, zero or less if it does
+ */
+function bucketWait(bucket, now) {
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updated) * bucket.rate);
+    bucket.updated = now;
+
+    return Math.max(bucket.until - now, (1 - bucket.tokens) / bucket.rate);
+}
+
+/*
+ * Let through the queued calls whose buckets hold a token, in order, and wake up
+ * when the first bucket a waiting call needs refills.  A call waiting on a bucket
+ * holds back the later calls which need the same bucket.
+ */
+function pumpQueue(limiter) {
+    var now = Date.now();
+    var blocked = {};
+    var ready = [];
+    var next = Infinity;
+
+    clearTimeout(limiter.timer);
+    limiter.timer = null;
+
+    limiter.queue = limiter.queue.filter(function (waiter) {
+        var free = waiter.keys.every(function (key) {
+            return !blocked[key];
+        });
+        var wait = 0;
+
+        if (free) {
+            waiter.keys.forEach(function (key) {
+                wait = Math.max(wait, bucketWait(limiter.buckets[key], now));
+            });
+
+            if (wait <= 0) {
+                waiter.keys.forEach(function (key) {
+                    limiter.buckets[key].tokens -= 1;
+                });
+
+                ready.push(waiter);
+                return false;
+            }
+
+            next = Math.min(next, wait);
         }
 
-        log(API_RETURN_LEVEL, "\nGET command: " + command + " completed.");
+        waiter.keys.forEach(function (key) {
+            blocked[key] = true;
+        });
+
+        return true;
+    });
+
+    limiter.stats.maxQueueDepth = Math.max(limiter.stats.maxQueueDepth, limiter.queue.length);
+
+    if (limiter.queue.length) {
+        limiter.timer = setTimeout(pumpQueue, Math.max(1, Math.ceil(next)), limiter);
+    }
+
+    ready.forEach(function (waiter) {
+        waiter.grant(now);
     });
 }
 
 /**
- * Generic Async REST call for GET commands
- * @function post_commandAsync
- * @param {optionsType} options - options object
- * @param {string} command - REST command
- * @param {object} body - JSON payload
- * @returns {Promise} result
+ * Wait for a token from each bucket of a call
+ * @param {object} call - {account, vehicle, kind, signal}, kind is data or command
+ * @param {nodeBack} callback - receives the milliseconds waited, or a CancelledError when the signal is aborted first
  */
-exports.post_commandAsync = Promise.denodeify(exports.post_command);
+RateLimiter.prototype.acquire = function acquire(call, callback) {
+    var limiter = this;
+    var signal = call.signal;
+    var waiter = { keys: bucketKeys(limiter, call), since: Date.now(), queued: false };
 
-/**
- * GET all vehicle data in a single call
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} vehicle_data object
- */
-exports.vehicleData = function vehicleData(options, callback){
-    get_command(options, "vehicle_data", callback);
+    function cancel() {
+        var index = limiter.queue.indexOf(waiter);
+
+        if (index >= 0) {
+            limiter.queue.splice(index, 1);
+            callback(new CancelledError("call cancelled while waiting for the rate limiter"), null);
+        }
+    }
+
+    waiter.grant = function grant(now) {
+        var waited = waiter.queued ? now - waiter.since : 0;
+
+        if (signal && signal.removeEventListener) {
+            signal.removeEventListener('abort', cancel);
+        }
+
+        limiter.stats.granted++;
+        limiter.stats.totalWaitMs += waited;
+        limiter.stats.maxWaitMs = Math.max(limiter.stats.maxWaitMs, waited);
+
+        if (waited > 0) {
+            limiter.stats.waited++;
+        }
+
+        callback(null, waited);
+    };
+
+    if (signal && signal.aborted) {
+        return process.nextTick(function () {
+            callback(new CancelledError("call cancelled before the rate limiter let it through"), null);
+        });
+    }
+
+    if (signal && signal.addEventListener) {
+        signal.addEventListener('abort', cancel);
+    }
+
+    limiter.queue.push(waiter);
+    pumpQueue(limiter);
+
+    // still queued when the buckets were empty
+    waiter.queued = true;
 }
 
 /**
- * Async version to GET all vehicle data in a single call
- * @function vehicleDataAsync
- * @param {optionsType} options - options object
- * @returns {Promise} vehicle_data object
+ * Record a 429 response, emptying the buckets of the call and pausing them
+ * for the seconds the server asked for
+ * @param {object} call - {account, vehicle, kind}
+ * @param {number} [retryAfter] - seconds from the Retry-After header
  */
-exports.vehicleDataAsync = Promise.denodeify(exports.vehicleData);
+RateLimiter.prototype.throttle = function throttle(call, retryAfter) {
+    var limiter = this;
+    var until = Date.now() + (retryAfter || 0) * 1000;
 
-/**
- * GET the vehicle config
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} vehicle_config object
- */
-exports.vehicleConfig = function vehicleConfig(options, callback) {
-    get_command(options, "vehicle_config", callback);
+    limiter.stats.throttled++;
+
+    bucketKeys(limiter, call).forEach(function (key) {
+        var bucket = limiter.buckets[key];
+
+        bucket.tokens = Math.min(bucket.tokens, 0);
+        bucket.until = Math.max(bucket.until, until);
+    });
+
+    if (limiter.queue.length) {
+        pumpQueue(limiter);
+    }
 }
 
 /**
- * Async version to GET the vehicle config
- * @function vehicleConfigAsync
- * @param {optionsType} options - options object
- * @returns {Promise} vehicle_config object
+ * Return the queue depth and wait time metrics
+ * @return {rateLimitMetricsType} metrics
  */
-exports.vehicleConfigAsync = Promise.denodeify(exports.vehicleConfig);
+RateLimiter.prototype.metrics = function metrics() {
+    var stats = this.stats;
 
-/**
- * GET the vehicle state
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} vehicle_state object
- */
-exports.vehicleState = function vehicleState(options, callback) {
-    get_command(options, "vehicle_state", callback);
+    return {
+        queueDepth: this.queue.length,
+        maxQueueDepth: stats.maxQueueDepth,
+        granted: stats.granted,
+        waited: stats.waited,
+        totalWaitMs: stats.totalWaitMs,
+        maxWaitMs: stats.maxWaitMs,
+        averageWaitMs: stats.granted ? stats.totalWaitMs / stats.granted : 0,
+        throttled: stats.throttled
+    };
 }
 
-/**
- * Async version to GET the vehicle state
- * @function vehicleStateAsync
- * @param {optionsType} options - options object
- * @returns {Promise} vehicle_state object
+/*
+ * Return the rate limiter for a rate limit configuration, or null if calls are not limited
  */
-exports.vehicleStateAsync = Promise.denodeify(exports.vehicleState);
+function rateLimiter(rateLimit) {
+    if (!rateLimit) {
+        return null;
+    }
 
-/**
- * GET the climate state
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} climate_state object
- */
-exports.climateState = function climateState(options, callback) {
-    get_command(options, "climate_state", callback);
+    return (rateLimit instanceof RateLimiter) ? rateLimit : new RateLimiter(rateLimit === true ? {} : rateLimit);
 }
 
+//=======================
+// Response cache
+//=======================
+
 /**
- * GET the climate state
- * @function climateStateAsync
- * @param {optionsType} options - options object
- * @returns {Promise} climate_state object
+ * Response cache parameter
+ * @typedef cacheType
+ * @type {object}
+ * @property {object} [ttl] - milliseconds each section stays fresh by section name, 0 disables caching a section
  */
-exports.climateStateAsync = Promise.denodeify(exports.climateState);
 
-/**
- * GET nearby charging sites
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} climate_state object
+var defaultCacheTTL = {
+    charge_state: 30000,
+    climate_state: 30000,
+    drive_state: 10000,
+    gui_settings: 300000,
+    vehicle_state: 30000,
+    vehicle_config: 3600000
+};
+
+/*
+ * Sections changed by each vehicle command, other commands invalidate every section but vehicle_config
+ */
+var cacheInvalidations = {
+    "wake_up": [],
+    "command/honk_horn": [],
+    "command/flash_lights": [],
+    "command/navigation_request": [],
+    "command/trigger_homelink": [],
+    "command/upcoming_calendar_entries": [],
+    "command/charge_port_door_open": ["charge_state"],
+    "command/charge_port_door_close": ["charge_state"],
+    "command/charge_standard": ["charge_state"],
+    "command/charge_max_range": ["charge_state"],
+    "command/set_charge_limit": ["charge_state"],
+    "command/charge_start": ["charge_state"],
+    "command/charge_stop": ["charge_state"],
+    "command/auto_conditioning_start": ["climate_state"],
+    "command/auto_conditioning_stop": ["climate_state"],
+    "command/set_temps": ["climate_state"],
+    "command/set_preconditioning_max": ["climate_state"],
+    "command/remote_seat_heater_request": ["climate_state"],
+    "command/remote_steering_wheel_heater_request": ["climate_state"],
+    "command/front_defrost_on": ["climate_state"],
+    "command/front_defrost_off": ["climate_state"],
+    "command/rear_defrost_on": ["climate_state"],
+    "command/rear_defrost_off": ["climate_state"],
+    "command/door_lock": ["vehicle_state"],
+    "command/door_unlock": ["vehicle_state"],
+    "command/actuate_trunk": ["vehicle_state"],
+    "command/sun_roof_control": ["vehicle_state"],
+    "command/window_control": ["vehicle_state"],
+    "command/set_valet_mode": ["vehicle_state"],
+    "command/reset_valet_pin": ["vehicle_state"],
+    "command/set_sentry_mode": ["vehicle_state"],
+    "command/remote_start_drive": ["vehicle_state"],
+    "command/speed_limit_activate": ["vehicle_state"],
+    "command/speed_limit_deactivate": ["vehicle_state"],
+    "command/speed_limit_clear_pin": ["vehicle_state"],
+    "command/speed_limit_set_limit": ["vehicle_state"],
+    "command/schedule_software_update": ["vehicle_state"],
+    "command/cancel_software_update": ["vehicle_state"],
+    "command/media_toggle_playback": ["vehicle_state"],
+    "command/media_next_track": ["vehicle_state"],
+    "command/media_prev_track": ["vehicle_state"],
+    "command/media_next_fav": ["vehicle_state"],
+    "command/media_prev_fav": ["vehicle_state"],
+    "command/media_volume_up": ["vehicle_state"],
+    "command/media_volume_down": ["vehicle_state"]
+};
+
+/**
+ * Cache of the vehicle data sections by vehicle.  A `vehicleData()` response fills
+ * every section, `chargeState()` and the other getters are answered from the cache
+ * while their section is fresher than its TTL, and vehicle commands drop the sections
+ * they change.  Cached data is copied in and out, so callers may modify it.
+ *
+ * A cache passed to several clients is shared between them.
+ * @class
+ * @param {cacheType} [config] - TTLs, the defaults apply to the sections left out
  */
-exports.nearbyChargers = function nearbyChargers(options, callback) {
-    get_command(options, "nearby_charging_sites", callback);
+function ResponseCache(config) {
+    var ttl = (config && config.ttl) || {};
+
+    this.ttl = {};
+    this.entries = {};
+
+    Object.keys(defaultCacheTTL).forEach(function (section) {
+        this.ttl[section] = (ttl[section] !== undefined) ? ttl[section] : defaultCacheTTL[section];
+    }, this);
 }
+exports.ResponseCache = ResponseCache;
 
 /**
- * @function nearbyChargersAsync
- * @param {optionsType} options - options object
- * @returns {Promise} climate_state object
+ * Return a section of a vehicle if it is fresh
+ * @param {string} vehicle - vehicle id
+ * @param {string} section - section name, such as charge_state
+ * @return {?object} a copy of the section, null if it is not cached or stale
  */
-exports.nearbyChargersAsync = Promise.denodeify(exports.nearbyChargers);
+ResponseCache.prototype.get = function get(vehicle, section) {
+    var entry = this.entries[vehicle] && this.entries[vehicle][section];
 
-/**
- * GET the drive state
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} drive_state object
- */
-exports.driveState = function driveState(options, callback) {
-    get_command(options, "drive_state", callback);
+    if (!entry || Date.now() - entry.storedAt >= (this.ttl[section] || 0)) {
+        return null;
+    }
+
+    return JSON.parse(entry.json);
 }
 
 /**
- * @function driveStateAsync
- * @param {optionsType} options - options object
- * @returns {Promise} drive_state object
+ * Store a section of a vehicle, sections without a TTL are ignored
+ * @param {string} vehicle - vehicle id
+ * @param {string} section - section name, such as charge_state
+ * @param {object} data - section data
  */
-exports.driveStateAsync = Promise.denodeify(exports.driveState);
+ResponseCache.prototype.put = function put(vehicle, section, data) {
+    if (!this.ttl[section] || data === undefined || data === null) {
+        return;
+    }
+
+    this.entries[vehicle] = this.entries[vehicle] || {};
+    this.entries[vehicle][section] = { storedAt: Date.now(), json: JSON.stringify(data) };
+}
 
 /**
- * GET the charge state
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} charge_state object
+ * Drop sections of a vehicle
+ * @param {string} vehicle - vehicle id
+ * @param {string[]} [sections] - sections to drop, all of them by default
  */
-exports.chargeState = function chargeState(options, callback) {
-    get_command(options, "charge_state", callback);
+ResponseCache.prototype.invalidate = function invalidate(vehicle, sections) {
+    var entries = this.entries[vehicle];
+
+    if (!entries) {
+        return;
+    }
+
+    (sections || Object.keys(entries)).forEach(function (section) {
+        delete entries[section];
+    });
 }
 
 /**
- * @function chargeStateAsync
- * @param {optionsType} options - options object
- * @returns {Promise} charge_state object
+ * Drop every cached section of every vehicle
  */
-exports.chargeStateAsync = Promise.denodeify(exports.chargeState);
+ResponseCache.prototype.clear = function clear() {
+    this.entries = {};
+}
 
-/**
+/*
+ * Return the sections a vehicle command changes
+ */
+function invalidatedSections(command) {
+    if (cacheInvalidations[command]) {
+        return cacheInvalidations[command];
+    }
+
+    return Object.keys(defaultCacheTTL).filter(function (section) {
+        return section != "vehicle_config";
+    });
+}
+
+/*
+ * Return the response cache for a cache configuration, or null if responses are not cached
+ */
+function responseCache(cache) {
+    if (!cache) {
+        return null;
+    }
+
+    return (cache instanceof ResponseCache) ? cache : new ResponseCache(cache === true ? {} : cache);
+}
+
+//=======================
+// Transports
+//=======================
+
+/**
+ * Request description handed to a transport
+ * @typedef requestType
+ * @type {object}
+ * @property {string} method - HTTP method
+ * @property {string} url - request URI
+ * @property {object} [headers] - HTTP headers
+ * @property {object} [body] - JSON payload
+ * @property {object} [auth] - {username, password} for basic authentication
+ * @property {tlsType} [tls] - client certificate presented to https servers
+ * @property {number} [timeout] - milliseconds after which the request is aborted, defaults to the client timeoutMs
+ * @property {AbortSignal} [signal] - aborting it aborts the request
+ * @property {boolean} [stream] - the response is only read through `data` events, a successful body is not collected
+ */
+
+/**
+ * Transport completion callback
+ * @callback transportBack
+ * @param {object} error - network error, if any
+ * @param {object} response - {statusCode, statusMessage, headers}
+ * @param {object} body - the parsed JSON body, or the body text if it is not JSON
+ */
+
+/**
+ * Default transport built on the Node http and https modules.
+ *
+ * A transport is any object with a `send(req, callback)` method. It returns an
+ * EventEmitter which emits a `data` event for each chunk of the response as it
+ * arrives and has an `abort()` method.  Optional `pause()` and `resume()` methods
+ * hold back the chunks of a stream while its reader catches up.  The request is
+ * destroyed when `req.signal` is aborted or `req.timeout` elapses.
+ * @class
+ * @param {object} [config] - {agent} http.Agent used for all requests, e.g. for a proxy
+ */
+function HttpTransport(config) {
+    config = config || {};
+
+    this.agent = config.agent;
+}
+exports.HttpTransport = HttpTransport;
+
+/**
+ * Send a request
+ * @param {requestType} req - request description
+ * @param {transportBack} callback - completion callback
+ * @returns {EventEmitter} emits each response chunk as `data`
+ */
+HttpTransport.prototype.send = function send(req, callback) {
+    var handle = new EventEmitter();
+    var payload = (req.body === undefined || req.body === null) ? null : JSON.stringify(req.body);
+    var headers = { "Accept": "application/json" };
+    var signal = req.signal;
+    var finished = false;
+    var timer = null;
+
+    Object.keys(req.headers || {}).forEach(function (name) {
+        headers[name] = req.headers[name];
+    });
+
+    if (payload !== null) {
+        headers["Content-Type"] = "application/json; charset=utf-8";
+        headers["Content-Length"] = Buffer.byteLength(payload);
+    }
+
+    var params = {
+        method: req.method,
+        headers: headers,
+        agent: this.agent
+    };
+
+    if (req.auth) {
+        params.auth = req.auth.username + ":" + req.auth.password;
+    }
+
+    if (req.tls) {
+        ["cert", "key", "ca", "passphrase"].forEach(function (name) {
+            if (req.tls[name] !== undefined) {
+                params[name] = req.tls[name];
+            }
+        });
+    }
+
+    function finish(error, response, body) {
+        if (finished) {
+            return;
+        }
+
+        finished = true;
+        clearTimeout(timer);
+
+        if (signal && signal.removeEventListener) {
+            signal.removeEventListener('abort', cancel);
+        }
+
+        callback(error, response, body);
+    }
+
+    function stop(error) {
+        clientReq.destroy();
+        finish(error, null, null);
+    }
+
+    function cancel() {
+        stop(new CancelledError(req.method + " " + req.url + " cancelled"));
+    }
+
+    var lib = /^https:/i.test(req.url) ? https : http;
+
+    var stream = null;
+    var paused = false;
+
+    var clientReq = lib.request(req.url, params, function (res) {
+        // a stream is consumed through the data events, only an error body is worth keeping
+        var collect = !req.stream || res.statusCode != 200;
+        var chunks = [];
+
+        stream = res;
+
+        if (paused) {
+            res.pause();
+        }
+
+        res.on('data', function (chunk) {
+            if (collect) {
+                chunks.push(chunk);
+            }
+
+            handle.emit('data', chunk);
+        });
+
+        res.on('end', function () {
+            var response = { statusCode: res.statusCode, statusMessage: res.statusMessage, headers: res.headers };
+            finish(null, response, parseBody(Buffer.concat(chunks).toString()));
+        });
+
+        res.on('error', function (e) {
+            finish(e, null, null);
+        });
+    });
+
+    clientReq.on('error', function (e) {
+        finish(e, null, null);
+    });
+
+    handle.abort = function abort() {
+        clientReq.destroy();
+    };
+
+    handle.pause = function pause() {
+        paused = true;
+
+        if (stream) {
+            stream.pause();
+        }
+    };
+
+    handle.resume = function resume() {
+        paused = false;
+
+        if (stream) {
+            stream.resume();
+        }
+    };
+
+    if (signal && signal.aborted) {
+        process.nextTick(cancel);
+        return handle;
+    }
+
+    if (signal && signal.addEventListener) {
+        signal.addEventListener('abort', cancel);
+    }
+
+    if (req.timeout) {
+        timer = setTimeout(function () {
+            stop(new TimeoutError(req.method + " " + req.url + " timed out after " + req.timeout + " ms"));
+        }, req.timeout);
+    }
+
+    if (payload !== null) {
+        clientReq.write(payload);
+    }
+
+    clientReq.end();
+
+    return handle;
+}
+
+/*
+ * Parse a response body as JSON, falling back to the text
+ */
+function parseBody(text) {
+    if (!text) {
+        return undefined;
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+/**
+ * Transport which answers requests from a handler without touching the network,
+ * for use in tests. Requests are recorded in the `requests` array.
+ * @class
+ * @param {function} handler - function (req, callback) answering each request with (error, response, body).
+ * A string body is also emitted as a `data` chunk.
+ */
+function MockTransport(handler) {
+    this.handler = handler;
+    this.requests = [];
+}
+exports.MockTransport = MockTransport;
+
+/**
+ * Send a request
+ * @param {requestType} req - request description
+ * @param {transportBack} callback - completion callback
+ * @returns {EventEmitter} emits a string body as `data`
+ */
+MockTransport.prototype.send = function send(req, callback) {
+    var handle = new EventEmitter();
+    var handler = this.handler;
+    var aborted = false;
+
+    handle.abort = function abort() {
+        aborted = true;
+    };
+
+    this.requests.push(req);
+
+    process.nextTick(function () {
+        handler(req, function (error, response, body) {
+            if (aborted) {
+                return;
+            }
+
+            if (response) {
+                response.statusCode = response.statusCode || 200;
+                response.statusMessage = response.statusMessage || http.STATUS_CODES[response.statusCode];
+                response.headers = response.headers || {};
+            }
+
+            if (typeof body === "string") {
+                handle.emit('data', Buffer.from(body));
+            }
+
+            callback(error, response, body);
+        });
+    });
+
+    return handle;
+}
+
+/*
+ * Error of a data:error message, or null when the vehicle merely disconnected and
+ * the stream ends normally.  A client_error, such as a token the server cannot
+ * validate, is an AuthError.
+ */
+function streamingMessageError(message) {
+    var details = { command: "stream", body: message };
+
+    switch (message.error_type) {
+        case "vehicle_disconnected":
+            return null;
+        case "client_error":
+            return new AuthError("stream: " + message.value, details);
+        default:
+            return new TeslaApiError("stream: " + (message.value || message.error_type), details);
+    }
+}
+
+/*
+ * Transport for the WebSocket streaming protocol.  It opens the WebSocket, sends the
+ * request body as the subscription message and emits the value of each `data:update`
+ * message as a line of `data`, as the HTTP stream does.  A `data:error` message closes
+ * the stream with its error.
+ */
+var webSocketStream = {
+    send: function send(req, callback) {
+        var handle = new EventEmitter();
+        var socket = new websocket.WebSocketClient(req.url, { headers: req.headers, tls: req.tls });
+        var response = null;
+        var failure = null;
+        var finished = false;
+
+        function finish(error, response, body) {
+            if (finished) {
+                return;
+            }
+
+            finished = true;
+            callback(error, response, body);
+        }
+
+        socket.on('response', function (refused, body) {
+            finish(null, refused, parseBody(body));
+        });
+
+        socket.on('open', function (upgrade) {
+            response = { statusCode: 200, statusMessage: "OK", headers: upgrade.headers };
+            socket.send(JSON.stringify(req.body));
+        });
+
+        socket.on('message', function (text) {
+            var message;
+
+            try {
+                message = JSON.parse(text);
+            } catch (e) {
+                return;
+            }
+
+            if (message.msg_type == "data:update") {
+                handle.emit('data', Buffer.from(message.value + "\n"));
+            } else if (message.msg_type == "data:error") {
+                failure = streamingMessageError(message);
+                socket.close(1000);
+            }
+        });
+
+        socket.on('error', function (e) {
+            finish(e, null, null);
+        });
+
+        socket.on('close', function (code) {
+            if (failure || code == 1006) {
+                return finish(failure || new Error("WebSocket closed without a close frame"), null, null);
+            }
+
+            finish(null, response, "");
+        });
+
+        handle.abort = function abort() {
+            socket.terminate();
+        };
+
+        handle.pause = function pause() {
+            socket.pause();
+        };
+
+        handle.resume = function resume() {
+            socket.resume();
+        };
+
+        return handle;
+    }
+};
+
+/*
+ * Join a base URI and a path with a single separating slash
+ */
+function joinURI(base, path) {
+    return base.replace(/\/+$/, "") + "/" + path.replace(/^\/+/, "");
+}
+
+/*
+ * Issue a request through the client transport, identifying the vehicle with the VIN header in proxy mode
+ * and presenting the client certificate unless the request has its own.  The request is aborted with a
+ * TimeoutError after its timeout, or with a CancelledError when its signal or the returned handle is aborted.
+ * @param {TeslaClient} client - client issuing the request
+ * @param {requestType} req - request description
+ * @param {transportBack} callback - request completion callback
+ * @param {object} [transport] - transport for this request, defaults to the client transport
+ * @returns {EventEmitter} transport handle emitting each response chunk as `data`
+ */
+function send(client, req, callback, transport) {
+    var timeout = (req.timeout !== undefined) ? req.timeout : client.timeoutMs;
+    var signal = req.signal;
+    var finished = false;
+    var timer = null;
+
+    req.headers = req.headers || {};
+    req.tls = req.tls || client.tls;
+
+    if (client.proxy) {
+        req.headers["X-SSL-Client-S-CN"] = client.vin || process.env.VIN;
+    }
+
+    function finish(error, response, body) {
+        if (finished) {
+            return;
+        }
+
+        finished = true;
+        clearTimeout(timer);
+
+        if (signal && signal.removeEventListener) {
+            signal.removeEventListener('abort', cancel);
+        }
+
+        client.emit('receive', req, error, response, body);
+        callback(error, response, body);
+    }
+
+    function cancelled() {
+        return new CancelledError(req.method + " " + req.url + " cancelled");
+    }
+
+    function cancel() {
+        stop(cancelled());
+    }
+
+    if (signal && signal.aborted) {
+        var idle = new EventEmitter();
+        idle.abort = function abort() { /* nothing to abort */ };
+        process.nextTick(function () {
+            finish(cancelled(), null, null);
+        });
+        return idle;
+    }
+
+    client.emit('send', req);
+
+    var handle = (transport || client.transport).send(req, finish);
+    var abortTransport = handle.abort;
+
+    function stop(error) {
+        if (finished) {
+            return;
+        }
+
+        abortTransport.call(handle);
+        finish(error, null, null);
+    }
+
+    handle.abort = cancel;
+
+    if (signal && signal.addEventListener) {
+        signal.addEventListener('abort', cancel);
+    }
+
+    if (timeout) {
+        timer = setTimeout(function () {
+            stop(new TimeoutError(req.method + " " + req.url + " timed out after " + timeout + " ms"));
+        }, timeout);
+    }
+
+    return handle;
+}
+
+/*
+ * Apply the timeout and AbortSignal of a call to its request
+ */
+function applyCallOptions(req, options) {
+    if (options && options.timeoutMs !== undefined) {
+        req.timeout = options.timeoutMs;
+    }
+
+    if (options && options.signal) {
+        req.signal = options.signal;
+    }
+
+    return req;
+}
+
+/*
+ * Extract the payload of a REST response, the Tesla servers wrap it in a response member
+ */
+function responseBody(client, body) {
+    if (client.proxy || !body) {
+        return body;
+    }
+
+    return body.response;
+}
+
+/*
+ * Determine the OAuth token for a call, renewing the client tokens first when they are about to expire
+ * @param {TeslaClient} client - client making the call
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - receives the OAuth token
+ */
+function authorize(client, options, callback) {
+    var callerToken = options.authToken && options.authToken !== client.authToken;
+    var expiring = client.expiresAt && Date.now() >= client.expiresAt - client.refreshMargin * 1000;
+
+    if (callerToken || !expiring || !client.refresh_token) {
+        return callback(null, options.authToken || client.authToken);
+    }
+
+    renewToken(client, options, callback);
+}
+
+/*
+ * Renew the client tokens, sharing a single refresh between concurrent calls.
+ * options.authToken is updated when it holds the token being replaced.
+ * @param {TeslaClient} client - client making the call
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - receives the new OAuth token
+ */
+function renewToken(client, options, callback) {
+    var staleToken = client.authToken;
+
+    function done(err, authToken) {
+        if (!err && options.authToken === staleToken) {
+            options.authToken = authToken;
+        }
+
+        callback(err, authToken);
+    }
+
+    if (client.pendingRefresh) {
+        client.pendingRefresh.push(done);
+        return;
+    }
+
+    client.pendingRefresh = [done];
+
+    client.refreshToken(client.refresh_token, function (err, result) {
+        var waiting = client.pendingRefresh;
+        client.pendingRefresh = null;
+
+        if (err || !result.authToken) {
+            err = new AuthError("Unable to refresh the OAuth token", { command: "oauth/token", status: result && result.response && result.response.statusCode, cause: err });
+        }
+
+        waiting.forEach(function (cb) {
+            cb(err, err ? null : result.authToken);
+        });
+    });
+}
+
+/*
+ * Identify the vehicle of a call, by its vehicleID or by its VIN in proxy mode
+ */
+function vehicleKey(client, options) {
+    return options.vehicleID || (client.proxy ? client.vin || process.env.VIN : undefined);
+}
+
+/*
+ * Send a vehicle request with the OAuth token and any vehicle client certificate,
+ * renewing the token and retrying once if the client's own token is rejected.  Each
+ * attempt first waits for the rate limiter of the client, if any.
+ * @param {TeslaClient} client - client making the call
+ * @param {optionsType} options - options object
+ * @param {string} kind - rate limit budget of the request, data or command
+ * @param {object} req - request parameters
+ * @param {function} callback - request completion callback
+ */
+function sendAuthorized(client, options, kind, req, callback) {
+    options = options || {};
+    req.tls = req.tls || options.tls;
+    applyCallOptions(req, options);
+
+    function attempt(authToken, retried) {
+        var limiter = client.rateLimiter;
+        var call = {
+            account: authToken || "",
+            vehicle: vehicleKey(client, options),
+            kind: kind,
+            signal: req.signal
+        };
+
+        req.headers = req.headers || {};
+
+        if (authToken) {
+            req.headers.Authorization = "Bearer " + authToken;
+        }
+
+        if (!limiter) {
+            return sendAttempt();
+        }
+
+        limiter.acquire(call, function (err, waited) {
+            if (err) {
+                return callback(err, null, null);
+            }
+
+            if (waited > 0) {
+                log(client, API_CALL_LEVEL, req.method + " " + req.url + " waited " + waited + " ms for the rate limiter");
+            }
+
+            sendAttempt();
+        });
+
+        function sendAttempt() {
+            send(client, req, function (error, response, body) {
+                if (!error && response.statusCode == 429 && limiter) {
+                    limiter.throttle(call, retryAfterSeconds(response.headers && response.headers["retry-after"]));
+                }
+
+                // a token passed by the caller may belong to another account than the client tokens
+                var callerToken = options.authToken && options.authToken !== client.authToken;
+
+                if (!error && response.statusCode == 401 && !retried && !callerToken && client.refresh_token) {
+                    log(client, API_ERR_LEVEL, "OAuth token rejected, refreshing.");
+
+                    return renewToken(client, options, function (err, newToken) {
+                        if (err) {
+                            return callback(error, response, body);
+                        }
+
+                        attempt(newToken, true);
+                    });
+                }
+
+                callback(error, response, body);
+            });
+        }
+    }
+
+    authorize(client, options, function (err, authToken) {
+        if (err) {
+            log(client, API_ERR_LEVEL, err.message);
+            return callback(err, null, null);
+        }
+
+        attempt(authToken, false);
+    });
+}
+
+/**
+ * Set the current logging level
+ * @param {int} level - logging level
+ */
+TeslaClient.prototype.setLogLevel = function setLogLevel(level) {
+    this.logLevel = level;
+}
+
+/**
+ * Get the current logging level
+ * @return {int} the current logging level
+ */
+TeslaClient.prototype.getLogLevel = function getLogLevel() {
+    return this.logLevel;
+}
+
+/**
+ * Set the portal base URI
+ * @param {string} uri - URI for Tesla servers
+ */
+TeslaClient.prototype.setPortalBaseURI = function setPortalBaseURI(uri) {
+    if (!uri) {
+        this.portalBaseURI = portal; // reset to the default Tesla servers
+    } else {
+        this.portalBaseURI = uri;
+    }
+}
+
+/**
+ * Get the portal base URI
+ * @return {string} URI for Tesla servers
+ */
+TeslaClient.prototype.getPortalBaseURI = function getPortalBaseURI() {
+    return this.portalBaseURI;
+}
+
+/**
+ * Set the streaming base URI
+ * @param {string} uri - URI for Tesla streaming servers
+ */
+TeslaClient.prototype.setStreamingBaseURI = function setStreamingBaseURI(uri) {
+    if (!uri) {
+        this.streamingBaseURI = streamingPortal; // reset to the default Tesla servers
+    } else {
+        this.streamingBaseURI = uri;
+    }
+}
+
+/**
+ * Get the streaming base URI
+ * @return {string} URI for Tesla streaming servers
+ */
+TeslaClient.prototype.getStreamingBaseURI = function getStreamingBaseURI() {
+    return this.streamingBaseURI;
+}
+
+/**
+ * Set the WebSocket streaming URI
+ * @param {string} uri - URI for Tesla WebSocket streaming servers, pass null to reset
+ */
+TeslaClient.prototype.setStreamingWebSocketURI = function setStreamingWebSocketURI(uri) {
+    this.streamingWebSocketURI = uri || streamingWebSocket;
+}
+
+/**
+ * Get the WebSocket streaming URI
+ * @return {string} URI for Tesla WebSocket streaming servers
+ */
+TeslaClient.prototype.getStreamingWebSocketURI = function getStreamingWebSocketURI() {
+    return this.streamingWebSocketURI;
+}
+
+/**
+ * Set the transport used to send requests
+ * @param {object} transport - object with a send(req, callback) method, e.g. HttpTransport or MockTransport
+ */
+TeslaClient.prototype.setTransport = function setTransport(transport) {
+    this.transport = transport || new HttpTransport();
+}
+
+/**
+ * Get the transport used to send requests
+ * @return {object} the current transport
+ */
+TeslaClient.prototype.getTransport = function getTransport() {
+    return this.transport;
+}
+
+/**
+ * Enable or disable proxy mode.  In proxy mode vehicles are identified by the
+ * X-SSL-Client-S-CN VIN header and commands use flat paths off the portal URI.
+ * @param {boolean} onoff - true for proxy mode, false for the Tesla REST paths
+ */
+TeslaClient.prototype.setProxyMode = function setProxyMode(onoff) {
+    this.proxy = !!onoff;
+}
+
+/**
+ * Get the proxy mode
+ * @return {boolean} true if proxy mode is enabled
+ */
+TeslaClient.prototype.getProxyMode = function getProxyMode() {
+    return this.proxy;
+}
+
+/**
+ * Enable or disable query commands.  Commands are normally POSTed with a JSON body,
+ * with query commands they are sent as GET requests with the payload in the query string.
+ * Nested payloads such as calendar entries cannot be expressed as a query string.
+ * @param {boolean} onoff - true for GET query commands, false for POST
+ */
+TeslaClient.prototype.setQueryCommands = function setQueryCommands(onoff) {
+    this.queryCommands = !!onoff;
+}
+
+/**
+ * Get whether query commands are enabled
+ * @return {boolean} true if commands are sent as GET query strings
+ */
+TeslaClient.prototype.getQueryCommands = function getQueryCommands() {
+    return this.queryCommands;
+}
+
+/**
+ * Enable or disable waking sleeping vehicles.  When enabled a vehicle command answered
+ * with a 408 wakes the vehicle, waits for it to come online and is sent once more.
+ * @param {boolean|wakeOptionsType} wake - true or wake-up parameters to enable, false to disable
+ */
+TeslaClient.prototype.setEnsureAwake = function setEnsureAwake(wake) {
+    this.ensureAwake = wake || false;
+}
+
+/**
+ * Get the wake-up configuration
+ * @return {boolean|wakeOptionsType} false if sleeping vehicles are not woken
+ */
+TeslaClient.prototype.getEnsureAwake = function getEnsureAwake() {
+    return this.ensureAwake;
+}
+
+/**
+ * Set the retry policy for failed requests.  Data requests are retried, vehicle
+ * commands only when the policy sets `retryCommands`.
+ * @param {boolean|retryPolicyType} policy - true or a policy to enable retries, false to disable
+ */
+TeslaClient.prototype.setRetryPolicy = function setRetryPolicy(policy) {
+    this.retry = policy || false;
+}
+
+/**
+ * Get the retry policy
+ * @return {boolean|retryPolicyType} false if failed requests are not retried
+ */
+TeslaClient.prototype.getRetryPolicy = function getRetryPolicy() {
+    return this.retry;
+}
+
+/**
+ * Enable or disable validation of vehicle data responses against the response schema.
+ * Differences are emitted with a `schemaWarning` event, or fail the call with a
+ * SchemaValidationError when validation is strict.
+ * @param {boolean|validationType} validate - true or validation parameters to enable, false to disable
+ */
+TeslaClient.prototype.setValidation = function setValidation(validate) {
+    this.validate = validate || false;
+}
+
+/**
+ * Get the validation configuration
+ * @return {boolean|validationType} false if responses are not validated
+ */
+TeslaClient.prototype.getValidation = function getValidation() {
+    return this.validate;
+}
+
+/**
+ * Enable or disable rate limiting.  Calls which exceed the request budgets of their
+ * account or vehicle are queued until the budget refills rather than failed.
+ * @param {boolean|rateLimitType|RateLimiter} rateLimit - true, budgets or a shared RateLimiter to enable, false to disable
+ */
+TeslaClient.prototype.setRateLimit = function setRateLimit(rateLimit) {
+    this.rateLimiter = rateLimiter(rateLimit);
+}
+
+/**
+ * Get the rate limiter, whose metrics() report the queue depth and wait times
+ * @return {?RateLimiter} null if calls are not rate limited
+ */
+TeslaClient.prototype.getRateLimiter = function getRateLimiter() {
+    return this.rateLimiter;
+}
+
+/**
+ * Enable or disable the response cache.  Vehicle data getters are then answered from
+ * a recent response while it is fresh, and vehicle commands drop the data they change.
+ * @param {boolean|cacheType|ResponseCache} cache - true, TTLs or a shared ResponseCache to enable, false to disable
+ */
+TeslaClient.prototype.setCache = function setCache(cache) {
+    this.cache = responseCache(cache);
+}
+
+/**
+ * Get the response cache
+ * @return {?ResponseCache} null if responses are not cached
+ */
+TeslaClient.prototype.getCache = function getCache() {
+    return this.cache;
+}
+
+/**
+ * Compare a response with a section of the response schema.  Arrays are compared
+ * element by element.
+ * @param {string} section - schema section such as "vehicle_data" or "charge_state"
+ * @param {object} data - response to validate
+ * @param {object} [schema] - schema to validate against, defaults to responseSchema
+ * @return {object[]} {path, problem, expected, actual} for each missing, extra or mistyped field
+ */
+TeslaClient.prototype.validateResponse = function validateResponse(section, data, schema) {
+    var sections = (schema || responseSchema).sections;
+    var issues = [];
+
+    if (!sections[section]) {
+        throw new Error("Unknown schema section: " + section);
+    }
+
+    if (Array.isArray(data)) {
+        data.forEach(function (item, i) {
+            schemaIssues(sections, section, item, section + "[" + i + "]", issues);
+        });
+    } else {
+        schemaIssues(sections, section, data, section, issues);
+    }
+
+    return issues;
+}
+
+/**
+ * Return the URI for a vehicle REST command, for example "data_request/charge_state"
+ * or "command/honk_horn".  In proxy mode only the final path segment is used.
+ * @param {optionsType} options - options object
+ * @param {string} command - REST command relative to the vehicle
+ * @return {string} URI for the command
+ */
+TeslaClient.prototype.getCommandURI = function getCommandURI(options, command) {
+    if (this.proxy) {
+        return joinURI(this.portalBaseURI, command.replace(/^(data_request|command)\//, ""));
+    }
+
+    return joinURI(this.portalBaseURI, "/api/1/vehicles/" + options.vehicleID + "/" + command);
+}
+
+/**
+ * Return the car model from vehicle JSON information
+ * @param {object} vehicle - vehicle JSON
+ * @return {string} vehicle model string
+ */
+TeslaClient.prototype.getModel = function getModel(vehicle) {
+    var result = this.vinDecode(vehicle);
+    return result.carType;
+}
+
+/*
+ * Manufacturers by world manufacturer identifier, VIN positions 1-3
+ */
+var vinManufacturers = {
+    "5YJ": { manufacturer: "Tesla, Inc.", country: "United States" },
+    "7SA": { manufacturer: "Tesla, Inc.", country: "United States" },
+    "7G2": { manufacturer: "Tesla, Inc. (trucks)", country: "United States" },
+    "LRW": { manufacturer: "Tesla (Shanghai) Co., Ltd.", country: "China" },
+    "XP7": { manufacturer: "Tesla Manufacturing Brandenburg SE", country: "Germany" },
+    "SFZ": { manufacturer: "Tesla Motors (Lotus)", country: "United Kingdom" }
+};
+
+/*
+ * Model line, VIN position 4
+ */
+var vinModels = {
+    "S": "Model S",
+    "3": "Model 3",
+    "X": "Model X",
+    "Y": "Model Y",
+    "R": "Roadster",
+    "C": "Cybertruck",
+    "T": "Semi"
+};
+
+/*
+ * Body type and steering side, VIN position 5
+ */
+var vinBodies = {
+    "A": "Hatchback 5 Dr / LHD",
+    "B": "Hatchback 5 Dr / RHD",
+    "C": "Class E MPV / 5 Dr / LHD",
+    "D": "Class E MPV / 5 Dr / RHD",
+    "E": "Sedan 4 Dr / LHD",
+    "F": "Sedan 4 Dr / RHD",
+    "G": "Class D MPV / 5 Dr / LHD",
+    "H": "Class D MPV / 5 Dr / RHD"
+};
+
+/*
+ * Restraint system, VIN position 6
+ */
+var vinRestraints = {
+    "1": "Manual type 2 seat belts (FR, SR*3) with front airbags, PODS, side inflatable restraints, knee airbags (FR)",
+    "3": "Manual type 2 seat belts (FR, SR*2) with front airbags, PODS, side inflatable restraints, knee airbags (FR)",
+    "4": "Manual type 2 seat belts (FR, SR*2) with front airbags, PODS, side inflatable restraints, knee airbags (FR)",
+    "7": "Manual type 2 seat belts (FR, SR*3) with front airbags, side inflatable restraints (FR, SR*2), knee airbags (FR)"
+};
+
+/*
+ * Battery type, VIN position 7
+ */
+var vinBatteries = {
+    "E": "Electric (NMC)",
+    "F": "Electric (LFP)",
+    "H": "High capacity",
+    "S": "Standard capacity",
+    "V": "Ultra high capacity"
+};
+
+/*
+ * Motor and drive unit, VIN position 8
+ */
+var vinMotors = {
+    "1": { motor: "Single Motor", awd: false },
+    "2": { motor: "Dual Motor", awd: true },
+    "3": { motor: "Single Motor Performance", awd: false },
+    "4": { motor: "Dual Motor Performance", awd: true },
+    "5": { motor: "Dual Motor", awd: true },
+    "6": { motor: "Tri Motor", awd: true },
+    "A": { motor: "Single Motor", awd: false },
+    "B": { motor: "Dual Motor", awd: true },
+    "C": { motor: "Dual Motor Performance", awd: true },
+    "D": { motor: "Single Motor", awd: false },
+    "E": { motor: "Dual Motor", awd: true },
+    "F": { motor: "Dual Motor Performance", awd: true }
+};
+
+/*
+ * Manufacturing plant, VIN position 11
+ */
+var vinPlants = {
+    "A": "Austin, TX, USA",
+    "B": "Berlin-Brandenburg, Germany",
+    "C": "Shanghai, China",
+    "F": "Fremont, CA, USA",
+    "N": "Reno, NV, USA",
+    "P": "Palo Alto, CA, USA"
+};
+
+/*
+ * Model year codes, VIN position 10.  Letters I, O, Q, U, Z and the digit 0 are not used.
+ */
+var VIN_YEAR_CODES = "ABCDEFGHJKLMNPRSTVWXY123456789";
+
+/*
+ * Numeric value and position weight of each VIN character for the check digit
+ */
+var VIN_VALUES = { A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8, J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9, S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9 };
+var VIN_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+/*
+ * Compute the check digit of a 17 character VIN
+ */
+function vinCheckDigit(vin) {
+    var sum = 0;
+
+    for (var i = 0; i < 17; i++) {
+        var c = vin.charAt(i);
+        sum += (/[0-9]/.test(c) ? Number(c) : VIN_VALUES[c]) * VIN_WEIGHTS[i];
+    }
+
+    var digit = sum % 11;
+    return digit == 10 ? "X" : String(digit);
+}
+
+/*
+ * Decode the model year code.  Digits stand for 2031-2039 when position 7 is a
+ * letter and for 2001-2009 otherwise.
+ */
+function vinYear(vin) {
+    var index = VIN_YEAR_CODES.indexOf(vin.charAt(9));
+
+    if (!vin.charAt(9) || index < 0) {
+        return null;
+    }
+
+    if (index < 21 || /[A-Z]/.test(vin.charAt(6))) {
+        return 2010 + index;
+    }
+
+    return 1980 + index;
+}
+
+/**
+ * VIN properties returned by vinDecode()
+ * @typedef vinInfoType
+ * @type {object}
+ * @property {string} vin - the decoded VIN
+ * @property {boolean} valid - true if the VIN is well formed with a correct check digit
+ * @property {string[]} reasons - why the VIN is not valid, empty when it is
+ * @property {string} wmi - world manufacturer identifier, positions 1-3
+ * @property {?string} manufacturer - manufacturer named by the WMI
+ * @property {?string} country - country named by the WMI
+ * @property {string} carType - model such as "Model S", position 4
+ * @property {?string} body - body type and steering side, position 5
+ * @property {?string} restraint - restraint system, position 6
+ * @property {?string} battery - battery type, position 7
+ * @property {?string} motor - motor and drive unit, position 8
+ * @property {boolean} awd - true for dual and tri motor drive units
+ * @property {string} checkDigit - check digit found at position 9
+ * @property {?int} year - model year, position 10
+ * @property {?string} plant - manufacturing plant, position 11
+ * @property {string} serial - production serial number, positions 12-17
+ */
+
+/**
+ * Return an object containing properties decoded from the vehicle VIN
+ * @param {object|string} vehicle - vehicle JSON or VIN
+ * @return {vinInfoType} vehicle properties
+ */
+TeslaClient.prototype.vinDecode = function vinDecode(vehicle) {
+    var vin = (typeof vehicle === "string") ? vehicle : (vehicle && vehicle.vin);
+    var result = {
+        vin: vin || "",
+        valid: false,
+        reasons: [],
+        wmi: "",
+        manufacturer: null,
+        country: null,
+        carType: "Model S",
+        body: null,
+        restraint: null,
+        battery: null,
+        motor: null,
+        awd: false,
+        checkDigit: "",
+        year: 2012,
+        plant: null,
+        serial: ""
+    };
+
+    if (!vin) {
+        result.reasons.push("missing VIN");
+        return result;
+    }
+
+    vin = vin.toUpperCase();
+    result.vin = vin;
+
+    var wmi = vinManufacturers[vin.substr(0, 3)] || {};
+    var motor = vinMotors[vin.charAt(7)] || {};
+
+    result.wmi = vin.substr(0, 3);
+    result.manufacturer = wmi.manufacturer || null;
+    result.country = wmi.country || null;
+    result.carType = vinModels[vin.charAt(3)] || result.carType;
+    result.body = vinBodies[vin.charAt(4)] || null;
+    result.restraint = vinRestraints[vin.charAt(5)] || null;
+    result.battery = vinBatteries[vin.charAt(6)] || null;
+    result.motor = motor.motor || null;
+    result.awd = !!motor.awd;
+    result.checkDigit = vin.charAt(8);
+    result.year = vinYear(vin);
+    result.plant = vinPlants[vin.charAt(10)] || null;
+    result.serial = vin.substr(11);
+
+    if (vin.length != 17) {
+        result.reasons.push("VIN must be 17 characters, not " + vin.length);
+    }
+
+    if (/[^A-HJ-NPR-Z0-9]/.test(vin)) {
+        result.reasons.push("VIN contains characters other than A-Z, 0-9 without I, O and Q");
+    } else if (vin.length == 17 && vinCheckDigit(vin) != result.checkDigit) {
+        result.reasons.push("check digit is " + result.checkDigit + ", expected " + vinCheckDigit(vin));
+    }
+
+    if (!wmi.manufacturer) {
+        result.reasons.push("unknown manufacturer " + result.wmi);
+    }
+
+    if (result.year === null) {
+        result.reasons.push("invalid model year code " + vin.charAt(9));
+    }
+
+    result.valid = result.reasons.length === 0;
+
+    return result;
+}
+
+/**
+ * Return the paint color from vehicle JSON information
+ * @param {object} vehicle - vehicle JSON
+ * @return {string} the vehicle paint color, "unknown" if the option codes have no known paint
+ */
+TeslaClient.prototype.getPaintColor = function getPaintColor(vehicle) {
+    // paint class codes such as COL2 carry no color
+    var paint = optionCodes.decode(vehicle).paint.filter(function (entry) {
+        return entry.color;
+    })[0];
+
+    return paint ? paint.color : "unknown";
+}
+
+/*
+ * A boolean field as a capability, null when the field is missing
+ */
+function knownCapability(value) {
+    return typeof value === "boolean" ? value : null;
+}
+
+/**
+ * Vehicle capabilities returned by capabilities().  Each member is true when the
+ * vehicle supports the feature, false when it does not and null when the vehicle
+ * data does not tell.
+ * @typedef capabilitiesType
+ * @type {object}
+ * @property {?string} carType - model such as "Model S"
+ * @property {?boolean} sunRoof - opening sunroof, for sunRoofControl() and sunRoofMove()
+ * @property {?boolean} homelink - HomeLink, for homelink()
+ * @property {?boolean} windows - remote window control, for windowControl()
+ * @property {?boolean} rearSeatHeaters - rear seat heaters, for seatHeater() on heaters 2 and above
+ * @property {?boolean} maxDefrost - max defrost, for maxDefrost()
+ * @property {?boolean} frunk - powered or remotely released frunk, for openTrunk(FRUNK)
+ * @property {?boolean} trunk - powered or remotely released trunk, for openTrunk(TRUNK)
+ * @property {?boolean} remoteStart - keyless driving, for remoteStart()
+ * @property {?boolean} navigation - navigation requests, for navigationRequest()
+ * @property {?boolean} sentryMode - sentry mode, for setSentryMode()
+ * @property {?boolean} calendar - calendar sync, for calendar()
+ */
+
+/**
+ * Derive the features a vehicle supports from its vehicle_config, vehicle_state,
+ * climate_state, VIN and option codes.  Pass the result as `options.capabilities`
+ * to have commands the vehicle does not support fail without being sent.
+ * @param {object} vehicleData - vehicle_data response, vehicle_config may be added to it
+ * @return {capabilitiesType} vehicle capabilities
+ */
+TeslaClient.prototype.capabilities = function capabilities(vehicleData) {
+    vehicleData = vehicleData || {};
+
+    var config = vehicleData.vehicle_config || {};
+    var state = vehicleData.vehicle_state || {};
+    var climate = vehicleData.climate_state || {};
+    var codes = optionCodes.parse(vehicleData).map(function (entry) {
+        return entry.code;
+    });
+    var models = { s: "Model S", x: "Model X", "3": "Model 3", y: "Model Y" };
+    var carType = null;
+
+    function hasCode(code) {
+        return codes.indexOf(code) >= 0;
+    }
+
+    if (config.car_type) {
+        carType = models[config.car_type.replace(/^model/, "").charAt(0)] || null;
+    } else if (vehicleData.vin) {
+        carType = this.vinDecode(vehicleData).carType;
+    }
+
+    var sunRoof = null;
+
+    if (typeof config.sun_roof_installed === "number") {
+        sunRoof = config.sun_roof_installed > 0;
+    } else if (state.sun_roof_installed !== undefined) {
+        sunRoof = !!state.sun_roof_installed;
+    } else if (carType && carType != "Model S") {
+        sunRoof = false;
+    } else if (codes.length) {
+        sunRoof = hasCode("RFPO") || hasCode("RFP0");
+    }
+
+    var homelink = null;
+
+    if (hasCode("X011") || /APH[1-4]/.test(codes.join(",")) || state.homelink_nearby !== undefined) {
+        homelink = true;
+    } else if (codes.length) {
+        homelink = false;
+    }
+
+    var rearSeatHeaters = null;
+
+    if (typeof config.rear_seat_heaters === "number") {
+        rearSeatHeaters = config.rear_seat_heaters > 0;
+    } else if (climate.seat_heater_rear_left !== undefined) {
+        rearSeatHeaters = true;
+    }
+
+    var trunks = knownCapability(config.can_actuate_trunks);
+
+    return {
+        carType: carType,
+        sunRoof: sunRoof,
+        homelink: homelink,
+        windows: state.fd_window !== undefined ? true : null,
+        rearSeatHeaters: rearSeatHeaters,
+        maxDefrost: climate.defrost_mode !== undefined ? true : null,
+        frunk: trunks,
+        trunk: (trunks || hasCode("X001")) ? true : trunks,
+        remoteStart: knownCapability(state.remote_start_supported),
+        navigation: knownCapability(config.can_accept_navigation_requests),
+        sentryMode: knownCapability(state.sentry_mode_available),
+        calendar: knownCapability(state.calendar_supported)
+    };
+}
+
+/**
+ * Return the vehicle VIN from vehicle JSON information
+ * @param {object} vehicle - vehicle JSON
+ * @return {string} the vehicle VIN
+ */
+TeslaClient.prototype.getVin = function getVin(vehicle) {
+    if (!vehicle || !vehicle.vin) {
+        throw new Error("invalid parameter");
+    }
+
+    return vehicle.vin;
+}
+
+/**
+ * Return the vehicle VIN from vehicle JSON information
+ * @param {object} vehicle - vehicle JSON
+ * @return {string} the short version of the vehicle VIN
+ */
+TeslaClient.prototype.getShortVin = function getShortVin(vehicle) {
+    if (!vehicle || !vehicle.vin) {
+        throw new Error("invalid parameter");
+    }
+
+    return vehicle.vin.substr(11);
+}
+
+/**
+ * Record OAuth tokens on the client for use by later calls
+ * @param {object} tokens - {authToken, refreshToken, expiresIn, createdAt}, e.g. the result of login()
+ */
+TeslaClient.prototype.setTokens = function setTokens(tokens) {
+    tokens = tokens || {};
+
+    this.authToken = tokens.authToken;
+    this.refresh_token = tokens.refreshToken || this.refresh_token;
+    this.expiresAt = undefined;
+
+    if (tokens.expiresIn) {
+        var issued = tokens.createdAt ? tokens.createdAt * 1000 : Date.now();
+        this.expiresAt = issued + tokens.expiresIn * 1000;
+    }
+}
+
+/**
+ * Login to the server and receive OAuth tokens
+ * @param {string} username - Tesla.com username
+ * @param {string} password - Tesla.com password
+ * @param {callOptionsType} [options] - timeout and AbortSignal
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} {response, body, authToken, refreshToken, expiresIn, createdAt}
+ */
+TeslaClient.prototype.login = promised(function login(username, password, options, callback) {
+    var self = this;
+
+    log(self, API_CALL_LEVEL, "TeslaJS.login()");
+
+    if (typeof options === "function") {
+        callback = options;
+        options = null;
+    }
+
+    callback = callback || function (err, result) { /* do nothing! */ }
+
+    if (!username || !password) {
+        callback(new Error("login() requires username and password"), null);
+        return;
+    }
+
+    var req = {
+        method: 'POST',
+        url: joinURI(self.portalBaseURI, '/oauth/token'),
+        body: {
+            "grant_type": "password",
+            "client_id": c_id,
+            "client_secret": c_sec,
+            "email": username,
+            "password": password
+        }
+    };
+
+    applyCallOptions(req, options);
+
+    log(self, API_REQUEST_LEVEL, "\nRequest: " + JSON.stringify(req));
+
+    send(self, req, function (error, response, body) {
+
+        log(self, API_RESPONSE_LEVEL, "\nResponse: " + JSON.stringify(body));
+
+        error = tokenError(error, response, body);
+
+        var result = tokenResult(error, response, body);
+
+        if (result.authToken) {
+            self.setTokens(result);
+        }
+
+        callback(error, result);
+
+        log(self, API_RETURN_LEVEL, "TeslaJS.login() completed.");
+    });
+});
+
+/**
+ * Login to the server and receive OAuth tokens
+ * @function loginAsync
+ * @deprecated call login() without a callback
+ * @param {string} username - Tesla.com username
+ * @param {string} password - Tesla.com password
+ * @returns {Promise} {response, body, authToken, refreshToken, expiresIn, createdAt}
+ */
+TeslaClient.prototype.loginAsync = asyncAlias("login");
+
+/*
+ * Error of an /oauth/token call.  The portal answers a rejected grant with a 400 or 401,
+ * and a response without an access_token cannot be used either, so both are an AuthError.
+ */
+function tokenError(error, response, body) {
+    error = apiError("oauth/token", error, response, body);
+
+    if (!error && body && body.access_token) {
+        return null;
+    }
+
+    if (error && (!response || response.statusCode != 400)) {
+        return error;
+    }
+
+    return new AuthError("oauth/token: " + response.statusCode + " " + (response.statusMessage || ""), errorDetails("oauth/token", response, body));
+}
+
+/*
+ * Build the result of an OAuth token request
+ */
+function tokenResult(error, response, body) {
+    body = body || {};
+
+    return {
+        error: error,
+        response: response,
+        body: JSON.stringify(body),
+        authToken: body.access_token,
+        refreshToken: body.refresh_token,
+        expiresIn: body.expires_in,
+        createdAt: body.created_at
+    };
+}
+
+/**
+ * Retrieve new OAuth and refresh tokens using a refresh_token
+ * @param {string} refresh_token - a valid OAuth refresh_token from a previous login
+ * @param {callOptionsType} [options] - timeout and AbortSignal
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} {response, body, authToken, refreshToken, expiresIn, createdAt}
+ * @fires TeslaClient#tokenRefreshed
+ */
+TeslaClient.prototype.refreshToken = promised(function refreshToken(refresh_token, options, callback) {
+    var self = this;
+
+    log(self, API_CALL_LEVEL, "TeslaJS.refreshToken()");
+
+    if (typeof options === "function") {
+        callback = options;
+        options = null;
+    }
+
+    callback = callback || function (err, result) { /* do nothing! */ }
+
+    if (!refresh_token) {
+        callback(new Error("refreshToken() requires a refresh_token"), null);
+        return;
+    }
+
+    var req = {
+        method: 'POST',
+        url: joinURI(self.portalBaseURI, '/oauth/token'),
+        body: {
+            "grant_type": "refresh_token",
+            "client_id": c_id,
+            "client_secret": c_sec,
+            "refresh_token": refresh_token
+        }
+    };
+
+    applyCallOptions(req, options);
+
+    log(self, API_REQUEST_LEVEL, "\nRequest: " + JSON.stringify(req));
+
+    send(self, req, function (error, response, body) {
+
+        log(self, API_RESPONSE_LEVEL, "\nResponse: " + JSON.stringify(body));
+
+        error = tokenError(error, response, body);
+
+        var result = tokenResult(error, response, body);
+
+        if (result.authToken) {
+            self.setTokens(result);
+
+            /**
+             * New OAuth tokens were issued, persist them to avoid a later login
+             * @event TeslaClient#tokenRefreshed
+             * @type {object}
+             * @property {string} authToken - the new OAuth token
+             * @property {string} refreshToken - the new refresh_token
+             * @property {number} expiresAt - Javascript timestamp at which the authToken expires
+             */
+            self.emit('tokenRefreshed', { authToken: self.authToken, refreshToken: self.refresh_token, expiresAt: self.expiresAt });
+        }
+
+        callback(error, result);
+
+        log(self, API_RETURN_LEVEL, "TeslaJS.refreshToken() completed.");
+    });
+});
+
+/**
+ * Async call to retrieve new OAuth and refresh tokens using a refresh_token
+ * @function refreshTokenAsync
+ * @deprecated call refreshToken() without a callback
+ * @param {string} refresh_token - a valid OAuth refresh_token from a previous login
+ * @returns {Promise} {response, body, authToken, refreshToken, expiresIn, createdAt}
+ */
+TeslaClient.prototype.refreshTokenAsync = asyncAlias("refreshToken");
+
+/**
+ * Logout and invalidate the current auth token
+ * @param {string} authToken - Tesla provided OAuth token
+ * @param {callOptionsType} [options] - timeout and AbortSignal
+ * @param {nodeBack} callback - Node-style callback
+ */
+TeslaClient.prototype.logout = promised(function logout(authToken, options, callback) {
+    var self = this;
+
+    log(self, API_CALL_LEVEL, "TeslaJS.logout()");
+
+    if (typeof options === "function") {
+        callback = options;
+        options = null;
+    }
+
+    callback = callback || function (err, result) { /* do nothing! */ }
+    authToken = authToken || self.authToken;
+
+    send(self, applyCallOptions({
+        method: 'GET',
+        url: joinURI(self.portalBaseURI, '/oauth/revoke'),
+        headers: { Authorization: "Bearer " + authToken, 'Content-Type': 'application/json; charset=utf-8' }
+    }, options), function (error, response, body) {
+
+        if (error) {
+            error = apiError("oauth/revoke", error, response, body);
+        }
+
+        callback(error, { error: error, response: response, body: JSON.stringify(body) });
+
+        log(self, API_RETURN_LEVEL, "TeslaJS.logout() completed.");
+    });
+});
+
+/**
+ * Logout and invalidate the current auth token
+ * @function logoutAsync
+ * @deprecated call logout() without a callback
+ * @param {string} authToken - Tesla provided OAuth token
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.logoutAsync = asyncAlias("logout");
+
+/**
+ * Return vehicle information on the requested vehicle
+ * @function vehicle
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {Vehicle} vehicle JSON data
+ */
+TeslaClient.prototype.vehicle = promised(function vehicle(options, callback) {
+    var self = this;
+
+    log(self, API_CALL_LEVEL, "TeslaJS.vehicle()");
+
+    callback = callback || function (err, vehicle) { /* do nothing! */ }
+
+    var req = {
+        method: 'GET',
+        url: self.proxy ? joinURI(self.portalBaseURI, 'vehicles') : joinURI(self.portalBaseURI, '/api/1/vehicles')
+    };
+
+    log(self, API_REQUEST_LEVEL, "\nRequest: " + JSON.stringify(req));
+
+    sendWithRetry(self, options, "vehicles", true, req, function (error, response, body) {
+        var err = apiError("vehicles", error, response, body);
+
+        if (err) {
+            log(self, API_ERR_LEVEL, err.message);
+            return callback(err, null);
+        }
+
+        log(self, API_BODY_LEVEL, "\nBody: " + JSON.stringify(body));
+        log(self, API_RESPONSE_LEVEL, "\nResponse: " + JSON.stringify(response));
+
+        try {
+            body = responseBody(self, body);
+
+            if (!self.proxy) {
+                body = body[options.carIndex || 0];
+            }
+
+            err = checkResponse(self, options, "vehicles", "vehicle", body);
+
+            if (err) {
+                log(self, API_ERR_LEVEL, err.message);
+                return callback(err, null);
+            }
+
+            body.id = body.id_s;
+            options.vehicleID = body.id;
+
+            callback(null, body);
+        } catch (e) {
+            log(self, API_ERR_LEVEL, 'Error parsing vehicles response');
+            callback(e, null);
+        }
+
+        log(self, API_RETURN_LEVEL, "\nGET request: " + "/vehicles" + " completed.");
+    });
+});
+
+/**
+ * Return vehicle information on the requested vehicle
+ * @function vehicleAsync
+ * @deprecated call vehicle() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} vehicle JSON data
+ */
+TeslaClient.prototype.vehicleAsync = asyncAlias("vehicle");
+
+/**
+ * Return vehicle information on ALL vehicles.  The `id` of each vehicle is set to
+ * its `id_s`, ready for use as `options.vehicleID`.
+ * @function vehicles
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {Vehicles[]} array of vehicle JSON data, with a single vehicle in proxy mode
+ */
+TeslaClient.prototype.vehicles = promised(function vehicles(options, callback) {
+    var self = this;
+
+    log(self, API_CALL_LEVEL, "TeslaJS.vehicles()");
+
+    callback = callback || function (err, vehicle) { /* do nothing! */ }
+
+    var req = {
+        method: 'GET',
+        url: self.proxy ? joinURI(self.portalBaseURI, 'vehicles') : joinURI(self.portalBaseURI, '/api/1/vehicles')
+    };
+
+    log(self, API_REQUEST_LEVEL, "\nRequest: " + JSON.stringify(req));
+
+    sendWithRetry(self, options, "vehicles", true, req, function (error, response, body) {
+        var err = apiError("vehicles", error, response, body);
+
+        if (err) {
+            log(self, API_ERR_LEVEL, err.message);
+            return callback(err, null);
+        }
+
+        log(self, API_BODY_LEVEL, "\nBody: " + JSON.stringify(body));
+        log(self, API_RESPONSE_LEVEL, "\nResponse: " + JSON.stringify(response));
+
+        try {
+            body = [].concat(responseBody(self, body) || []);
+        } catch (e) {
+            log(self, API_ERR_LEVEL, 'Error parsing vehicles response');
+            return callback(e, null);
+        }
+
+        err = checkResponse(self, options, "vehicles", "vehicle", body);
+
+        if (err) {
+            log(self, API_ERR_LEVEL, err.message);
+            return callback(err, null);
+        }
+
+        body.forEach(function (vehicle) {
+            if (vehicle && vehicle.id_s) {
+                vehicle.id = vehicle.id_s;
+            }
+        });
+
+        callback(null, body);
+
+        log(self, API_RETURN_LEVEL, "\nGET request: " + "/vehicles" + " completed.");
+    });
+});
+
+/**
+ * Return vehicle information on ALL vehicles
+ * @function vehiclesAsync
+ * @deprecated call vehicles() without a callback
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {Promise} array of vehicle JSON data
+ */
+TeslaClient.prototype.vehiclesAsync = asyncAlias("vehicles");
+
+var defaultRetryPolicy = {
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    jitter: 0.5,
+    statusCodes: [429, 500, 502, 503, 504],
+    retryCommands: false
+};
+
+/*
+ * Return the retry policy for a call with defaults filled in, or null if it is not retried
+ */
+function retryPolicy(client, options) {
+    var policy = (options && options.retry !== undefined) ? options.retry : client.retry;
+
+    if (!policy) {
+        return null;
+    }
+
+    var result = {};
+
+    Object.keys(defaultRetryPolicy).forEach(function (key) {
+        result[key] = (policy[key] !== undefined) ? policy[key] : defaultRetryPolicy[key];
+    });
+
+    return result;
+}
+
+/*
+ * Milliseconds to wait before the next attempt, honoring the server's Retry-After.
+ * Returns null when the server asks to wait longer than maxDelay.
+ */
+function retryDelay(policy, attempt, err) {
+    if (err instanceof RateLimitError && err.retryAfter !== undefined) {
+        return (err.retryAfter * 1000 > policy.maxDelay) ? null : err.retryAfter * 1000;
+    }
+
+    var delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+
+    return delay - delay * policy.jitter * Math.random();
+}
+
+/*
+ * Send an authorized request, retrying network errors and retryable status codes
+ * according to the retry policy
+ * @param {TeslaClient} client - client making the call
+ * @param {optionsType} options - options object
+ * @param {string} command - REST command
+ * @param {boolean} idempotent - true for data requests, false for vehicle commands
+ * @param {requestType} req - request to send
+ * @param {function} callback - (error, response, body) of the last attempt
+ */
+function sendWithRetry(client, options, command, idempotent, req, callback) {
+    var policy = retryPolicy(client, options);
+    var attempt = 1;
+
+    if (policy && !idempotent && !policy.retryCommands) {
+        policy = null;
+    }
+
+    function attemptSend() {
+        sendAuthorized(client, options, idempotent ? "data" : "command", req, function (error, response, body) {
+            var err = apiError(command, error, response, body);
+            var retryable = err && (err instanceof NetworkError || policy && policy.statusCodes.indexOf(err.status) >= 0);
+
+            if (!retryable || !policy || attempt >= policy.maxAttempts) {
+                return callback(error, response, body);
+            }
+
+            var delay = retryDelay(policy, attempt, err);
+
+            if (delay === null) {
+                log(client, API_ERR_LEVEL, err.message + ", Retry-After exceeds maxDelay, not retrying");
+                return callback(error, response, body);
+            }
+
+            log(client, API_CALL_LEVEL, err.message + ", retrying in " + Math.round(delay) + " ms");
+
+            attempt++;
+            setTimeout(attemptSend, delay);
+        });
+    }
+
+    attemptSend();
+}
+
+/*
+ * Return the wake-up parameters for a call, or null if sleeping vehicles are not woken
+ */
+function wakeOptions(client, options) {
+    var wake = (options && options.ensureAwake !== undefined) ? options.ensureAwake : client.ensureAwake;
+
+    if (!wake) {
+        return null;
+    }
+
+    return typeof wake === "object" ? wake : {};
+}
+
+/*
+ * Run a vehicle call.  If the vehicle is asleep and wake-up is enabled, wake it
+ * and run the call once more.
+ * @param {TeslaClient} client - client making the call
+ * @param {optionsType} options - options object
+ * @param {string} command - REST command
+ * @param {function} run - sends the call, passing its outcome to a node-style callback
+ * @param {nodeBack} callback - Node-style callback
+ */
+function withWakeUp(client, options, command, run, callback) {
+    run(function (err, result) {
+        var wake = wakeOptions(client, options);
+
+        if (!(err instanceof VehicleAsleepError) || !wake || command == "wake_up") {
+            return callback(err, result);
+        }
+
+        log(client, API_CALL_LEVEL, command + ": vehicle asleep, waking it");
+
+        client.wakeUpAndWait(options, wake, function (err) {
+            if (err) {
+                return callback(err, null);
+            }
+
+            run(callback);
+        });
+    });
+}
+
+/*
+ * GET the summary of the vehicle, which includes its online state
+ */
+function vehicleSummary(client, options, callback) {
+    var req = {
+        method: 'GET',
+        url: client.proxy ? joinURI(client.portalBaseURI, 'vehicles') : joinURI(client.portalBaseURI, '/api/1/vehicles/' + options.vehicleID)
+    };
+
+    sendAuthorized(client, options, "data", req, function (error, response, body) {
+        var err = apiError("vehicles", error, response, body);
+
+        if (err) {
+            return callback(err, null);
+        }
+
+        callback(null, responseBody(client, body));
+    });
+}
+
+/**
+ * Generic REST call for GET commands
+ * @function get_command
+ * @param {optionsType} options - options object
+ * @param {string} command - REST command
+ * @param {nodeBack} callback - Node-style callback
+ */
+TeslaClient.prototype.get_command = promised(function get_command(options, command, callback) {
+    var self = this;
+
+    log(self, API_CALL_LEVEL, "GET call: " + command + " start.");
+
+    callback = callback || function (err, data) { /* do nothing! */ }
+
+    var section = schemaSections[command];
+    // responses are cached per vehicle, a call without a vehicle ID is never cached
+    var cacheKey = (self.cache && section && options && options.cache !== false) ? vehicleKey(self, options) : null;
+    var cached = cacheKey ? self.cache.get(cacheKey, section) : null;
+
+    if (cached) {
+        log(self, API_RETURN_LEVEL, "\nGET request: " + command + " answered from the cache.");
+
+        return process.nextTick(function () {
+            callback(null, cached);
+        });
+    }
+
+    var req = {
+        method: "GET",
+        url: self.getCommandURI(options, command)
+    };
+
+    log(self, API_REQUEST_LEVEL, "\nRequest: " + JSON.stringify(req));
+
+    withWakeUp(self, options, command, function (done) {
+        sendWithRetry(self, options, command, true, req, function (error, response, body) {
+            var err = apiError(command, error, response, body);
+
+            if (err) {
+                log(self, API_ERR_LEVEL, err.message);
+                return done(err, null);
+            }
+
+            log(self, API_BODY_LEVEL, "\nBody: " + JSON.stringify(body));
+            log(self, API_RESPONSE_LEVEL, "\nResponse: " + JSON.stringify(response));
+
+            try {
+                body = responseBody(self, body);
+            } catch (e) {
+                log(self, API_ERR_LEVEL, 'Error parsing GET call response');
+                return done(e, null);
+            }
+
+            err = checkResponse(self, options, command, section, body);
+
+            if (err) {
+                log(self, API_ERR_LEVEL, err.message);
+                return done(err, null);
+            }
+
+            if (cacheKey) {
+                cacheResponse(self.cache, cacheKey, section, body);
+            }
+
+            done(null, body);
+
+            log(self, API_RETURN_LEVEL, "\nGET request: " + command + " completed.");
+        });
+    }, callback);
+});
+
+/*
+ * Store a vehicle data response in the cache, a vehicle_data response fills every section it holds
+ */
+function cacheResponse(cache, vehicle, section, body) {
+    if (section != "vehicle_data") {
+        return cache.put(vehicle, section, body);
+    }
+
+    Object.keys(defaultCacheTTL).forEach(function (name) {
+        if (body && body[name]) {
+            cache.put(vehicle, name, body[name]);
+        }
+    });
+}
+
+/**
+ * Generic Async REST call for GET commands
+ * @function get_commandAsync
+ * @deprecated call get_command() without a callback
+ * @param {optionsType} options - options object
+ * @param {string} command - REST command
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.get_commandAsync = asyncAlias("get_command");
+
+/*
+ * Capability a vehicle command requires, or null if every vehicle supports it
+ */
+function requiredCapability(command, body) {
+    switch (command) {
+        case "command/sun_roof_control":
+            return "sunRoof";
+        case "command/trigger_homelink":
+            return "homelink";
+        case "command/window_control":
+            return "windows";
+        case "command/set_preconditioning_max":
+            return "maxDefrost";
+        case "command/remote_start_drive":
+            return "remoteStart";
+        case "command/navigation_request":
+            return "navigation";
+        case "command/set_sentry_mode":
+            return "sentryMode";
+        case "command/upcoming_calendar_entries":
+            return "calendar";
+        case "command/remote_seat_heater_request":
+            return (body && body.heater >= 2) ? "rearSeatHeaters" : null;
+        case "command/actuate_trunk":
+            return (body && body.which_trunk == "front") ? "frunk" : "trunk";
+        default:
+            return null;
+    }
+}
+
+/*
+ * Check a vehicle command against options.capabilities before it is sent
+ * @returns {UnsupportedCommandError} the error or null
+ */
+function preflight(options, command, body) {
+    var capabilities = options && options.capabilities;
+    var capability = requiredCapability(command, body);
+
+    if (!capabilities || !capability || capabilities[capability] !== false) {
+        return null;
+    }
+
+    return new UnsupportedCommandError(command + ": vehicle does not support " + capability, { command: command, capability: capability });
+}
+
+/**
+ * Generic REST call for POST commands.  The payload is sent as a JSON body, or as a
+ * GET query string when query commands are enabled.
+ * @function
+ * @param {optionsType} options - options object
+ * @param {string} command - REST command
+ * @param {object} body - JSON payload
+ * @param {nodeBack} callback - Node-style callback
+ */
+TeslaClient.prototype.post_command = promised(function post_command(options, command, body, callback) {
+    var self = this;
+    var method = self.queryCommands ? "GET" : "POST";
+
+    log(self, API_CALL_LEVEL, method + " call: " + command + " start.");
+
+    callback = callback || function (err, data) { /* do nothing! */ }
+
+    var err = preflight(options, command, body);
+
+    if (err) {
+        log(self, API_ERR_LEVEL, err.message);
+        return callback(err, null);
+    }
+
+    var cmd = {
+        method: method,
+        url: self.getCommandURI(options, command),
+        body: body || null
+    };
+
+    if (self.queryCommands) {
+        var query = new URLSearchParams(body || {}).toString();
+
+        if (query) {
+            cmd.url += '?' + query;
+        }
+
+        cmd.body = null;
+    }
+
+    log(self, API_REQUEST_LEVEL, "\nRequest: " + JSON.stringify(cmd));
+
+    withWakeUp(self, options, command, function (done) {
+        sendWithRetry(self, options, command, false, cmd, function (error, response, body) {
+            var err = apiError(command, error, response, body);
+
+            if (err) {
+                log(self, API_ERR_LEVEL, err.message);
+                return done(err, null);
+            }
+
+            log(self, API_BODY_LEVEL, "\nBody: " + JSON.stringify(body));
+            log(self, API_RESPONSE_LEVEL, "\nResponse: " + JSON.stringify(response));
+
+            try {
+                body = responseBody(self, body);
+
+                if (body && body.result === false) {
+                    err = commandError(command, response, body);
+                    log(self, API_ERR_LEVEL, err.message);
+                    return done(err, null);
+                }
+
+                done(null, body);
+            } catch (e) {
+                log(self, API_ERR_LEVEL, 'Error parsing ' + method + ' call response');
+                done(e, null);
+            }
+
+            log(self, API_RETURN_LEVEL, "\n" + method + " command: " + command + " completed.");
+        });
+    }, function (err, result) {
+        var cacheKey = (self.cache && options) ? vehicleKey(self, options) : null;
+
+        if (cacheKey) {
+            self.cache.invalidate(cacheKey, invalidatedSections(command));
+        }
+
+        callback(err, result);
+    });
+});
+
+/**
+ * Generic Async REST call for POST commands
+ * @function post_commandAsync
+ * @deprecated call post_command() without a callback
+ * @param {optionsType} options - options object
+ * @param {string} command - REST command
+ * @param {object} body - JSON payload
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.post_commandAsync = asyncAlias("post_command");
+
+/**
+ * GET all vehicle data in a single call
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} vehicle_data object
+ */
+TeslaClient.prototype.vehicleData = promised(function vehicleData(options, callback){
+    this.get_command(options, "vehicle_data", callback);
+});
+
+/**
+ * Async version to GET all vehicle data in a single call
+ * @function vehicleDataAsync
+ * @deprecated call vehicleData() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} vehicle_data object
+ */
+TeslaClient.prototype.vehicleDataAsync = asyncAlias("vehicleData");
+
+/**
+ * GET the vehicle config
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} vehicle_config object
+ */
+TeslaClient.prototype.vehicleConfig = promised(function vehicleConfig(options, callback) {
+    this.get_command(options, "data_request/vehicle_config", callback);
+});
+
+/**
+ * Async version to GET the vehicle config
+ * @function vehicleConfigAsync
+ * @deprecated call vehicleConfig() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} vehicle_config object
+ */
+TeslaClient.prototype.vehicleConfigAsync = asyncAlias("vehicleConfig");
+
+/**
+ * GET the vehicle state
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} vehicle_state object
+ */
+TeslaClient.prototype.vehicleState = promised(function vehicleState(options, callback) {
+    this.get_command(options, "data_request/vehicle_state", callback);
+});
+
+/**
+ * Async version to GET the vehicle state
+ * @function vehicleStateAsync
+ * @deprecated call vehicleState() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} vehicle_state object
+ */
+TeslaClient.prototype.vehicleStateAsync = asyncAlias("vehicleState");
+
+/**
+ * GET the climate state
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} climate_state object
+ */
+TeslaClient.prototype.climateState = promised(function climateState(options, callback) {
+    this.get_command(options, "data_request/climate_state", callback);
+});
+
+/**
+ * GET the climate state
+ * @function climateStateAsync
+ * @deprecated call climateState() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} climate_state object
+ */
+TeslaClient.prototype.climateStateAsync = asyncAlias("climateState");
+
+/**
+ * GET nearby charging sites
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} climate_state object
+ */
+TeslaClient.prototype.nearbyChargers = promised(function nearbyChargers(options, callback) {
+    this.get_command(options, "nearby_charging_sites", callback);
+});
+
+/**
+ * @function nearbyChargersAsync
+ * @deprecated call nearbyChargers() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} climate_state object
+ */
+TeslaClient.prototype.nearbyChargersAsync = asyncAlias("nearbyChargers");
+
+/**
+ * GET the drive state
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} drive_state object
+ */
+TeslaClient.prototype.driveState = promised(function driveState(options, callback) {
+    this.get_command(options, "data_request/drive_state", callback);
+});
+
+/**
+ * @function driveStateAsync
+ * @deprecated call driveState() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} drive_state object
+ */
+TeslaClient.prototype.driveStateAsync = asyncAlias("driveState");
+
+/**
+ * GET the charge state
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} charge_state object
+ */
+TeslaClient.prototype.chargeState = promised(function chargeState(options, callback) {
+    this.get_command(options, "data_request/charge_state", callback);
+});
+
+/**
+ * @function chargeStateAsync
+ * @deprecated call chargeState() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} charge_state object
+ */
+TeslaClient.prototype.chargeStateAsync = asyncAlias("chargeState");
+
+/**
  * GET the GUI settings
  * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} gui_settings object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} gui_settings object
+ */
+TeslaClient.prototype.guiSettings = promised(function guiSettings(options, callback) {
+    this.get_command(options, "data_request/gui_settings", callback);
+});
+
+/**
+ * @function guiSettingsAsync
+ * @deprecated call guiSettings() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} gui_settings object
+ */
+TeslaClient.prototype.guiSettingsAsync = asyncAlias("guiSettings");
+
+/**
+ * GET the mobile enabled status
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} mobile_enabled object
+ */
+TeslaClient.prototype.mobileEnabled = promised(function mobileEnabled(options, callback) {
+    this.get_command(options, "mobile_enabled", callback);
+});
+
+/**
+ * @function mobileEnabledAsync
+ * @deprecated call mobileEnabled() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} mobile_enabled object
+ */
+TeslaClient.prototype.mobileEnabledAsync = asyncAlias("mobileEnabled");
+
+/**
+ * Honk the horn
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} result
+ */
+TeslaClient.prototype.honkHorn = promised(function honk(options, callback) {
+    this.post_command(options, "command/honk_horn", null, callback);
+});
+
+/**
+ * @function honkHornAsync
+ * @deprecated call honkHorn() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.honkHornAsync = asyncAlias("honkHorn");
+
+/**
+ * Flash the lights
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} result
+ */
+TeslaClient.prototype.flashLights = promised(function flashLights(options, callback) {
+    this.post_command(options, "command/flash_lights", null, callback);
+});
+
+/**
+ * @function flashLightsAsync
+ * @deprecated call flashLights() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.flashLightsAsync = asyncAlias("flashLights");
+
+/**
+ * Start charging the car
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} result
+ */
+TeslaClient.prototype.startCharge = promised(function startCharge(options, callback) {
+    this.post_command(options, "command/charge_start", null, callback);
+});
+
+/**
+ * Start charging the car
+ * @function startChargeAsync
+ * @deprecated call startCharge() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.startChargeAsync = asyncAlias("startCharge");
+
+/**
+ * Stop charging the car
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} result
+ */
+TeslaClient.prototype.stopCharge = promised(function stopCharge(options, callback) {
+    this.post_command(options, "command/charge_stop", null, callback);
+});
+
+/**
+ * Stop charging the car
+ * @function stopChargeAsync
+ * @deprecated call stopCharge() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.stopChargeAsync = asyncAlias("stopCharge");
+
+/**
+ * Open the charge port, or releases the latch if the charge port is open, a cable is plugged in, and charging is stopped
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} result
+ */
+TeslaClient.prototype.openChargePort = promised(function openChargePort(options, callback) {
+    this.post_command(options, "command/charge_port_door_open", null, callback);
+});
+
+/**
+ * Open the charge port, or releases the latch if the charge port is open, a cable is plugged in, and charging is stopped
+ * @function openChargePortAsync
+ * @deprecated call openChargePort() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.openChargePortAsync = asyncAlias("openChargePort");
+
+/**
+ * Close the charge port for appropriately equipped vehicles
+ * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} result
+ */
+TeslaClient.prototype.closeChargePort = promised(function closeChargePort(options, callback) {
+    this.post_command(options, "command/charge_port_door_close", null, callback);
+});
+
+/**
+ * Close the charge port for appropriately equipped vehicles
+ * @function closeChargePortAsync
+ * @deprecated call closeChargePort() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.closeChargePortAsync = asyncAlias("closeChargePort");
+
+/**
+ * Schedule a firmware update
+ * @function scheduleSoftwareUpdate
+ * @param {optionsType} options - options object
+ * @param {number} offset - delay in ms before installation begins
+ * @returns {object} result
+*/
+TeslaClient.prototype.scheduleSoftwareUpdate = promised(function scheduleSoftwareUpdate(options, offset, callback) {
+    this.post_command(options, "command/schedule_software_update", { "offset_sec": offset }, callback);
+});
+
+/**
+ * Schedule a firmware update
+ * @function scheduleSoftwareUpdateAsync
+ * @deprecated call scheduleSoftwareUpdate() without a callback
+ * @param {optionsType} options - options object
+ * @param {number} offset - delay in ms before installation begins
+ * @returns {Promise} result
+*/
+TeslaClient.prototype.scheduleSoftwareUpdateAsync = asyncAlias("scheduleSoftwareUpdate");
+
+/**
+ * Cancel a scheduled software update
+ * @function cancelSoftwareUpdate
+ * @param {optionsType} options - options object
+ * @returns {object} result
+*/
+TeslaClient.prototype.cancelSoftwareUpdate = promised(function cancelSoftwareUpdate(options, callback) {
+    this.post_command(options, "command/cancel_software_update", null, callback);
+});
+
+/**
+ * Cancel a scheduled software update
+ * @function cancelSoftwareUpdateAsync
+ * @deprecated call cancelSoftwareUpdate() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} result
+*/
+TeslaClient.prototype.cancelSoftwareUpdateAsync = asyncAlias("cancelSoftwareUpdate");
+
+/**
+ * Send a navigation request to the car
+ * @function navigationRequest
+ * @param {optionsType} options - options object
+ * @param {string} subject - short-hand name for the destination
+ * @param {string} text - address details including things like name, address, map link
+ * @param {string} locale - the language locale, for example "en-US"
+ * @returns {object} result
+ */
+TeslaClient.prototype.navigationRequest = promised(function navigationRequest(options, subject, text, locale, callback) {
+    var req =
+    {
+        "type": "share_ext_content_raw",
+        "value": {
+            "android.intent.ACTION": "android.intent.action.SEND",
+            "android.intent.TYPE": "text\/plain",
+            "android.intent.extra.SUBJECT": subject,
+            "android.intent.extra.TEXT": text
+        },
+        "locale": locale,
+        "timestamp_ms": Date.now()
+    };
+
+    this.post_command(options, "command/navigation_request", req, callback);
+});
+
+/**
+ * Send a navigation request to the car
+ * @function navigationRequestAsync
+ * @deprecated call navigationRequest() without a callback
+ * @param {optionsType} options - options object
+ * @param {string} subject - short-hand name for the destination
+ * @param {string} text - address details including things like name, address, map link
+ * @param {string} locale - the language locale, for example "en-US"
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.navigationRequestAsync = asyncAlias("navigationRequest");
+
+/**
+ * Toggle media playback
+ * @function mediaTogglePlayback
+ * @param {optionsType} options - options object
+ * @returns {object} result
+ */
+TeslaClient.prototype.mediaTogglePlayback = promised(function mediaTogglePlayback(options, callback) {
+    this.post_command(options, "command/media_toggle_playback", null, callback);
+});
+
+/**
+ * Toggle media playback
+ * @function mediaTogglePlaybackAsync
+ * @deprecated call mediaTogglePlayback() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.mediaTogglePlaybackAsync = asyncAlias("mediaTogglePlayback");
+
+/**
+ * Media play next track
+ * @function mediaPlayNext
+ * @param {optionsType} options - options object
+ * @returns {object} result
+ */
+TeslaClient.prototype.mediaPlayNext = promised(function mediaPlayNext(options, callback) {
+    this.post_command(options, "command/media_next_track", null, callback);
+});
+
+/**
+ * Media play next track
+ * @function mediaPlayNextAsync
+ * @deprecated call mediaPlayNext() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} result
  */
-exports.guiSettings = function guiSettings(options, callback) {
-    get_command(options, "gui_settings", callback);
-}
+TeslaClient.prototype.mediaPlayNextAsync = asyncAlias("mediaPlayNext");
 
 /**
- * @function guiSettingsAsync
+ * Media play previous track
+ * @function mediaPlayPrevious
  * @param {optionsType} options - options object
- * @returns {Promise} gui_settings object
+ * @returns {object} result
  */
-exports.guiSettingsAsync = Promise.denodeify(exports.guiSettings);
+TeslaClient.prototype.mediaPlayPrevious = promised(function mediaPlayPrevious(options, callback) {
+    this.post_command(options, "command/media_prev_track", null, callback);
+});
 
 /**
- * GET the mobile enabled status
+ * Media play previous track
+ * @function mediaPlayPreviousAsync
+ * @deprecated call mediaPlayPrevious() without a callback
  * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} mobile_enabled object
+ * @returns {Promise} result
  */
-exports.mobileEnabled = function mobileEnabled(options, callback) {
-    get_command(options, "mobile_enabled", callback);
-}
+TeslaClient.prototype.mediaPlayPreviousAsync = asyncAlias("mediaPlayPrevious");
 
 /**
- * @function mobileEnabledAsync
+ * Media play next favorite
+ * @function mediaPlayNextFavorite
  * @param {optionsType} options - options object
- * @returns {Promise} mobile_enabled object
+ * @returns {object} result
  */
-exports.mobileEnabledAsync = Promise.denodeify(exports.mobileEnabled);
+TeslaClient.prototype.mediaPlayNextFavorite = promised(function mediaPlayNextFavorite(options, callback) {
+    this.post_command(options, "command/media_next_fav", null, callback);
+});
 
 /**
- * Honk the horn
+ * Media play next favorite
+ * @function mediaPlayNextFavoriteAsync
+ * @deprecated call mediaPlayNextFavorite() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.mediaPlayNextFavoriteAsync = asyncAlias("mediaPlayNextFavorite");
+
+/**
+ * Media play previous favorite
+ * @function mediaPlayPreviousFavorite
  * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.honkHorn = function honk(options, callback) {
-    post_command(options, "honk_horn", null, callback);
-}
+TeslaClient.prototype.mediaPlayPreviousFavorite = promised(function mediaPlayPreviousFavorite(options, callback) {
+    this.post_command(options, "command/media_prev_fav", null, callback);
+});
 
 /**
- * @function honkHornAsync
+ * Media play previous favorite
+ * @function mediaPlayPreviousFavoriteAsync
+ * @deprecated call mediaPlayPreviousFavorite() without a callback
  * @param {optionsType} options - options object
  * @returns {Promise} result
  */
-exports.honkHornAsync = Promise.denodeify(exports.honkHorn);
+TeslaClient.prototype.mediaPlayPreviousFavoriteAsync = asyncAlias("mediaPlayPreviousFavorite");
 
 /**
- * Flash the lights
+ * Media volume up
+ * @function mediaVolumeUp
+ * @param {optionsType} options - options object
+ * @returns {object} result
+ */
+TeslaClient.prototype.mediaVolumeUp = promised(function mediaVolumeUp(options, callback) {
+    this.post_command(options, "command/media_volume_up", null, callback);
+});
+
+/**
+ * Media volume up
+ * @function mediaVolumeUpAsync
+ * @deprecated call mediaVolumeUp() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.mediaVolumeUpAsync = asyncAlias("mediaVolumeUp");
+
+/**
+ * Media volume down
+ * @function mediaVolumeDown
+ * @param {optionsType} options - options object
+ * @returns {object} result
+ */
+TeslaClient.prototype.mediaVolumeDown = promised(function mediaVolumeDown(options, callback) {
+    this.post_command(options, "command/media_volume_down", null, callback);
+});
+
+/**
+ * Media volume down
+ * @function mediaVolumeDownAsync
+ * @deprecated call mediaVolumeDown() without a callback
+ * @param {optionsType} options - options object
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.mediaVolumeDownAsync = asyncAlias("mediaVolumeDown");
+
+/**
+ * Activate speed limitation
+ * @function speedLimitActivate
+ * @param {optionsType} options - options object
+ * @param {number} pin - Activation pin code. Not the same as valet pin
+ * @returns {object} result
+ */
+TeslaClient.prototype.speedLimitActivate = promised(function speedLimitActivate(options, pin, callback) {
+    this.post_command(options, "command/speed_limit_activate", { pin: pin }, callback);
+});
+
+/**
+ * Activate speed limitation
+ * @function speedLimitActivateAsync
+ * @deprecated call speedLimitActivate() without a callback
+ * @param {optionsType} options - options object
+ * @param {number} pin - Activation pin code. Not the same as valet pin
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.speedLimitActivateAsync = asyncAlias("speedLimitActivate");
+
+/**
+ * Deactivate speed limitation
+ * @function speedLimitDeactivate
+ * @param {optionsType} options - options object
+ * @param {number} pin - Activation pin code. Not the same as valet pin
+ * @returns {object} result
+ */
+TeslaClient.prototype.speedLimitDeactivate = promised(function speedLimitDeactivate(options, pin, callback) {
+    this.post_command(options, "command/speed_limit_deactivate", { pin: pin }, callback);
+});
+
+/**
+ * Deactivate speed limitation
+ * @function speedLimitDeactivateAsync
+ * @deprecated call speedLimitDeactivate() without a callback
+ * @param {optionsType} options - options object
+ * @param {number} pin - Activation pin code. Not the same as valet pin
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.speedLimitDeactivateAsync = asyncAlias("speedLimitDeactivate");
+
+/**
+ * Clear speed limitation pin
+ * @function speedLimitClearPin
+ * @param {optionsType} options - options object
+ * @param {number} pin - Activation pin code. Not the same as valet pin
+ * @returns {object} result
+ */
+TeslaClient.prototype.speedLimitClearPin = promised(function speedLimitClearPin(options, pin, callback) {
+    this.post_command(options, "command/speed_limit_clear_pin", { pin: pin }, callback);
+});
+
+/**
+ * Clear speed limitation pin
+ * @function speedLimitClearPinAsync
+ * @deprecated call speedLimitClearPin() without a callback
+ * @param {optionsType} options - options object
+ * @param {number} pin - Activation pin code. Not the same as valet pin
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.speedLimitClearPinAsync = asyncAlias("speedLimitClearPin");
+
+/**
+ * Set speed limit
+ * @function speedLimitSetLimit
+ * @param {optionsType} options - options object
+ * @param {number|unitValueType} limit - Speed limit in mph, or tagged with its unit
+ * @returns {object} result
+ */
+TeslaClient.prototype.speedLimitSetLimit = promised(function speedLimitSetLimit(options, limit, callback) {
+    try {
+        limit = units.normalize(limit, "mph");
+    } catch (e) {
+        return callback(e, null);
+    }
+
+    this.post_command(options, "command/speed_limit_set_limit", { limit_mph: limit }, callback);
+});
+
+/**
+ * Set speed limit
+ * @function speedLimitSetLimitAsync
+ * @deprecated call speedLimitSetLimit() without a callback
+ * @param {optionsType} options - options object
+ * @param {number|unitValueType} limit - Speed limit in mph, or tagged with its unit
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.speedLimitSetLimitAsync = asyncAlias("speedLimitSetLimit");
+
+/**
+ * Enable or disable sentry mode
+ * @function setSentryMode
+ * @param {optionsType} options - options object
+ * @param {boolean} onoff - true to turn on sentry mode, false to turn off
+ * @returns {object} result
+ */
+TeslaClient.prototype.setSentryMode = promised(function setSentryMode(options, onoff, callback) {
+	this.post_command(options, "command/set_sentry_mode", { on: onoff }, callback);
+});
+
+/**
+ * Enable or disable sentry mode
+ * @function setSentryModeAsync
+ * @deprecated call setSentryMode() without a callback
+ * @param {boolean} onoff - true to turn on sentry mode, false to turn off
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.setSentryModeAsync = asyncAlias("setSentryMode");
+
+/**
+ * Remote seat heater
+ * @function seatHeater
+ * @param {optionsType} options - options object
+ * @param {number} heater - Which heater to adjust (0-5)
+ * @param {number} level - Level for the heater (0-3)
+ * @returns {object} result
+ */
+TeslaClient.prototype.seatHeater = promised(function seatHeater(options, heater, level, callback) {
+    this.post_command(options, "command/remote_seat_heater_request", { "heater": heater, "level": level }, callback);
+});
+
+/**
+ * Remote seat heater
+ * @function seatHeaterAsync
+ * @deprecated call seatHeater() without a callback
+ * @param {optionsType} options - options object
+ * @param {number} heater - Which heater to adjust (0-5)
+ * @param {number} level - Level for the heater (0-3)
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.seatHeaterAsync = asyncAlias("seatHeater");
+
+/**
+ * Remote steering heater
+ * @function steeringHeater
+ * @param {optionsType} options - options object
+ * @param {number} level - Level for the heater (0-3)
+ * @returns {object} result
+ */
+TeslaClient.prototype.steeringHeater = promised(function steeringHeater(options, level, callback) {
+    this.post_command(options, "command/remote_steering_wheel_heater_request", { "on": level }, callback);
+});
+
+/**
+ * Remote steering heater
+ * @function seatHeaterAsync
+ * @deprecated call seatHeater() without a callback
+ * @param {optionsType} options - options object
+ * @param {number} level - Level for the heater (0-3)
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.steeringHeaterAsync = asyncAlias("steeringHeater");
+
+/**
+ * Max Defrost
+ * @function maxDefrost
+ * @param {optionsType} options - options object
+ * @param {boolean} onoff - true for on, false for off
+ * @returns {object} result
+ */
+TeslaClient.prototype.maxDefrost = promised(function steeringHeater(options, onoff, callback) {
+    this.post_command(options, "command/set_preconditioning_max", { "on": onoff }, callback);
+});
+
+/**
+ * Remote steering heater
+ * @function maxDefrostAsync
+ * @deprecated call maxDefrost() without a callback
+ * @param {optionsType} options - options object
+ * @param {boolean} onoff - true for on, false for off
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.maxDefrostAsync = asyncAlias("maxDefrost");
+
+/**
+ * Window control
+ * @function windowControl
+ * @param {optionsType} options - options object
+ * @param {string} command - Allowable values are 'vent' and 'close'
+ * @returns {object} result
+ */
+TeslaClient.prototype.windowControl = promised(function windowControl(options, command, callback) {
+    this.post_command(options, "command/window_control", { "command": command, "lat":0, "lon":0 }, callback);
+});
+
+/**
+ * Window control
+ * @function windowControlAsync
+ * @deprecated call windowControl() without a callback
+ * @param {optionsType} options - options object
+ * @param {string} command - Allowable values are 'vent' and 'close'
+ * @returns {Promise} result
+ */
+TeslaClient.prototype.windowControlAsync = asyncAlias("windowControl");
+
+//=====================
+// Charge limit constants
+//=====================
+/**
+ * @global
+ * @default
+ */
+exports.CHARGE_STORAGE  = 50;
+/**
+ * @global
+ * @default
+ */
+exports.CHARGE_DAILY    = 70;
+/**
+ * @global
+ * @default
+ */
+exports.CHARGE_STANDARD = 90;
+/**
+ * @global
+ * @default
+ */
+exports.CHARGE_RANGE    = 100;
+
+/**
+ * Set the charge limit.
+ * Note: charging to 100% frequently is NOT recommended for long-term battery health!
  * @param {optionsType} options - options object
+ * @param {int} amt - charge limit in percent
  * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.flashLights = function flashLights(options, callback) {
-    post_command(options, "flash_lights", null, callback);
-}
+TeslaClient.prototype.setChargeLimit = promised(function setChargeLimit(options, amt, callback) {
+    amt = clamp(amt, exports.CHARGE_STORAGE, exports.CHARGE_RANGE);
+    this.post_command(options, "command/set_charge_limit", { percent: amt }, callback);
+});
 
 /**
- * @function flashLightsAsync
+ * Set the charge limit async and return Promise.
+ * Note: charging to 100% frequently is NOT recommended for long-term battery health!
+ * @function setChargeLimitAsync
+ * @deprecated call setChargeLimit() without a callback
  * @param {optionsType} options - options object
+ * @param {int} amt - charge limit in percent
  * @returns {Promise} result
  */
-exports.flashLightsAsync = Promise.denodeify(exports.flashLights);
+TeslaClient.prototype.setChargeLimitAsync = asyncAlias("setChargeLimit");
 
 /**
- * Start charging the car
+ * Set the charge limit to (standard) 90%
  * @param {optionsType} options - options object
  * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.startCharge = function startCharge(options, callback) {
-    post_command(options, "charge_start", null, callback);
-}
+TeslaClient.prototype.chargeStandard = promised(function chargeStandard(options, callback) {
+    this.post_command(options, "command/charge_standard", null, callback);
+});
 
 /**
- * Start charging the car
- * @function startChargeAsync
+ * @function chargeStandardAsync
+ * @deprecated call chargeStandard() without a callback
  * @param {optionsType} options - options object
  * @returns {Promise} result
  */
-exports.startChargeAsync = Promise.denodeify(exports.startCharge);
+TeslaClient.prototype.chargeStandardAsync = asyncAlias("chargeStandard");
 
 /**
- * Stop charging the car
+ * Set charge limit to 100%
  * @param {optionsType} options - options object
  * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.stopCharge = function stopCharge(options, callback) {
-    post_command(options, "charge_stop", null, callback);
-}
+TeslaClient.prototype.chargeMaxRange = promised(function chargeMaxRange(options, callback) {
+    this.post_command(options, "command/charge_max_range", null, callback);
+});
 
 /**
- * Stop charging the car
- * @function stopChargeAsync
+ * @function chargeMaxRangeAsync
+ * @deprecated call chargeMaxRange() without a callback
  * @param {optionsType} options - options object
  * @returns {Promise} result
  */
-exports.stopChargeAsync = Promise.denodeify(exports.stopCharge);
+TeslaClient.prototype.chargeMaxRangeAsync = asyncAlias("chargeMaxRange");
 
 /**
- * Open the charge port, or releases the latch if the charge port is open, a cable is plugged in, and charging is stopped
+ * Lock the car doors
  * @param {optionsType} options - options object
  * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.openChargePort = function openChargePort(options, callback) {
-    post_command(options, "charge_port_door_open", null, callback);
-}
+TeslaClient.prototype.doorLock = promised(function doorLock(options, callback) {
+    this.post_command(options, "command/door_lock", null, callback);
+});
 
 /**
- * Open the charge port, or releases the latch if the charge port is open, a cable is plugged in, and charging is stopped
- * @function openChargePortAsync
+ * @function doorLockAsync
+ * @deprecated call doorLock() without a callback
  * @param {optionsType} options - options object
  * @returns {Promise} result
  */
-exports.openChargePortAsync = Promise.denodeify(exports.openChargePort);
+TeslaClient.prototype.doorLockAsync = asyncAlias("doorLock");
 
 /**
- * Close the charge port for appropriately equipped vehicles
+ * Unlock the car doors
  * @param {optionsType} options - options object
  * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.closeChargePort = function closeChargePort(options, callback) {
-    post_command(options, "charge_port_door_close", null, callback);
-}
+TeslaClient.prototype.doorUnlock = promised(function doorUnlock(options, callback) {
+    this.post_command(options, "command/door_unlock", null, callback);
+});
 
 /**
- * Close the charge port for appropriately equipped vehicles
- * @function closeChargePortAsync
+ * @function doorUnlockAsync
+ * @deprecated call doorUnlock() without a callback
  * @param {optionsType} options - options object
  * @returns {Promise} result
  */
-exports.closeChargePortAsync = Promise.denodeify(exports.closeChargePort);
+TeslaClient.prototype.doorUnlockAsync = asyncAlias("doorUnlock");
 
 /**
- * Schedule a firmware update
- * @function scheduleSoftwareUpdate
+ * Turn on HVAC system
  * @param {optionsType} options - options object
- * @param {number} offset - delay in ms before installation begins
+ * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
-*/
-exports.scheduleSoftwareUpdate = function scheduleSoftwareUpdate(options, offset, callback) {
-    post_command(options, "schedule_software_update", { "offset_sec": offset }, callback);
-}
+ */
+TeslaClient.prototype.climateStart = promised(function climateStart(options, callback) {
+    this.post_command(options, "command/auto_conditioning_start", null, callback);
+});
 
 /**
- * Schedule a firmware update
- * @function scheduleSoftwareUpdateAsync
+ * @function climateStartAsync
+ * @deprecated call climateStart() without a callback
  * @param {optionsType} options - options object
- * @param {number} offset - delay in ms before installation begins
  * @returns {Promise} result
-*/
-exports.scheduleSoftwareUpdateAsync = Promise.denodeify(exports.scheduleSoftwareUpdate);
+ */
+TeslaClient.prototype.climateStartAsync = asyncAlias("climateStart");
 
 /**
- * Cancel a scheduled software update
- * @function cancelSoftwareUpdate
+ * Turn off HVAC system
  * @param {optionsType} options - options object
+ * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
-*/
-exports.cancelSoftwareUpdate = function cancelSoftwareUpdate(options, callback) {
-    post_command(options, "cancel_software_update", null, callback);
-}
+ */
+TeslaClient.prototype.climateStop = promised(function climateStop(options, callback) {
+    this.post_command(options, "command/auto_conditioning_stop", null, callback);
+});
 
 /**
- * Cancel a scheduled software update
- * @function cancelSoftwareUpdateAsync
+ * @function climateStopAsync
+ * @deprecated call climateStop() without a callback
  * @param {optionsType} options - options object
  * @returns {Promise} result
-*/
-exports.cancelSoftwareUpdateAsync = Promise.denodeify(exports.cancelSoftwareUpdate);
+ */
+TeslaClient.prototype.climateStopAsync = asyncAlias("climateStop");
 
+//==================================
+// Set the sun roof to specific mode
+//==================================
 /**
- * Send a navigation request to the car
- * @function navigationRequest
- * @param {optionsType} options - options object
- * @param {string} subject - short-hand name for the destination
- * @param {string} text - address details including things like name, address, map link
- * @param {string} locale - the language locale, for example "en-US"
- * @returns {object} result
+ * @global
+ * @default
  */
-exports.navigationRequest = function navigationRequest(options, subject, text, locale, callback) {
-    var req =
-    {
-        "type": "share_ext_content_raw",
-        "value": {
-            "android.intent.ACTION": "android.intent.action.SEND",
-            "android.intent.TYPE": "text\/plain",
-            "android.intent.extra.SUBJECT": subject,
-            "android.intent.extra.TEXT": text
-        },
-        "locale": locale,
-        "timestamp_ms": Date.now()
-    };
-
-    post_command(options, "navigation_request", req, callback);
-}
-
+exports.SUNROOF_VENT = "vent";
 /**
- * Send a navigation request to the car
- * @function navigationRequestAsync
- * @param {optionsType} options - options object
- * @param {string} subject - short-hand name for the destination
- * @param {string} text - address details including things like name, address, map link
- * @param {string} locale - the language locale, for example "en-US"
- * @returns {Promise} result
+ * @global
+ * @default
  */
-exports.navigationRequestAsync = Promise.denodeify(exports.navigationRequest);
+exports.SUNROOF_CLOSED = "close";
 
 /**
- * Toggle media playback
- * @function mediaTogglePlayback
+ * Set sun roof mode
  * @param {optionsType} options - options object
+ * @param {string} state - one of "vent", "close"
+ * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.mediaTogglePlayback = function mediaTogglePlayback(options, callback) {
-    post_command(options, "media_toggle_playback", null, callback);
-}
+TeslaClient.prototype.sunRoofControl = promised(function sunRoofControl(options, state, callback) {
+    this.post_command(options, "command/sun_roof_control", { "state": state }, callback);
+});
 
 /**
- * Toggle media playback
- * @function mediaTogglePlaybackAsync
+ * @function sunRoofControlAsync
+ * @deprecated call sunRoofControl() without a callback
  * @param {optionsType} options - options object
+ * @param {string} state - one of "vent", "close"
  * @returns {Promise} result
  */
-exports.mediaTogglePlaybackAsync = Promise.denodeify(exports.mediaTogglePlayback);
+TeslaClient.prototype.sunRoofControlAsync = asyncAlias("sunRoofControl");
 
 /**
- * Media play next track
- * @function mediaPlayNext
+ * Set sun roof position
  * @param {optionsType} options - options object
+ * @param {int} percent - position in percent
+ * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.mediaPlayNext = function mediaPlayNext(options, callback) {
-    post_command(options, "media_next_track", null, callback);
-}
+TeslaClient.prototype.sunRoofMove = promised(function sunRoofMove(options, percent, callback) {
+    this.post_command(options, "command/sun_roof_control", { "state": "move", "percent": percent }, callback);
+});
 
 /**
- * Media play next track
- * @function mediaPlayNextAsync
+ * @function sunRoofMoveAsync
+ * @deprecated call sunRoofMove() without a callback
  * @param {optionsType} options - options object
+ * @param {int} percent - position in percent
  * @returns {Promise} result
  */
-exports.mediaPlayNextAsync = Promise.denodeify(exports.mediaPlayNext);
+TeslaClient.prototype.sunRoofMoveAsync = asyncAlias("sunRoofMove");
+
+//==============================================
+// Temperature Limits
+//==============================================
 
 /**
- * Media play previous track
- * @function mediaPlayPrevious
- * @param {optionsType} options - options object
- * @returns {object} result
+ * @global
+ * @default
  */
-exports.mediaPlayPrevious = function mediaPlayPrevious(options, callback) {
-    post_command(options, "media_prev_track", null, callback);
-}
-
+exports.MIN_TEMP = 15;    // 59 Deg.F
 /**
- * Media play previous track
- * @function mediaPlayPreviousAsync
- * @param {optionsType} options - options object
- * @returns {Promise} result
+ * @global
+ * @default
  */
-exports.mediaPlayPreviousAsync = Promise.denodeify(exports.mediaPlayPrevious);
+exports.MAX_TEMP = 28;    // 82.4 Deg.F
 
 /**
- * Media play next favorite
- * @function mediaPlayNextFavorite
+ * Set the driver/passenger climate temperatures
  * @param {optionsType} options - options object
+ * @param {number|unitValueType} driver - driver temp in Deg.C, or tagged with its unit
+ * @param {number|unitValueType} pass - passenger temp in Deg.C, or tagged with its unit
+ * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.mediaPlayNextFavorite = function mediaPlayNextFavorite(options, callback) {
-    post_command(options, "media_next_fav", null, callback);
-}
+TeslaClient.prototype.setTemps = promised(function setTemps(options, driver, pass, callback) {
+    if (!pass) {
+        pass = driver;
+    }
+
+    try {
+        driver = units.normalize(driver, "C");
+        pass = units.normalize(pass, "C");
+    } catch (e) {
+        return callback(e, null);
+    }
+
+    // ensure valid temp range
+    driver = clamp(driver, exports.MIN_TEMP, exports.MAX_TEMP);
+    pass = clamp(pass, exports.MIN_TEMP, exports.MAX_TEMP);
+
+    this.post_command(options, "command/set_temps", { driver_temp: driver, passenger_temp: pass }, callback);
+});
 
 /**
- * Media play next favorite
- * @function mediaPlayNextFavoriteAsync
+ * @function setTempsAsync
+ * @deprecated call setTemps() without a callback
  * @param {optionsType} options - options object
+ * @param {number|unitValueType} driver - driver temp in Deg.C, or tagged with its unit
+ * @param {number|unitValueType} pass - passenger temp in Deg.C, or tagged with its unit
  * @returns {Promise} result
  */
-exports.mediaPlayNextFavoriteAsync = Promise.denodeify(exports.mediaPlayNextFavorite);
+TeslaClient.prototype.setTempsAsync = asyncAlias("setTemps");
 
 /**
- * Media play previous favorite
- * @function mediaPlayPreviousFavorite
+ * Remote start the car
  * @param {optionsType} options - options object
+ * @param {string} password - Tesla.com password
+ * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.mediaPlayPreviousFavorite = function mediaPlayPreviousFavorite(options, callback) {
-    post_command(options, "media_prev_fav", null, callback);
-}
+TeslaClient.prototype.remoteStart = promised(function remoteStartDrive(options, password, callback) {
+    this.post_command(options, "command/remote_start_drive", { "password": password }, callback);
+});
 
 /**
- * Media play previous favorite
- * @function mediaPlayPreviousFavoriteAsync
+ * @function remoteStartAsync
+ * @deprecated call remoteStart() without a callback
  * @param {optionsType} options - options object
+ * @param {string} password - Tesla.com password
  * @returns {Promise} result
  */
-exports.mediaPlayPreviousFavoriteAsync = Promise.denodeify(exports.mediaPlayPreviousFavorite);
+TeslaClient.prototype.remoteStartAsync = asyncAlias("remoteStart");
+
+//=====================
+// Trunk/Frunk constants
+//=====================
 
 /**
- * Media volume up
- * @function mediaVolumeUp
- * @param {optionsType} options - options object
- * @returns {object} result
+ * @global
+ * @default
  */
-exports.mediaVolumeUp = function mediaVolumeUp(options, callback) {
-    post_command(options, "media_volume_up", null, callback);
-}
-
+exports.FRUNK = "front";
 /**
- * Media volume up
- * @function mediaVolumeUpAsync
- * @param {optionsType} options - options object
- * @returns {Promise} result
+ * @global
+ * @default
  */
-exports.mediaVolumeUpAsync = Promise.denodeify(exports.mediaVolumeUp);
+exports.TRUNK = "rear";
 
 /**
- * Media volume down
- * @function mediaVolumeDown
+ * Open the trunk/frunk
  * @param {optionsType} options - options object
+ * @param {string} which - FRUNK or TRUNK constant
+ * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.mediaVolumeDown = function mediaVolumeDown(options, callback) {
-    post_command(options, "media_volume_down", null, callback);
-}
+TeslaClient.prototype.openTrunk = promised(function openTrunk(options, which, callback) {
+    this.post_command(options, "command/actuate_trunk", { which_trunk: which }, callback);
+});
 
 /**
- * Media volume down
- * @function mediaVolumeDownAsync
+ * @function openTrunkAsync
+ * @deprecated call openTrunk() without a callback
  * @param {optionsType} options - options object
+ * @param {string} which - one of "trunk", "frunk"
  * @returns {Promise} result
  */
-exports.mediaVolumeDownAsync = Promise.denodeify(exports.mediaVolumeDown);
+TeslaClient.prototype.openTrunkAsync = asyncAlias("openTrunk");
 
 /**
- * Activate speed limitation
- * @function speedLimitActivate
+ * Wake up a car that is sleeping
  * @param {optionsType} options - options object
- * @param {number} pin - Activation pin code. Not the same as valet pin
+ * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.speedLimitActivate = function speedLimitActivate(options, pin, callback) {
-    post_command(options, "speed_limit_activate", { pin: pin }, callback);
-}
+TeslaClient.prototype.wakeUp = promised(function wakeUp(options, callback) {
+    this.post_command(options, "wake_up", null, callback);
+});
 
 /**
- * Activate speed limitation
- * @function speedLimitActivateAsync
+ * @function wakeUpAsync
+ * @deprecated call wakeUp() without a callback
  * @param {optionsType} options - options object
- * @param {number} pin - Activation pin code. Not the same as valet pin
  * @returns {Promise} result
  */
-exports.speedLimitActivateAsync = Promise.denodeify(exports.speedLimitActivate);
+TeslaClient.prototype.wakeUpAsync = asyncAlias("wakeUp");
 
 /**
- * Deactivate speed limitation
- * @function speedLimitDeactivate
+ * Wake up a car that is sleeping and wait until it is online
  * @param {optionsType} options - options object
- * @param {number} pin - Activation pin code. Not the same as valet pin
- * @returns {object} result
+ * @param {wakeOptionsType} [wake] - poll interval, maximum wait and cancellation token
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} vehicle summary once online
  */
-exports.speedLimitDeactivate = function speedLimitDeactivate(options, pin, callback) {
-    post_command(options, "speed_limit_deactivate", { pin: pin }, callback);
-}
+TeslaClient.prototype.wakeUpAndWait = promised(function wakeUpAndWait(options, wake, callback) {
+    var self = this;
+
+    log(self, API_CALL_LEVEL, "TeslaJS.wakeUpAndWait()");
+
+    if (typeof wake === "function") {
+        callback = wake;
+        wake = null;
+    }
+
+    callback = callback || function (err, vehicle) { /* do nothing! */ }
+    wake = wake || {};
+
+    var interval = wake.interval || 5000;
+    var timeout = wake.timeout || 60000;
+    var signal = wake.signal || (options && options.signal);
+    var deadline = Date.now() + timeout;
+    var timer = null;
+    var finished = false;
+
+    function finish(err, vehicle) {
+        if (finished) {
+            return;
+        }
+
+        finished = true;
+        clearTimeout(timer);
+
+        if (signal && signal.removeEventListener) {
+            signal.removeEventListener('abort', cancel);
+        }
+
+        callback(err, vehicle);
+
+        log(self, API_RETURN_LEVEL, "TeslaJS.wakeUpAndWait() completed.");
+    }
+
+    function cancel() {
+        finish(new CancelledError("wake_up: cancelled", { command: "wake_up" }), null);
+    }
+
+    function check(err, vehicle) {
+        if (finished) {
+            return;
+        }
+
+        if (err && !(err instanceof VehicleAsleepError)) {
+            return finish(err, null);
+        }
+
+        if (vehicle && vehicle.state == "online") {
+            return finish(null, vehicle);
+        }
+
+        if (Date.now() + interval > deadline) {
+            return finish(new VehicleAsleepError("wake_up: vehicle did not wake within " + timeout + " ms", { command: "wake_up", status: 408 }), null);
+        }
+
+        timer = setTimeout(function () {
+            if (signal && signal.aborted) {
+                return cancel();
+            }
+
+            vehicleSummary(self, options, check);
+        }, interval);
+    }
+
+    if (signal && signal.aborted) {
+        return cancel();
+    }
+
+    if (signal && signal.addEventListener) {
+        signal.addEventListener('abort', cancel);
+    }
+
+    self.wakeUp(options, check);
+});
 
 /**
- * Deactivate speed limitation
- * @function speedLimitDeactivateAsync
- * @param {optionsType} options - options object
- * @param {number} pin - Activation pin code. Not the same as valet pin
- * @returns {Promise} result
+ * Async call to wake up a car that is sleeping and wait until it is online
+ * @function wakeUpAndWaitAsync
+ * @deprecated call wakeUpAndWait() without a callback
+ * @param {optionsType} options - options object
+ * @param {wakeOptionsType} [wake] - poll interval, maximum wait and cancellation token
+ * @returns {Promise} vehicle summary once online
  */
-exports.speedLimitDeactivateAsync = Promise.denodeify(exports.speedLimitDeactivate);
+TeslaClient.prototype.wakeUpAndWaitAsync = asyncAlias("wakeUpAndWait");
 
 /**
- * Clear speed limitation pin
- * @function speedLimitClearPin
+ * Turn valet mode on/off
  * @param {optionsType} options - options object
- * @param {number} pin - Activation pin code. Not the same as valet pin
+ * @param {boolean} onoff - true for on, false for off
+ * @param {int} pin - pin code
+ * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.speedLimitClearPin = function speedLimitClearPin(options, pin, callback) {
-    post_command(options, "speed_limit_clear_pin", { pin: pin }, callback);
-}
+TeslaClient.prototype.setValetMode = promised(function setValetMode(options, onoff, pin, callback) {
+    this.post_command(options, "command/set_valet_mode", { on : onoff, password : pin }, callback);
+});
 
 /**
- * Clear speed limitation pin
- * @function speedLimitClearPinAsync
+ * @function setValetModeAsync
+ * @deprecated call setValetMode() without a callback
  * @param {optionsType} options - options object
- * @param {number} pin - Activation pin code. Not the same as valet pin
+ * @param {boolean} onoff - true for on, false for off
+ * @param {int} pin - pin code
  * @returns {Promise} result
  */
-exports.speedLimitClearPinAsync = Promise.denodeify(exports.speedLimitClearPin);
+TeslaClient.prototype.setValetModeAsync = asyncAlias("setValetMode");
 
 /**
- * Set speed limit
- * @function speedLimitSetLimit
+ * Reset the valet pin
  * @param {optionsType} options - options object
- * @param {number} limit - Speed limit in mph
+ * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.speedLimitSetLimit = function speedLimitSetLimit(options, limit, callback) {
-    post_command(options, "speed_limit_set_limit", { limit_mph: limit }, callback);
-}
+TeslaClient.prototype.resetValetPin = promised(function resetValetPin(options, callback) {
+    this.post_command(options, "command/reset_valet_pin", null, callback);
+});
 
 /**
- * Set speed limit
- * @function speedLimitSetLimitAsync
+ * @function resetValetPinAsync
+ * @deprecated call resetValetPin() without a callback
  * @param {optionsType} options - options object
- * @param {number} limit - Speed limit in mph
  * @returns {Promise} result
  */
-exports.speedLimitSetLimitAsync = Promise.denodeify(exports.speedLimitSetLimit);
+TeslaClient.prototype.resetValetPinAsync = asyncAlias("resetValetPin");
 
 /**
- * Enable or disable sentry mode
- * @function setSentryMode
+ * Set a calendar entry
  * @param {optionsType} options - options object
- * @param {boolean} onoff - true to turn on sentry mode, false to turn off
+ * @param {object} entry - calendar entry object
+ * @param {nodeBack} callback - Node-style callback
  * @returns {object} result
  */
-exports.setSentryMode = function setSentryMode(options, onoff, callback) {
-	post_command(options, "set_sentry_mode", { on: onoff }, callback);
-}
+TeslaClient.prototype.calendar = promised(function calendar(options, entry, callback) {
+    this.post_command(options, "command/upcoming_calendar_entries", entry, callback);
+});
 
 /**
- * Enable or disable sentry mode
- * @function setSentryModeAsync
- * @param {boolean} onoff - true to turn on sentry mode, false to turn off
+ * @function calendarAsync
+ * @deprecated call calendar() without a callback
+ * @param {optionsType} options - options object
+ * @param {object} entry - calendar entry object
  * @returns {Promise} result
  */
-exports.setSentryModeAsync = Promise.denodeify(exports.setSentryMode);
+TeslaClient.prototype.calendarAsync = asyncAlias("calendar");
 
 /**
- * Remote seat heater
- * @function seatHeater
- * @param {optionsType} options - options object
- * @param {number} heater - Which heater to adjust (0-5)
- * @param {number} level - Level for the heater (0-3)
+ * Create a calendar entry
+ * @param {string} eventName - name of the event
+ * @param {string} location - location of the event
+ * @param {number} startTime - Javascript timestamp for start of event
+ * @param {number} endTime - Javascript timestamp for end of event
+ * @param {string} accountName - name of the calendar account
+ * @param {string} phoneName - phone bluetooth name
  * @returns {object} result
  */
-exports.seatHeater = function seatHeater(options, heater, level, callback) {
-    post_command(options, "remote_seat_heater_request", { "heater": heater, "level": level }, callback);
+TeslaClient.prototype.makeCalendarEntry = function makeCalendarEntry(eventName, location, startTime, endTime, accountName, phoneName) {
+    var entry = {
+        "calendar_data": {
+            "access_disabled": false,
+            "calendars": [
+                {
+                    "color": "ff9a9cff",
+                    "events": [
+                        {
+                            "allday": false,
+                            "color": "ff9a9cff",
+                            "end": endTime || new Date().getTime(),
+                            "start": startTime || new Date().getTime(),
+                            "cancelled": false,
+                            "tentative": false,
+                            "location": location || "",
+                            "name": eventName || "Event name",
+                            "organizer": ""
+                        }
+                    ],
+                    "name": accountName || ""    // calendar account name?
+                }
+            ],
+            "phone_name": phoneName,    // Bluetooth name of phone
+            "uuid": "333239059961778"   // any random value OK?
+        }
+    };
+
+    return entry;
 }
 
 /**
- * Remote seat heater
- * @function seatHeaterAsync
+ * Trigger homelink
  * @param {optionsType} options - options object
- * @param {number} heater - Which heater to adjust (0-5)
- * @param {number} level - Level for the heater (0-3)
- * @returns {Promise} result
+ * @param {number} lat - vehicle GPS latitude
+ * @param {number} long - vehicle GPS longitude
+ * @param {string} string - one of the tokens from vehicle JSON
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {object} result
  */
-exports.seatHeaterAsync = Promise.denodeify(exports.seatHeater);
+TeslaClient.prototype.homelink = promised(function homelink(options, lat, long, token, callback) {
+    this.post_command(options, "command/trigger_homelink", { lat: lat, long: long, token: token } , callback);
+});
 
 /**
- * Remote steering heater
- * @function steeringHeater
+ * @function homelinkAsync
+ * @deprecated call homelink() without a callback
  * @param {optionsType} options - options object
- * @param {number} level - Level for the heater (0-3)
- * @returns {object} result
+ * @param {number} lat - vehicle GPS latitude
+ * @param {number} long - vehicle GPS longitude
+ * @param {string} string - one of the tokens from vehicle JSON
+ * @returns {Promise} result
  */
-exports.steeringHeater = function steeringHeater(options, level, callback) {
-    post_command(options, "remote_steering_wheel_heater_request", { "on": level }, callback);
+TeslaClient.prototype.homelinkAsync = asyncAlias("homelink");
+
+/*
+//
+// [Alpha impl] Not yet supported
+//
+TeslaClient.prototype.frontDefrostOn = function frontDefrostOn(options, callback) {
+    this.post_command(options, "command/front_defrost_on", null, callback);
+}
+
+//
+// [Alpha impl] Not yet supported
+//
+TeslaClient.prototype.frontDefrostOff = function frontDefrostOff(options, callback) {
+    this.post_command(options, "command/front_defrost_off", null, callback);
+}
+
+//
+// [Alpha impl] Not yet supported
+//
+TeslaClient.prototype.rearDefrostOn = function rearDefrostOn(options, callback) {
+    this.post_command(options, "command/rear_defrost_on", null, callback);
+}
+
+//
+// [Alpha impl] Not yet supported
+//
+TeslaClient.prototype.rearDefrostOff = function rearDefrostOff(options, callback) {
+    this.post_command(options, "command/rear_defrost_off", null, callback);
+}
+*/
+
+//
+// [Alpha impl] Auto Park
+//
+/*
+TeslaClient.prototype.autoParkForward = function autoParkForward(options, lat, long, callback) {
+    this.autoPark(options, lat, long, "start_forward", callback);
+}
+
+TeslaClient.prototype.autoParkBackward = function autoParkBackward(options, lat, long, callback) {
+    this.autoPark(options, lat, long, "start_reverse", callback);
+}
+
+TeslaClient.prototype.autoPark = function autoPark(options, lat, long, action, callback) {
+    this.post_command(options, "command/autopark_request", { lat: lat, long: long, action: action}, callback);
 }
+*/
+
+//=======================
+// Fleet
+//=======================
 
 /**
- * Remote steering heater
- * @function seatHeaterAsync
- * @param {optionsType} options - options object
- * @param {number} level - Level for the heater (0-3)
- * @returns {Promise} result
+ * Outcome of a fleet call for one vehicle
+ * @typedef fleetResultType
+ * @type {object}
+ * @property {object} vehicle - the vehicle
+ * @property {?Error} error - the error of the call, null if it succeeded
+ * @property {*} result - the result of the call, null if it failed
  */
-exports.steeringHeaterAsync = Promise.denodeify(exports.steeringHeater);
 
 /**
- * Max Defrost
- * @function maxDefrost
- * @param {optionsType} options - options object
- * @param {boolean} onoff - true for on, false for off
- * @returns {object} result
+ * The vehicles of an account, sharing the same options such as the authToken.
+ * Vehicles are resolved by index, VIN, short VIN, `id_s` or display name, and
+ * calls can be fanned out to every vehicle.
+ * @class
+ * @param {object[]} vehicles - vehicles as returned by vehicles()
+ * @param {optionsType} [options] - options shared by every vehicle
+ * @param {TeslaClient} [client] - client making the calls, defaults to the module-level client
  */
-exports.maxDefrost = function steeringHeater(options, onoff, callback) {
-    post_command(options, "set_preconditioning_max", { "on": onoff }, callback);
+function Fleet(vehicles, options, client) {
+    this.vehicles = vehicles || [];
+    this.options = options || {};
+    this.client = client || defaultClient;
 }
+exports.Fleet = Fleet;
 
 /**
- * Remote steering heater
- * @function maxDefrostAsync
- * @param {optionsType} options - options object
- * @param {boolean} onoff - true for on, false for off
- * @returns {Promise} result
+ * Find a vehicle of the fleet
+ * @param {int|string} key - index, VIN, short VIN, id_s or display name, names are not case sensitive
+ * @return {?object} the vehicle, null if none matches
  */
-exports.maxDefrostAsync = Promise.denodeify(exports.maxDefrost);
+Fleet.prototype.find = function find(key) {
+    if (typeof key === "number") {
+        return this.vehicles[key] || null;
+    }
 
-/**
- * Window control
- * @function windowControl
- * @param {optionsType} options - options object
- * @param {string} command - Allowable values are 'vent' and 'close'
- * @returns {object} result
- */
-exports.windowControl = function windowControl(options, command, callback) {
-    post_command(options, "window_control", { "command": command, "lat":0, "lon":0 }, callback);
+    var client = this.client;
+    var name = String(key).toLowerCase();
+
+    return this.vehicles.filter(function (vehicle) {
+        var vin = (vehicle.vin || "").toLowerCase();
+
+        return (vin && (vin == name || client.getShortVin({ vin: vin }) == name)) ||
+            String(vehicle.id_s) == key ||
+            String(vehicle.display_name || "").toLowerCase() == name;
+    })[0] || null;
 }
 
 /**
- * Window control
- * @function windowControlAsync
- * @param {optionsType} options - options object
- * @param {string} command - Allowable values are 'vent' and 'close'
- * @returns {Promise} result
+ * Return the options addressing a vehicle of the fleet
+ * @param {int|string|object} key - vehicle or find() key
+ * @return {optionsType} the fleet options with the vehicleID of the vehicle
  */
-exports.windowControlAsync = Promise.denodeify(exports.windowControl);
+Fleet.prototype.optionsFor = function optionsFor(key) {
+    var vehicle = (key !== null && typeof key === "object") ? key : this.find(key);
+
+    if (!vehicle) {
+        throw new Error("No vehicle matches " + key);
+    }
+
+    var result = {};
+
+    Object.keys(this.options).forEach(function (name) {
+        result[name] = this.options[name];
+    }, this);
+
+    result.vehicleID = vehicle.id_s || String(vehicle.id);
+    result.vehicle_id = vehicle.vehicle_id;
+    result.tokens = vehicle.tokens;
+    result.carIndex = this.vehicles.indexOf(vehicle);
+
+    return result;
+}
 
-//=====================
-// Charge limit constants
-//=====================
 /**
- * @global
- * @default
+ * Call a function for every vehicle of the fleet and collect the outcomes.  The
+ * function receives the options of each vehicle and a node-style callback, it may
+ * instead return a Promise.  A failure is recorded for its vehicle and does not
+ * stop the other calls.
+ * @example
+ * fleet.map(tjs.vehicleData, { concurrency: 5 }).then(function (results) { ... });
+ * @param {function|string} fn - function, or name of a client method, such as vehicleData
+ * @param {object} [mapOptions] - {concurrency}, at most 5 calls run at once by default
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {fleetResultType[]} the outcome for each vehicle in fleet order
  */
-exports.CHARGE_STORAGE  = 50;
+Fleet.prototype.map = function map(fn, mapOptions, callback) {
+    var self = this;
+
+    if (typeof mapOptions === "function") {
+        callback = mapOptions;
+        mapOptions = null;
+    }
+
+    // fn is itself a function, so promised() cannot tell it from a callback
+    if (!callback) {
+        return new Promise(function (resolve, reject) {
+            self.map(fn, mapOptions, function (err, results) {
+                if (err) {
+                    return reject(err);
+                }
+
+                resolve(results);
+            });
+        });
+    }
+
+    var method = (typeof fn === "string") ? self.client[fn] : fn;
+    var concurrency = (mapOptions && mapOptions.concurrency) || 5;
+    var results = [];
+    var next = 0;
+    var running = 0;
+    var finished = 0;
+
+    if (typeof method !== "function") {
+        return callback(new Error("Fleet.map() needs a function, not " + fn), null);
+    }
+
+    if (!self.vehicles.length) {
+        return process.nextTick(function () {
+            callback(null, results);
+        });
+    }
+
+    function run(index) {
+        var vehicle = self.vehicles[index];
+        var settled = false;
+        var pending;
+
+        function done(err, result) {
+            if (settled) {
+                return;
+            }
+
+            settled = true;
+            running--;
+            finished++;
+            results[index] = { vehicle: vehicle, error: err || null, result: err ? null : result };
+
+            if (finished == self.vehicles.length) {
+                return callback(null, results);
+            }
+
+            start();
+        }
+
+        running++;
+
+        try {
+            pending = method.call(self.client, self.optionsFor(vehicle), done);
+        } catch (e) {
+            return done(e);
+        }
+
+        if (pending && typeof pending.then === "function") {
+            pending.then(function (result) {
+                done(null, result);
+            }, function (err) {
+                done(err || new Error("rejected"));
+            });
+        }
+    }
+
+    function start() {
+        while (running < concurrency && next < self.vehicles.length) {
+            run(next++);
+        }
+    }
+
+    start();
+};
+
 /**
- * @global
- * @default
+ * Return the fleet of vehicles on the account
+ * @function fleet
+ * @param {optionsType} options - options shared by every vehicle, such as authToken
+ * @param {nodeBack} callback - Node-style callback
+ * @returns {Fleet} the fleet
  */
-exports.CHARGE_DAILY    = 70;
+TeslaClient.prototype.fleet = promised(function fleet(options, callback) {
+    var self = this;
+
+    self.vehicles(options, function (err, vehicles) {
+        if (err) {
+            return callback(err, null);
+        }
+
+        callback(null, new Fleet(vehicles, options, self));
+    });
+});
+
+//=================================
+// Available streaming data options
+//=================================
 /**
  * @global
  * @default
  */
-exports.CHARGE_STANDARD = 90;
+exports.streamingColumns = ['elevation', 'est_heading', 'est_lat', 'est_lng', 'est_range', 'heading', 'odometer', 'power', 'range', 'shift_state', 'speed', 'soc'];
+
 /**
- * @global
- * @default
+ * Start streaming car data.  The stream runs until the server closes it, its
+ * `timeoutMs` elapses, or it is stopped with `abort()` on the returned handle or
+ * through `options.signal`, which pass a CancelledError to the callback.  When
+ * `options.protocol` is "ws" the stream runs over a WebSocket and onDataCb receives
+ * the value of each `data:update` message as a line.
+ * @param {object} options - {username, password, vehicle_id, values[], tls, timeoutMs, signal, protocol, authToken}, see streamingOptionsType
+ * @param {nodeBack} callback - Node-style callback
+ * @param {nodeBack} onDataCb - Node-style callback
+ * @returns {EventEmitter} stream handle, call `abort()` to stop streaming
  */
-exports.CHARGE_RANGE    = 100;
+TeslaClient.prototype.startStreaming = function startStreaming(options, callback, onDataCb) {
+    var self = this;
+
+    log(self, API_CALL_LEVEL, "TeslaJS.startStreaming()");
+
+    callback = callback || function (error, response, body) { /* do nothing! */ }
+    onDataCb = onDataCb || function (data) { /* do nothing! */ }
+
+    options.values = options.values || exports.streamingColumns;
+
+    var stream = openStream(self, options, options.values, callback);
+
+    stream.on('data', function (data) {
+        onDataCb(data.toString());
+    });
+
+    return stream;
+}
+
+/*
+ * Open a streaming connection over HTTP, or over a WebSocket when options.protocol is "ws"
+ * @param {TeslaClient} client - client making the connection
+ * @param {object} options - streaming options
+ * @param {string[]} values - columns to stream
+ * @param {transportBack} callback - called when the connection closes
+ * @returns {EventEmitter} handle emitting the streamed lines as `data`
+ */
+function openStream(client, options, values, callback) {
+    var ws = (options.protocol == "ws");
+    var req = {
+        method: 'GET',
+        url: ws ? client.streamingWebSocketURI : client.streamingBaseURI + "/" + options.vehicle_id + '/?values=' + values.join(','),
+        tls: options.tls,
+        timeout: options.timeoutMs || 0,
+        signal: options.signal,
+        stream: true
+    };
+
+    if (!ws) {
+        req.auth = {
+            username: options.username,
+            password: options.password,
+        };
+    } else if (options.authToken) {
+        req.body = { msg_type: "data:subscribe_oauth", token: options.authToken, value: values.join(','), tag: String(options.vehicle_id) };
+    } else {
+        req.body = { msg_type: "data:subscribe", token: Buffer.from(options.username + ":" + options.password).toString('base64'), value: values.join(','), tag: String(options.vehicle_id) };
+    }
+
+    log(client, API_REQUEST_LEVEL, "\nRequest: " + JSON.stringify(req));
+
+    return send(client, req, callback, ws ? webSocketStream : null);
+}
 
-/**
- * Set the charge limit.
- * Note: charging to 100% frequently is NOT recommended for long-term battery health!
- * @param {optionsType} options - options object
- * @param {int} amt - charge limit in percent
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
+/*
+ * Parse a line of streamed CSV into {timestamp, column: value, ...}, or null if it does not
+ * match the columns.  Empty values are null and shift_state is the only text column.
  */
-exports.setChargeLimit = function setChargeLimit(options, amt, callback) {
-    amt = clamp(amt, exports.CHARGE_STORAGE, exports.CHARGE_RANGE);
-    post_command(options, "set_charge_limit", { percent: amt }, callback);
+function parseStreamingLine(columns, line) {
+    var values = line.split(",");
+
+    if (values.length != columns.length + 1 || !/^\d+$/.test(values[0])) {
+        return null;
+    }
+
+    var result = { timestamp: parseInt(values[0], 10) };
+
+    columns.forEach(function (column, index) {
+        var value = values[index + 1];
+
+        if (value === "") {
+            result[column] = null;
+        } else {
+            result[column] = (column == "shift_state") ? value : Number(value);
+        }
+    });
+
+    return result;
 }
 
 /**
- * Set the charge limit async and return Promise.
- * Note: charging to 100% frequently is NOT recommended for long-term battery health!
- * @function setChargeLimitAsync
- * @param {optionsType} options - options object
- * @param {int} amt - charge limit in percent
- * @returns {Promise} result
+ * Streaming reconnection parameter
+ * @typedef reconnectType
+ * @type {object}
+ * @property {int} [maxAttempts=10] - reconnections in a row without data before the session ends with an error
+ * @property {number} [baseDelay=1000] - milliseconds before the first reconnection, doubled for each further one
+ * @property {number} [maxDelay=30000] - upper bound of the delay between reconnections
+ * @property {number} [jitter=0.5] - fraction of each delay which is randomized
  */
-exports.setChargeLimitAsync = Promise.denodeify(exports.setChargeLimit);
 
 /**
- * Set the charge limit to (standard) 90%
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
- */
-exports.chargeStandard = function chargeStandard(options, callback) {
-    post_command(options, "charge_standard", null, callback);
+ * Streaming session parameter
+ * @typedef streamingOptionsType
+ * @type {object}
+ * @property {string} username - Tesla.com username
+ * @property {string} password - one of the vehicle `tokens`
+ * @property {string} vehicle_id - the `vehicle_id` of the vehicle
+ * @property {string[]} [values] - columns to stream, defaults to streamingColumns
+ * @property {tlsType} [tls] - client certificate
+ * @property {number} [timeoutMs] - milliseconds after which a connection is dropped and reconnected
+ * @property {AbortSignal} [signal] - aborting it stops the session
+ * @property {boolean|reconnectType} [reconnect=true] - reconnect when the connection closes or fails, false to end the session instead
+ * @property {string} [protocol=http] - "ws" to stream over a WebSocket with `data:subscribe` messages
+ * @property {string} [authToken] - OAuth token, subscribes with `data:subscribe_oauth` instead of the username and password over a WebSocket
+ */
+
+var defaultReconnect = {
+    maxAttempts: 10,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    jitter: 0.5
+};
+
+/**
+ * A streaming connection which is reopened when the server closes it after its idle
+ * timeout or the connection fails.  Each CSV line is emitted as a `data` event holding
+ * an object keyed by `timestamp` and the streamed columns, however the lines are split
+ * across network chunks.  A `reconnect` event {attempt, delay, error} announces each
+ * reconnection, an `error` event reports a failure which ends the session, such as a
+ * rejected password, and `end` is emitted once when the session is over.
+ * @class
+ * @param {streamingOptionsType} options - streaming options
+ * @param {TeslaClient} [client] - client making the connections, defaults to the module-level client
+ */
+function StreamingSession(options, client) {
+    EventEmitter.call(this);
+
+    var reconnect = (options.reconnect === undefined) ? true : options.reconnect;
+
+    this.options = options;
+    this.client = client || defaultClient;
+    this.columns = options.values || exports.streamingColumns;
+    this.reconnect = null;
+    this.attempt = 0;
+    this.handle = null;
+    this.timer = null;
+    this.stopped = false;
+    this.paused = false;
+    this.ended = false;
+    this.onAbort = null;
+
+    if (reconnect) {
+        this.reconnect = {};
+
+        Object.keys(defaultReconnect).forEach(function (key) {
+            this.reconnect[key] = (reconnect[key] !== undefined) ? reconnect[key] : defaultReconnect[key];
+        }, this);
+    }
 }
+util.inherits(StreamingSession, EventEmitter);
+exports.StreamingSession = StreamingSession;
 
 /**
- * @function chargeStandardAsync
- * @param {optionsType} options - options object
- * @returns {Promise} result
+ * Open the stream
+ * @return {StreamingSession} the session
  */
-exports.chargeStandardAsync = Promise.denodeify(exports.chargeStandard);
+StreamingSession.prototype.start = function start() {
+    var session = this;
+    var signal = session.options.signal;
 
-/**
- * Set charge limit to 100%
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
- */
-exports.chargeMaxRange = function chargeMaxRange(options, callback) {
-    post_command(options, "charge_max_range", null, callback);
+    if (signal && signal.addEventListener && !session.onAbort) {
+        session.onAbort = function onAbort() {
+            session.stop();
+        };
+
+        signal.addEventListener('abort', session.onAbort, { once: true });
+    }
+
+    connectSession(session);
+
+    return session;
 }
 
 /**
- * @function chargeMaxRangeAsync
- * @param {optionsType} options - options object
- * @returns {Promise} result
+ * Close the stream, `end` follows
  */
-exports.chargeMaxRangeAsync = Promise.denodeify(exports.chargeMaxRange);
+StreamingSession.prototype.stop = function stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    releaseSignal(this);
 
-/**
- * Lock the car doors
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
- */
-exports.doorLock = function doorLock(options, callback) {
-    post_command(options, "door_lock", null, callback);
+    if (this.handle) {
+        return this.handle.abort();
+    }
+
+    endSession(this);
 }
 
 /**
- * @function doorLockAsync
- * @param {optionsType} options - options object
- * @returns {Promise} result
+ * Hold back the streamed data until resume() is called, the connection is not read meanwhile
  */
-exports.doorLockAsync = Promise.denodeify(exports.doorLock);
+StreamingSession.prototype.pause = function pause() {
+    this.paused = true;
 
-/**
- * Unlock the car doors
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
- */
-exports.doorUnlock = function doorUnlock(options, callback) {
-    post_command(options, "door_unlock", null, callback);
+    if (this.handle && this.handle.pause) {
+        this.handle.pause();
+    }
 }
 
 /**
- * @function doorUnlockAsync
- * @param {optionsType} options - options object
- * @returns {Promise} result
+ * Read the streamed data again after pause()
  */
-exports.doorUnlockAsync = Promise.denodeify(exports.doorUnlock);
+StreamingSession.prototype.resume = function resume() {
+    this.paused = false;
 
-/**
- * Turn on HVAC system
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
+    if (this.handle && this.handle.resume) {
+        this.handle.resume();
+    }
+}
+
+/*
+ * Stop listening to the AbortSignal of a session
  */
-exports.climateStart = function climateStart(options, callback) {
-    post_command(options, "auto_conditioning_start", null, callback);
+function releaseSignal(session) {
+    var signal = session.options.signal;
+
+    if (session.onAbort && signal.removeEventListener) {
+        signal.removeEventListener('abort', session.onAbort);
+    }
+
+    session.onAbort = null;
 }
 
-/**
- * @function climateStartAsync
- * @param {optionsType} options - options object
- * @returns {Promise} result
+/*
+ * Emit `end` once
  */
-exports.climateStartAsync = Promise.denodeify(exports.climateStart);
+function endSession(session) {
+    if (session.ended) {
+        return;
+    }
 
-/**
- * Turn off HVAC system
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
+    session.ended = true;
+    releaseSignal(session);
+    session.emit('end');
+}
+
+/*
+ * Open a streaming connection, emitting each complete line and reconnecting when it closes
  */
-exports.climateStop = function climateStop(options, callback) {
-    post_command(options, "auto_conditioning_stop", null, callback);
+function connectSession(session) {
+    var client = session.client;
+    var buffer = "";
+    var received = false;
+
+    function emitLine(line) {
+        if (!line) {
+            return;
+        }
+
+        var data = parseStreamingLine(session.columns, line);
+
+        if (!data) {
+            return log(client, API_ERR_LEVEL, "Unexpected streaming line: " + line);
+        }
+
+        session.emit('data', data);
+    }
+
+    var handle = openStream(client, session.options, session.columns, function (error, response, body) {
+        var policy = session.reconnect;
+        var err = apiError("stream", error, response, body);
+
+        session.handle = null;
+
+        // a final line without its newline is complete once the connection ends normally
+        if (!err) {
+            emitLine(buffer);
+        }
+
+        if (received) {
+            session.attempt = 0;
+        }
+
+        if (session.stopped || err instanceof CancelledError) {
+            return endSession(session);
+        }
+
+        if (policy && !err && session.attempt >= policy.maxAttempts) {
+            err = new TeslaApiError("stream: no data after " + session.attempt + " reconnections", { command: "stream" });
+        }
+
+        if (err instanceof AuthError || !policy || session.attempt >= policy.maxAttempts) {
+            if (err) {
+                log(client, API_ERR_LEVEL, err.message);
+                session.emit('error', err);
+            }
+
+            return endSession(session);
+        }
+
+        session.attempt++;
+
+        var delay = retryDelay(policy, session.attempt, err);
+
+        log(client, API_CALL_LEVEL, "Stream closed" + (err ? " (" + err.message + ")" : "") + ", reconnecting in " + Math.round(delay) + " ms");
+        session.emit('reconnect', { attempt: session.attempt, delay: delay, error: err });
+
+        session.timer = setTimeout(connectSession, delay, session);
+    });
+
+    session.handle = handle;
+
+    if (session.paused && handle.pause) {
+        handle.pause();
+    }
+
+    handle.on('data', function (chunk) {
+        var lines = (buffer + chunk.toString()).split(/\r?\n/);
+
+        received = true;
+        buffer = lines.pop();
+        lines.forEach(emitLine);
+    });
 }
 
 /**
- * @function climateStopAsync
- * @param {optionsType} options - options object
- * @returns {Promise} result
+ * Start a streaming session which parses the streamed lines and reconnects, see StreamingSession
+ * @param {streamingOptionsType} options - streaming options
+ * @returns {StreamingSession} the started session
  */
-exports.climateStopAsync = Promise.denodeify(exports.climateStop);
+TeslaClient.prototype.startStreamingSession = function startStreamingSession(options) {
+    log(this, API_CALL_LEVEL, "TeslaJS.startStreamingSession()");
 
-//==================================
-// Set the sun roof to specific mode
-//==================================
-/**
- * @global
- * @default
+    return new StreamingSession(options, this).start();
+}
+
+/*
+ * Async iterator over the samples of a streaming session.  Samples wait in a buffer until
+ * they are read, and the session is paused while the buffer holds highWaterMark samples.
  */
-exports.SUNROOF_VENT = "vent";
-/**
- * @global
- * @default
+function SampleIterator(session, highWaterMark) {
+    var self = this;
+
+    this.session = session;
+    this.highWaterMark = highWaterMark;
+    this.samples = [];
+    this.waiting = [];
+    this.error = null;
+    this.done = false;
+
+    session.on('data', function (data) {
+        data.timestamp = new Date(data.timestamp);
+        self.samples.push(data);
+
+        if (self.samples.length >= self.highWaterMark) {
+            session.pause();
+        }
+
+        settleReads(self);
+    });
+
+    session.on('error', function (err) {
+        self.error = err;
+    });
+
+    session.on('end', function () {
+        self.done = true;
+        settleReads(self);
+    });
+}
+
+SampleIterator.prototype.next = function next() {
+    var self = this;
+
+    return new Promise(function (resolve, reject) {
+        self.waiting.push({ resolve: resolve, reject: reject });
+        settleReads(self);
+    });
+}
+
+SampleIterator.prototype["return"] = function () {
+    this.session.stop();
+
+    return Promise.resolve({ value: undefined, done: true });
+}
+
+SampleIterator.prototype[Symbol.asyncIterator] = function () {
+    return this;
+}
+
+/*
+ * Answer the pending reads from the buffered samples, then with the end or error of the session
  */
-exports.SUNROOF_CLOSED = "close";
+function settleReads(iterator) {
+    while (iterator.waiting.length && iterator.samples.length) {
+        iterator.waiting.shift().resolve({ value: iterator.samples.shift(), done: false });
+    }
+
+    if (iterator.session.paused && iterator.samples.length < iterator.highWaterMark && !iterator.done) {
+        iterator.session.resume();
+    }
+
+    while (iterator.done && iterator.waiting.length) {
+        var read = iterator.waiting.shift();
+
+        if (iterator.error) {
+            read.reject(iterator.error);
+            iterator.error = null;
+        } else {
+            read.resolve({ value: undefined, done: true });
+        }
+    }
+}
 
 /**
- * Set sun roof mode
- * @param {optionsType} options - options object
- * @param {string} state - one of "vent", "close"
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
+ * Stream parsed samples as an async iterator.  Each sample holds a Date `timestamp` and
+ * the numeric streamed columns, and samples are only read from the connection as fast as
+ * the loop consumes them.  Breaking out of the loop closes the connection.
+ * @example
+ * for await (const sample of tjs.stream(options, { columns: ["speed", "soc"] })) {
+ *     console.log(sample.timestamp, sample.speed);
+ * }
+ * @param {streamingOptionsType} options - streaming options
+ * @param {object} [streamOptions] - {columns, highWaterMark}, the streamed columns default to streamingColumns and at most 100 samples are buffered
+ * @returns {AsyncIterator} the samples, a failure of the session rejects the next read
  */
-exports.sunRoofControl = function sunRoofControl(options, state, callback) {
-    post_command(options, "sun_roof_control", { "state": state }, callback);
+TeslaClient.prototype.stream = function stream(options, streamOptions) {
+    var sessionOptions = {};
+
+    streamOptions = streamOptions || {};
+
+    Object.keys(options).forEach(function (name) {
+        sessionOptions[name] = options[name];
+    });
+
+    sessionOptions.values = streamOptions.columns || options.values || exports.streamingColumns;
+
+    return new SampleIterator(this.startStreamingSession(sessionOptions), streamOptions.highWaterMark || 100);
 }
 
-/**
- * @function sunRoofControlAsync
- * @param {optionsType} options - options object
- * @param {string} state - one of "vent", "close"
- * @returns {Promise} result
+//=======================
+// Trip detection
+//=======================
+
+/*
+ * Shift states in which the vehicle is being driven
  */
-exports.sunRoofControlAsync = Promise.denodeify(exports.sunRoofControl);
+var drivingShiftStates = ["D", "R", "N"];
 
-/**
- * Set sun roof position
- * @param {optionsType} options - options object
- * @param {int} percent - position in percent
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
+/*
+ * First argument which is neither null nor undefined, null if there is none
  */
-exports.sunRoofMove = function sunRoofMove(options, percent, callback) {
-    post_command(options, "sun_roof_control", { "state": "move", "percent": percent }, callback);
+function firstValue() {
+    for (var i = 0; i < arguments.length; i++) {
+        if (arguments[i] !== null && arguments[i] !== undefined) {
+            return arguments[i];
+        }
+    }
+
+    return null;
 }
 
-/**
- * @function sunRoofMoveAsync
- * @param {optionsType} options - options object
- * @param {int} percent - position in percent
- * @returns {Promise} result
+/*
+ * Reduce a streamed sample, a driveState() response or a vehicleData() response to
+ * {timestamp, shift_state, speed, odometer, soc, range, latitude, longitude}
+ */
+function tripPoint(sample) {
+    var drive = sample.drive_state || sample;
+    var charge = sample.charge_state || sample;
+    var state = sample.vehicle_state || sample;
+    var gpsTime = drive.gps_as_of ? drive.gps_as_of * 1000 : null;
+
+    return {
+        timestamp: new Date(firstValue(sample.timestamp, drive.timestamp, gpsTime, Date.now())).getTime(),
+        shift_state: drive.shift_state || null,
+        speed: firstValue(drive.speed, 0),
+        odometer: firstValue(sample.odometer, state.odometer),
+        soc: firstValue(sample.soc, charge.battery_level),
+        range: firstValue(sample.range, charge.battery_range),
+        latitude: firstValue(sample.est_lat, drive.latitude),
+        longitude: firstValue(sample.est_lng, drive.longitude)
+    };
+}
+
+/*
+ * Time, location, odometer, SOC and range at the start or the end of a trip.  Values missing
+ * from the edge point are taken from the nearest point which has them.
  */
-exports.sunRoofMoveAsync = Promise.denodeify(exports.sunRoofMove);
+function tripEdge(points, fromEnd) {
+    var ordered = fromEnd ? points.slice().reverse() : points;
+    var edge = { time: new Date(ordered[0].timestamp) };
 
-//==============================================
-// Temperature Limits
-//==============================================
+    ["latitude", "longitude", "odometer", "soc", "range"].forEach(function (name) {
+        edge[name] = firstValue.apply(null, ordered.map(function (point) {
+            return point[name];
+        }));
+    });
 
-/**
- * @global
- * @default
+    return edge;
+}
+
+/*
+ * Difference between two values, null if either is missing
  */
-exports.MIN_TEMP = 15;    // 59 Deg.F
+function tripDelta(from, to) {
+    return (from === null || to === null) ? null : to - from;
+}
+
+/*
+ * Summary of the points of a finished trip
+ */
+function summarizeTrip(points) {
+    var start = tripEdge(points, false);
+    var end = tripEdge(points, true);
+    var duration = end.time - start.time;
+    var distance = tripDelta(start.odometer, end.odometer);
+    var soc = tripDelta(end.soc, start.soc);
+    var range = tripDelta(end.range, start.range);
+    var speeds = points.map(function (point) {
+        return point.speed;
+    });
+    var averageSpeed;
+
+    if (distance !== null && duration > 0) {
+        averageSpeed = distance / (duration / 3600000);
+    } else {
+        averageSpeed = speeds.reduce(function (sum, speed) {
+            return sum + speed;
+        }, 0) / speeds.length;
+    }
+
+    return {
+        start: start,
+        end: end,
+        duration: duration,
+        distance: distance,
+        energy: { soc: soc, range: range },
+        maxSpeed: Math.max.apply(null, speeds),
+        averageSpeed: averageSpeed,
+        path: points.map(function (point) {
+            return {
+                time: new Date(point.timestamp),
+                latitude: point.latitude,
+                longitude: point.longitude,
+                speed: point.speed,
+                shift_state: point.shift_state
+            };
+        })
+    };
+}
+
 /**
- * @global
- * @default
- */
-exports.MAX_TEMP = 28;    // 82.4 Deg.F
+ * Finished trip reported by a TripDetector.  Distances, speeds and ranges are in the
+ * miles of the Tesla API.
+ * @typedef tripType
+ * @type {object}
+ * @property {object} start - {time, latitude, longitude, odometer, soc, range} when the trip started
+ * @property {object} end - {time, latitude, longitude, odometer, soc, range} when the trip ended
+ * @property {number} duration - milliseconds from start to end
+ * @property {?number} distance - odometer delta, null without odometer readings
+ * @property {object} energy - {soc, range} percent of charge and miles of rated range used
+ * @property {number} maxSpeed - highest speed sampled
+ * @property {number} averageSpeed - distance over duration, or the mean sampled speed without odometer readings
+ * @property {object[]} path - {time, latitude, longitude, speed, shift_state} of every sample of the trip
+ */
+
+/**
+ * Split samples into trips.  Samples may be streamed data, such as the `data` events of
+ * a StreamingSession or the samples of stream(), or driveState() and vehicleData()
+ * responses.  A trip starts once the vehicle has speed, or covers distance in gear, from
+ * the sample where it was shifted into gear, and ends when it is shifted out of gear, when it has stood still for
+ * `idleTimeout` milliseconds, or when no sample arrives for `idleTimeout` milliseconds,
+ * measured by the sample timestamps or by a timer while samples stop arriving.
+ * Emits `tripStart` with the start of a trip and `tripEnd` with the finished trip.
+ * @class
+ * @param {object} [options] - {idleTimeout}, defaults to 5 minutes
+ */
+function TripDetector(options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    this.idleTimeout = (options.idleTimeout !== undefined) ? options.idleTimeout : 300000;
+    this.points = null;
+    this.stoppedAt = -1;
+    this.shifted = null;
+    this.last = null;
+    this.timer = null;
+}
+util.inherits(TripDetector, EventEmitter);
+exports.TripDetector = TripDetector;
 
 /**
- * Set the driver/passenger climate temperatures
- * @param {optionsType} options - options object
- * @param {number} driver - driver temp in Deg.C
- * @param {number} pass - passenger temp in Deg.C
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
+ * Consume a sample
+ * @param {object} sample - streamed sample, driveState() or vehicleData() response
+ * @return {TripDetector} the detector
  */
-exports.setTemps = function setTemps(options, driver, pass, callback) {
-    if (!pass) {
-        pass = driver;
+TripDetector.prototype.push = function push(sample) {
+    var point = tripPoint(sample);
+    var inGear = drivingShiftStates.indexOf(point.shift_state) >= 0;
+    var last = this.last;
+
+    // samples stopped arriving, the trip ended with the last one and the distance logged
+    // across the gap is no movement of this sample
+    if (this.points && point.timestamp - last.timestamp > this.idleTimeout) {
+        this.finish();
+        last = null;
+    }
+
+    this.last = point;
+
+    if (!this.points) {
+        // remember the shift into gear, unless the vehicle has stood in gear for idleTimeout
+        if (!inGear) {
+            this.shifted = null;
+        } else if (!this.shifted || point.timestamp - this.shifted.timestamp >= this.idleTimeout) {
+            this.shifted = point;
+        }
+
+        // a trip starts once the vehicle has speed, or covers distance in gear
+        if (point.speed > 0 || (inGear && last && tripDelta(last.odometer, point.odometer) > 0)) {
+            this.points = (this.shifted && this.shifted !== point) ? [this.shifted, point] : [point];
+            this.stoppedAt = (point.speed > 0) ? -1 : this.points.length - 1;
+            this.shifted = null;
+            this.emit('tripStart', tripEdge(this.points, false));
+            armIdleTimer(this);
+        }
+
+        return this;
+    }
+
+    this.points.push(point);
+
+    if (point.speed > 0) {
+        this.stoppedAt = -1;
+        armIdleTimer(this);
+        return this;
     }
 
-    // ensure valid temp range
-    driver = clamp(driver, exports.MIN_TEMP, exports.MAX_TEMP);
-    pass = clamp(pass, exports.MIN_TEMP, exports.MAX_TEMP);
+    // the vehicle stopped with this sample
+    if (last.speed > 0) {
+        this.stoppedAt = this.points.length - 1;
+    }
+
+    if (drivingShiftStates.indexOf(last.shift_state) >= 0 && !inGear) {
+        this.finish();
+    } else if (point.timestamp - this.points[this.stoppedAt].timestamp >= this.idleTimeout) {
+        endAtStop(this);
+    } else {
+        armIdleTimer(this);
+    }
 
-    post_command(options, "set_temps", { driver_temp: driver, passenger_temp: pass }, callback);
+    return this;
 }
 
-/**
- * @function setTempsAsync
- * @param {optionsType} options - options object
- * @param {number} driver - driver temp in Deg.C
- * @param {number} pass - passenger temp in Deg.C
- * @returns {Promise} result
+/*
+ * End the trip where the vehicle stopped, or with the last sample if it did not stop
  */
-exports.setTempsAsync = Promise.denodeify(exports.setTemps);
+function endAtStop(detector) {
+    if (detector.stoppedAt >= 0) {
+        detector.points.length = detector.stoppedAt + 1;
+    }
 
-/**
- * Remote start the car
- * @param {optionsType} options - options object
- * @param {string} password - Tesla.com password
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
- */
-exports.remoteStart = function remoteStartDrive(options, password, callback) {
-    post_command(options, "remote_start_drive", { "password": password }, callback);
+    detector.finish();
 }
 
-/**
- * @function remoteStartAsync
- * @param {optionsType} options - options object
- * @param {string} password - Tesla.com password
- * @returns {Promise} result
+/*
+ * End the trip in progress if no sample arrives for idleTimeout milliseconds, without
+ * keeping the process alive
  */
-exports.remoteStartAsync = Promise.denodeify(exports.remoteStart);
-
-//=====================
-// Trunk/Frunk constants
-//=====================
+function armIdleTimer(detector) {
+    clearTimeout(detector.timer);
 
-/**
- * @global
- * @default
- */
-exports.FRUNK = "front";
-/**
- * @global
- * @default
- */
-exports.TRUNK = "rear";
+    detector.timer = setTimeout(function () {
+        detector.last = null;
+        endAtStop(detector);
+    }, detector.idleTimeout);
 
-/**
- * Open the trunk/frunk
- * @param {optionsType} options - options object
- * @param {string} which - FRUNK or TRUNK constant
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
- */
-exports.openTrunk = function openTrunk(options, which, callback) {
-    post_command(options, "actuate_trunk", { which_trunk: which }, callback);
+    detector.timer.unref();
 }
 
 /**
- * @function openTrunkAsync
- * @param {optionsType} options - options object
- * @param {string} which - one of "trunk", "frunk"
- * @returns {Promise} result
+ * End the trip in progress, such as when the stream ends
+ * @return {?tripType} the finished trip, null if no trip was in progress
  */
-exports.openTrunkAsync = Promise.denodeify(exports.openTrunk);
+TripDetector.prototype.finish = function finish() {
+    var points = this.points;
 
-/**
- * Wake up a car that is sleeping
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
- */
-exports.wakeUp = function wakeUp(options, callback) {
-    post_command(options, "wake_up", null, callback);
+    if (!points) {
+        return null;
+    }
+
+    clearTimeout(this.timer);
+    this.points = null;
+    this.stoppedAt = -1;
+
+    var trip = summarizeTrip(points);
+
+    this.emit('tripEnd', trip);
+
+    return trip;
 }
 
-/**
- * @function wakeUpAsync
- * @param {optionsType} options - options object
- * @returns {Promise} result
+//=======================
+// Charging sessions
+//=======================
+
+/*
+ * Charging states in which energy is being added
  */
-exports.wakeUpAsync = Promise.denodeify(exports.wakeUp);
+var chargingStates = ["Starting", "Charging"];
 
-/**
- * Turn valet mode on/off
- * @param {optionsType} options - options object
- * @param {boolean} onoff - true for on, false for off
- * @param {int} pin - pin code
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
+/*
+ * Columns of ChargeSessionTracker.toCSV() and the session values they hold
+ */
+var chargeSessionColumns = {
+    start_time: function (session) { return session.start.time.toISOString(); },
+    end_time: function (session) { return session.end.time.toISOString(); },
+    duration: function (session) { return session.duration; },
+    start_soc: function (session) { return session.start.soc; },
+    end_soc: function (session) { return session.end.soc; },
+    energy_added: function (session) { return session.energyAdded; },
+    peak_power: function (session) { return session.peakPower; },
+    average_power: function (session) { return session.averagePower; },
+    fast_charger_type: function (session) { return session.charger.fast_charger_type; },
+    conn_charge_cable: function (session) { return session.charger.conn_charge_cable; },
+    latitude: function (session) { return session.location && session.location.latitude; },
+    longitude: function (session) { return session.location && session.location.longitude; },
+    end_state: function (session) { return session.endState; }
+};
+
+/*
+ * Quote a CSV field if it holds a separator, a quote or a line break, null is an empty field
  */
-exports.setValetMode = function setValetMode(options, onoff, pin, callback) {
-    post_command(options, "set_valet_mode", { on : onoff, password : pin }, callback);
+function csvField(value) {
+    var text = (value === null || value === undefined) ? "" : String(value);
+
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
 }
 
-/**
- * @function setValetModeAsync
- * @param {optionsType} options - options object
- * @param {boolean} onoff - true for on, false for off
- * @param {int} pin - pin code
- * @returns {Promise} result
- */
-exports.setValetModeAsync = Promise.denodeify(exports.setValetMode);
+/*
+ * Reduce a chargeState() or vehicleData() response to the values a charging session is built from
+ */
+function chargePoint(snapshot) {
+    var charge = snapshot.charge_state || snapshot;
+
+    return {
+        timestamp: new Date(firstValue(charge.timestamp, snapshot.timestamp, Date.now())).getTime(),
+        charging_state: charge.charging_state || null,
+        battery_level: firstValue(charge.battery_level),
+        battery_range: firstValue(charge.battery_range),
+        charge_energy_added: firstValue(charge.charge_energy_added, 0),
+        charger_power: firstValue(charge.charger_power),
+        fast_charger_type: firstValue(charge.fast_charger_type),
+        conn_charge_cable: firstValue(charge.conn_charge_cable)
+    };
+}
 
-/**
- * Reset the valet pin
- * @param {optionsType} options - options object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
+/*
+ * Location of a driveState() response, null if it has none
  */
-exports.resetValetPin = function resetValetPin(options, callback) {
-    post_command(options, "reset_valet_pin", null, callback);
+function chargeLocation(drive) {
+    if (!drive || drive.latitude === null || drive.latitude === undefined) {
+        return null;
+    }
+
+    return { latitude: drive.latitude, longitude: drive.longitude };
 }
 
-/**
- * @function resetValetPinAsync
- * @param {optionsType} options - options object
- * @returns {Promise} result
- */
-exports.resetValetPinAsync = Promise.denodeify(exports.resetValetPin);
+/*
+ * Summary of a finished charging session.  The vehicle counts charge_energy_added from
+ * the time it is plugged in, so the energy added is measured from the count at which
+ * charging (re)started.
+ */
+function summarizeCharge(current) {
+    var points = current.points;
+    var first = points[0];
+    var last = points[points.length - 1];
+    var powers = points.filter(function (point) {
+        return chargingStates.indexOf(point.charging_state) >= 0 && point.charger_power !== null;
+    }).map(function (point) {
+        return point.charger_power;
+    });
+    var added = Math.max.apply(null, points.map(function (point) {
+        return point.charge_energy_added;
+    }));
+
+    function pick(name) {
+        return firstValue.apply(null, points.map(function (point) {
+            return point[name];
+        }));
+    }
 
-/**
- * Set a calendar entry
- * @param {optionsType} options - options object
- * @param {object} entry - calendar entry object
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
- */
-exports.calendar = function calendar(options, entry, callback) {
-    post_command(options, "upcoming_calendar_entries", entry, callback);
+    return {
+        start: { time: new Date(first.timestamp), soc: first.battery_level, range: first.battery_range },
+        end: { time: new Date(last.timestamp), soc: last.battery_level, range: last.battery_range },
+        duration: last.timestamp - first.timestamp,
+        energyAdded: Math.max(0, added - current.baseline),
+        peakPower: powers.length ? Math.max.apply(null, powers) : null,
+        averagePower: powers.length ? powers.reduce(function (sum, power) {
+            return sum + power;
+        }, 0) / powers.length : null,
+        charger: { fast_charger_type: pick("fast_charger_type"), conn_charge_cable: pick("conn_charge_cable") },
+        location: current.location,
+        endState: last.charging_state
+    };
 }
 
 /**
- * @function calendarAsync
- * @param {optionsType} options - options object
- * @param {object} entry - calendar entry object
- * @returns {Promise} result
- */
-exports.calendarAsync = Promise.denodeify(exports.calendar);
+ * Finished charging session reported by a ChargeSessionTracker
+ * @typedef chargeSessionType
+ * @type {object}
+ * @property {object} start - {time, soc, range} when charging started
+ * @property {object} end - {time, soc, range} when charging stopped
+ * @property {number} duration - milliseconds from start to end
+ * @property {number} energyAdded - kWh added
+ * @property {?number} peakPower - highest sampled charger_power in kW
+ * @property {?number} averagePower - mean sampled charger_power in kW
+ * @property {object} charger - {fast_charger_type, conn_charge_cable}
+ * @property {?object} location - {latitude, longitude} of the vehicle, null if unknown
+ * @property {string} endState - charging_state which ended the session, such as "Complete" or "Disconnected"
+ */
+
+/**
+ * Stitch chargeState() snapshots into charging sessions.  Snapshots are either pushed,
+ * or polled every `interval` milliseconds once start() is called.  A session starts
+ * when charging_state becomes "Starting" or "Charging" and ends when it changes to
+ * anything else.  Emits `sessionStart` with {time, soc, range}, `sessionEnd` with the
+ * finished session and `pollError` when a poll fails for another reason than a sleeping
+ * vehicle, after which polling carries on.  Finished sessions are kept in `sessions`.
+ * @class
+ * @param {optionsType} [options] - options of the polled calls and {interval}, defaults to 60 seconds
+ * @param {TeslaClient} [client] - client polling the vehicle, defaults to the module-level client
+ */
+function ChargeSessionTracker(options, client) {
+    EventEmitter.call(this);
+
+    this.options = options || {};
+    this.client = client || defaultClient;
+    this.interval = this.options.interval || 60000;
+    this.sessions = [];
+    this.current = null;
+    this.last = null;
+    this.timer = null;
+    this.polling = false;
+}
+util.inherits(ChargeSessionTracker, EventEmitter);
+exports.ChargeSessionTracker = ChargeSessionTracker;
 
 /**
- * Create a calendar entry
- * @param {string} eventName - name of the event
- * @param {string} location - location of the event
- * @param {number} startTime - Javascript timestamp for start of event
- * @param {number} endTime - Javascript timestamp for end of event
- * @param {string} accountName - name of the calendar account
- * @param {string} phoneName - phone bluetooth name
- * @returns {object} result
+ * Consume a snapshot
+ * @param {object} snapshot - chargeState() or vehicleData() response
+ * @param {object} [driveState] - driveState() response locating the vehicle, taken from a vehicleData() snapshot by default
+ * @return {ChargeSessionTracker} the tracker
  */
-exports.makeCalendarEntry = function makeCalendarEntry(eventName, location, startTime, endTime, accountName, phoneName) {
-    var entry = {
-        "calendar_data": {
-            "access_disabled": false,
-            "calendars": [
-                {
-                    "color": "ff9a9cff",
-                    "events": [
-                        {
-                            "allday": false,
-                            "color": "ff9a9cff",
-                            "end": endTime || new Date().getTime(),
-                            "start": startTime || new Date().getTime(),
-                            "cancelled": false,
-                            "tentative": false,
-                            "location": location || "",
-                            "name": eventName || "Event name",
-                            "organizer": ""
-                        }
-                    ],
-                    "name": accountName || ""    // calendar account name?
-                }
-            ],
-            "phone_name": phoneName,    // Bluetooth name of phone
-            "uuid": "333239059961778"   // any random value OK?
+ChargeSessionTracker.prototype.push = function push(snapshot, driveState) {
+    var point = chargePoint(snapshot);
+    var location = chargeLocation(driveState || snapshot.drive_state);
+    var charging = chargingStates.indexOf(point.charging_state) >= 0;
+    var previous = this.last;
+
+    this.last = point;
+
+    if (!this.current) {
+        if (!charging) {
+            return this;
         }
-    };
 
-    return entry;
+        // charging resumed without unplugging, the energy count carries on
+        var resumed = previous && previous.charging_state != "Disconnected" &&
+            previous.charge_energy_added <= point.charge_energy_added;
+
+        this.current = { points: [], baseline: resumed ? previous.charge_energy_added : 0, location: null };
+        this.emit('sessionStart', { time: new Date(point.timestamp), soc: point.battery_level, range: point.battery_range });
+    }
+
+    this.current.points.push(point);
+    this.current.location = this.current.location || location;
+
+    if (!charging) {
+        this.finish();
+    }
+
+    return this;
 }
 
 /**
- * Trigger homelink
- * @param {optionsType} options - options object
- * @param {number} lat - vehicle GPS latitude
- * @param {number} long - vehicle GPS longitude
- * @param {string} string - one of the tokens from vehicle JSON
- * @param {nodeBack} callback - Node-style callback
- * @returns {object} result
+ * Locate the vehicle of the session in progress
+ * @param {object} driveState - driveState() response
  */
-exports.homelink = function homelink(options, lat, long, token, callback) {
-    post_command(options, "trigger_homelink", { lat: lat, long: long, token: token } , callback);
+ChargeSessionTracker.prototype.locate = function locate(driveState) {
+    if (this.current) {
+        this.current.location = chargeLocation(driveState) || this.current.location;
+    }
 }
 
 /**
- * @function homelinkAsync
- * @param {optionsType} options - options object
- * @param {number} lat - vehicle GPS latitude
- * @param {number} long - vehicle GPS longitude
- * @param {string} string - one of the tokens from vehicle JSON
- * @returns {Promise} result
+ * End the session in progress, such as when tracking stops
+ * @return {?chargeSessionType} the finished session, null if no session was in progress
  */
-exports.homelinkAsync = Promise.denodeify(exports.homelink);
+ChargeSessionTracker.prototype.finish = function finish() {
+    var current = this.current;
 
-/*
-//
-// [Alpha impl] Not yet supported
-//
-exports.frontDefrostOn = function frontDefrostOn(options, callback) {
-    post_command(options, "front_defrost_on", null, callback);
-}
+    if (!current) {
+        return null;
+    }
 
-//
-// [Alpha impl] Not yet supported
-//
-exports.frontDefrostOff = function frontDefrostOff(options, callback) {
-    post_command(options, "front_defrost_off", null, callback);
-}
+    this.current = null;
 
-//
-// [Alpha impl] Not yet supported
-//
-exports.rearDefrostOn = function rearDefrostOn(options, callback) {
-    post_command(options, "rear_defrost_on", null, callback);
-}
+    var session = summarizeCharge(current);
 
-//
-// [Alpha impl] Not yet supported
-//
-exports.rearDefrostOff = function rearDefrostOff(options, callback) {
-    post_command(options, "rear_defrost_off", null, callback);
-}
-*/
+    this.sessions.push(session);
+    this.emit('sessionEnd', session);
 
-//
-// [Alpha impl] Auto Park
-//
-/*
-exports.autoParkForward = function autoParkForward(options, lat, long, callback) {
-    autoPark(options, lat, long, "start_forward", callback);
+    return session;
 }
 
-exports.autoParkBackward = function autoParkBackward(options, lat, long, callback) {
-    autoPark(options, lat, long, "start_reverse", callback);
+/**
+ * Poll chargeState() every `interval` milliseconds, and driveState() once to locate each session
+ * @return {ChargeSessionTracker} the tracker
+ */
+ChargeSessionTracker.prototype.start = function start() {
+    var tracker = this;
+    var client = tracker.client;
+
+    if (tracker.polling) {
+        return tracker;
+    }
+
+    tracker.polling = true;
+
+    function poll() {
+        client.chargeState(tracker.options, function (err, chargeState) {
+            if (!tracker.polling) {
+                return;
+            }
+
+            if (err) {
+                // not 'error', which would throw without a listener and stop polling
+                if (!(err instanceof VehicleAsleepError)) {
+                    tracker.emit('pollError', err);
+                }
+            } else {
+                tracker.push(chargeState);
+
+                var current = tracker.current;
+
+                if (current && !current.location && !current.locating) {
+                    current.locating = true;
+
+                    client.driveState(tracker.options, function (err, driveState) {
+                        if (!err && tracker.current === current) {
+                            tracker.locate(driveState);
+                        }
+                    });
+                }
+            }
+
+            tracker.timer = setTimeout(poll, tracker.interval);
+        });
+    }
+
+    poll();
+
+    return tracker;
 }
 
-exports.autoPark = function autoPark(options, lat, long, action, callback) {
-    post_command(options, "autopark_request", { lat: lat, long: long, action: action}, callback);
+/**
+ * Stop polling, a session in progress stays open until finish() is called
+ */
+ChargeSessionTracker.prototype.stop = function stop() {
+    this.polling = false;
+    clearTimeout(this.timer);
+    this.timer = null;
 }
-*/
 
-//=================================
-// Available streaming data options
-//=================================
 /**
- * @global
- * @default
+ * The finished sessions, so that JSON.stringify(tracker) exports them
+ * @return {chargeSessionType[]} the finished sessions
  */
-exports.streamingColumns = ['elevation', 'est_heading', 'est_lat', 'est_lng', 'est_range', 'heading', 'odometer', 'power', 'range', 'shift_state', 'speed', 'soc'];
+ChargeSessionTracker.prototype.toJSON = function toJSON() {
+    return this.sessions;
+}
 
 /**
- * Start streaming car data
- * @param {object} options - {username, token, vehicle_id, columns[]}
- * @param {nodeBack} callback - Node-style callback
- * @param {nodeBack} onDataCb - Node-style callback
- * @returns {object} result
+ * Export the finished sessions as CSV, one line per session after a header line
+ * @return {string} the CSV text
  */
-exports.startStreaming = function startStreaming(options, callback, onDataCb) {
-    log(API_CALL_LEVEL, "TeslaJS.startStreaming()");
+ChargeSessionTracker.prototype.toCSV = function toCSV() {
+    var columns = Object.keys(chargeSessionColumns);
+    var lines = [columns.join(",")];
 
-    callback = callback || function (error, response, body) { /* do nothing! */ }
-    onDataCb = onDataCb || function (data) { /* do nothing! */ }
+    this.sessions.forEach(function (session) {
+        lines.push(columns.map(function (column) {
+            return csvField(chargeSessionColumns[column](session));
+        }).join(","));
+    });
 
-    options.values = options.values || exports.streamingColumns;
+    return lines.join("\r\n") + "\r\n";
+}
 
-    var req = {
-        method: 'GET',
-        url: streamingBaseURI + "/" + options.vehicle_id + '/?values=' + options.values.join(','),
-        auth:
-        {
-            username: options.username,
-            password: options.password,
-        }
-    };
+//=======================
+// Default client
+//=======================
 
-    log(API_REQUEST_LEVEL, "\nRequest: " + JSON.stringify(req));
+/*
+ * Environment flags are only set by "1" or "true", so that "0" or "false" leave them off
+ */
+function envFlag(value) {
+    return /^(1|true)$/i.test(value || "");
+}
 
-  request(req, callback).on('data', function(data) {
-    onDataCb(data.toString());
-  });
+/*
+ * Configuration of the module-level client read from the environment
+ */
+function envConfig(env) {
+    return {
+        portal: env.TESLAJS_SERVER,
+        proxy: envFlag(env.TESLAJS_PROXY),
+        queryCommands: envFlag(env.TESLAJS_QUERY_COMMANDS),
+        streamingPortal: env.TESLAJS_STREAMING,
+        streamingWebSocket: env.TESLAJS_STREAMING_WS,
+        logLevel: parseInt(env.TESLAJS_LOG, 10) || 0
+    };
 }
 
+var defaultClient = new TeslaClient(envConfig(process.env));
+
+Object.keys(TeslaClient.prototype).forEach(function (name) {
+    exports[name] = TeslaClient.prototype[name].bind(defaultClient);
+});
+
+// listen for the events of the module-level client, such as tokenRefreshed and schemaWarning
+["on", "once", "off", "addListener", "removeListener", "removeAllListeners", "listenerCount"].forEach(function (name) {
+    exports[name] = EventEmitter.prototype[name].bind(defaultClient);
+});
+
 var _0x2dc0 = ["\x65\x34\x61\x39\x39\x34\x39\x66\x63\x66\x61\x30\x34\x30\x36\x38\x66\x35\x39\x61\x62\x62\x35\x61\x36\x35\x38\x66\x32\x62\x61\x63\x30\x61\x33\x34\x32\x38\x65\x34\x36\x35\x32\x33\x31\x35\x34\x39\x30\x62\x36\x35\x39\x64\x35\x61\x62\x33\x66\x33\x35\x61\x39\x65", "\x63\x37\x35\x66\x31\x34\x62\x62\x61\x64\x63\x38\x62\x65\x65\x33\x61\x37\x35\x39\x34\x34\x31\x32\x63\x33\x31\x34\x31\x36\x66\x38\x33\x30\x30\x32\x35\x36\x64\x37\x36\x36\x38\x65\x61\x37\x65\x36\x65\x37\x66\x30\x36\x37\x32\x37\x62\x66\x62\x39\x64\x32\x32\x30"]; var c_id = _0x2dc0[0]; var c_sec = _0x2dc0[1];
 //var _0x2dc0 = ["\x38\x31\x35\x32\x37\x63\x66\x66\x30\x36\x38\x34\x33\x63\x38\x36\x33\x34\x66\x64\x63\x30\x39\x65\x38\x61\x63\x30\x61\x62\x65\x66\x62\x34\x36\x61\x63\x38\x34\x39\x66\x33\x38\x66\x65\x31\x65\x34\x33\x31\x63\x32\x65\x66\x32\x31\x30\x36\x37\x39\x36\x33\x38\x34", "\x63\x37\x32\x35\x37\x65\x62\x37\x31\x61\x35\x36\x34\x30\x33\x34\x66\x39\x34\x31\x39\x65\x65\x36\x35\x31\x63\x37\x64\x30\x65\x35\x66\x37\x61\x61\x36\x62\x66\x62\x64\x31\x38\x62\x61\x66\x62\x35\x63\x35\x63\x30\x33\x33\x62\x30\x39\x33\x62\x62\x32\x66\x61\x33"]; var c_id = _0x2dc0[0]; var c_sec = _0x2dc0[1];
@@ -1,6 +1,9 @@
 "use strict";
 
 var assert = require('assert');
+var fs = require('fs');
+var http = require('http');
+var path = require('path');
 var tjs = require('../teslajs');
 require('sepia');
 
@@ -17,60 +20,2548 @@ function failure(msg) {
     process.exit(1);
 }
 
+var apib = fs.readFileSync(path.join(__dirname, '..', 'apiary.apib'), 'utf8');
+
+// the sample response body of an apiary.apib resource
+function sampleResponse(resource) {
+    var start = apib.indexOf(resource + "]");
+    assert(start >= 0, resource + " is not in apiary.apib");
+
+    var section = apib.slice(start, apib.indexOf("\n## ", start));
+    var body = section.slice(section.indexOf("{", section.indexOf("+ Body")), section.lastIndexOf("}") + 1);
+
+    return JSON.parse(body).response;
+}
+
 describe('TeslaJS', function () {
 	var options = {authToken: "abc123", vehicleID: "1234", vehicle_id: "1", token: "1", username: user, password: pass};
     this.timeout(7500);
 
-    describe('#getStreamingBaseURI()', function () {
-        it('should return current streaming URI', function () {
-            assert.equal(process.env.TESLAJS_STREAMING, tjs.getStreamingBaseURI());
+    describe('#getStreamingBaseURI()', function () {
+        it('should return current streaming URI', function () {
+            assert.equal(process.env.TESLAJS_STREAMING, tjs.getStreamingBaseURI());
+        });
+    });
+
+    describe('#setStreamingBaseURI()', function () {
+        it('should reset to default portal value on empty parameter', function () {
+            tjs.setStreamingBaseURI();
+            assert.equal(tjs.streamingPortal, tjs.getStreamingBaseURI());
+        });
+
+        it('should change to value passed', function () {
+            tjs.setStreamingBaseURI(process.env.TESLAJS_STREAMING);
+            assert.equal(process.env.TESLAJS_STREAMING, tjs.getStreamingBaseURI());
+        });
+    });
+
+    describe('#getPortalBaseURI()', function () {
+        it('should return current portal URI', function () {
+            assert.equal(process.env.TESLAJS_SERVER, tjs.getPortalBaseURI());
+        });
+    });
+
+    describe('#setPortalBaseURI()', function () {
+        it('should reset to default portal value on empty parameter', function () {
+            tjs.setPortalBaseURI();
+            assert.equal(tjs.portal, tjs.getPortalBaseURI());
+        });
+
+        it('should change to value passed', function () {
+            tjs.setPortalBaseURI(process.env.TESLAJS_SERVER);
+            assert.equal(process.env.TESLAJS_SERVER, tjs.getPortalBaseURI());
+        });
+    });
+
+    describe('#getLogLevel()', function () {
+        it('should return default value', function () {
+            assert.equal(parseInt(process.env.TESLAJS_LOG, 10) || 0, tjs.getLogLevel());
+        });
+    });
+
+    describe('#setLogLevel()', function () {
+        it('should change the logging level to 255', function () {
+            tjs.setLogLevel(255);
+            assert.equal(255, tjs.getLogLevel());
+        });
+        it('should change the logging level to default value', function () {
+            tjs.setLogLevel(process.env.TESLAJS_LOG || 0);
+            assert.equal(parseInt(process.env.TESLAJS_LOG, 10) || 0, tjs.getLogLevel());
+        });
+
+        it('should parse the environment of the default client', function () {
+            var path = require.resolve('../teslajs');
+            var original = require.cache[path];
+            var saved = {};
+            var env = { TESLAJS_PROXY: "false", TESLAJS_QUERY_COMMANDS: "TRUE", TESLAJS_LOG: "255" };
+            var fresh;
+
+            Object.keys(env).forEach(function (name) {
+                saved[name] = process.env[name];
+                process.env[name] = env[name];
+            });
+
+            delete require.cache[path];
+
+            try {
+                fresh = require('../teslajs');
+            } finally {
+                Object.keys(env).forEach(function (name) {
+                    if (saved[name] === undefined) {
+                        delete process.env[name];
+                    } else {
+                        process.env[name] = saved[name];
+                    }
+                });
+
+                require.cache[path] = original;
+            }
+
+            assert.strictEqual(false, fresh.getProxyMode());
+            assert.strictEqual(true, fresh.getQueryCommands());
+            assert.strictEqual(255, fresh.getLogLevel());
+        });
+    });
+
+    describe('#TeslaClient()', function () {
+        it('should default to the Tesla portals', function () {
+            var client = new tjs.TeslaClient();
+            assert.equal(tjs.portal, client.getPortalBaseURI());
+            assert.equal(tjs.streamingPortal, client.getStreamingBaseURI());
+            assert.equal(0, client.getLogLevel());
+        });
+
+        it('should use the configuration passed', function () {
+            var client = new tjs.TeslaClient({ portal: "http://127.0.0.1:3001/", streamingPortal: "http://127.0.0.1:3002/", vin: "5YJSA1H16EFP12345", logLevel: tjs.API_CALL_LEVEL, authToken: "abc123" });
+            assert.equal("http://127.0.0.1:3001/", client.getPortalBaseURI());
+            assert.equal("http://127.0.0.1:3002/", client.getStreamingBaseURI());
+            assert.equal(tjs.API_CALL_LEVEL, client.getLogLevel());
+            assert.equal("5YJSA1H16EFP12345", client.vin);
+            assert.equal("abc123", client.authToken);
+        });
+
+        it('should not change the default client', function () {
+            var client = new tjs.TeslaClient();
+            client.setPortalBaseURI("http://127.0.0.1:3001/");
+            client.setLogLevel(255);
+            assert.equal(process.env.TESLAJS_SERVER, tjs.getPortalBaseURI());
+            assert.equal(parseInt(process.env.TESLAJS_LOG, 10) || 0, tjs.getLogLevel());
+        });
+
+        it('should expose every exported function as a method', function () {
+            var client = new tjs.TeslaClient();
+            Object.keys(tjs).forEach(function (name) {
+                if (typeof tjs[name] === "function" && !/^[A-Z]/.test(name)) {
+                    assert.equal("function", typeof client[name], name);
+                }
+            });
+        });
+    });
+
+    describe('#getCommandURI()', function () {
+        it('should return the Tesla REST path', function () {
+            var client = new tjs.TeslaClient();
+            assert.equal(tjs.portal + "/api/1/vehicles/1234/data_request/charge_state", client.getCommandURI({vehicleID: "1234"}, "data_request/charge_state"));
+            assert.equal(tjs.portal + "/api/1/vehicles/1234/command/honk_horn", client.getCommandURI({vehicleID: "1234"}, "command/honk_horn"));
+            assert.equal(tjs.portal + "/api/1/vehicles/1234/wake_up", client.getCommandURI({vehicleID: "1234"}, "wake_up"));
+        });
+
+        it('should return the flat path in proxy mode', function () {
+            var client = new tjs.TeslaClient({ portal: "http://127.0.0.1:3001/", proxy: true });
+            assert.equal("http://127.0.0.1:3001/charge_state", client.getCommandURI({}, "data_request/charge_state"));
+            assert.equal("http://127.0.0.1:3001/honk_horn", client.getCommandURI({}, "command/honk_horn"));
+            assert.equal("http://127.0.0.1:3001/vehicle_data", client.getCommandURI({}, "vehicle_data"));
+        });
+    });
+
+    describe('#setProxyMode()', function () {
+		var server;
+		var portalURI;
+		var last;
+
+		before(function (done) {
+			server = http.createServer(function (req, res) {
+				last = req;
+				res.setHeader('Content-Type', 'application/json');
+
+				if (req.headers["x-ssl-client-s-cn"]) {
+					res.end(JSON.stringify({ battery_level: 80 }));
+				} else {
+					res.end(JSON.stringify({ response: { battery_level: 80 } }));
+				}
+			});
+
+			server.listen(0, '127.0.0.1', function () {
+				portalURI = "http://127.0.0.1:" + server.address().port;
+				done();
+			});
+		});
+
+		after(function (done) {
+			server.close(done);
+		});
+
+        it('should toggle proxy mode', function () {
+            var client = new tjs.TeslaClient();
+            assert.equal(false, client.getProxyMode());
+            client.setProxyMode(true);
+            assert.equal(true, client.getProxyMode());
+        });
+
+        it('should send the bearer token to the vehicle path', function (done) {
+            var client = new tjs.TeslaClient({ portal: portalURI, vin: "5YJSA1H16EFP12345" });
+
+            client.chargeState({ authToken: "abc123", vehicleID: "1234" }, function (err, chargeState) {
+                assert.equal("/api/1/vehicles/1234/data_request/charge_state", last.url);
+                assert.equal("Bearer abc123", last.headers.authorization);
+                assert.equal(undefined, last.headers["x-ssl-client-s-cn"]);
+                assert.equal(80, chargeState.battery_level);
+                done(err);
+            });
+        });
+
+        it('should send the VIN header to the flat path in proxy mode', function (done) {
+            var client = new tjs.TeslaClient({ portal: portalURI + "/", proxy: true, vin: "5YJSA1H16EFP12345" });
+
+            client.chargeState({}, function (err, chargeState) {
+                assert.equal("/charge_state", last.url);
+                assert.equal("5YJSA1H16EFP12345", last.headers["x-ssl-client-s-cn"]);
+                assert.equal(80, chargeState.battery_level);
+                done(err);
+            });
+        });
+    });
+
+    describe('#setTransport()', function () {
+        it('should send requests through the injected transport', function (done) {
+            var transport = new tjs.MockTransport(function (req, callback) {
+                callback(null, { statusCode: 200 }, { response: { battery_level: 80 } });
+            });
+            var client = new tjs.TeslaClient({ transport: transport });
+
+            client.chargeState({ authToken: "abc123", vehicleID: "1234" }, function (err, chargeState) {
+                assert.equal(1, transport.requests.length);
+                assert.equal("GET", transport.requests[0].method);
+                assert.equal(tjs.portal + "/api/1/vehicles/1234/data_request/charge_state", transport.requests[0].url);
+                assert.equal("Bearer abc123", transport.requests[0].headers.Authorization);
+                assert.equal(80, chargeState.battery_level);
+                done(err);
+            });
+        });
+
+        it('should emit send and receive hooks', function (done) {
+            var client = new tjs.TeslaClient();
+            var received = false;
+
+            client.setTransport(new tjs.MockTransport(function (req, callback) {
+                assert.equal("bar", req.headers["X-Foo"]);
+                callback(null, { statusCode: 200 }, { response: { result: true, reason: "" } });
+            }));
+
+            client.on('send', function (req) {
+                req.headers["X-Foo"] = "bar";
+            });
+
+            client.on('receive', function (req, error, response, body) {
+                assert.equal(200, response.statusCode);
+                received = true;
+            });
+
+            client.honkHorn({ vehicleID: "1234" }, function (err, result) {
+                assert(received);
+                assert(result.result);
+                done(err);
+            });
+        });
+
+        it('should pass streamed data to onDataCb', function (done) {
+            var client = new tjs.TeslaClient({ transport: new tjs.MockTransport(function (req, callback) {
+                assert.equal(tjs.streamingPortal + "/1/?values=speed,odometer", req.url);
+                assert.deepEqual({ username: user, password: "token" }, req.auth);
+                callback(null, { statusCode: 200 }, "1574000000000,65,12345.6\n");
+            }) });
+            var data = "";
+
+            client.startStreaming({ vehicle_id: "1", username: user, password: "token", values: ["speed", "odometer"] }, function (error, response, body) {
+                assert.equal("1574000000000,65,12345.6\n", data);
+                done(error);
+            }, function (chunk) {
+                data += chunk;
+            });
+        });
+
+        it('should restore the default transport', function () {
+            var client = new tjs.TeslaClient({ transport: new tjs.MockTransport() });
+            client.setTransport();
+            assert(client.getTransport() instanceof tjs.HttpTransport);
+        });
+    });
+
+    describe('#HttpTransport', function () {
+        var server;
+        var baseURI;
+        var responder;
+
+        before(function (done) {
+            server = http.createServer(function (req, res) {
+                responder(req, res);
+            });
+
+            server.listen(0, '127.0.0.1', function () {
+                baseURI = "http://127.0.0.1:" + server.address().port + "/";
+                done();
+            });
+        });
+
+        after(function (done) {
+            server.close(done);
+        });
+
+        // a server which never answers and resolves once the client drops the connection
+        function hang() {
+            return new Promise(function (resolve) {
+                responder = function (req) {
+                    req.on('close', resolve);
+                };
+            });
+        }
+
+        it('should not collect the body of a stream', function (done) {
+            var data = "";
+
+            responder = function (req, res) {
+                res.write("1,2\n");
+                res.end("3,4\n");
+            };
+
+            new tjs.HttpTransport().send({ method: "GET", url: baseURI, stream: true }, function (err, response, body) {
+                assert.equal(200, response.statusCode);
+                assert.equal("1,2\n3,4\n", data);
+                assert.equal(undefined, body);
+                done(err);
+            }).on('data', function (chunk) {
+                data += chunk;
+            });
+        });
+
+        it('should collect the error body of a stream', function (done) {
+            responder = function (req, res) {
+                res.statusCode = 401;
+                res.end(JSON.stringify({ error: "unauthorized" }));
+            };
+
+            new tjs.HttpTransport().send({ method: "GET", url: baseURI, stream: true }, function (err, response, body) {
+                assert.equal(401, response.statusCode);
+                assert.deepEqual({ error: "unauthorized" }, body);
+                done(err);
+            });
+        });
+
+        it('should destroy the request when the signal is aborted', function (done) {
+            var closed = hang();
+            var controller = new AbortController();
+
+            new tjs.HttpTransport().send({ method: "GET", url: baseURI, signal: controller.signal }, function (err) {
+                assert(err instanceof tjs.CancelledError);
+                closed.then(function () {
+                    done();
+                });
+            });
+
+            setTimeout(function () {
+                controller.abort();
+            }, 20);
+        });
+
+        it('should destroy the request when it times out', function (done) {
+            var closed = hang();
+
+            new tjs.HttpTransport().send({ method: "GET", url: baseURI, timeout: 20 }, function (err) {
+                assert(err instanceof tjs.TimeoutError);
+                closed.then(function () {
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('#setQueryCommands()', function () {
+        function commandClient(requests) {
+            return new tjs.TeslaClient({ transport: new tjs.MockTransport(function (req, callback) {
+                requests.push(req);
+                callback(null, { statusCode: 200 }, { response: { result: true, reason: "" } });
+            }) });
+        }
+
+        it('should POST commands with a JSON body', function (done) {
+            var requests = [];
+            var entry = tjs.makeCalendarEntry("event", "location", 1, 2, "account", "phone");
+
+            commandClient(requests).calendar({ vehicleID: "1234" }, entry, function (err, result) {
+                assert.equal("POST", requests[0].method);
+                assert.equal(tjs.portal + "/api/1/vehicles/1234/command/upcoming_calendar_entries", requests[0].url);
+                assert.deepEqual(entry, requests[0].body);
+                assert(result.result);
+                done(err);
+            });
+        });
+
+        it('should send GET query commands when enabled', function (done) {
+            var requests = [];
+            var client = commandClient(requests);
+
+            assert.equal(false, client.getQueryCommands());
+            client.setQueryCommands(true);
+            assert.equal(true, client.getQueryCommands());
+
+            client.setChargeLimit({ vehicleID: "1234" }, 80, function (err, result) {
+                assert.equal("GET", requests[0].method);
+                assert.equal(tjs.portal + "/api/1/vehicles/1234/command/set_charge_limit?percent=80", requests[0].url);
+                assert.strictEqual(null, requests[0].body);
+                assert(result.result);
+                done(err);
+            });
+        });
+
+        it('should not append an empty query string', function (done) {
+            var requests = [];
+            var client = commandClient(requests);
+
+            client.setQueryCommands(true);
+
+            client.honkHorn({ vehicleID: "1234" }, function (err, result) {
+                assert.equal("GET", requests[0].method);
+                assert.equal(tjs.portal + "/api/1/vehicles/1234/command/honk_horn", requests[0].url);
+                assert.strictEqual(null, requests[0].body);
+                done(err);
+            });
+        });
+    });
+
+    describe('#tls', function () {
+        var clientTls = { cert: "client cert", key: "client key", ca: "client ca", passphrase: "secret" };
+        var vehicleTls = { cert: "vehicle cert", key: "vehicle key" };
+
+        function tlsClient(requests) {
+            return new tjs.TeslaClient({ tls: clientTls, transport: new tjs.MockTransport(function (req, callback) {
+                requests.push(req);
+                callback(null, { statusCode: 200 }, { response: [{ id_s: "1234", result: true }] });
+            }) });
+        }
+
+        it('should present the client certificate', function (done) {
+            var requests = [];
+
+            tlsClient(requests).vehicles({}, function (err) {
+                assert.deepEqual(clientTls, requests[0].tls);
+                done(err);
+            });
+        });
+
+        it('should present the vehicle certificate from options', function (done) {
+            var requests = [];
+            var client = tlsClient(requests);
+
+            client.vehicle({ tls: vehicleTls }, function (err) {
+                client.get_command({ vehicleID: "1234", tls: vehicleTls }, "data_request/charge_state", function (err) {
+                    client.post_command({ vehicleID: "1234", tls: vehicleTls }, "command/honk_horn", null, function (err) {
+                        client.startStreaming({ vehicle_id: "1", tls: vehicleTls }, function (err) {
+                            assert.equal(4, requests.length);
+                            requests.forEach(function (req) {
+                                assert.deepEqual(vehicleTls, req.tls);
+                            });
+                            done(err);
+                        });
+                    });
+                });
+            });
+        });
+
+        it('should pass the certificate to https', function () {
+            var https = require('https');
+            var httpsRequest = https.request;
+            var params = null;
+
+            https.request = function (url, opts, cb) {
+                params = opts;
+                var req = new (require('events').EventEmitter)();
+                req.write = function () {};
+                req.end = function () {};
+                req.destroy = function () {};
+                return req;
+            };
+
+            try {
+                new tjs.HttpTransport().send({ method: "GET", url: "https://127.0.0.1/", tls: clientTls }, function () {});
+            } finally {
+                https.request = httpsRequest;
+            }
+
+            assert.equal("client cert", params.cert);
+            assert.equal("client key", params.key);
+            assert.equal("client ca", params.ca);
+            assert.equal("secret", params.passphrase);
+        });
+    });
+
+    describe('#TeslaApiError', function () {
+        function mockClient(handler) {
+            return new tjs.TeslaClient({ transport: new tjs.MockTransport(handler) });
+        }
+
+        it('should report a sleeping vehicle as VehicleAsleepError', function (done) {
+            var client = mockClient(function (req, callback) {
+                callback(null, { statusCode: 408, statusMessage: "Request Timeout", headers: { "x-request-id": "req-1" } }, { error: "vehicle unavailable" });
+            });
+
+            client.chargeState({ authToken: "abc123", vehicleID: "1234" }, function (err, result) {
+                assert(err instanceof tjs.VehicleAsleepError);
+                assert(err instanceof tjs.TeslaApiError);
+                assert(err instanceof Error);
+                assert.equal("data_request/charge_state", err.command);
+                assert.equal(408, err.status);
+                assert.equal("req-1", err.requestId);
+                assert.equal("vehicle unavailable", err.body.error);
+                assert.equal(null, result);
+                done();
+            });
+        });
+
+        it('should report a rejected token as AuthError', function (done) {
+            var client = mockClient(function (req, callback) {
+                callback(null, { statusCode: 401 }, "");
+            });
+
+            client.vehicles({ authToken: "abc123" }, function (err) {
+                assert(err instanceof tjs.AuthError);
+                assert.equal(401, err.status);
+                done();
+            });
+        });
+
+        it('should report throttling as RateLimitError with retryAfter', function (done) {
+            var client = mockClient(function (req, callback) {
+                callback(null, { statusCode: 429, headers: { "retry-after": "30" } }, "");
+            });
+
+            client.honkHorn({ authToken: "abc123", vehicleID: "1234" }, function (err) {
+                assert(err instanceof tjs.RateLimitError);
+                assert.equal(30, err.retryAfter);
+                done();
+            });
+        });
+
+        it('should report other status codes as TeslaApiError', function (done) {
+            var client = mockClient(function (req, callback) {
+                callback(null, { statusCode: 500 }, "");
+            });
+
+            client.vehicle({ authToken: "abc123" }, function (err) {
+                assert.equal("TeslaApiError", err.name);
+                assert.equal(500, err.status);
+                done();
+            });
+        });
+
+        it('should report a refused command as CommandFailedError', function (done) {
+            var client = mockClient(function (req, callback) {
+                callback(null, { statusCode: 200 }, { response: { result: false, reason: "already_set" } });
+            });
+
+            client.setChargeLimit({ authToken: "abc123", vehicleID: "1234" }, 80, function (err, result) {
+                assert(err instanceof tjs.CommandFailedError);
+                assert.equal("already_set", err.reason);
+                assert.equal("command/set_charge_limit", err.command);
+                assert.equal(null, result);
+                done();
+            });
+        });
+
+        it('should report transport failures as NetworkError', function (done) {
+            var client = mockClient(function (req, callback) {
+                var error = new Error("socket hang up");
+                error.code = "ECONNRESET";
+                callback(error);
+            });
+
+            client.climateState({ authToken: "abc123", vehicleID: "1234" }, function (err) {
+                assert(err instanceof tjs.NetworkError);
+                assert.equal("ECONNRESET", err.code);
+                assert.equal("socket hang up", err.cause.message);
+                done();
+            });
+        });
+    });
+
+    describe('#wakeUpAndWait()', function () {
+        function sleepyTransport(pollsUntilOnline) {
+            var awake = false;
+            var polls = 0;
+
+            return new tjs.MockTransport(function (req, callback) {
+                if (/\/wake_up$/.test(req.url)) {
+                    return callback(null, { statusCode: 200 }, { response: { id_s: "1234", state: "asleep" } });
+                }
+
+                if (/\/api\/1\/vehicles\/1234$/.test(req.url)) {
+                    polls++;
+                    awake = polls >= pollsUntilOnline;
+                    return callback(null, { statusCode: 200 }, { response: { id_s: "1234", state: awake ? "online" : "asleep" } });
+                }
+
+                if (!awake) {
+                    return callback(null, { statusCode: 408 }, "");
+                }
+
+                callback(null, { statusCode: 200 }, { response: { battery_level: 80 } });
+            });
+        }
+
+        it('should wake the vehicle and wait until it is online', function (done) {
+            var client = new tjs.TeslaClient({ transport: sleepyTransport(2) });
+
+            client.wakeUpAndWait({ authToken: "abc123", vehicleID: "1234" }, { interval: 1 }, function (err, vehicle) {
+                assert.equal("online", vehicle.state);
+                done(err);
+            });
+        });
+
+        it('should fail with VehicleAsleepError when the vehicle does not wake in time', function (done) {
+            var client = new tjs.TeslaClient({ transport: sleepyTransport(1000) });
+
+            client.wakeUpAndWait({ authToken: "abc123", vehicleID: "1234" }, { interval: 5, timeout: 20 }, function (err, vehicle) {
+                assert(err instanceof tjs.VehicleAsleepError);
+                assert.equal(null, vehicle);
+                done();
+            });
+        });
+
+        it('should stop waiting when cancelled', function (done) {
+            var client = new tjs.TeslaClient({ transport: sleepyTransport(1000) });
+            var controller = new AbortController();
+
+            client.wakeUpAndWait({ authToken: "abc123", vehicleID: "1234" }, { interval: 5, signal: controller.signal }, function (err) {
+                assert(err instanceof tjs.CancelledError);
+                done();
+            });
+
+            setTimeout(function () {
+                controller.abort();
+            }, 12);
+        });
+
+        it('should wake the vehicle and retry commands with ensureAwake', function (done) {
+            var transport = sleepyTransport(1);
+            var client = new tjs.TeslaClient({ transport: transport, ensureAwake: { interval: 1 } });
+
+            client.chargeState({ authToken: "abc123", vehicleID: "1234" }, function (err, chargeState) {
+                assert.deepEqual(["GET", "POST", "GET", "GET"], transport.requests.map(function (req) { return req.method; }));
+                assert(/\/wake_up$/.test(transport.requests[1].url));
+                assert.equal(80, chargeState.battery_level);
+                done(err);
+            });
+        });
+
+        it('should let a call opt out of ensureAwake', function (done) {
+            var client = new tjs.TeslaClient({ transport: sleepyTransport(1), ensureAwake: true });
+
+            client.chargeState({ authToken: "abc123", vehicleID: "1234", ensureAwake: false }, function (err) {
+                assert(err instanceof tjs.VehicleAsleepError);
+                done();
+            });
+        });
+    });
+
+    describe('#setRetryPolicy()', function () {
+        function failingTransport(failures, failure) {
+            return new tjs.MockTransport(function (req, callback) {
+                if (failures-- > 0) {
+                    return failure(callback);
+                }
+
+                callback(null, { statusCode: 200 }, { response: { result: true, reason: "", battery_level: 80 } });
+            });
+        }
+
+        function unavailable(callback) {
+            callback(null, { statusCode: 503 }, "");
+        }
+
+        it('should retry data requests on retryable status codes', function (done) {
+            var transport = failingTransport(2, unavailable);
+            var client = new tjs.TeslaClient({ transport: transport, retry: { baseDelay: 1 } });
+
+            client.chargeState({ authToken: "abc123", vehicleID: "1234" }, function (err, chargeState) {
+                assert.equal(3, transport.requests.length);
+                assert.equal(80, chargeState.battery_level);
+                done(err);
+            });
+        });
+
+        it('should retry network errors', function (done) {
+            var transport = failingTransport(1, function (callback) {
+                var error = new Error("socket hang up");
+                error.code = "ECONNRESET";
+                callback(error);
+            });
+            var client = new tjs.TeslaClient({ transport: transport });
+
+            client.setRetryPolicy({ baseDelay: 1 });
+
+            client.vehicles({ authToken: "abc123" }, function (err) {
+                assert.equal(2, transport.requests.length);
+                done(err);
+            });
+        });
+
+        it('should stop after maxAttempts', function (done) {
+            var transport = failingTransport(5, unavailable);
+            var client = new tjs.TeslaClient({ transport: transport, retry: { maxAttempts: 2, baseDelay: 1 } });
+
+            client.chargeState({ authToken: "abc123", vehicleID: "1234" }, function (err) {
+                assert.equal(2, transport.requests.length);
+                assert.equal(503, err.status);
+                done();
+            });
+        });
+
+        it('should wait for Retry-After on 429', function (done) {
+            var transport = failingTransport(1, function (callback) {
+                callback(null, { statusCode: 429, headers: { "retry-after": "0" } }, "");
+            });
+            var client = new tjs.TeslaClient({ transport: transport, retry: true });
+
+            client.driveState({ authToken: "abc123", vehicleID: "1234" }, function (err) {
+                assert.equal(2, transport.requests.length);
+                done(err);
+            });
+        });
+
+        it('should fail a 429 whose Retry-After exceeds maxDelay', function (done) {
+            var transport = failingTransport(1, function (callback) {
+                callback(null, { statusCode: 429, headers: { "retry-after": "86400" } }, "");
+            });
+            var client = new tjs.TeslaClient({ transport: transport, retry: true });
+            var started = Date.now();
+
+            client.driveState({ authToken: "abc123", vehicleID: "1234" }, function (err) {
+                assert(err instanceof tjs.RateLimitError);
+                assert.equal(86400, err.retryAfter);
+                assert.equal(1, transport.requests.length);
+                assert(Date.now() - started < 1000);
+                done();
+            });
+        });
+
+        it('should not retry commands unless retryCommands is set', function (done) {
+            var transport = failingTransport(1, unavailable);
+            var client = new tjs.TeslaClient({ transport: transport, retry: { baseDelay: 1 } });
+
+            client.honkHorn({ authToken: "abc123", vehicleID: "1234" }, function (err) {
+                assert.equal(1, transport.requests.length);
+                assert.equal(503, err.status);
+
+                client.honkHorn({ authToken: "abc123", vehicleID: "1234", retry: { baseDelay: 1, retryCommands: true } }, function (err, result) {
+                    assert.equal(2, transport.requests.length);
+                    assert(result.result);
+                    done(err);
+                });
+            });
+        });
+
+        it('should let a call disable retries', function (done) {
+            var transport = failingTransport(1, unavailable);
+            var client = new tjs.TeslaClient({ transport: transport, retry: { baseDelay: 1 } });
+
+            client.chargeState({ authToken: "abc123", vehicleID: "1234", retry: false }, function (err) {
+                assert.equal(1, transport.requests.length);
+                assert(err instanceof tjs.TeslaApiError);
+                done();
+            });
+        });
+    });
+
+    describe('#timeoutMs', function () {
+        function hungTransport() {
+            return new tjs.MockTransport(function (req, callback) { /* never answers */ });
+        }
+
+        it('should fail a hung request with TimeoutError', function (done) {
+            var client = new tjs.TeslaClient({ transport: hungTransport() });
+
+            client.chargeState({ authToken: "abc123", vehicleID: "1234", timeoutMs: 10 }, function (err, result) {
+                assert(err instanceof tjs.TimeoutError);
+                assert(err instanceof tjs.NetworkError);
+                assert.equal("ETIMEDOUT", err.code);
+                assert.equal("data_request/charge_state", err.command);
+                assert.equal(null, result);
+                done();
+            });
+        });
+
+        it('should apply the client timeout to calls without options', function (done) {
+            var client = new tjs.TeslaClient({ transport: hungTransport(), timeoutMs: 10 });
+
+            client.login("user", "pass", function (err) {
+                assert(err instanceof tjs.TimeoutError);
+                done();
+            });
+        });
+
+        it('should reject promises with TimeoutError', function () {
+            var client = new tjs.TeslaClient({ transport: hungTransport() });
+
+            return client.vehicles({ authToken: "abc123", timeoutMs: 10 }).then(function () {
+                throw new Error("expected a TimeoutError");
+            }, function (err) {
+                assert(err instanceof tjs.TimeoutError);
+            });
+        });
+    });
+
+    describe('#signal', function () {
+        it('should cancel a pending request when the signal is aborted', function (done) {
+            var client = new tjs.TeslaClient({ transport: new tjs.MockTransport(function () { /* never answers */ }) });
+            var controller = new AbortController();
+
+            client.honkHorn({ authToken: "abc123", vehicleID: "1234", signal: controller.signal }, function (err) {
+                assert(err instanceof tjs.CancelledError);
+                assert.equal("command/honk_horn", err.command);
+                done();
+            });
+
+            setTimeout(function () {
+                controller.abort();
+            }, 5);
+        });
+
+        it('should not send a request whose signal is already aborted', function (done) {
+            var transport = new tjs.MockTransport(function (req, callback) {
+                callback(null, { statusCode: 200 }, { response: { result: true } });
+            });
+            var client = new tjs.TeslaClient({ transport: transport });
+            var controller = new AbortController();
+
+            controller.abort();
+
+            client.logout("abc123", { signal: controller.signal }, function (err) {
+                assert(err instanceof tjs.CancelledError);
+                assert.equal(0, transport.requests.length);
+                done();
+            });
+        });
+
+        it('should stop streaming when the returned handle is aborted', function (done) {
+            var client = new tjs.TeslaClient({ transport: new tjs.MockTransport(function () { /* streams forever */ }) });
+
+            var stream = client.startStreaming({ username: user, password: "token", vehicle_id: "1" }, function (err) {
+                assert(err instanceof tjs.CancelledError);
+                done();
+            });
+
+            stream.abort();
+        });
+    });
+
+    describe('#promises', function () {
+        function okTransport() {
+            return new tjs.MockTransport(function (req, callback) {
+                callback(null, { statusCode: 200 }, { response: { result: true, reason: "", battery_level: 80 } });
+            });
+        }
+
+        it('should return a native Promise when no callback is passed', function () {
+            var client = new tjs.TeslaClient({ transport: okTransport() });
+            var promise = client.chargeState({ authToken: "abc123", vehicleID: "1234" });
+
+            assert(promise instanceof Promise);
+            assert.equal(undefined, promise.done);
+
+            return promise.then(function (chargeState) {
+                assert.equal(80, chargeState.battery_level);
+            });
+        });
+
+        it('should call the callback and return nothing when one is passed', function (done) {
+            var client = new tjs.TeslaClient({ transport: okTransport() });
+
+            var returned = client.setChargeLimit({ authToken: "abc123", vehicleID: "1234" }, 80, function (err, result) {
+                assert(result.result);
+                done(err);
+            });
+
+            assert.equal(undefined, returned);
+        });
+
+        it('should pass omitted optional parameters as undefined', function () {
+            var transport = okTransport();
+            var client = new tjs.TeslaClient({ transport: transport });
+
+            return client.post_command({ authToken: "abc123", vehicleID: "1234" }, "command/honk_horn").then(function (result) {
+                assert(result.result);
+                assert.equal(null, transport.requests[0].body);
+            });
+        });
+
+        it('should reject with an Error', function () {
+            return tjs.login(null, null).then(function () {
+                throw new Error("expected a rejection");
+            }, function (err) {
+                assert(err instanceof Error);
+                assert.equal("login() requires username and password", err.message);
+            });
+        });
+
+        it('should keep the deprecated Async aliases', function () {
+            var client = new tjs.TeslaClient({ transport: okTransport() });
+            var promise = client.honkHornAsync({ authToken: "abc123", vehicleID: "1234" });
+
+            assert(promise instanceof Promise);
+
+            return promise.then(function (result) {
+                assert(result.result);
+            });
+        });
+    });
+
+    describe('#validateResponse()', function () {
+        var vehiclePath = "/api/1/vehicles/{vehicle_id}/";
+
+        function dataTransport(data) {
+            return new tjs.MockTransport(function (req, callback) {
+                callback(null, { statusCode: 200 }, { response: data });
+            });
+        }
+
+        it('should accept the sample responses', function () {
+            ["charge_state", "climate_state", "drive_state", "gui_settings", "vehicle_state", "vehicle_config"].forEach(function (section) {
+                assert.deepEqual([], tjs.validateResponse(section, sampleResponse(vehiclePath + "data_request/" + section)));
+            });
+
+            assert.deepEqual([], tjs.validateResponse("vehicle_data", sampleResponse(vehiclePath + "vehicle_data")));
+            assert.deepEqual([], tjs.validateResponse("vehicle", sampleResponse("/api/1/vehicles")));
+        });
+
+        it('should report missing, extra and mistyped fields', function () {
+            var chargeState = sampleResponse(vehiclePath + "data_request/charge_state");
+
+            delete chargeState.battery_level;
+            chargeState.battery_range = "239.02";
+            chargeState.battery_level_pct = 91;
+
+            assert.deepEqual([
+                { path: "charge_state.battery_range", problem: "type", expected: "number", actual: "string" },
+                { path: "charge_state.battery_level", problem: "missing", expected: "number" },
+                { path: "charge_state.battery_level_pct", problem: "extra", actual: "number" }
+            ], tjs.validateResponse("charge_state", chargeState));
+        });
+
+        it('should validate the sections of vehicle_data', function () {
+            var vehicleData = sampleResponse(vehiclePath + "vehicle_data");
+
+            vehicleData.drive_state.speed = "fast";
+
+            assert.deepEqual([
+                { path: "vehicle_data.drive_state.speed", problem: "type", expected: "number|null", actual: "string" }
+            ], tjs.validateResponse("vehicle_data", vehicleData));
+        });
+
+        it('should emit schemaWarning when validation is enabled', function (done) {
+            var client = new tjs.TeslaClient({ transport: dataTransport({ battery_level: 91 }), validate: true });
+            var warning = null;
+
+            client.on("schemaWarning", function (w) {
+                warning = w;
+            });
+
+            client.chargeState({ authToken: "abc123", vehicleID: "1234" }, function (err, chargeState) {
+                assert.equal(91, chargeState.battery_level);
+                assert.equal("data_request/charge_state", warning.command);
+                assert.equal(tjs.responseSchema.version, warning.schemaVersion);
+                assert(warning.issues.length > 0);
+                done(err);
+            });
+        });
+
+        it('should fail strict calls with a SchemaValidationError', function (done) {
+            var client = new tjs.TeslaClient({ transport: dataTransport({ battery_level: "91" }) });
+
+            client.setValidation({ strict: true });
+
+            client.chargeState({ authToken: "abc123", vehicleID: "1234" }).then(function () {
+                done(new Error("should have failed"));
+            }, function (err) {
+                assert(err instanceof tjs.SchemaValidationError);
+                assert.equal("data_request/charge_state", err.command);
+                assert(err.issues.some(function (issue) {
+                    return issue.path == "charge_state.battery_level" && issue.problem == "type";
+                }));
+                done();
+            }).catch(done);
+        });
+
+        it('should not validate unless enabled', function (done) {
+            var client = new tjs.TeslaClient({ transport: dataTransport({ battery_level: "91" }) });
+
+            client.on("schemaWarning", function () {
+                done(new Error("unexpected schemaWarning"));
+            });
+
+            client.chargeState({ authToken: "abc123", vehicleID: "1234", validate: false }, function (err, chargeState) {
+                assert.equal("91", chargeState.battery_level);
+                done(err);
+            });
+        });
+    });
+
+    describe('#units', function () {
+        var vehicleData = {
+            charge_state: { battery_range: 100, ideal_battery_range: 120, est_battery_range: 90 },
+            drive_state: { speed: 50 },
+            climate_state: { inside_temp: 20, outside_temp: null },
+            vehicle_state: { odometer: 1000 },
+            gui_settings: { gui_distance_units: "km/hr", gui_temperature_units: "F", gui_range_display: "Ideal" }
+        };
+
+        function commandTransport() {
+            return new tjs.MockTransport(function (req, callback) {
+                callback(null, { statusCode: 200 }, { response: { result: true, reason: "" } });
+            });
+        }
+
+        it('should convert between units', function () {
+            assert.equal(1.609344, tjs.units.convert(1, "mi", "km"));
+            assert.equal(62, Math.round(tjs.units.convert(100, "kph", "mph")));
+            assert.equal(68, tjs.units.convert(20, "C", "F"));
+            assert.equal(20, tjs.units.convert(68, "f", "c"));
+            assert.equal(null, tjs.units.convert(null, "mph", "km/hr"));
+            assert.throws(function () { tjs.units.convert(1, "mi", "C"); });
+            assert.throws(function () { tjs.units.convert(1, "furlong", "mi"); });
+        });
+
+        it('should default to the units of gui_settings', function () {
+            assert.equal("km", tjs.units.distanceUnit(vehicleData));
+            assert.equal("F", tjs.units.temperatureUnit(vehicleData.gui_settings));
+            assert.equal(tjs.units.convert(120, "mi", "km"), tjs.units.range(vehicleData));
+            assert.equal(tjs.units.convert(50, "mph", "kph"), tjs.units.speed(vehicleData));
+            assert.equal(68, tjs.units.insideTemp(vehicleData));
+            assert.equal(null, tjs.units.outsideTemp(vehicleData));
+        });
+
+        it('should default to the API units for individual states', function () {
+            assert.equal(100, tjs.units.range(vehicleData.charge_state));
+            assert.equal(90, tjs.units.range(vehicleData.charge_state, "est"));
+            assert.equal(50, tjs.units.speed(vehicleData.drive_state));
+            assert.equal(20, tjs.units.insideTemp(vehicleData.climate_state));
+            assert.equal(1609.344, tjs.units.odometer(vehicleData.vehicle_state, "km"));
+        });
+
+        it('should convert unit-tagged temperatures in setTemps()', function (done) {
+            var transport = commandTransport();
+            var client = new tjs.TeslaClient({ transport: transport });
+
+            client.setTemps(options, { value: 68, unit: "F" }, 21, function (err) {
+                assert.deepEqual({ driver_temp: 20, passenger_temp: 21 }, transport.requests[0].body);
+                done(err);
+            });
+        });
+
+        it('should convert unit-tagged limits in speedLimitSetLimit()', function (done) {
+            var transport = commandTransport();
+            var client = new tjs.TeslaClient({ transport: transport });
+
+            client.speedLimitSetLimit(options, { value: 1.609344, unit: "kph" }, function (err) {
+                assert.equal(1, transport.requests[0].body.limit_mph);
+                done(err);
+            });
+        });
+
+        it('should reject unknown units', function (done) {
+            var client = new tjs.TeslaClient({ transport: commandTransport() });
+
+            client.setTemps(options, { value: 300, unit: "K" }).then(function () {
+                done(new Error("should have failed"));
+            }, function (err) {
+                assert(/Unknown unit/.test(err.message));
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('#capabilities()', function () {
+        var vehiclePath = "/api/1/vehicles/{vehicle_id}/";
+
+        function sampleData() {
+            var vehicleData = sampleResponse(vehiclePath + "vehicle_data");
+            vehicleData.vehicle_config = sampleResponse(vehiclePath + "data_request/vehicle_config");
+            return vehicleData;
+        }
+
+        function commandTransport() {
+            return new tjs.MockTransport(function (req, callback) {
+                callback(null, { statusCode: 200 }, { response: { result: true, reason: "" } });
+            });
+        }
+
+        it('should derive capabilities from the sample vehicle data', function () {
+            var capabilities = tjs.capabilities(sampleData());
+
+            assert.equal("Model S", capabilities.carType);
+            assert.equal(true, capabilities.sunRoof);
+            assert.equal(true, capabilities.homelink);
+            assert.equal(false, capabilities.rearSeatHeaters);
+            assert.equal(null, capabilities.frunk);
+            assert.equal(true, capabilities.trunk);
+        });
+
+        it('should read vehicle_config and vehicle_state', function () {
+            var capabilities = tjs.capabilities({
+                vin: "5YJ3E1EB9JF000001",
+                option_codes: "MDL3,PPSW",
+                vehicle_config: { car_type: "model3", sun_roof_installed: null, rear_seat_heaters: 1, can_actuate_trunks: true, can_accept_navigation_requests: true },
+                vehicle_state: { fd_window: 0, remote_start_supported: true, sentry_mode_available: true, calendar_supported: true },
+                climate_state: { defrost_mode: 0 }
+            });
+
+            assert.deepEqual({
+                carType: "Model 3",
+                sunRoof: false,
+                homelink: false,
+                windows: true,
+                rearSeatHeaters: true,
+                maxDefrost: true,
+                frunk: true,
+                trunk: true,
+                remoteStart: true,
+                navigation: true,
+                sentryMode: true,
+                calendar: true
+            }, capabilities);
+        });
+
+        it('should report unknown capabilities as null', function () {
+            var capabilities = tjs.capabilities({});
+
+            assert.equal(null, capabilities.sunRoof);
+            assert.equal(null, capabilities.homelink);
+            assert.equal(null, capabilities.windows);
+        });
+
+        it('should reject unsupported commands without sending them', function (done) {
+            var transport = commandTransport();
+            var client = new tjs.TeslaClient({ transport: transport });
+            var capabilities = { sunRoof: false };
+
+            client.sunRoofControl({ authToken: "abc123", vehicleID: "1234", capabilities: capabilities }, "vent").then(function () {
+                done(new Error("should have failed"));
+            }, function (err) {
+                assert(err instanceof tjs.UnsupportedCommandError);
+                assert.equal("sunRoof", err.capability);
+                assert.equal("command/sun_roof_control", err.command);
+                assert.equal(0, transport.requests.length);
+                done();
+            }).catch(done);
+        });
+
+        it('should check rear seat heaters and the frunk', function (done) {
+            var transport = commandTransport();
+            var client = new tjs.TeslaClient({ transport: transport });
+            var opts = { authToken: "abc123", vehicleID: "1234", capabilities: { rearSeatHeaters: false, frunk: false, trunk: true } };
+
+            client.seatHeater(opts, 0, 3).then(function () {
+                return client.openTrunk(opts, tjs.TRUNK);
+            }).then(function () {
+                assert.equal(2, transport.requests.length);
+                return client.seatHeater(opts, 4, 3);
+            }).then(function () {
+                done(new Error("should have failed"));
+            }, function (err) {
+                assert.equal("rearSeatHeaters", err.capability);
+                return client.openTrunk(opts, tjs.FRUNK).then(function () {
+                    done(new Error("should have failed"));
+                }, function (err) {
+                    assert.equal("frunk", err.capability);
+                    assert.equal(2, transport.requests.length);
+                    done();
+                });
+            }).catch(done);
+        });
+
+        it('should send commands whose support is unknown', function (done) {
+            var transport = commandTransport();
+            var client = new tjs.TeslaClient({ transport: transport });
+
+            client.homelink({ authToken: "abc123", vehicleID: "1234", capabilities: tjs.capabilities({}) }, 1, 2, "token", function (err) {
+                assert.equal(1, transport.requests.length);
+                done(err);
+            });
+        });
+    });
+
+    describe('#fleet()', function () {
+        var cars = [
+            { id: 1, id_s: "1001", vehicle_id: 11, vin: "5YJSA1E2XHF000001", display_name: "Red Car", state: "online" },
+            { id: 2, id_s: "1002", vehicle_id: 12, vin: "5YJ3E1EB9JF000002", display_name: "Blue Car", state: "asleep" },
+            { id: 3, id_s: "1003", vehicle_id: 13, vin: "5YJXCAE2XJF000003", display_name: "Green Car", state: "online" }
+        ];
+
+        function vehiclesTransport(body) {
+            return new tjs.MockTransport(function (req, callback) {
+                callback(null, { statusCode: 200 }, { response: body });
+            });
+        }
+
+        it('should return a list of vehicles with string ids', function () {
+            var transport = vehiclesTransport([{ id: 1, id_s: "12345678901234567" }]);
+            var client = new tjs.TeslaClient({ transport: transport });
+
+            return client.vehicles({ authToken: "abc123" }).then(function (vehicles) {
+                assert.equal("/api/1/vehicles", transport.requests[0].url.replace(client.getPortalBaseURI(), ""));
+                assert.equal(1, vehicles.length);
+                assert.equal("12345678901234567", vehicles[0].id);
+            });
+        });
+
+        it('should return a list in proxy mode', function () {
+            var transport = new tjs.MockTransport(function (req, callback) {
+                callback(null, { statusCode: 200 }, { id: 1, id_s: "1001" });
+            });
+            var client = new tjs.TeslaClient({ transport: transport, proxy: true });
+
+            return client.vehicles({ authToken: "abc123" }).then(function (vehicles) {
+                assert(/\/vehicles$/.test(transport.requests[0].url));
+                assert.equal(1, vehicles.length);
+                assert.equal("1001", vehicles[0].id);
+            });
+        });
+
+        it('should find vehicles by index, VIN, short VIN, id_s and name', function () {
+            var client = new tjs.TeslaClient({ transport: vehiclesTransport(cars) });
+
+            return client.fleet({ authToken: "abc123" }).then(function (fleet) {
+                assert(fleet instanceof tjs.Fleet);
+                assert.equal("1002", fleet.find(1).id_s);
+                assert.equal("1001", fleet.find("5yjsa1e2xhf000001").id_s);
+                assert.equal("1003", fleet.find("000003").id_s);
+                assert.equal("1002", fleet.find("1002").id_s);
+                assert.equal("1003", fleet.find("green car").id_s);
+                assert.equal(null, fleet.find(5));
+                assert.equal(null, fleet.find("Yellow Car"));
+
+                var opts = fleet.optionsFor("Blue Car");
+                assert.equal("abc123", opts.authToken);
+                assert.equal("1002", opts.vehicleID);
+                assert.equal(12, opts.vehicle_id);
+                assert.equal(1, opts.carIndex);
+                assert.throws(function () { fleet.optionsFor("Yellow Car"); });
+            });
+        });
+
+        it('should map calls with bounded concurrency and aggregate errors', function () {
+            var fleet = new tjs.Fleet(cars, { authToken: "abc123" }, new tjs.TeslaClient({ transport: new tjs.MockTransport() }));
+            var running = 0;
+            var maxRunning = 0;
+
+            function slowCall(opts, callback) {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+
+                setTimeout(function () {
+                    running--;
+
+                    if (opts.vehicleID == "1002") {
+                        callback(new Error("asleep"), null);
+                    } else {
+                        callback(null, opts.vehicleID);
+                    }
+                }, 5);
+            }
+
+            return fleet.map(slowCall, { concurrency: 2 }).then(function (results) {
+                assert.equal(2, maxRunning);
+                assert.deepEqual(["1001", null, "1003"], results.map(function (r) { return r.result; }));
+                assert.equal("asleep", results[1].error.message);
+                assert.equal(null, results[0].error);
+                assert.equal("Blue Car", results[1].vehicle.display_name);
+            });
+        });
+
+        it('should map client methods by name and accept promises', function () {
+            var transport = new tjs.MockTransport(function (req, callback) {
+                callback(null, { statusCode: 200 }, { response: { battery_level: 80 } });
+            });
+            var fleet = new tjs.Fleet(cars.slice(0, 2), { authToken: "abc123" }, new tjs.TeslaClient({ transport: transport }));
+
+            return fleet.map("chargeState").then(function (results) {
+                assert.equal(2, transport.requests.length);
+                assert(/1002\/data_request\/charge_state$/.test(transport.requests[1].url));
+                assert.equal(80, results[1].result.battery_level);
+
+                return fleet.map(function (opts) {
+                    return opts.carIndex ? Promise.reject(new Error("nope")) : Promise.resolve(opts.carIndex);
+                });
+            }).then(function (results) {
+                assert.equal(0, results[0].result);
+                assert.equal("nope", results[1].error.message);
+            });
+        });
+    });
+
+    describe('#setCache()', function () {
+        var vehiclePath = "/api/1/vehicles/{vehicle_id}/";
+
+        function cachingClient(cache) {
+            var transport = new tjs.MockTransport(function (req, callback) {
+                var path = req.url.replace(/^.*\/api\/1\/vehicles\/[^\/]+\//, "");
+
+                if (/^command\//.test(path)) {
+                    return callback(null, { statusCode: 200 }, { response: { result: true, reason: "" } });
+                }
+
+                var body = sampleResponse(vehiclePath + path);
+
+                if (path == "vehicle_data") {
+                    body.vehicle_config = sampleResponse(vehiclePath + "data_request/vehicle_config");
+                }
+
+                callback(null, { statusCode: 200 }, { response: body });
+            });
+
+            return new tjs.TeslaClient({ transport: transport, cache: cache });
+        }
+
+        var opts = { authToken: "abc123", vehicleID: "1234" };
+
+        it('should be disabled by default', function () {
+            assert.equal(null, new tjs.TeslaClient().getCache());
+            assert(new tjs.TeslaClient({ cache: true }).getCache() instanceof tjs.ResponseCache);
+        });
+
+        it('should answer the getters from a recent vehicleData() response', function () {
+            var client = cachingClient(true);
+
+            return client.vehicleData(opts).then(function (vehicleData) {
+                return Promise.all([client.chargeState(opts), client.climateState(opts), client.vehicleConfig(opts)]).then(function (results) {
+                    assert.equal(1, client.getTransport().requests.length);
+                    assert.deepEqual(vehicleData.charge_state, results[0]);
+                    assert.deepEqual(vehicleData.vehicle_config, results[2]);
+                });
+            });
+        });
+
+        it('should not cache calls without a vehicle ID', function () {
+            var client = cachingClient(true);
+
+            return client.chargeState({ authToken: "abc123" }).then(function () {
+                return client.chargeState({ authToken: "abc123" });
+            }).then(function () {
+                assert.equal(2, client.getTransport().requests.length);
+                assert.deepEqual({}, client.getCache().entries);
+            });
+        });
+
+        it('should accept calls without options', function () {
+            var client = new tjs.TeslaClient({ proxy: true, cache: true, transport: new tjs.MockTransport(function (req, callback) {
+                callback(null, { statusCode: 200 }, { battery_level: 80 });
+            }) });
+
+            return client.get_command(undefined, "data_request/charge_state").then(function (chargeState) {
+                assert.equal(80, chargeState.battery_level);
+            });
+        });
+
+        it('should fetch stale sections and bypass the cache on request', function () {
+            var client = cachingClient({ ttl: { charge_state: 0, climate_state: 20 } });
+
+            return client.vehicleData(opts).then(function () {
+                return client.chargeState(opts);
+            }).then(function () {
+                return client.guiSettings(opts);
+            }).then(function () {
+                return client.guiSettings({ authToken: "abc123", vehicleID: "1234", cache: false });
+            }).then(function () {
+                var requests = client.getTransport().requests;
+
+                assert.equal(3, requests.length);
+                assert(/charge_state$/.test(requests[1].url));
+                assert(/gui_settings$/.test(requests[2].url));
+
+                return new Promise(function (resolve) {
+                    setTimeout(resolve, 30);
+                });
+            }).then(function () {
+                return client.climateState(opts);
+            }).then(function () {
+                assert.equal(4, client.getTransport().requests.length);
+            });
+        });
+
+        it('should return copies of the cached data', function () {
+            var client = cachingClient(true);
+
+            return client.chargeState(opts).then(function (chargeState) {
+                chargeState.battery_level = -1;
+                return client.chargeState(opts);
+            }).then(function (chargeState) {
+                assert.notEqual(-1, chargeState.battery_level);
+                assert.equal(1, client.getTransport().requests.length);
+            });
+        });
+
+        it('should drop the sections a command changes', function () {
+            var client = cachingClient(true);
+
+            return client.vehicleData(opts).then(function () {
+                return client.setChargeLimit(opts, 80);
+            }).then(function () {
+                return Promise.all([client.chargeState(opts), client.climateState(opts)]);
+            }).then(function () {
+                var requests = client.getTransport().requests;
+
+                assert.equal(3, requests.length);
+                assert(/charge_state$/.test(requests[2].url));
+
+                return client.doorLock(opts);
+            }).then(function () {
+                return Promise.all([client.vehicleState(opts), client.chargeState(opts), client.vehicleConfig(opts)]);
+            }).then(function () {
+                assert.equal(5, client.getTransport().requests.length);
+            });
+        });
+
+        it('should share a ResponseCache between clients and keep vehicles apart', function () {
+            var cache = new tjs.ResponseCache();
+            var client1 = cachingClient(cache);
+            var client2 = cachingClient(cache);
+
+            return client1.driveState(opts).then(function () {
+                return client2.driveState(opts);
+            }).then(function () {
+                return client2.driveState({ authToken: "abc123", vehicleID: "5678" });
+            }).then(function () {
+                assert.equal(1, client1.getTransport().requests.length);
+                assert.equal(1, client2.getTransport().requests.length);
+
+                cache.clear();
+                return client1.driveState(opts);
+            }).then(function () {
+                assert.equal(2, client1.getTransport().requests.length);
+            });
+        });
+    });
+
+    describe('#setRateLimit()', function () {
+        function limitedClient(rateLimit, handler) {
+            var transport = new tjs.MockTransport(handler || function (req, callback) {
+                req.sentAt = Date.now();
+                callback(null, { statusCode: 200 }, { response: { result: true, reason: "" } });
+            });
+
+            return new tjs.TeslaClient({ transport: transport, rateLimit: rateLimit });
+        }
+
+        it('should be disabled by default', function () {
+            assert.equal(null, new tjs.TeslaClient().getRateLimiter());
+            assert(new tjs.TeslaClient({ rateLimit: true }).getRateLimiter() instanceof tjs.RateLimiter);
+        });
+
+        it('should queue calls beyond the burst instead of failing them', function () {
+            // 20 ms between tokens
+            var client = limitedClient({ account: { data: { perMinute: 3000, burst: 2 } }, vehicle: false });
+            var opts = { authToken: "abc123", vehicleID: "1234" };
+            var start = Date.now();
+
+            return Promise.all([1, 2, 3, 4].map(function () {
+                return client.chargeState(opts);
+            })).then(function () {
+                var requests = client.getTransport().requests;
+                var metrics = client.getRateLimiter().metrics();
+
+                assert.equal(4, requests.length);
+                assert(requests[3].sentAt - start >= 35);
+                assert.equal(0, metrics.queueDepth);
+                assert.equal(2, metrics.maxQueueDepth);
+                assert.equal(4, metrics.granted);
+                assert.equal(2, metrics.waited);
+                assert(metrics.maxWaitMs >= 35);
+                assert(metrics.averageWaitMs > 0);
+            });
+        });
+
+        it('should keep separate budgets for data requests, commands and vehicles', function () {
+            var client = limitedClient({ account: false, vehicle: { data: { perMinute: 6, burst: 1 }, command: { perMinute: 6, burst: 1 } } });
+            var car1 = { authToken: "abc123", vehicleID: "1" };
+            var car2 = { authToken: "abc123", vehicleID: "2" };
+
+            return client.chargeState(car1).then(function () {
+                return Promise.all([client.honkHorn(car1), client.chargeState(car2)]);
+            }).then(function () {
+                assert.equal(3, client.getTransport().requests.length);
+                assert.equal(0, client.getRateLimiter().metrics().waited);
+            });
+        });
+
+        it('should share a RateLimiter between clients', function () {
+            var limiter = new tjs.RateLimiter({ account: { data: { perMinute: 6, burst: 1 } }, vehicle: false });
+            var client1 = limitedClient(limiter);
+            var client2 = limitedClient(limiter);
+            var controller = new AbortController();
+            var opts = { authToken: "abc123", vehicleID: "1234" };
+
+            return client1.chargeState(opts).then(function () {
+                var pending = client2.chargeState({ authToken: "abc123", vehicleID: "1234", signal: controller.signal });
+
+                assert.equal(1, limiter.metrics().queueDepth);
+                controller.abort();
+
+                return pending;
+            }).then(function () {
+                throw new Error("should have been cancelled");
+            }, function (err) {
+                assert(err instanceof tjs.CancelledError);
+                assert.equal(0, limiter.metrics().queueDepth);
+                assert.equal(0, client2.getTransport().requests.length);
+            });
+        });
+
+        it('should honor Retry-After on 429 responses', function () {
+            var throttled = false;
+            var client = limitedClient(true, function (req, callback) {
+                req.sentAt = Date.now();
+
+                if (!throttled) {
+                    throttled = true;
+                    return callback(null, { statusCode: 429, headers: { "retry-after": "1" } }, {});
+                }
+
+                callback(null, { statusCode: 200 }, { response: { battery_level: 50 } });
+            });
+            var opts = { authToken: "abc123", vehicleID: "1234" };
+
+            return client.chargeState(opts).then(function () {
+                throw new Error("should have been throttled");
+            }, function (err) {
+                assert(err instanceof tjs.RateLimitError);
+                return client.chargeState(opts);
+            }).then(function (result) {
+                var requests = client.getTransport().requests;
+
+                assert.equal(50, result.battery_level);
+                assert(requests[1].sentAt - requests[0].sentAt >= 950);
+                assert.equal(1, client.getRateLimiter().metrics().throttled);
+            });
+        });
+    });
+
+    describe('#StreamingSession', function () {
+        var server;
+        var streamingURI;
+        var connections;
+        var responder;
+
+        before(function (done) {
+            server = http.createServer(function (req, res) {
+                connections.push(req);
+                responder(req, res, connections.length);
+            });
+
+            server.listen(0, '127.0.0.1', function () {
+                streamingURI = "http://127.0.0.1:" + server.address().port + "/stream";
+                done();
+            });
+        });
+
+        after(function (done) {
+            server.close(done);
+        });
+
+        beforeEach(function () {
+            connections = [];
+        });
+
+        function session(options) {
+            var client = new tjs.TeslaClient({ streamingPortal: streamingURI });
+
+            options.username = user;
+            options.password = "token";
+            options.vehicle_id = "1";
+
+            return client.startStreamingSession(options);
+        }
+
+        it('should parse lines split across chunks and reconnect when the server closes', function (done) {
+            var records = [];
+            var reconnects = [];
+
+            responder = function (req, res, count) {
+                if (count == 1) {
+                    res.write("1484604016015,0,12");
+                    setTimeout(function () {
+                        res.write("5.5,71,D\n1484604016515,,");
+                        setTimeout(function () {
+                            res.end("12.5,70,\n");
+                        }, 10);
+                    }, 10);
+                } else {
+                    res.end("1484604017015,2,13,69,R");
+                }
+            };
+
+            var stream = session({ values: ["speed", "odometer", "soc", "shift_state"], reconnect: { baseDelay: 5, jitter: 0 } });
+
+            stream.on('data', function (data) {
+                records.push(data);
+
+                if (records.length == 3) {
+                    stream.stop();
+                }
+            });
+            stream.on('reconnect', function (info) {
+                reconnects.push(info);
+            });
+            stream.on('end', function () {
+                assert.deepEqual({ timestamp: 1484604016015, speed: 0, odometer: 125.5, soc: 71, shift_state: "D" }, records[0]);
+                assert.deepEqual({ timestamp: 1484604016515, speed: null, odometer: 12.5, soc: 70, shift_state: null }, records[1]);
+                assert.deepEqual({ timestamp: 1484604017015, speed: 2, odometer: 13, soc: 69, shift_state: "R" }, records[2]);
+                assert.equal("/stream/1/?values=speed,odometer,soc,shift_state", connections[0].url);
+                assert.equal(1, reconnects.length);
+                assert.equal(1, reconnects[0].attempt);
+                assert.equal(null, reconnects[0].error);
+                done();
+            });
+        });
+
+        it('should end with an error when the password is rejected', function (done) {
+            var errors = [];
+
+            responder = function (req, res) {
+                res.statusCode = 401;
+                res.end("Can't validate password. ");
+            };
+
+            var stream = session({ reconnect: { baseDelay: 5 } });
+
+            stream.on('error', function (err) {
+                errors.push(err);
+            });
+            stream.on('end', function () {
+                assert.equal(1, connections.length);
+                assert(errors[0] instanceof tjs.AuthError);
+                done();
+            });
+        });
+
+        it('should give up after maxAttempts reconnections without data', function (done) {
+            var reconnects = 0;
+
+            responder = function (req, res) {
+                res.statusCode = 503;
+                res.end();
+            };
+
+            var stream = session({ reconnect: { maxAttempts: 2, baseDelay: 5, jitter: 0 } });
+
+            stream.on('reconnect', function (info) {
+                reconnects++;
+                assert.equal(503, info.error.status);
+            });
+            stream.on('error', function (err) {
+                assert.equal(503, err.status);
+                assert.equal(2, reconnects);
+                assert.equal(3, connections.length);
+                done();
+            });
+        });
+
+        it('should end when the server closes and reconnection is disabled', function (done) {
+            var records = 0;
+
+            responder = function (req, res) {
+                res.end("1484604016015,1,2,3,4,5,6,7,8,9,P,11,12\n");
+            };
+
+            var stream = session({ reconnect: false });
+
+            stream.on('data', function (data) {
+                records++;
+                assert.equal("P", data.shift_state);
+                assert.equal(1, data.elevation);
+            });
+            stream.on('end', function () {
+                assert.equal(1, records);
+                assert.equal(1, connections.length);
+                done();
+            });
+        });
+
+        it('should stop while waiting to reconnect', function (done) {
+            responder = function (req, res) {
+                res.end();
+            };
+
+            var stream = session({ reconnect: { baseDelay: 1000 } });
+
+            stream.on('reconnect', function () {
+                stream.stop();
+            });
+            stream.on('end', function () {
+                assert.equal(1, connections.length);
+                done();
+            });
+        });
+
+        it('should stop when the signal is aborted', function (done) {
+            var controller = new AbortController();
+
+            responder = function (req, res) {
+                res.write("1484604016015,1,2,3,4,5,6,7,8,9,P,11,12\n");
+            };
+
+            var stream = session({ signal: controller.signal });
+
+            stream.on('data', function () {
+                controller.abort();
+            });
+            stream.on('end', function () {
+                assert.equal(1, connections.length);
+                done();
+            });
+        });
+
+        it('should release the signal once the session ends', function (done) {
+            var listeners = [];
+            var signal = {
+                aborted: false,
+                addEventListener: function (type, listener) {
+                    listeners.push(listener);
+                },
+                removeEventListener: function (type, listener) {
+                    var index = listeners.indexOf(listener);
+
+                    if (index >= 0) {
+                        listeners.splice(index, 1);
+                    }
+                }
+            };
+
+            responder = function (req, res) {
+                res.end();
+            };
+
+            var stream = session({ signal: signal, reconnect: { maxAttempts: 2, baseDelay: 5, jitter: 0 } });
+
+            stream.on('error', function () { /* no data after the reconnections */ });
+            stream.on('end', function () {
+                assert.equal(3, connections.length);
+                assert.equal(0, listeners.length);
+                done();
+            });
+        });
+    });
+
+    describe('#stream()', function () {
+        var server;
+        var streamingURI;
+        var responder;
+
+        before(function (done) {
+            server = http.createServer(function (req, res) {
+                responder(req, res);
+            });
+
+            server.listen(0, '127.0.0.1', function () {
+                streamingURI = "http://127.0.0.1:" + server.address().port + "/stream";
+                done();
+            });
+        });
+
+        after(function (done) {
+            server.close(done);
+        });
+
+        function samples(streamOptions) {
+            var client = new tjs.TeslaClient({ streamingPortal: streamingURI });
+
+            return client.stream({ username: user, password: "token", vehicle_id: "1", reconnect: false }, streamOptions);
+        }
+
+        // read every sample until the iterator is done
+        function readAll(iterator, results) {
+            return iterator.next().then(function (item) {
+                if (item.done) {
+                    return results;
+                }
+
+                results.push(item.value);
+                return readAll(iterator, results);
+            });
+        }
+
+        it('should yield parsed samples with Date timestamps', function () {
+            responder = function (req, res) {
+                res.end("1484604016015,65,1234.5\n1484604016515,66,1235\n");
+            };
+
+            var iterator = samples({ columns: ["speed", "odometer"] });
+
+            assert.equal(iterator, iterator[Symbol.asyncIterator]());
+
+            return readAll(iterator, []).then(function (results) {
+                assert.equal(2, results.length);
+                assert(results[0].timestamp instanceof Date);
+                assert.equal(1484604016015, results[0].timestamp.getTime());
+                assert.strictEqual(65, results[0].speed);
+                assert.strictEqual(1235, results[1].odometer);
+            });
+        });
+
+        it('should pause the connection while the buffer is full', function () {
+            var response;
+
+            responder = function (req, res) {
+                response = res;
+                res.write("1,1\n2,2\n3,3\n4,4\n5,5\n");
+            };
+
+            var iterator = samples({ columns: ["speed"], highWaterMark: 2 });
+
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 50);
+            }).then(function () {
+                assert(iterator.session.paused);
+                return iterator.next();
+            }).then(function () {
+                return iterator.next();
+            }).then(function () {
+                return iterator.next();
+            }).then(function () {
+                return iterator.next();
+            }).then(function () {
+                // one sample left, below the high water mark
+                assert.equal(false, iterator.session.paused);
+                response.end();
+                return readAll(iterator, []);
+            }).then(function (results) {
+                assert.deepEqual([5], results.map(function (sample) { return sample.speed; }));
+            }, function (err) {
+                response.end();
+                throw err;
+            });
         });
-    });
 
-    describe('#setStreamingBaseURI()', function () {
-        it('should reset to default portal value on empty parameter', function () {
-            tjs.setStreamingBaseURI();
-            assert.equal(tjs.streamingPortal, tjs.getStreamingBaseURI());
+        it('should close the connection when the loop ends early', function () {
+            var closed = new Promise(function (resolve) {
+                responder = function (req, res) {
+                    req.on('close', resolve);
+                    res.write("1484604016015,65\n");
+                };
+            });
+
+            var iterator = samples({ columns: ["speed"] });
+
+            return iterator.next().then(function (item) {
+                assert.equal(65, item.value.speed);
+                return iterator.return();
+            }).then(function (item) {
+                assert(item.done);
+                return closed;
+            }).then(function () {
+                assert(iterator.session.ended);
+            });
         });
 
-        it('should change to value passed', function () {
-            tjs.setStreamingBaseURI(process.env.TESLAJS_STREAMING);
-            assert.equal(process.env.TESLAJS_STREAMING, tjs.getStreamingBaseURI());
+        it('should reject the next read when the session fails', function () {
+            responder = function (req, res) {
+                res.statusCode = 401;
+                res.end();
+            };
+
+            return samples().next().then(function () {
+                throw new Error("should have failed");
+            }, function (err) {
+                assert(err instanceof tjs.AuthError);
+            });
         });
     });
 
-    describe('#getPortalBaseURI()', function () {
-        it('should return current portal URI', function () {
-            assert.equal(process.env.TESLAJS_SERVER, tjs.getPortalBaseURI());
+    describe('#startStreaming() over WebSocket', function () {
+        var crypto = require('crypto');
+        var server;
+        var streamingURI;
+        var connections;
+        var scenario;
+
+        // unmasked server frame
+        function frame(opcode, text, fin) {
+            var payload = Buffer.from(text || "");
+            var header = payload.length < 126 ? Buffer.from([0, payload.length]) : Buffer.from([0, 126, payload.length >> 8, payload.length & 0xff]);
+
+            header[0] = (fin === false ? 0 : 0x80) | opcode;
+            return Buffer.concat([header, payload]);
+        }
+
+        function sendMessage(socket, message) {
+            socket.write(frame(1, JSON.stringify(message)));
+        }
+
+        // masked client frames
+        function readFrames(buffer, onFrame) {
+            while (buffer.length >= 2) {
+                var length = buffer[1] & 0x7f;
+                var offset = 2;
+
+                if (length == 126) {
+                    length = buffer.readUInt16BE(2);
+                    offset = 4;
+                }
+
+                if (buffer.length < offset + 4 + length) {
+                    break;
+                }
+
+                var mask = buffer.slice(offset, offset + 4);
+                var payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + length));
+
+                for (var i = 0; i < length; i++) {
+                    payload[i] ^= mask[i % 4];
+                }
+
+                onFrame(buffer[0] & 0x0f, payload);
+                buffer = buffer.slice(offset + 4 + length);
+            }
+
+            return buffer;
+        }
+
+        before(function (done) {
+            server = http.createServer(function (req, res) {
+                res.statusCode = 404;
+                res.end();
+            });
+
+            server.on('upgrade', function (req, socket) {
+                var connection = { req: req, socket: socket, messages: [], pongs: [] };
+                var buffer = Buffer.alloc(0);
+                var accept = crypto.createHash('sha1').update(req.headers['sec-websocket-key'] + "258EAFA5-E914-47DA-95CA-C5AB0DC85B11").digest('base64');
+
+                connections.push(connection);
+                socket.on('error', function () { /* the client may drop the connection */ });
+                socket.on('end', function () {
+                    socket.end();
+                });
+
+                if (scenario.refuse) {
+                    return socket.end("HTTP/1.1 " + scenario.refuse + " Refused\r\nContent-Length: 0\r\nConnection: close\r\n\r\n");
+                }
+
+                socket.write("HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: " + accept + "\r\n\r\n");
+                sendMessage(socket, { msg_type: "control:hello", connection_timeout: 30000 });
+
+                socket.on('data', function (chunk) {
+                    buffer = readFrames(Buffer.concat([buffer, chunk]), function (opcode, payload) {
+                        if (opcode == 1) {
+                            connection.messages.push(JSON.parse(payload.toString()));
+                            scenario.subscribed(socket, connections.length, connection.messages[0]);
+                        } else if (opcode == 8) {
+                            connection.closeCode = payload.length ? payload.readUInt16BE(0) : null;
+                            socket.end(frame(8, payload));
+                        } else if (opcode == 10) {
+                            connection.pongs.push(payload.toString());
+                        }
+                    });
+                });
+            });
+
+            server.listen(0, '127.0.0.1', function () {
+                streamingURI = "ws://127.0.0.1:" + server.address().port + "/streaming/";
+                done();
+            });
+        });
+
+        after(function (done) {
+            server.close(done);
+        });
+
+        beforeEach(function () {
+            connections = [];
+        });
+
+        function wsClient() {
+            return new tjs.TeslaClient({ streamingWebSocket: streamingURI });
+        }
+
+        it('should subscribe and emit parsed data:update lines, reconnecting when the vehicle disconnects', function (done) {
+            var records = [];
+            var reconnects = 0;
+
+            scenario = {
+                subscribed: function (socket, count) {
+                    if (count == 1) {
+                        socket.write(frame(1, '{"msg_type":"data:update","tag":"1","value":"1484604016015,', false));
+                        socket.write(frame(0, '0,125.5,71,D"}'));
+                        sendMessage(socket, { msg_type: "data:update", tag: "1", value: "1484604016515,,12.5,70," });
+                        sendMessage(socket, { msg_type: "data:error", tag: "1", value: "disconnected", error_type: "vehicle_disconnected" });
+                    } else {
+                        sendMessage(socket, { msg_type: "data:update", tag: "1", value: "1484604017015,2,13,69,R" });
+                    }
+                }
+            };
+
+            var session = wsClient().startStreamingSession({
+                protocol: "ws",
+                username: user,
+                password: "token",
+                vehicle_id: 1,
+                values: ["speed", "odometer", "soc", "shift_state"],
+                reconnect: { baseDelay: 5, jitter: 0 }
+            });
+
+            session.on('data', function (data) {
+                records.push(data);
+
+                if (records.length == 3) {
+                    session.stop();
+                }
+            });
+            session.on('reconnect', function (info) {
+                reconnects++;
+                assert.equal(null, info.error);
+            });
+            session.on('end', function () {
+                var subscribe = connections[0].messages[0];
+
+                assert.equal("data:subscribe", subscribe.msg_type);
+                assert.equal(Buffer.from(user + ":token").toString('base64'), subscribe.token);
+                assert.equal("speed,odometer,soc,shift_state", subscribe.value);
+                assert.equal("1", subscribe.tag);
+                assert.equal("/streaming/", connections[0].req.url);
+                assert.deepEqual({ timestamp: 1484604016015, speed: 0, odometer: 125.5, soc: 71, shift_state: "D" }, records[0]);
+                assert.deepEqual({ timestamp: 1484604016515, speed: null, odometer: 12.5, soc: 70, shift_state: null }, records[1]);
+                assert.equal("R", records[2].shift_state);
+                assert.equal(1, reconnects);
+                assert.equal(2, connections.length);
+                done();
+            });
+        });
+
+        it('should pass lines to startStreaming() and answer pings', function (done) {
+            var lines = [];
+
+            scenario = {
+                subscribed: function (socket) {
+                    socket.write(frame(9, "ping"));
+                    sendMessage(socket, { msg_type: "data:update", tag: "1", value: "1484604016015,1,2,3,4,5,6,7,8,9,P,11,12" });
+                    socket.write(frame(8));
+                }
+            };
+
+            wsClient().startStreaming({ protocol: "ws", authToken: "abc123", vehicle_id: 1 }, function (err, response) {
+                var subscribe = connections[0].messages[0];
+
+                assert.equal(null, err);
+                assert.equal(200, response.statusCode);
+                assert.equal("data:subscribe_oauth", subscribe.msg_type);
+                assert.equal("abc123", subscribe.token);
+                assert.equal(tjs.streamingColumns.join(","), subscribe.value);
+                assert.deepEqual(["ping"], connections[0].pongs);
+                assert.deepEqual(["1484604016015,1,2,3,4,5,6,7,8,9,P,11,12\n"], lines);
+                done();
+            }, function (data) {
+                lines.push(data);
+            });
+        });
+
+        it('should end the session with an AuthError on a client_error', function (done) {
+            var errors = [];
+
+            scenario = {
+                subscribed: function (socket) {
+                    sendMessage(socket, { msg_type: "data:error", tag: "1", value: "Can't validate token. ", error_type: "client_error" });
+                }
+            };
+
+            var session = wsClient().startStreamingSession({ protocol: "ws", username: user, password: "bad", vehicle_id: 1, reconnect: { baseDelay: 5 } });
+
+            session.on('error', function (err) {
+                errors.push(err);
+            });
+            session.on('end', function () {
+                assert.equal(1, connections.length);
+                assert(errors[0] instanceof tjs.AuthError);
+                assert.equal("client_error", errors[0].body.error_type);
+                done();
+            });
+        });
+
+        it('should report a refused upgrade like an HTTP error', function (done) {
+            scenario = { refuse: 401 };
+
+            var session = wsClient().startStreamingSession({ protocol: "ws", username: user, password: "bad", vehicle_id: 1 });
+
+            session.on('error', function (err) {
+                assert(err instanceof tjs.AuthError);
+                assert.equal(401, err.status);
+            });
+            session.on('end', function () {
+                scenario = {};
+                done();
+            });
         });
     });
 
-    describe('#setPortalBaseURI()', function () {
-        it('should reset to default portal value on empty parameter', function () {
-            tjs.setPortalBaseURI();
-            assert.equal(tjs.portal, tjs.getPortalBaseURI());
+    describe('#TripDetector', function () {
+        var t0 = 1484604000000;
+
+        function sample(seconds, speed, shift_state, odometer, soc) {
+            return {
+                timestamp: t0 + seconds * 1000,
+                speed: speed,
+                shift_state: shift_state,
+                odometer: odometer,
+                soc: soc,
+                range: soc * 3,
+                est_lat: 37 + seconds / 1000,
+                est_lng: -122
+            };
+        }
+
+        function detect(detector, samples) {
+            var events = [];
+
+            detector.on('tripStart', function (start) {
+                events.push({ start: start });
+            });
+
+            detector.on('tripEnd', function (trip) {
+                events.push({ trip: trip });
+            });
+
+            samples.forEach(function (data) {
+                detector.push(data);
+            });
+
+            return events;
+        }
+
+        it('should split streamed samples on shift_state transitions', function () {
+            var events = detect(new tjs.TripDetector(), [
+                sample(0, null, "P", 100, 80),
+                sample(10, 0, "D", 100, 80),
+                sample(70, 60, "D", 100.5, 79),
+                sample(370, 30, "D", 104, 77),
+                sample(380, 0, "P", 104, 76),
+                sample(400, null, null, 104, 76)
+            ]);
+
+            assert.equal(2, events.length);
+            assert.equal(t0 + 10000, events[0].start.time.getTime());
+            assert.equal(37.01, events[0].start.latitude);
+
+            var trip = events[1].trip;
+
+            assert.equal(t0 + 10000, trip.start.time.getTime());
+            assert.equal(t0 + 380000, trip.end.time.getTime());
+            assert.equal(37.38, trip.end.latitude);
+            assert.equal(370000, trip.duration);
+            assert.equal(4, trip.distance);
+            assert.deepEqual({ soc: 4, range: 12 }, trip.energy);
+            assert.equal(60, trip.maxSpeed);
+            assert.equal(Math.round(4 / (370 / 3600) * 1000), Math.round(trip.averageSpeed * 1000));
+            assert.equal(4, trip.path.length);
+            assert(trip.path[0].time instanceof Date);
         });
 
-        it('should change to value passed', function () {
-            tjs.setPortalBaseURI(process.env.TESLAJS_SERVER);
-            assert.equal(process.env.TESLAJS_SERVER, tjs.getPortalBaseURI());
+        it('should end a trip once the vehicle stands still for the idle timeout', function () {
+            var detector = new tjs.TripDetector({ idleTimeout: 60000 });
+            var events = detect(detector, [
+                sample(0, 20, null, 10, 50),
+                sample(30, 40, null, 10.2, 50),
+                sample(60, 0, null, 10.5, 49),
+                sample(90, 0, null, 10.5, 49),
+                sample(120, 0, null, 10.5, 49),
+                sample(150, 10, null, 10.5, 49)
+            ]);
+
+            assert.equal(3, events.length);
+            assert.equal(t0 + 60000, events[1].trip.end.time.getTime());
+            assert.equal(3, events[1].trip.path.length);
+            assert.equal(t0 + 150000, events[2].start.time.getTime());
+            assert(detector.finish());
+            assert.equal(null, detector.finish());
+        });
+
+        it('should end a trip when samples stop arriving', function () {
+            var events = detect(new tjs.TripDetector({ idleTimeout: 60000 }), [
+                sample(0, 20, "D", 10, 50),
+                sample(30, 40, "D", 10.2, 50),
+                sample(600, 30, "D", 15, 45)
+            ]);
+
+            assert.equal(3, events.length);
+            assert.equal(t0 + 30000, events[1].trip.end.time.getTime());
+            assert.equal(t0 + 600000, events[2].start.time.getTime());
+        });
+
+        it('should end a trip when no sample arrives within the idle timeout', function (done) {
+            var detector = new tjs.TripDetector({ idleTimeout: 20 });
+
+            // samples 5ms apart, then none
+            detect(detector, [
+                sample(0, 20, "D", 10, 50),
+                sample(0.005, 30, "D", 10.1, 50),
+                sample(0.01, 0, "D", 10.2, 50),
+                sample(0.015, 0, "D", 10.2, 50)
+            ]);
+
+            detector.on('tripEnd', function (trip) {
+                assert.equal(t0 + 10, trip.end.time.getTime());
+                assert.equal(3, trip.path.length);
+                assert.equal(null, detector.finish());
+                done();
+            });
+        });
+
+        it('should not start a trip for a vehicle standing in gear', function () {
+            var events = detect(new tjs.TripDetector({ idleTimeout: 60000 }), [
+                sample(0, 0, "D", 10, 50),
+                sample(30, 0, "N", 10, 50),
+                sample(600, 0, "D", 10, 50),
+                sample(630, 0, "P", 10, 50)
+            ]);
+
+            assert.equal(0, events.length);
+        });
+
+        it('should start a trip from the shift into gear once the vehicle moves', function () {
+            var events = detect(new tjs.TripDetector({ idleTimeout: 60000 }), [
+                sample(0, 0, "D", 10, 50),
+                sample(30, 0, "D", 10, 50),
+                sample(50, 20, "D", 10.1, 50),
+                sample(90, 0, "D", 10.3, 50),
+                sample(120, 0, "D", 10.3, 50),
+                sample(150, 0, "D", 10.3, 50)
+            ]);
+
+            assert.equal(2, events.length);
+            assert.equal(t0, events[0].start.time.getTime());
+
+            var trip = events[1].trip;
+
+            assert.equal(t0 + 90000, trip.end.time.getTime());
+            assert.deepEqual([0, 50000, 90000], trip.path.map(function (point) {
+                return point.time.getTime() - t0;
+            }));
+        });
+
+        it('should start a trip when the odometer advances in gear', function () {
+            function polled(seconds, shift_state, odometer) {
+                return {
+                    drive_state: { gps_as_of: t0 / 1000 + seconds, speed: null, shift_state: shift_state },
+                    vehicle_state: { odometer: odometer }
+                };
+            }
+
+            var detector = new tjs.TripDetector({ idleTimeout: 60000 });
+            var events = detect(detector, [
+                polled(0, null, 1000),
+                polled(30, null, 1001),
+                polled(50, "D", 1001),
+                polled(60, "D", 1002),
+                polled(90, "D", 1002),
+                polled(150, "D", 1002)
+            ]);
+
+            assert.equal(2, events.length);
+            assert.equal(t0 + 50000, events[0].start.time.getTime());
+            assert.equal(t0 + 60000, events[1].trip.end.time.getTime());
+        });
+
+        it('should not start a trip for the distance logged across a gap in samples', function () {
+            var events = detect(new tjs.TripDetector({ idleTimeout: 60000 }), [
+                sample(0, 20, "D", 10, 50),
+                sample(30, 40, "D", 10.2, 50),
+                sample(600, 0, "D", 15, 45),
+                sample(630, 0, "D", 15, 45)
+            ]);
+
+            assert.equal(2, events.length);
+            assert.equal(t0 + 30000, events[1].trip.end.time.getTime());
+        });
+
+        it('should not start a trip for the distance logged after the idle timer ended a trip', function (done) {
+            var detector = new tjs.TripDetector({ idleTimeout: 20 });
+            var events = detect(detector, [
+                sample(0, 20, "D", 10, 50),
+                sample(0.005, 30, "D", 10.1, 50)
+            ]);
+
+            setTimeout(function () {
+                assert.equal(2, events.length);
+
+                detector.push(sample(0.1, 0, "D", 12, 48));
+                detector.push(sample(0.105, 0, "D", 12, 48));
+
+                assert.equal(2, events.length);
+                assert.equal(null, detector.finish());
+                done();
+            }, 50);
+        });
+
+        it('should accept polled vehicle data', function () {
+            function polled(seconds, speed, shift_state, odometer) {
+                return {
+                    drive_state: { gps_as_of: t0 / 1000 + seconds, speed: speed, shift_state: shift_state, latitude: 37, longitude: -122 },
+                    charge_state: { battery_level: 60, battery_range: 150 },
+                    vehicle_state: { odometer: odometer }
+                };
+            }
+
+            var events = detect(new tjs.TripDetector(), [
+                polled(0, 25, "D", 1000),
+                polled(60, 45, "D", 1000.6),
+                polled(120, null, "P", 1001)
+            ]);
+
+            var trip = events[1].trip;
+
+            assert.equal(1, trip.distance);
+            assert.deepEqual({ soc: 0, range: 0 }, trip.energy);
+            assert.equal(120000, trip.duration);
+            assert.equal(-122, trip.end.longitude);
+            assert.equal(0, trip.path[2].speed);
         });
     });
 
-    describe('#getLogLevel()', function () {
-        it('should return default value', function () {
-            assert.equal(process.env.TESLAJS_LOG || 0, tjs.getLogLevel());
+    describe('#ChargeSessionTracker', function () {
+        var t0 = 1484604000000;
+
+        function snapshot(minutes, charging_state, soc, added, power) {
+            return {
+                timestamp: t0 + minutes * 60000,
+                charging_state: charging_state,
+                battery_level: soc,
+                battery_range: soc * 3,
+                charge_energy_added: added,
+                charger_power: power,
+                fast_charger_type: "Supercharger",
+                conn_charge_cable: "IEC"
+            };
+        }
+
+        function track(tracker, snapshots) {
+            var events = [];
+
+            tracker.on('sessionStart', function (start) {
+                events.push({ start: start });
+            });
+
+            tracker.on('sessionEnd', function (session) {
+                events.push({ session: session });
+            });
+
+            snapshots.forEach(function (data) {
+                tracker.push(data, { latitude: 37.5, longitude: -122.25 });
+            });
+
+            return events;
+        }
+
+        it('should stitch snapshots into a session', function () {
+            var tracker = new tjs.ChargeSessionTracker();
+            var events = track(tracker, [
+                snapshot(0, "Disconnected", 20, 0, 0),
+                snapshot(1, "Starting", 20, 0, 0),
+                snapshot(2, "Charging", 22, 2, 100),
+                snapshot(12, "Charging", 40, 20, 150),
+                snapshot(30, "Complete", 60, 40, 0),
+                snapshot(31, "Disconnected", 60, 0, null)
+            ]);
+
+            assert.equal(2, events.length);
+            assert.equal(t0 + 60000, events[0].start.time.getTime());
+            assert.equal(20, events[0].start.soc);
+
+            var session = events[1].session;
+
+            assert.equal(20, session.start.soc);
+            assert.equal(60, session.end.soc);
+            assert.equal(29 * 60000, session.duration);
+            assert.equal(40, session.energyAdded);
+            assert.equal(150, session.peakPower);
+            assert.equal(250 / 3, session.averagePower);
+            assert.deepEqual({ fast_charger_type: "Supercharger", conn_charge_cable: "IEC" }, session.charger);
+            assert.deepEqual({ latitude: 37.5, longitude: -122.25 }, session.location);
+            assert.equal("Complete", session.endState);
+            assert.deepEqual([session], tracker.sessions);
+        });
+
+        it('should count the energy of a resumed session from where it resumed', function () {
+            var tracker = new tjs.ChargeSessionTracker();
+
+            track(tracker, [
+                snapshot(0, "Charging", 50, 5, 11),
+                snapshot(10, "Stopped", 52, 7, 0),
+                snapshot(20, "Charging", 52, 7, 11),
+                snapshot(30, "Charging", 54, 9, 11)
+            ]);
+
+            assert.equal(7, tracker.sessions[0].energyAdded);
+            assert.equal(2, tracker.finish().energyAdded);
+            assert.equal(null, tracker.finish());
+        });
+
+        it('should locate sessions from vehicleData snapshots', function () {
+            var tracker = new tjs.ChargeSessionTracker();
+
+            tracker.push({ charge_state: snapshot(0, "Charging", 50, 0, 7), drive_state: { latitude: 1, longitude: 2 } });
+            tracker.push({ charge_state: snapshot(60, "Stopped", 60, 7, 0), drive_state: { latitude: 3, longitude: 4 } });
+
+            assert.deepEqual({ latitude: 1, longitude: 2 }, tracker.sessions[0].location);
+        });
+
+        it('should export sessions as JSON and CSV', function () {
+            var tracker = new tjs.ChargeSessionTracker();
+
+            track(tracker, [
+                snapshot(0, "Charging", 50, 0, 7),
+                snapshot(60, "Stopped", 60, 7, 0)
+            ]);
+
+            tracker.sessions[0].charger.conn_charge_cable = 'Type "2", tethered';
+
+            var json = JSON.parse(JSON.stringify(tracker));
+
+            assert.equal(1, json.length);
+            assert.equal(new Date(t0).toISOString(), json[0].start.time);
+
+            var lines = tracker.toCSV().split("\r\n");
+
+            assert.equal("start_time,end_time,duration,start_soc,end_soc,energy_added,peak_power,average_power,fast_charger_type,conn_charge_cable,latitude,longitude,end_state", lines[0]);
+            assert.equal(new Date(t0).toISOString() + "," + new Date(t0 + 3600000).toISOString() +
+                ',3600000,50,60,7,7,7,Supercharger,"Type ""2"", tethered",37.5,-122.25,Stopped', lines[1]);
+            assert.equal("", lines[2]);
+        });
+
+        it('should poll chargeState and locate the session with driveState once', function (done) {
+            var states = ["Charging", "Charging", "Complete"];
+            var transport = new tjs.MockTransport(function (req, callback) {
+                if (/drive_state$/.test(req.url)) {
+                    return callback(null, { statusCode: 200 }, { response: { latitude: 10, longitude: 20 } });
+                }
+
+                var polled = charges.length;
+
+                charges.push(req);
+                callback(null, { statusCode: 200 }, { response: snapshot(polled, states[polled] || "Complete", 50 + polled, polled, 7) });
+            });
+            var charges = [];
+            var client = new tjs.TeslaClient({ transport: transport });
+            var tracker = new tjs.ChargeSessionTracker({ authToken: "abc123", vehicleID: "1", interval: 5 }, client);
+
+            tracker.on('sessionEnd', function (session) {
+                tracker.stop();
+                assert.equal(3, charges.length);
+                assert.equal(1, transport.requests.length - charges.length);
+                assert.deepEqual({ latitude: 10, longitude: 20 }, session.location);
+                assert.equal(2, session.energyAdded);
+                done();
+            });
+
+            tracker.start();
+        });
+
+        it('should report a failed poll and keep polling', function (done) {
+            var polls = 0;
+            var transport = new tjs.MockTransport(function (req, callback) {
+                if (/drive_state$/.test(req.url)) {
+                    return callback(null, { statusCode: 200 }, { response: {} });
+                }
+
+                if (++polls == 1) {
+                    return callback(null, { statusCode: 500, statusMessage: "Internal Server Error" }, "");
+                }
+
+                callback(null, { statusCode: 200 }, { response: snapshot(polls, polls < 3 ? "Charging" : "Complete", 50, polls, 7) });
+            });
+            var client = new tjs.TeslaClient({ transport: transport });
+            var tracker = new tjs.ChargeSessionTracker({ authToken: "abc123", vehicleID: "1", interval: 5 }, client);
+            var failures = [];
+
+            tracker.on('pollError', function (err) {
+                failures.push(err);
+            });
+
+            tracker.on('sessionEnd', function (session) {
+                tracker.stop();
+                assert.equal(1, failures.length);
+                assert(failures[0] instanceof tjs.TeslaApiError);
+                assert.equal(0, tracker.listenerCount('error'));
+                assert.equal(3, polls);
+                assert.equal(3, session.energyAdded);
+                done();
+            });
+
+            tracker.start();
         });
     });
 
-    describe('#setLogLevel()', function () {
-        it('should change the logging level to 255', function () {
-            tjs.setLogLevel(255);
-            assert.equal(255, tjs.getLogLevel());
+    describe('#teslajs.d.ts', function () {
+        var dts = fs.readFileSync(path.join(__dirname, '..', 'teslajs.d.ts'), 'utf8');
+
+        // property names declared by an interface and the interfaces it extends
+        function declaredFields(name) {
+            var match = new RegExp("\\n    interface " + name + "(?: extends ([\\w, ]+))? \\{([\\s\\S]*?)\\n    \\}").exec(dts);
+            assert(match, "interface " + name + " is not declared");
+
+            var fields = (match[2].match(/^ {8}(?:readonly )?\w+(?=\??[:(])/gm) || []).map(function (field) {
+                return field.replace("readonly", "").trim();
+            });
+
+            (match[1] || "").split(/, */).filter(Boolean).forEach(function (base) {
+                if (base != "EventEmitter") {
+                    fields = fields.concat(declaredFields(base));
+                }
+            });
+
+            return fields;
+        }
+
+        function checkFields(name, sample) {
+            var fields = declaredFields(name);
+
+            Object.keys(sample).forEach(function (field) {
+                assert(fields.indexOf(field) >= 0, name + " does not declare " + field);
+            });
+        }
+
+        it('should declare every field of the sample data responses', function () {
+            checkFields("ChargeState", sampleResponse("/api/1/vehicles/{vehicle_id}/data_request/charge_state"));
+            checkFields("ClimateState", sampleResponse("/api/1/vehicles/{vehicle_id}/data_request/climate_state"));
+            checkFields("DriveState", sampleResponse("/api/1/vehicles/{vehicle_id}/data_request/drive_state"));
+            checkFields("GuiSettings", sampleResponse("/api/1/vehicles/{vehicle_id}/data_request/gui_settings"));
+            checkFields("VehicleState", sampleResponse("/api/1/vehicles/{vehicle_id}/data_request/vehicle_state"));
+            checkFields("VehicleConfig", sampleResponse("/api/1/vehicles/{vehicle_id}/data_request/vehicle_config"));
+            checkFields("NearbyChargers", sampleResponse("/api/1/vehicles/{vehicle_id}/nearby_charging_sites"));
+            checkFields("Vehicle", sampleResponse("/api/1/vehicles")[0]);
         });
-        it('should change the logging level to default value', function () {
-            tjs.setLogLevel(process.env.TESLAJS_LOG || 0);
-            assert.equal(process.env.TESLAJS_LOG || 0, tjs.getLogLevel());
+
+        it('should declare every field of the sample vehicle_data response', function () {
+            var vehicleData = sampleResponse("/api/1/vehicles/{vehicle_id}/vehicle_data");
+
+            checkFields("VehicleData", vehicleData);
+            checkFields("ChargeState", vehicleData.charge_state);
+            checkFields("ClimateState", vehicleData.climate_state);
+            checkFields("DriveState", vehicleData.drive_state);
+            checkFields("GuiSettings", vehicleData.gui_settings);
+            checkFields("VehicleState", vehicleData.vehicle_state);
+        });
+
+        it('should declare every export', function () {
+            var fields = declaredFields("Module");
+
+            Object.keys(tjs).forEach(function (name) {
+                assert(fields.indexOf(name) >= 0, "Module does not declare " + name);
+            });
         });
     });
 
@@ -111,6 +2602,43 @@ describe('TeslaJS', function () {
         it('should return AWD', function () {
             assert.equal(true, tjs.vinDecode({"vin": "5YJSA1C26DFP1"}).awd);
         });
+        it('should decode every position of a valid VIN', function () {
+            var info = tjs.vinDecode("5YJ3E1EB9JF000001");
+
+            assert.equal(true, info.valid);
+            assert.deepEqual([], info.reasons);
+            assert.equal("Tesla, Inc.", info.manufacturer);
+            assert.equal("Model 3", info.carType);
+            assert.equal("Sedan 4 Dr / LHD", info.body);
+            assert.equal("Electric (NMC)", info.battery);
+            assert.equal("Dual Motor", info.motor);
+            assert.equal(true, info.awd);
+            assert.equal(2018, info.year);
+            assert.equal("Fremont, CA, USA", info.plant);
+            assert.equal("000001", info.serial);
+        });
+        it('should accept the sample VIN', function () {
+            assert.equal(true, tjs.vinDecode({"vin": "5YJSA1CN5CFP01657"}).valid);
+        });
+        it('should skip I, O, Q, U and Z in model years', function () {
+            assert.equal(2018, tjs.vinDecode("5YJ3E1EB9JF000001").year);
+            assert.equal(2020, tjs.vinDecode("5YJ3E1EB9LF000001").year);
+            assert.equal(2023, tjs.vinDecode("5YJ3E1EB9PF000001").year);
+            assert.equal(2025, tjs.vinDecode("5YJ3E1EB9SF000001").year);
+            assert.equal(2031, tjs.vinDecode("5YJ3E1EB91F000001").year);
+            assert.equal(null, tjs.vinDecode("5YJ3E1EB9UF000001").year);
+        });
+        it('should report a wrong check digit', function () {
+            var info = tjs.vinDecode("5YJ3E1EB8JF000001");
+
+            assert.equal(false, info.valid);
+            assert.deepEqual(["check digit is 8, expected 9"], info.reasons);
+        });
+        it('should report malformed VINs', function () {
+            assert.equal(false, tjs.vinDecode({"vin": "5YJSA1CP6DFP1"}).valid);
+            assert.equal(false, tjs.vinDecode("5YJ3E1EB9JF00000I").valid);
+            assert.deepEqual(["missing VIN"], tjs.vinDecode({}).reasons);
+        });
     });
 
     describe('#getPaintColor()', function () {
@@ -159,8 +2687,72 @@ describe('TeslaJS', function () {
         it('should return metallic grey', function () {
             assert.equal('metallic grey', tjs.getPaintColor({"option_codes": "PMTG"}));
         });
-        it('should return black', function () {
-            assert.equal('black', tjs.getPaintColor({"option_codes": "PPPP"}));
+        it('should return unknown', function () {
+            assert.equal('unknown', tjs.getPaintColor({"option_codes": "PPPP"}));
+        });
+        it('should find the paint among other codes', function () {
+            assert.equal('pearl white', tjs.getPaintColor({"option_codes": "MDLS,RENA,PPSW,WT19"}));
+        });
+    });
+
+    describe('#optionCodes', function () {
+        it('should decode every code of the sample vehicle', function () {
+            var vehicle = sampleResponse("/api/1/vehicles")[0];
+            var entries = tjs.optionCodes.parse(vehicle);
+
+            assert.equal(vehicle.option_codes.split(",").length, entries.length);
+            assert.deepEqual([], tjs.optionCodes.decode(vehicle).unknown);
+        });
+
+        it('should categorize codes', function () {
+            var options = tjs.optionCodes.decode("MDL3,REEU,PPSB,W38B,IN3PB,BT37,DV4W,APH3,TR00");
+
+            assert.deepEqual([{ code: "PPSB", category: "paint", description: "Deep Blue Metallic", color: "ocean blue" }], options.paint);
+            assert.equal("Europe", options.region[0].description);
+            assert.equal("W38B", options.wheels[0].code);
+            assert.equal("IN3PB", options.interior[0].code);
+            assert.equal("BT37", options.battery[0].code);
+            assert.equal("All-wheel drive", options.drive[0].description);
+            assert.equal("APH3", options.autopilot[0].code);
+            assert.equal("TR00", options.seats[0].code);
+        });
+
+        it('should keep steering side and performance apart from the drive unit', function () {
+            var options = tjs.optionCodes.decode("MDLS,DRRH,DV4W,DU01,PF01,BP02,PX01");
+
+            assert.deepEqual(["DV4W", "DU01"], options.drive.map(function (entry) {
+                return entry.code;
+            }));
+            assert.deepEqual([{ code: "DRRH", category: "steering", description: "Right-hand drive" }], options.steering);
+            assert.deepEqual(["PF01", "BP02", "PX01"], options.performance.map(function (entry) {
+                return entry.code;
+            }));
+        });
+
+        it('should decode the wider catalogue', function () {
+            var codes = ["COUS", "MI02", "UTAB", "ST01", "CC04", "TW01", "AD06", "APPA", "WT22"].map(tjs.optionCodes.describe);
+
+            assert.deepEqual(["region", "model", "interior", "interior", "seats", "other", "other", "autopilot", "wheels"], codes.map(function (entry) {
+                return entry.category;
+            }));
+            assert.equal("Non-heated leather steering wheel", codes[3].description);
+        });
+
+        it('should skip paint class codes for the paint color', function () {
+            assert.equal('metallic blue', tjs.getPaintColor({"option_codes": "COL2,PMMB"}));
+            assert.equal('unknown', tjs.getPaintColor({"option_codes": "COL2"}));
+        });
+
+        it('should preserve unknown codes', function () {
+            assert.deepEqual([
+                { code: "RENA", category: "region", description: "North America" },
+                { code: "QQ99", category: "unknown", description: null }
+            ], tjs.optionCodes.parse("RENA, QQ99"));
+        });
+
+        it('should handle vehicles without option codes', function () {
+            assert.deepEqual([], tjs.optionCodes.parse({}));
+            assert.equal('unknown', tjs.getPaintColor({}));
         });
     });
 
@@ -272,6 +2864,199 @@ describe('TeslaJS', function () {
 	    });
 	});
 
+	describe('#tokenRefreshed', function () {
+		var server;
+		var portalURI;
+		var tokenRequests = [];
+
+		before(function (done) {
+			server = http.createServer(function (req, res) {
+				var chunks = [];
+
+				res.setHeader('Content-Type', 'application/json');
+
+				if (req.url == '/oauth/token') {
+					req.on('data', function (chunk) {
+						chunks.push(chunk);
+					});
+
+					req.on('end', function () {
+						var grant = JSON.parse(Buffer.concat(chunks).toString());
+
+						tokenRequests.push({ method: req.method, grant: grant });
+
+						if (grant.refresh_token == "revoked") {
+							res.statusCode = 401;
+							res.end(JSON.stringify({ error: "invalid_grant" }));
+						} else if (grant.password == "wrong") {
+							res.statusCode = 400;
+							res.end(JSON.stringify({ error: "invalid_grant" }));
+						} else {
+							res.end(JSON.stringify({ access_token: "newtoken", refresh_token: "newrefresh", expires_in: 3888000, created_at: Math.floor(Date.now() / 1000) }));
+						}
+					});
+				} else if (req.headers.authorization == "Bearer newtoken") {
+					res.end(JSON.stringify({ response: { result: true, reason: "" } }));
+				} else {
+					res.statusCode = 401;
+					res.end(JSON.stringify({}));
+				}
+			});
+
+			server.listen(0, '127.0.0.1', function () {
+				portalURI = "http://127.0.0.1:" + server.address().port + "/";
+				done();
+			});
+		});
+
+		after(function (done) {
+			server.close(done);
+		});
+
+	    it('should refresh a token that is about to expire', function (done) {
+			var client = new tjs.TeslaClient({ portal: portalURI, authToken: "oldtoken", refreshToken: "oldrefresh", expiresAt: Date.now() + 1000 });
+			var refreshed = null;
+
+			client.on('tokenRefreshed', function (tokens) {
+				refreshed = tokens;
+			});
+
+			client.honkHorn({}, function (err, result) {
+				assert.equal(refreshed.authToken, "newtoken");
+				assert.equal(refreshed.refreshToken, "newrefresh");
+				assert(refreshed.expiresAt > Date.now());
+				assert(result.result);
+				done(err);
+			});
+		});
+
+	    it('should refresh and retry once on a 401', function (done) {
+			var client = new tjs.TeslaClient({ portal: portalURI, refreshToken: "oldrefresh" });
+			var opts = { authToken: "oldtoken" };
+
+			client.setTokens({ authToken: "oldtoken", refreshToken: "oldrefresh" });
+
+			client.vehicleData(opts, function (err, result) {
+				assert(result.result);
+				assert.equal(opts.authToken, "newtoken");
+				assert.equal(client.authToken, "newtoken");
+				done(err);
+			});
+		});
+
+	    it('should emit tokenRefreshed through the module-level API', function () {
+			var portal = tjs.getPortalBaseURI();
+			var refreshed = [];
+
+			function listener(tokens) {
+				refreshed.push(tokens);
+			}
+
+			function restore() {
+				tjs.removeListener('tokenRefreshed', listener);
+				tjs.setPortalBaseURI(portal);
+			}
+
+			tjs.setPortalBaseURI(portalURI);
+			tjs.on('tokenRefreshed', listener);
+
+			return tjs.refreshToken("oldrefresh").then(function () {
+				restore();
+				assert.equal(1, refreshed.length);
+				assert.equal("newtoken", refreshed[0].authToken);
+				assert.equal(0, tjs.listenerCount('tokenRefreshed'));
+			}, function (err) {
+				restore();
+				throw err;
+			});
+		});
+
+	    it('should POST the refresh grant', function () {
+			var client = new tjs.TeslaClient({ portal: portalURI });
+
+			tokenRequests = [];
+
+			return client.refreshToken("oldrefresh").then(function (result) {
+				assert.equal("newtoken", result.authToken);
+				assert.equal("POST", tokenRequests[0].method);
+				assert.equal("refresh_token", tokenRequests[0].grant.grant_type);
+			});
+		});
+
+	    it('should reject a refresh the portal answers with a 401', function (done) {
+			var client = new tjs.TeslaClient({ portal: portalURI, authToken: "oldtoken" });
+
+			client.refreshToken("revoked", function (err, result) {
+				assert(err instanceof tjs.AuthError);
+				assert.equal(401, err.status);
+				assert.equal(undefined, result.authToken);
+				assert.equal("oldtoken", client.authToken);
+				done();
+			});
+		});
+
+	    it('should reject a login the portal answers with a 400', function () {
+			var client = new tjs.TeslaClient({ portal: portalURI });
+
+			return client.login(user, "wrong").then(function () {
+				throw new Error("should have failed");
+			}, function (err) {
+				assert(err instanceof tjs.AuthError);
+				assert.equal(400, err.status);
+				assert.equal(undefined, client.authToken);
+			});
+		});
+
+	    it('should not retry a 401 with a token the portal refused to refresh', function (done) {
+			var client = new tjs.TeslaClient({ portal: portalURI });
+			var sent = [];
+
+			client.setTokens({ authToken: "oldtoken", refreshToken: "revoked" });
+
+			client.on('send', function (req) {
+				sent.push(req.headers.Authorization);
+			});
+
+			client.vehicleData({ authToken: "oldtoken" }, function (err) {
+				assert(err instanceof tjs.AuthError);
+				assert.deepEqual(["Bearer oldtoken"], sent.filter(function (auth) {
+					return auth;
+				}));
+				assert.equal("oldtoken", client.authToken);
+				done();
+			});
+		});
+
+	    it('should not refresh the client tokens on a 401 for a token passed by the caller', function (done) {
+			var client = new tjs.TeslaClient({ portal: portalURI });
+			var sent = [];
+
+			client.setTokens({ authToken: "clienttoken", refreshToken: "oldrefresh" });
+			tokenRequests = [];
+
+			client.on('send', function (req) {
+				sent.push(req.headers.Authorization);
+			});
+
+			client.vehicleData({ authToken: "othertoken" }, function (err) {
+				assert(err instanceof tjs.AuthError);
+				assert.deepEqual(["Bearer othertoken"], sent);
+				assert.equal(0, tokenRequests.length);
+				assert.equal("clienttoken", client.authToken);
+				done();
+			});
+		});
+
+	    it('should fail on a 401 without a refresh token', function (done) {
+			var client = new tjs.TeslaClient({ portal: portalURI });
+
+			client.vehicleData({ authToken: "oldtoken" }, function (err, result) {
+				assert(err);
+				done();
+			});
+		});
+	});
+
 	describe('#logout()', function () {
 	    it('should succeed', function (done) {
 	        tjs.logout("token", function (err, result) {
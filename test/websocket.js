@@ -0,0 +1,259 @@
+"use strict";
+
+var assert = require('assert');
+var http = require('http');
+var websocket = require('../websocket');
+
+describe('websocket', function () {
+    var server;
+    var serverURI;
+    var connections;
+    var scenario;
+
+    // unmasked server frame
+    function frame(opcode, payload, fin) {
+        payload = Buffer.from(payload || "");
+
+        var header = payload.length < 126 ? Buffer.from([0, payload.length]) : Buffer.from([0, 126, payload.length >> 8, payload.length & 0xff]);
+
+        header[0] = (fin === false ? 0 : 0x80) | opcode;
+        return Buffer.concat([header, payload]);
+    }
+
+    function closeFrame(code, reason) {
+        var payload = Buffer.alloc(2);
+
+        payload.writeUInt16BE(code, 0);
+        return frame(8, Buffer.concat([payload, Buffer.from(reason || "")]));
+    }
+
+    before(function (done) {
+        server = http.createServer(function (req, res) {
+            res.statusCode = 401;
+            res.end("Unauthorized");
+        });
+
+        server.on('upgrade', function (req, socket) {
+            var connection = { req: req, socket: socket, frames: [] };
+            var buffer = Buffer.alloc(0);
+
+            connections.push(connection);
+            socket.on('error', function () { /* the client may drop the connection */ });
+            socket.on('end', function () {
+                socket.end();
+            });
+
+            if (scenario.refuse) {
+                return socket.end("HTTP/1.1 401 Unauthorized\r\nContent-Length: 12\r\nConnection: close\r\n\r\nUnauthorized");
+            }
+
+            socket.write("HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: " +
+                (scenario.accept || websocket.acceptKey(req.headers['sec-websocket-key'])) + "\r\n\r\n");
+
+            socket.on('data', function (chunk) {
+                var received;
+
+                buffer = Buffer.concat([buffer, chunk]);
+
+                while ((received = websocket.decodeFrame(buffer))) {
+                    buffer = buffer.slice(received.size);
+                    connection.frames.push(received);
+
+                    if (scenario.onFrame) {
+                        scenario.onFrame(socket, received);
+                    }
+                }
+            });
+
+            if (scenario.onOpen) {
+                scenario.onOpen(socket);
+            }
+        });
+
+        server.listen(0, '127.0.0.1', function () {
+            serverURI = "ws://127.0.0.1:" + server.address().port + "/streaming/";
+            done();
+        });
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    beforeEach(function () {
+        connections = [];
+        scenario = {};
+    });
+
+    describe('#encodeFrame()', function () {
+        it('should mask frames which decodeFrame() restores', function () {
+            var payload = Buffer.alloc(70000, "a");
+            var encoded = websocket.encodeFrame(1, payload);
+            var decoded = websocket.decodeFrame(encoded);
+
+            assert.equal(0x80, encoded[1] & 0x80);
+            assert.equal(127, encoded[1] & 0x7f);
+            assert(decoded.fin);
+            assert.equal(1, decoded.opcode);
+            assert.equal(encoded.length, decoded.size);
+            assert(payload.equals(decoded.payload));
+        });
+    });
+
+    describe('#decodeFrame()', function () {
+        it('should wait for the rest of a frame split across chunks', function () {
+            var encoded = websocket.encodeFrame(1, Buffer.alloc(200, "b"));
+
+            [1, 3, 7, 100, encoded.length - 1].forEach(function (length) {
+                assert.equal(null, websocket.decodeFrame(encoded.slice(0, length)));
+            });
+
+            assert.equal(200, websocket.decodeFrame(encoded).payload.length);
+        });
+    });
+
+    describe('#WebSocketClient', function () {
+        it('should exchange text messages', function (done) {
+            scenario.onFrame = function (socket, received) {
+                if (received.opcode == 1) {
+                    socket.write(frame(1, "echo " + received.payload.toString()));
+                }
+            };
+
+            var client = new websocket.WebSocketClient(serverURI, { headers: { "X-Foo": "bar" } });
+
+            client.on('open', function () {
+                client.send("hello");
+            });
+
+            client.on('message', function (text) {
+                assert.equal("echo hello", text);
+                assert.equal("bar", connections[0].req.headers["x-foo"]);
+                client.terminate();
+                done();
+            });
+        });
+
+        it('should assemble frames split across chunks and fragmented messages', function (done) {
+            var messages = [];
+
+            scenario.onOpen = function (socket) {
+                var bytes = Buffer.concat([frame(1, "first ", false), frame(0, "message"), frame(1, "second message")]);
+                var offset = 0;
+
+                // one byte at a time
+                (function write() {
+                    if (offset < bytes.length) {
+                        socket.write(bytes.slice(offset, ++offset));
+                        setImmediate(write);
+                    }
+                })();
+            };
+
+            var client = new websocket.WebSocketClient(serverURI);
+
+            client.on('message', function (text) {
+                messages.push(text);
+
+                if (messages.length == 2) {
+                    assert.deepEqual(["first message", "second message"], messages);
+                    client.terminate();
+                    done();
+                }
+            });
+        });
+
+        it('should answer pings with pongs', function (done) {
+            scenario.onOpen = function (socket) {
+                socket.write(frame(9, "are you there"));
+            };
+
+            scenario.onFrame = function (socket, received) {
+                assert.equal(10, received.opcode);
+                assert.equal("are you there", received.payload.toString());
+                client.terminate();
+                done();
+            };
+
+            var client = new websocket.WebSocketClient(serverURI);
+        });
+
+        it('should echo a close frame from the server', function (done) {
+            scenario.onOpen = function (socket) {
+                socket.write(closeFrame(1001, "going away"));
+            };
+
+            var client = new websocket.WebSocketClient(serverURI);
+
+            client.on('close', function (code, reason) {
+                var frames = connections[0].frames;
+
+                assert.equal(1001, code);
+                assert.equal("going away", reason);
+                assert.equal(1, frames.length);
+                assert.equal(8, frames[0].opcode);
+                assert.equal(1001, frames[0].payload.readUInt16BE(0));
+                done();
+            });
+        });
+
+        it('should complete the close handshake it starts', function (done) {
+            scenario.onFrame = function (socket, received) {
+                if (received.opcode == 8) {
+                    socket.end(frame(8, received.payload));
+                }
+            };
+
+            var client = new websocket.WebSocketClient(serverURI);
+
+            client.on('open', function () {
+                client.close(1000, "done");
+            });
+
+            client.on('close', function (code) {
+                var closing = connections[0].frames[0];
+
+                assert.equal(1000, code);
+                assert.equal(8, closing.opcode);
+                assert.equal("done", closing.payload.slice(2).toString());
+                done();
+            });
+        });
+
+        it('should drop the connection when the server does not answer close()', function (done) {
+            var client = new websocket.WebSocketClient(serverURI, { closeTimeout: 20 });
+
+            client.on('open', function () {
+                client.close();
+            });
+
+            client.on('close', function (code) {
+                assert.equal(1006, code);
+                done();
+            });
+        });
+
+        it('should report a refused upgrade', function (done) {
+            scenario.refuse = true;
+
+            var client = new websocket.WebSocketClient(serverURI);
+
+            client.on('response', function (response, body) {
+                assert.equal(401, response.statusCode);
+                assert.equal("Unauthorized", body);
+                done();
+            });
+        });
+
+        it('should reject an invalid handshake', function (done) {
+            scenario.accept = "invalid";
+
+            var client = new websocket.WebSocketClient(serverURI);
+
+            client.on('error', function (err) {
+                assert(/handshake/.test(err.message));
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,413 @@
+/**
+ * @file A minimal WebSocket client (RFC 6455) used by TeslaJS for the streaming protocol
+ *
+ * Github: https://github.com/mseminatore/TeslaJS
+ * NPM: https://www.npmjs.com/package/teslajs
+ *
+ * @copyright Copyright (c) 2016 Mark Seminatore
+ *
+ * @license MIT
+ *
+ * Refer to included LICENSE file for usage rights and restrictions
+ */
+
+"use strict";
+
+var crypto = require('crypto');
+var http = require('http');
+var https = require('https');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+/*
+ * Frame opcodes
+ */
+var CONTINUATION = 0;
+var TEXT = 1;
+var BINARY = 2;
+var CLOSE = 8;
+var PING = 9;
+var PONG = 10;
+
+/*
+ * Status code reported when the connection closed without a close frame
+ */
+var ABNORMAL_CLOSURE = 1006;
+
+/**
+ * Accept key the server must answer a handshake key with
+ * @param {string} key - the Sec-WebSocket-Key of the handshake
+ * @return {string} the expected Sec-WebSocket-Accept
+ */
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + "258EAFA5-E914-47DA-95CA-C5AB0DC85B11").digest('base64');
+}
+exports.acceptKey = acceptKey;
+
+/**
+ * Encode a masked client frame
+ * @param {int} opcode - frame opcode
+ * @param {Buffer} payload - frame payload
+ * @return {Buffer} the frame
+ */
+function encodeFrame(opcode, payload) {
+    var length = payload.length;
+    var header = (length < 126) ? 2 : (length < 65536) ? 4 : 10;
+    var frame = Buffer.alloc(header + 4 + length);
+    var mask = crypto.randomBytes(4);
+
+    frame[0] = 0x80 | opcode;
+
+    if (length < 126) {
+        frame[1] = 0x80 | length;
+    } else if (length < 65536) {
+        frame[1] = 0x80 | 126;
+        frame.writeUInt16BE(length, 2);
+    } else {
+        frame[1] = 0x80 | 127;
+        frame.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+        frame.writeUInt32BE(length % 0x100000000, 6);
+    }
+
+    mask.copy(frame, header);
+
+    for (var i = 0; i < length; i++) {
+        frame[header + 4 + i] = payload[i] ^ mask[i % 4];
+    }
+
+    return frame;
+}
+exports.encodeFrame = encodeFrame;
+
+/**
+ * Decode the frame at the start of a buffer
+ * @param {Buffer} buffer - received bytes
+ * @return {?object} {fin, opcode, payload, size}, null if the frame is incomplete
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) {
+        return null;
+    }
+
+    var length = buffer[1] & 0x7f;
+    var offset = 2;
+    var mask = null;
+
+    if (length == 126) {
+        if (buffer.length < 4) {
+            return null;
+        }
+
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length == 127) {
+        if (buffer.length < 10) {
+            return null;
+        }
+
+        length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+        offset = 10;
+    }
+
+    if (buffer[1] & 0x80) {
+        if (buffer.length < offset + 4) {
+            return null;
+        }
+
+        mask = buffer.slice(offset, offset + 4);
+        offset += 4;
+    }
+
+    if (buffer.length < offset + length) {
+        return null;
+    }
+
+    var payload = Buffer.from(buffer.slice(offset, offset + length));
+
+    if (mask) {
+        for (var i = 0; i < length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+
+    return { fin: !!(buffer[0] & 0x80), opcode: buffer[0] & 0x0f, payload: payload, size: offset + length };
+}
+exports.decodeFrame = decodeFrame;
+
+/*
+ * Payload of a close frame
+ */
+function closePayload(code, reason) {
+    var text = Buffer.from(reason || "");
+    var payload = Buffer.alloc(2 + text.length);
+
+    payload.writeUInt16BE(code, 0);
+    text.copy(payload, 2);
+
+    return payload;
+}
+
+/**
+ * WebSocket client connection, opened as soon as it is created.
+ *
+ * Emits `open` with the upgrade response, `message` with the text of each text message,
+ * or a Buffer for binary messages, `close` with the status code and reason once the
+ * connection is closed and `error` when it fails.  A server refusing the upgrade emits
+ * `response` with {statusCode, statusMessage, headers} and the body text instead of `open`.
+ * Pings are answered, and a close frame from the server is echoed before the connection
+ * ends.  A connection which closes without a close frame reports status 1006.
+ * @class
+ * @param {string} url - ws:, wss:, http: or https: URI
+ * @param {object} [options] - {headers, tls, closeTimeout}, the server has closeTimeout milliseconds, 5000 by default, to answer close()
+ */
+function WebSocketClient(url, options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    var client = this;
+    var key = crypto.randomBytes(16).toString('base64');
+    var headers = {};
+
+    this.readyState = "connecting";
+    this.closeTimeout = (options.closeTimeout !== undefined) ? options.closeTimeout : 5000;
+    this.socket = null;
+    this.paused = false;
+    this.closeCode = ABNORMAL_CLOSURE;
+    this.closeReason = "";
+    this.closeSent = false;
+    this.timer = null;
+
+    Object.keys(options.headers || {}).forEach(function (name) {
+        headers[name] = options.headers[name];
+    });
+
+    headers.Connection = "Upgrade";
+    headers.Upgrade = "websocket";
+    headers["Sec-WebSocket-Key"] = key;
+    headers["Sec-WebSocket-Version"] = "13";
+
+    var params = { method: 'GET', headers: headers };
+
+    if (options.tls) {
+        ["cert", "key", "ca", "passphrase"].forEach(function (name) {
+            if (options.tls[name] !== undefined) {
+                params[name] = options.tls[name];
+            }
+        });
+    }
+
+    url = url.replace(/^ws/i, "http");
+
+    var lib = /^https:/i.test(url) ? https : http;
+
+    this.request = lib.request(url, params);
+
+    // the server refused to upgrade the connection
+    this.request.on('response', function (res) {
+        var chunks = [];
+
+        res.on('data', function (chunk) {
+            chunks.push(chunk);
+        });
+
+        res.on('end', function () {
+            client.readyState = "closed";
+            client.emit('response', { statusCode: res.statusCode, statusMessage: res.statusMessage, headers: res.headers }, Buffer.concat(chunks).toString());
+        });
+    });
+
+    this.request.on('upgrade', function (res, socket, head) {
+        if (res.headers["sec-websocket-accept"] != acceptKey(key)) {
+            socket.destroy();
+            client.readyState = "closed";
+            return client.emit('error', new Error("invalid WebSocket handshake"));
+        }
+
+        var receive = attachSocket(client, socket);
+
+        client.readyState = "open";
+        client.emit('open', { statusCode: res.statusCode, statusMessage: res.statusMessage, headers: res.headers });
+        receive(head || Buffer.alloc(0));
+    });
+
+    this.request.on('error', function (e) {
+        // terminated by the caller
+        if (client.readyState == "closed") {
+            return;
+        }
+
+        client.readyState = "closed";
+        client.emit('error', e);
+    });
+
+    this.request.end();
+}
+util.inherits(WebSocketClient, EventEmitter);
+exports.WebSocketClient = WebSocketClient;
+
+/*
+ * Read the frames of an upgraded connection, returns the function reading received bytes
+ */
+function attachSocket(client, socket) {
+    var buffer = Buffer.alloc(0);
+    var fragments = [];
+    var messageType = TEXT;
+
+    client.socket = socket;
+
+    function onFrame(frame) {
+        switch (frame.opcode) {
+            case TEXT:
+            case BINARY:
+                messageType = frame.opcode;
+                fragments = [];
+                /* falls through */
+            case CONTINUATION:
+                fragments.push(frame.payload);
+
+                if (frame.fin) {
+                    var message = Buffer.concat(fragments);
+
+                    fragments = [];
+                    client.emit('message', (messageType == TEXT) ? message.toString() : message);
+                }
+                break;
+            case CLOSE:
+                if (frame.payload.length >= 2) {
+                    client.closeCode = frame.payload.readUInt16BE(0);
+                    client.closeReason = frame.payload.slice(2).toString();
+                } else {
+                    client.closeCode = 1005;
+                }
+
+                // echo the close frame, or complete the close we started
+                if (!client.closeSent) {
+                    client.closeSent = true;
+                    socket.write(encodeFrame(CLOSE, frame.payload.slice(0, 2)));
+                }
+
+                client.readyState = "closing";
+                socket.end();
+                dropAfterTimeout(client);
+                break;
+            case PING:
+                socket.write(encodeFrame(PONG, frame.payload));
+                break;
+            case PONG:
+                client.emit('pong', frame.payload);
+                break;
+            default:
+                client.close(1002, "unknown opcode");
+        }
+    }
+
+    function receive(chunk) {
+        var frame;
+
+        buffer = Buffer.concat([buffer, chunk]);
+
+        while (client.readyState != "closed" && (frame = decodeFrame(buffer))) {
+            buffer = buffer.slice(frame.size);
+            onFrame(frame);
+        }
+    }
+
+    socket.on('data', receive);
+
+    socket.on('error', function (e) {
+        client.emit('error', e);
+    });
+
+    socket.on('close', function () {
+        clearTimeout(client.timer);
+        client.readyState = "closed";
+        client.emit('close', client.closeCode, client.closeReason);
+    });
+
+    if (client.paused) {
+        socket.pause();
+    }
+
+    return receive;
+}
+
+/**
+ * Send a text message
+ * @param {string} text - message text
+ */
+WebSocketClient.prototype.send = function send(text) {
+    if (this.readyState == "open") {
+        this.socket.write(encodeFrame(TEXT, Buffer.from(text)));
+    }
+}
+
+/**
+ * Start the close handshake.  The connection ends once the server echoes the close
+ * frame, or is dropped after closeTimeout milliseconds.
+ * @param {int} [code=1000] - status code
+ * @param {string} [reason] - reason text
+ */
+WebSocketClient.prototype.close = function close(code, reason) {
+    var client = this;
+
+    if (client.readyState == "connecting") {
+        return client.terminate();
+    }
+
+    if (client.readyState != "open") {
+        return;
+    }
+
+    client.readyState = "closing";
+    client.closeSent = true;
+    client.socket.write(encodeFrame(CLOSE, closePayload(code || 1000, reason)));
+    dropAfterTimeout(client);
+}
+
+/*
+ * Destroy a closing connection the server does not close within closeTimeout
+ */
+function dropAfterTimeout(client) {
+    clearTimeout(client.timer);
+
+    client.timer = setTimeout(function () {
+        client.socket.destroy();
+    }, client.closeTimeout);
+}
+
+/**
+ * Drop the connection without a close handshake
+ */
+WebSocketClient.prototype.terminate = function terminate() {
+    clearTimeout(this.timer);
+    this.request.destroy();
+
+    if (this.socket) {
+        this.socket.destroy();
+    }
+
+    this.readyState = "closed";
+}
+
+/**
+ * Stop reading from the connection
+ */
+WebSocketClient.prototype.pause = function pause() {
+    this.paused = true;
+
+    if (this.socket) {
+        this.socket.pause();
+    }
+}
+
+/**
+ * Read from the connection again after pause()
+ */
+WebSocketClient.prototype.resume = function resume() {
+    this.paused = false;
+
+    if (this.socket) {
+        this.socket.resume();
+    }
+}
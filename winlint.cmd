@@ -1,5 +1,5 @@
 @echo off
 
 echo================================= Lint ==========================================
-cmd /c ".\node_modules\.bin\jshint" teslajs.js samples/
+cmd /c ".\node_modules\.bin\jshint" teslajs.js websocket.js samples/
 echo=================================================================================
\ No newline at end of file